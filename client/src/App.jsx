@@ -1,13 +1,64 @@
 import { useState, useCallback, useRef } from "react";
+import Scorecard from "./components/Scorecard.jsx";
+import PipelineProgress from "./components/PipelineProgress.jsx";
+import HistorySidebar from "./components/HistorySidebar.jsx";
+import RenderModeToggle from "./components/RenderModeToggle.jsx";
+import VisualCompare from "./components/VisualCompare.jsx";
+import ResponsivePreview from "./components/ResponsivePreview.jsx";
+import TokenDownloads from "./components/TokenDownloads.jsx";
+import ComponentExport from "./components/ComponentExport.jsx";
+import DiffView from "./components/DiffView.jsx";
+import RefinePanel from "./components/RefinePanel.jsx";
+import StyleOptions from "./components/StyleOptions.jsx";
+import ApiKeySettings from "./components/ApiKeySettings.jsx";
+import ProviderSelect from "./components/ProviderSelect.jsx";
+import { apiError, fetchJson, streamEvents } from "./api.js";
+import { stageLabel } from "./stages.js";
+import { useVersionHistory } from "./useVersionHistory.js";
+import { useServerConfig } from "./useServerConfig.js";
+import { clampToLimit } from "./config.js";
+import { DEFAULT_STYLE, toStyleRequest } from "./styleOptions.js";
+
+// Server error codes about the API key rather than the URL being analyzed
+const API_ACCESS_CODES = ["API_KEY_REQUIRED", "API_KEY_INVALID", "SCOPE_REQUIRED", "RATE_LIMITED", "QUOTA_EXCEEDED"];
+
+function errorHeading(code) {
+  if (!code) return "Error:";
+  return API_ACCESS_CODES.includes(code) ? "API access:" : "This URL can't be fetched:";
+}
 
 export default function App() {
   const [url, setUrl] = useState("");
+  const [renderMode, setRenderMode] = useState("static");
+  const [waitFor, setWaitFor] = useState("");
+  const [renderTimeout, setRenderTimeout] = useState("");
+  const [provider, setProvider] = useState("");
+  const [bypassCache, setBypassCache] = useState(false);
+  const [cachedAt, setCachedAt] = useState(null);
+  const [style, setStyle] = useState(DEFAULT_STYLE);
   const [loading, setLoading] = useState(false);
   const [html, setHtml] = useState(null);
   const [analysisResult, setAnalysisResult] = useState(null);
+  const [improvedHtml, setImprovedHtml] = useState(null);
+  const [analysisId, setAnalysisId] = useState(null);
+  const [previewMode, setPreviewMode] = useState("live");
+  const [resultVersion, setResultVersion] = useState(0);
+  const [picking, setPicking] = useState(false);
+  const [pickedSelector, setPickedSelector] = useState(null);
+  const versions = useVersionHistory();
+  const serverConfig = useServerConfig();
+  const [comparison, setComparison] = useState(null);
+  const [fidelity, setFidelity] = useState(null);
+  const [brandCheck, setBrandCheck] = useState(null);
   const [error, setError] = useState(null);
+  const [errorCode, setErrorCode] = useState(null);
   const [progress, setProgress] = useState("");
   const [warning, setWarning] = useState(null);
+  const [stages, setStages] = useState([]);
+  const [stylesheets, setStylesheets] = useState([]);
+  const [streamedHtml, setStreamedHtml] = useState("");
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyVersion, setHistoryVersion] = useState(0);
   const abortControllerRef = useRef(null);
 
   // Validate URL format
@@ -15,7 +66,7 @@ export default function App() {
     try {
       new URL(string);
       return true;
-    } catch (_) {
+    } catch {
       return false;
     }
   }, []);
@@ -48,9 +99,18 @@ export default function App() {
 
     setLoading(true);
     setError(null);
+    setErrorCode(null);
     setWarning(null);
+    setCachedAt(null);
     setHtml(null);
     setAnalysisResult(null);
+    setImprovedHtml(null);
+    setAnalysisId(null);
+    setComparison(null);
+    setFidelity(null);
+    setStages([]);
+    setStylesheets([]);
+    setStreamedHtml("");
     setProgress("Fetching website...");
 
     // Create new abort controller
@@ -58,54 +118,59 @@ export default function App() {
     const { signal } = abortControllerRef.current;
 
     try {
-      // Step 1: Fetch HTML
-      const fetchRes = await fetch(
-        `https://ui-ux-analyzer.onrender.com/fetch-html?url=${encodeURIComponent(url)}`,
-        { signal }
-      );
-      
-      if (!fetchRes.ok) {
-        const errorData = await fetchRes.json().catch(() => ({}));
-        throw new Error(`Failed to fetch HTML: ${errorData.error || fetchRes.statusText}`);
-      }
-      
-      const data = await fetchRes.json();
-      
-      if (!data.html || data.html.trim().length === 0) {
-        throw new Error("Received empty HTML content from the website");
-      }
-      
-      setHtml(data.html);
-      setProgress("Analyzing and improving UI/UX...");
-
-      // Step 2: Analyze and improve
-      const analyzeRes = await fetch("https://ui-ux-analyzer.onrender.com/analyze-uiux", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ html: data.html }),
-        signal
+      let analyzeData = null;
+
+      const request = { url, renderMode };
+      if (renderMode === "rendered" && waitFor.trim()) request.waitFor = waitFor.trim();
+      const timeoutSeconds = renderMode === "rendered" ? clampToLimit(renderTimeout, (serverConfig?.maxRenderTimeout ?? Infinity) / 1000) : undefined;
+      if (timeoutSeconds) request.renderTimeout = timeoutSeconds * 1000;
+      if (provider) request.provider = provider;
+      if (bypassCache) request.bypassCache = true;
+      const styleRequest = toStyleRequest(style);
+      if (styleRequest) request.style = styleRequest;
+
+      await streamEvents("/analyze-stream", request, {
+        signal,
+        onEvent: (event, data) => {
+          switch (event) {
+            case "stage":
+              setStages((prev) =>
+                prev.some((entry) => entry.stage === data.stage)
+                  ? prev.map((entry) => (entry.stage === data.stage ? data : entry))
+                  : [...prev, data]
+              );
+              if (data.status === "started") setProgress(`${stageLabel(data.stage)}...`);
+              if (data.stage === "retry" && data.status === "started") setStreamedHtml("");
+              break;
+            case "stylesheet":
+              setStylesheets((prev) => [...prev, data]);
+              break;
+            case "page":
+              if (!data.html || data.html.trim().length === 0) {
+                throw new Error("Received empty HTML content from the website");
+              }
+              setHtml(data.html);
+              break;
+            case "token":
+              setStreamedHtml((prev) => prev + data.text);
+              break;
+            case "result":
+              analyzeData = data;
+              break;
+            case "error":
+              throw apiError(data.error, data.code);
+            default:
+              break;
+          }
+        },
       });
 
-      if (!analyzeRes.ok) {
-        const errorData = await analyzeRes.json().catch(() => ({}));
-        throw new Error(`Failed to analyze UI/UX: ${errorData.error || analyzeRes.statusText}`);
-      }
-
-      const analyzeData = await analyzeRes.json();
-
-      if (!analyzeData.improvedHtml) {
+      if (!analyzeData?.improvedHtml) {
         throw new Error("No improved HTML received from analysis");
       }
 
-      // Check for warnings from backend
-      if (analyzeData.warning) {
-        setWarning(analyzeData.warning);
-      }
-
-      // Inject CSS to disable interactions and make it safer for iframe
-      const improvedHtmlWithSafetyCSS = injectSafetyCSS(analyzeData.improvedHtml);
-
-      setAnalysisResult(improvedHtmlWithSafetyCSS);
+      showAnalysis(analyzeData);
+      setHistoryVersion((version) => version + 1);
       setProgress("Complete!");
       
       // Clear progress after a delay
@@ -118,6 +183,7 @@ export default function App() {
       } else {
         console.error("Analysis error:", err);
         setError(err.message || "An unexpected error occurred");
+        setErrorCode(err.code || null);
         setProgress("");
       }
     } finally {
@@ -126,6 +192,135 @@ export default function App() {
     }
   }
 
+  // Display an analysis result, whether fresh or reopened from history
+  function showAnalysis(analyzeData) {
+    // Check for warnings from backend
+    const warnings = analyzeData.warnings || [analyzeData.warning].filter(Boolean);
+    setWarning(warnings.length ? warnings.join(" ") : null);
+    setCachedAt(analyzeData.cache?.status === "hit" ? analyzeData.cache.storedAt : null);
+
+    const entries = versionEntries(analyzeData);
+    versions.reset(entries);
+    showVersion(entries.at(-1));
+    setAnalysisId(analyzeData.analysisId || analyzeData.id || null);
+    setPicking(false);
+    setPickedSelector(null);
+  }
+
+  // Stored analyses that were refined reopen on their current version, with
+  // the chain of versions that led to it as the undo history
+  function versionEntries(analyzeData) {
+    const byNumber = new Map((analyzeData.versions || []).map((version) => [version.version, version]));
+    const chain = [];
+    for (let version = byNumber.get(analyzeData.currentVersion ?? 0); version; version = byNumber.get(version.basedOn)) {
+      chain.unshift(version);
+    }
+    if (!chain.length) chain.push({ version: 0, ...analyzeData });
+
+    return chain.map((version) => ({
+      version: version.version,
+      html: version.improvedHtml,
+      instruction: version.instruction || null,
+      selector: version.selector || null,
+      fidelity: version.fidelity || null,
+      comparison: version.comparison || null,
+      brandCheck: version.brandCheck || null,
+    }));
+  }
+
+  function showVersion(entry) {
+    // Inject CSS to disable interactions and make it safer for iframe
+    setAnalysisResult(injectSafetyCSS(entry.html));
+    setImprovedHtml(entry.html);
+    setResultVersion((version) => version + 1);
+    setComparison(entry.comparison);
+    setFidelity(entry.fidelity);
+    setBrandCheck(entry.brandCheck);
+  }
+
+  function handleRefined(result, { instruction, selector }) {
+    const entry = {
+      version: result.version ?? Math.max(...versions.entries.map((existing) => existing.version)) + 1,
+      html: result.improvedHtml,
+      instruction,
+      selector: selector || null,
+      fidelity: result.fidelity || versions.current?.fidelity || null,
+      comparison: result.comparison || versions.current?.comparison || null,
+      brandCheck: result.brandCheck || null,
+    };
+    versions.push(entry);
+    showVersion(entry);
+    setWarning(result.warning || null);
+    setPickedSelector(null);
+  }
+
+  // Undo/redo; stored analyses also move their current version so the
+  // screenshot, diff and export views follow along
+  async function navigateVersion(index) {
+    const entry = versions.entries[index];
+    if (!entry) return;
+    versions.go(index);
+    if (analysisId) {
+      await fetchJson(`/analyses/${analysisId}/current-version`, { method: "PUT", body: { version: entry.version } }).catch(
+        (err) => console.error("Could not update current version:", err.message)
+      );
+    }
+    showVersion(entry);
+  }
+
+  const handlePick = useCallback((selector) => {
+    setPickedSelector(selector);
+    setPicking(false);
+  }, []);
+
+  function handlePickingChange(value) {
+    setPicking(value);
+    if (value) setPreviewMode("live");
+  }
+
+  // Reopen a stored analysis without refetching the site
+  function openStoredAnalysis(record) {
+    cancelRequest();
+    setUrl(record.url || "");
+    setError(null);
+    setHtml(record.originalHtml);
+    showAnalysis(record);
+    setShowHistory(false);
+  }
+
+  // Re-run a stored analysis against its saved HTML
+  async function rerunStoredAnalysis(id) {
+    cancelRequest();
+    setLoading(true);
+    setError(null);
+    setStages([{ stage: "generate", status: "started" }]);
+    setStylesheets([]);
+    setStreamedHtml("");
+    setProgress("Re-running analysis...");
+
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+
+    try {
+      const record = await fetchJson(`/analyses/${id}`, { signal });
+      const analyzeData = await fetchJson(`/analyses/${id}/rerun`, { method: "POST", body: {}, signal });
+      setUrl(record.url || "");
+      setHtml(record.originalHtml);
+      showAnalysis(analyzeData);
+      setHistoryVersion((version) => version + 1);
+      setProgress("");
+    } catch (err) {
+      if (err.name !== "AbortError") {
+        setError(err.message || "An unexpected error occurred");
+        setErrorCode(err.code || null);
+      }
+      setProgress("");
+    } finally {
+      setLoading(false);
+      abortControllerRef.current = null;
+    }
+  }
+
   // Enhanced safety CSS injection
   function injectSafetyCSS(html) {
     const safetyCSS = `
@@ -185,31 +380,38 @@ export default function App() {
   // Reset function
   const handleReset = () => {
     cancelRequest();
+    setPicking(false);
     setUrl("");
     setHtml(null);
     setAnalysisResult(null);
+    setImprovedHtml(null);
+    setAnalysisId(null);
+    setComparison(null);
+    setFidelity(null);
     setError(null);
     setWarning(null);
+    setCachedAt(null);
     setProgress("");
   };
 
-  // Download improved HTML
-  const downloadImprovedHtml = () => {
-    if (!analysisResult) return;
-    
-    const blob = new Blob([analysisResult], { type: 'text/html' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'improved-website.html';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-  };
-
   return (
     <div className="min-h-screen bg-gray-900 text-gray-100 font-sans p-6 flex flex-col items-center">
+      <HistorySidebar
+        open={showHistory}
+        refreshKey={historyVersion}
+        busy={loading}
+        onClose={() => setShowHistory(false)}
+        onOpen={openStoredAnalysis}
+        onRerun={rerunStoredAnalysis}
+      />
+
+      <button
+        onClick={() => setShowHistory((open) => !open)}
+        className="fixed top-4 left-4 z-30 px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg hover:bg-gray-700 transition-colors"
+      >
+        History
+      </button>
+
       <header className="w-full max-w-4xl text-center mb-12">
         <h1 className="text-5xl font-extrabold bg-gradient-to-r from-purple-500 to-blue-500 bg-clip-text text-transparent">
           UI/UX Analyzer & Enhancer
@@ -241,6 +443,46 @@ export default function App() {
             )}
           </div>
 
+          <RenderModeToggle
+            mode={renderMode}
+            waitFor={waitFor}
+            timeout={renderTimeout}
+            modes={serverConfig?.renderModes}
+            maxTimeout={serverConfig?.maxRenderTimeout}
+            defaultTimeout={serverConfig?.render.timeout}
+            disabled={loading}
+            onModeChange={setRenderMode}
+            onWaitForChange={setWaitFor}
+            onTimeoutChange={setRenderTimeout}
+          />
+
+          {serverConfig && (
+            <ProviderSelect
+              providers={serverConfig.providers}
+              defaultProvider={serverConfig.llm.provider}
+              value={provider}
+              disabled={loading}
+              onChange={setProvider}
+            />
+          )}
+
+          <StyleOptions value={style} disabled={loading} onChange={setStyle} />
+
+          {serverConfig?.auth.mode !== "off" && <ApiKeySettings disabled={loading} />}
+
+          {serverConfig?.cache.backend !== "off" && (
+            <label className="flex items-center gap-2 text-sm text-gray-300" title="Refetch the page and generate a new version even if a cached result exists">
+              <input
+                type="checkbox"
+                checked={bypassCache}
+                onChange={(e) => setBypassCache(e.target.checked)}
+                disabled={loading}
+                className="accent-purple-600"
+              />
+              Skip cache
+            </label>
+          )}
+
           <div className="flex gap-3">
             <button
               type="submit"
@@ -299,11 +541,17 @@ export default function App() {
 
           {error && (
             <div className="text-red-400 bg-red-900/30 p-3 rounded-md text-center border border-red-800">
-              <p className="font-semibold">Error:</p>
+              <p className="font-semibold">{errorHeading(errorCode)}</p>
               <p className="text-sm">{error}</p>
             </div>
           )}
 
+          {cachedAt && !loading && (
+            <p className="text-sm text-gray-400 text-center">
+              Served from cache (generated {new Date(cachedAt).toLocaleString()}). Tick “Skip cache” to generate a new version.
+            </p>
+          )}
+
           {warning && (
             <div className="text-yellow-400 bg-yellow-900/30 p-3 rounded-md text-center border border-yellow-800">
               <p className="font-semibold">Warning:</p>
@@ -317,83 +565,93 @@ export default function App() {
         <div className="w-full max-w-[1800px] mx-auto">
           {/* Action buttons */}
           {analysisResult && (
-            <div className="flex justify-center mb-6">
-              <button
-                onClick={downloadImprovedHtml}
-                className="bg-green-600 hover:bg-green-700 text-white px-6 py-2 rounded-lg transition-colors flex items-center gap-2"
-              >
-                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                </svg>
-                Download Improved HTML
-              </button>
+            <div className="flex flex-wrap items-center justify-center gap-4 mb-6">
+              <div className="inline-flex rounded-lg bg-gray-800 border border-gray-700 p-1">
+                {[
+                  { value: "live", label: "Live preview" },
+                  { value: "visual", label: "Visual compare" },
+                  { value: "diff", label: "Code diff" },
+                ].map((option) => (
+                  <button
+                    key={option.value}
+                    onClick={() => setPreviewMode(option.value)}
+                    aria-pressed={previewMode === option.value}
+                    className={`px-4 py-1.5 rounded-md transition-colors ${
+                      previewMode === option.value ? "bg-purple-600 text-white" : "text-gray-300 hover:text-white"
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+              <ComponentExport
+                improvedHtml={improvedHtml}
+                analysisId={analysisId}
+                url={url}
+                maxAssetBytes={serverConfig?.maxEmbeddedAssetBytes}
+              />
+              <TokenDownloads originalHtml={html} analysisId={analysisId} />
             </div>
           )}
 
+          {analysisResult && versions.current && (
+            <RefinePanel
+              analysisId={analysisId}
+              originalHtml={html}
+              url={url}
+              history={versions}
+              selector={pickedSelector}
+              picking={picking}
+              onPickingChange={handlePickingChange}
+              onClearSelector={() => setPickedSelector(null)}
+              onRefined={handleRefined}
+              onNavigate={navigateVersion}
+            />
+          )}
+
           <div className="overflow-x-auto">
-            <div className="flex min-w-[1200px] gap-6 px-4">
-              {/* Original Website */}
-              {html && (
-                <div className="flex-1 bg-gray-800 rounded-2xl shadow-xl flex flex-col h-[75vh] overflow-hidden border border-gray-700">
-                  <h2 className="bg-gradient-to-r from-blue-600 to-blue-700 text-white text-center py-3 text-lg font-semibold rounded-t-2xl flex items-center justify-center gap-2">
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                    </svg>
-                    Original Website
-                  </h2>
-                  <div className="overflow-auto h-full relative">
-                    <iframe
-                      title="Original Site"
-                      sandbox="allow-same-origin allow-scripts"
-                      srcDoc={html}
-                      className="w-full h-full bg-white"
-                      scrolling="yes"
-                      loading="lazy"
-                    />
-                  </div>
-                </div>
+            <div className="flex min-w-[900px] gap-6 px-4">
+              {previewMode === "visual" && improvedHtml && (
+                <VisualCompare
+                  key={resultVersion}
+                  originalHtml={html}
+                  improvedHtml={improvedHtml}
+                  url={url}
+                  analysisId={analysisId}
+                />
+              )}
+
+              {previewMode === "diff" && improvedHtml && (
+                <DiffView key={resultVersion} originalHtml={html} improvedHtml={improvedHtml} analysisId={analysisId} />
               )}
 
-              {/* Improved Website */}
-              {analysisResult && (
-                <div className="flex-1 bg-gray-800 rounded-2xl shadow-xl flex flex-col h-[75vh] overflow-hidden border border-gray-700">
-                  <h2 className="bg-gradient-to-r from-purple-600 to-purple-700 text-white text-center py-3 text-lg font-semibold rounded-t-2xl flex items-center justify-center gap-2">
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
-                    </svg>
-                    Improved Website
-                  </h2>
-                  <div className="overflow-auto h-full relative">
-                    <iframe
-                      title="Improved Site"
-                      sandbox="allow-same-origin allow-scripts"
-                      srcDoc={analysisResult}
-                      className="w-full h-full bg-white"
-                      scrolling="yes"
-                      loading="lazy"
-                    />
-                  </div>
-                </div>
+              {(previewMode === "live" || !improvedHtml) && (
+                <ResponsivePreview
+                  originalHtml={html}
+                  improvedHtml={analysisResult}
+                  rawImprovedHtml={improvedHtml}
+                  url={url}
+                  analysisId={analysisId}
+                  picking={picking}
+                  onPick={handlePick}
+                />
               )}
+
+              {comparison && <Scorecard comparison={comparison} fidelity={fidelity} brandCheck={brandCheck} />}
             </div>
           </div>
         </div>
       )}
 
-      {/* Loading overlay */}
+      {/* Loading overlay with live pipeline progress */}
       {loading && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-gray-800 p-6 rounded-xl shadow-2xl text-center max-w-md mx-4">
-            <div className="animate-spin h-8 w-8 border-4 border-purple-500 border-t-transparent rounded-full mx-auto mb-4"></div>
-            <h3 className="text-lg font-semibold mb-2">Processing Website</h3>
-            <p className="text-gray-400">{progress}</p>
-            <button
-              onClick={cancelRequest}
-              className="mt-4 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
-            >
-              Cancel
-            </button>
-          </div>
+          <PipelineProgress
+            stages={stages}
+            stylesheets={stylesheets}
+            streamedHtml={streamedHtml}
+            onCancel={cancelRequest}
+          />
         </div>
       )}
     </div>
@@ -0,0 +1,123 @@
+import { resolveApiBaseUrl } from "./config.js";
+
+export const API_BASE_URL = resolveApiBaseUrl();
+
+const API_KEY_STORAGE = "uxa-api-key";
+
+/**
+ * API key sent with every request, kept in this browser only
+ */
+export function getApiKey() {
+  return localStorage.getItem(API_KEY_STORAGE) || "";
+}
+
+export function setApiKey(key) {
+  if (key) localStorage.setItem(API_KEY_STORAGE, key);
+  else localStorage.removeItem(API_KEY_STORAGE);
+}
+
+function requestHeaders(body) {
+  const headers = {};
+  if (body) headers["Content-Type"] = "application/json";
+  const key = getApiKey();
+  if (key) headers.Authorization = `Bearer ${key}`;
+  return headers;
+}
+
+/**
+ * Error carrying the server's machine-readable code (e.g. PRIVATE_ADDRESS)
+ */
+export function apiError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Error for a failed response, saying when to retry if rate limited
+ */
+async function responseError(res) {
+  const errorData = await res.json().catch(() => ({}));
+  const retryAfter = Number(res.headers.get("Retry-After"));
+  const message = errorData.error || res.statusText;
+  if (res.status !== 429 || !retryAfter) return apiError(message, errorData.code);
+  const wait = retryAfter > 120 ? `${Math.ceil(retryAfter / 60)} minutes` : `${retryAfter} seconds`;
+  return apiError(`${message} Try again in ${wait}.`, errorData.code);
+}
+
+/**
+ * POST to an endpoint that answers with server-sent events and call
+ * onEvent(event, data) for each one as it arrives.
+ */
+export async function streamEvents(path, body, { signal, onEvent }) {
+  const res = await fetch(`${API_BASE_URL}${path}`, {
+    method: "POST",
+    headers: requestHeaders(true),
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!res.ok) throw await responseError(res);
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const messages = buffer.split("\n\n");
+      buffer = messages.pop();
+
+      for (const message of messages) {
+        let event = "message";
+        let data = "";
+        for (const line of message.split("\n")) {
+          if (line.startsWith("event:")) event = line.slice(6).trim();
+          else if (line.startsWith("data:")) data += line.slice(5).trim();
+        }
+        if (data) onEvent(event, JSON.parse(data));
+      }
+    }
+  } catch (err) {
+    // Closing the body tells the server to stop working on this request
+    await reader.cancel().catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * JSON request against the API that throws with the server's error message
+ */
+export async function fetchJson(path, { method = "GET", body, signal } = {}) {
+  const res = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: requestHeaders(body),
+    body: body ? JSON.stringify(body) : undefined,
+    signal,
+  });
+
+  if (!res.ok) throw await responseError(res);
+
+  return res.status === 204 ? null : res.json();
+}
+
+/**
+ * Request a file download; resolves to { blob, filename } using the
+ * server's Content-Disposition name when present
+ */
+export async function fetchFile(path, { method = "GET", body, signal, filename = "download" } = {}) {
+  const res = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: requestHeaders(body),
+    body: body ? JSON.stringify(body) : undefined,
+    signal,
+  });
+
+  if (!res.ok) throw await responseError(res);
+
+  const disposition = res.headers.get("Content-Disposition") || "";
+  const match = disposition.match(/filename="?([^";]+)"?/);
+  return { blob: await res.blob(), filename: match ? match[1] : filename };
+}
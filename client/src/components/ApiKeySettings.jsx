@@ -0,0 +1,33 @@
+import { useState } from "react";
+import { getApiKey, setApiKey } from "../api.js";
+
+/**
+ * API key for servers that require one, remembered in this browser
+ */
+export default function ApiKeySettings({ disabled }) {
+  const [key, setKey] = useState(getApiKey);
+
+  function update(value) {
+    setKey(value);
+    setApiKey(value.trim());
+  }
+
+  return (
+    <details className="text-sm bg-gray-900/40 border border-gray-700 rounded-lg">
+      <summary className="cursor-pointer px-3 py-2 text-gray-300">API key{key ? " · set" : ""}</summary>
+      <div className="flex flex-col gap-1 p-3 pt-1">
+        <input
+          type="password"
+          placeholder="uxa_..."
+          value={key}
+          onChange={(e) => update(e.target.value)}
+          disabled={disabled}
+          autoComplete="off"
+          aria-label="API key"
+          className="px-3 py-2 rounded-lg bg-gray-700 border border-gray-600 focus:outline-none focus:ring-2 focus:ring-purple-500 text-gray-100 placeholder-gray-400 disabled:opacity-50"
+        />
+        <span className="text-gray-400">Only needed when the server requires keys. It is stored in this browser.</span>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,128 @@
+import { useState } from "react";
+import { fetchFile } from "../api.js";
+import { saveBlob } from "../download.js";
+import { clampToLimit } from "../config.js";
+
+const TARGETS = [
+  { value: "react", label: "React components" },
+  { value: "vue", label: "Vue components" },
+  { value: "html", label: "HTML + CSS partials" },
+  { value: "file", label: "Single HTML file" },
+  { value: "bundle", label: "Self-contained HTML (embedded assets)" },
+];
+
+const SINGLE_FILE_TARGETS = ["file", "bundle"];
+
+// Per-asset embedding limit the server uses when a request sets none
+const DEFAULT_ASSET_KB = 20;
+
+const STYLES = [
+  { value: "css-modules", label: "CSS modules" },
+  { value: "tailwind", label: "Tailwind" },
+];
+
+/**
+ * Download the improved page as a zip of components split by landmark, or
+ * as the single HTML document, optionally with small images and fonts embedded.
+ * `maxAssetBytes` is the server's cap on the per-asset size a bundle may ask for.
+ */
+export default function ComponentExport({ improvedHtml, analysisId, url, maxAssetBytes }) {
+  const [target, setTarget] = useState("react");
+  const [styles, setStyles] = useState("css-modules");
+  const [assetKb, setAssetKb] = useState("");
+  const maxAssetKb = maxAssetBytes ? Math.floor(maxAssetBytes / 1000) : undefined;
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  function requestFile() {
+    if (target === "bundle") {
+      const kb = clampToLimit(assetKb, maxAssetKb);
+      const limit = kb && kb * 1000;
+      return analysisId
+        ? fetchFile(`/analyses/${analysisId}/bundle${limit ? `?maxAssetBytes=${limit}` : ""}`)
+        : fetchFile("/bundle", {
+            method: "POST",
+            body: { improvedHtml, url: url || undefined, maxAssetBytes: limit },
+            filename: "improved-website.html",
+          });
+    }
+    return analysisId
+      ? fetchFile(`/analyses/${analysisId}/export?target=${target}&styles=${styles}`)
+      : fetchFile("/export", {
+          method: "POST",
+          body: { improvedHtml, target, styles },
+          filename: `improved-site-${target}.zip`,
+        });
+  }
+
+  async function download() {
+    if (target === "file") {
+      saveBlob(new Blob([improvedHtml], { type: "text/html" }), "improved-website.html");
+      return;
+    }
+
+    setBusy(true);
+    setError(null);
+    try {
+      const { blob, filename } = await requestFile();
+      saveBlob(blob, filename);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const selectClass = "px-2 py-2 bg-gray-700 border border-gray-600 rounded-lg text-gray-100 disabled:opacity-50";
+
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      <select value={target} onChange={(e) => setTarget(e.target.value)} disabled={busy} aria-label="Export format" className={selectClass}>
+        {TARGETS.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      {!SINGLE_FILE_TARGETS.includes(target) && (
+        <select value={styles} onChange={(e) => setStyles(e.target.value)} disabled={busy} aria-label="Export styles" className={selectClass}>
+          {STYLES.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      )}
+      {target === "bundle" && (
+        <label className="flex items-center gap-2 text-gray-300" title="Images and fonts larger than this keep their original URL">
+          Embed up to
+          <input
+            type="number"
+            min={1}
+            max={maxAssetKb}
+            step={1}
+            placeholder={String(DEFAULT_ASSET_KB)}
+            value={assetKb}
+            onChange={(e) => setAssetKb(e.target.value)}
+            onBlur={() => setAssetKb(String(clampToLimit(assetKb, maxAssetKb) ?? ""))}
+            disabled={busy}
+            aria-label="Largest asset to embed, in KB"
+            className="w-20 px-2 py-2 bg-gray-700 border border-gray-600 rounded-lg text-gray-100 disabled:opacity-50"
+          />
+          KB
+        </label>
+      )}
+      <button
+        onClick={download}
+        disabled={busy}
+        className="bg-green-600 hover:bg-green-700 text-white px-6 py-2 rounded-lg transition-colors flex items-center gap-2 disabled:opacity-50"
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+        </svg>
+        {busy ? "Exporting..." : "Download"}
+      </button>
+      {error && <span className="text-red-400">{error}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import { DEVICE_PRESETS, MAX_DEVICE_WIDTH, MIN_DEVICE_WIDTH } from "../devices.js";
+
+function ToggleButton({ active, onClick, children, title }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      aria-pressed={active}
+      title={title}
+      className={`px-3 py-1 rounded-md transition-colors ${
+        active ? "bg-blue-600 text-white" : "bg-gray-700 text-gray-300 hover:text-white"
+      }`}
+    >
+      {children}
+    </button>
+  );
+}
+
+export default function DeviceToolbar({ device, fit, syncScroll, onDeviceChange, onRotate, onFitChange, onSyncScrollChange }) {
+  function handleWidthChange(e) {
+    const width = Number(e.target.value);
+    if (!width) return;
+    onDeviceChange({ id: "custom", width, height: device.height });
+  }
+
+  function clampWidth() {
+    const width = Math.min(Math.max(device.width, MIN_DEVICE_WIDTH), MAX_DEVICE_WIDTH);
+    if (width !== device.width) onDeviceChange({ ...device, width });
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 bg-gray-800 border border-gray-700 rounded-xl p-3 text-sm">
+      <div className="inline-flex flex-wrap rounded-lg bg-gray-700 p-1">
+        {DEVICE_PRESETS.map((preset) => {
+          const active = device.id === preset.id;
+          return (
+            <button
+              key={preset.id}
+              type="button"
+              onClick={() => onDeviceChange(preset)}
+              aria-pressed={active}
+              title={`${preset.width}×${preset.height}`}
+              className={`px-3 py-1 rounded-md transition-colors ${
+                active ? "bg-purple-600 text-white" : "text-gray-300 hover:text-white"
+              }`}
+            >
+              {preset.label}
+            </button>
+          );
+        })}
+      </div>
+
+      <label className="flex items-center gap-2 text-gray-300">
+        Width
+        <input
+          type="number"
+          min={MIN_DEVICE_WIDTH}
+          max={MAX_DEVICE_WIDTH}
+          value={device.width}
+          onChange={handleWidthChange}
+          onBlur={clampWidth}
+          className="w-20 px-2 py-1 rounded-md bg-gray-700 border border-gray-600 text-gray-100 focus:outline-none focus:ring-2 focus:ring-purple-500"
+        />
+        <span className="text-gray-500">× {device.height}</span>
+      </label>
+
+      <ToggleButton active={false} onClick={onRotate} title="Swap width and height">
+        ⟳ Rotate
+      </ToggleButton>
+      <ToggleButton active={fit} onClick={() => onFitChange(!fit)} title="Scale the device down to fit the pane">
+        Zoom to fit
+      </ToggleButton>
+      <ToggleButton active={syncScroll} onClick={() => onSyncScrollChange(!syncScroll)} title="Scroll both panes together">
+        Sync scroll
+      </ToggleButton>
+    </div>
+  );
+}
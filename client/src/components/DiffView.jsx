@@ -0,0 +1,232 @@
+import { useEffect, useState } from "react";
+import { fetchFile, fetchJson } from "../api.js";
+import { saveBlob } from "../download.js";
+import { highlightLine } from "../highlight.js";
+
+const TABS = [
+  { value: "markup", label: "Markup" },
+  { value: "css", label: "CSS rules" },
+];
+
+const ROW_STYLES = {
+  context: { left: "", right: "" },
+  modified: { left: "bg-red-900/30", right: "bg-green-900/30" },
+  removed: { left: "bg-red-900/30", right: "bg-gray-800/60" },
+  added: { left: "bg-gray-800/60", right: "bg-green-900/30" },
+};
+
+function Code({ line }) {
+  if (!line) return null;
+  return highlightLine(line.text).map((part, index) => (
+    <span key={index} className={part.className}>
+      {part.text}
+    </span>
+  ));
+}
+
+function DiffRow({ row }) {
+  const styles = ROW_STYLES[row.type];
+  return (
+    <tr className="align-top">
+      <td className={`w-12 px-2 text-right text-gray-500 select-none ${styles.left}`}>{row.left?.number}</td>
+      <td className={`px-2 whitespace-pre-wrap break-all border-r border-gray-700 ${styles.left}`}>
+        <Code line={row.left} />
+      </td>
+      <td className={`w-12 px-2 text-right text-gray-500 select-none ${styles.right}`}>{row.right?.number}</td>
+      <td className={`px-2 whitespace-pre-wrap break-all ${styles.right}`}>
+        <Code line={row.right} />
+      </td>
+    </tr>
+  );
+}
+
+function MarkupDiff({ hunks }) {
+  if (!hunks.length) return <p className="text-center text-gray-400 mt-8">No markup changes.</p>;
+
+  return (
+    <table className="w-full table-fixed font-mono text-xs leading-5">
+      <colgroup>
+        <col className="w-12" />
+        <col />
+        <col className="w-12" />
+        <col />
+      </colgroup>
+      {hunks.map((hunk) => (
+        <tbody key={`${hunk.oldStart}-${hunk.newStart}`}>
+          <tr>
+            <td colSpan={4} className="px-2 py-1 bg-blue-900/30 text-blue-300">
+              @@ -{hunk.oldStart},{hunk.oldLines} +{hunk.newStart},{hunk.newLines} @@
+            </td>
+          </tr>
+          {hunk.rows.map((row, index) => (
+            <DiffRow key={index} row={row} />
+          ))}
+        </tbody>
+      ))}
+    </table>
+  );
+}
+
+function RuleHeader({ rule }) {
+  return (
+    <p className="font-mono">
+      {rule.context && <span className="text-purple-300">{rule.context} </span>}
+      <span className="text-emerald-300">{rule.selector}</span>
+    </p>
+  );
+}
+
+function CssDiff({ css }) {
+  const { added, removed, modified, summary } = css;
+  if (!added.length && !removed.length && !modified.length) {
+    return <p className="text-center text-gray-400 mt-8">No stylesheet rules changed.</p>;
+  }
+
+  return (
+    <div className="space-y-6 text-sm">
+      <p className="text-gray-400">
+        {summary.added} added · {summary.removed} removed · {summary.modified} modified · {summary.unchanged} unchanged
+      </p>
+
+      {modified.length > 0 && (
+        <section>
+          <h3 className="font-semibold text-yellow-300 mb-2">Modified</h3>
+          <ul className="space-y-3">
+            {modified.map((rule) => (
+              <li key={`${rule.context}|${rule.selector}`} className="bg-gray-800 rounded-lg p-3">
+                <RuleHeader rule={rule} />
+                <ul className="mt-1 font-mono text-xs space-y-0.5">
+                  {rule.changes.map((change) => (
+                    <li key={change.property}>
+                      <span className="text-sky-300">{change.property}</span>:{" "}
+                      {change.before !== null && <span className="text-red-300 line-through">{change.before}</span>}
+                      {change.before !== null && change.after !== null && <span className="text-gray-500"> → </span>}
+                      {change.after !== null && <span className="text-green-300">{change.after}</span>}
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {[
+        { title: "Added", rules: added, className: "text-green-300" },
+        { title: "Removed", rules: removed, className: "text-red-300" },
+      ].map(
+        ({ title, rules, className }) =>
+          rules.length > 0 && (
+            <section key={title}>
+              <h3 className={`font-semibold mb-2 ${className}`}>{title}</h3>
+              <ul className="space-y-3">
+                {rules.map((rule) => (
+                  <li key={`${rule.context}|${rule.selector}`} className="bg-gray-800 rounded-lg p-3">
+                    <RuleHeader rule={rule} />
+                    <ul className="mt-1 font-mono text-xs space-y-0.5">
+                      {rule.declarations.map((declaration) => (
+                        <li key={declaration.property}>
+                          <span className="text-sky-300">{declaration.property}</span>: {declaration.value}
+                        </li>
+                      ))}
+                    </ul>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )
+      )}
+    </div>
+  );
+}
+
+export default function DiffView({ originalHtml, improvedHtml, analysisId }) {
+  const [tab, setTab] = useState("markup");
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const request = analysisId
+      ? fetchJson(`/analyses/${analysisId}/diff`, { signal: controller.signal })
+      : fetchJson("/diff", { method: "POST", body: { html: originalHtml, improvedHtml }, signal: controller.signal });
+
+    request
+      .then(setDiff)
+      .catch((err) => err.name !== "AbortError" && setError(err.message))
+      .finally(() => !controller.signal.aborted && setLoading(false));
+
+    return () => controller.abort();
+  }, [analysisId, originalHtml, improvedHtml]);
+
+  async function exportPatch() {
+    setExporting(true);
+    try {
+      const { blob, filename } = analysisId
+        ? await fetchFile(`/analyses/${analysisId}/diff?format=patch`)
+        : await fetchFile("/diff", {
+            method: "POST",
+            body: { html: originalHtml, improvedHtml, format: "patch" },
+            filename: "improved.patch",
+          });
+      saveBlob(blob, filename);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  return (
+    <div className="flex-[2] bg-gray-800 rounded-2xl shadow-xl flex flex-col h-[75vh] overflow-hidden border border-gray-700">
+      <div className="flex flex-wrap items-center gap-3 p-3 border-b border-gray-700 text-sm">
+        <div className="inline-flex rounded-lg bg-gray-700 p-1">
+          {TABS.map((option) => (
+            <button
+              key={option.value}
+              onClick={() => setTab(option.value)}
+              aria-pressed={tab === option.value}
+              className={`px-3 py-1 rounded-md transition-colors ${
+                tab === option.value ? "bg-blue-600 text-white" : "text-gray-300 hover:text-white"
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {diff && (
+          <span className="text-gray-300">
+            <span className="text-green-400">+{diff.stats.additions}</span>{" "}
+            <span className="text-red-400">−{diff.stats.deletions}</span> in {diff.stats.hunks} hunk
+            {diff.stats.hunks === 1 ? "" : "s"}
+          </span>
+        )}
+
+        <button
+          onClick={exportPatch}
+          disabled={exporting || !diff}
+          className="ml-auto px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded-lg transition-colors disabled:opacity-50"
+        >
+          {exporting ? "Exporting..." : "Download .patch"}
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-auto bg-gray-900 p-4">
+        {loading && <p className="text-center text-gray-400 mt-8">Computing diff...</p>}
+        {error && <p className="text-center text-red-400 mt-8">{error}</p>}
+        {diff && !loading && (
+          <>
+            <div className="grid grid-cols-2 text-xs text-gray-400 mb-2">
+              <span>Original (normalized template)</span>
+              <span>Improved</span>
+            </div>
+            {tab === "markup" ? <MarkupDiff hunks={diff.hunks} /> : <CssDiff css={diff.css} />}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import { useEffect, useState } from "react";
+import { fetchJson } from "../api.js";
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+}
+
+export default function HistorySidebar({ open, refreshKey, busy, onClose, onOpen, onRerun }) {
+  const [analyses, setAnalyses] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    fetchJson("/analyses")
+      .then((data) => !cancelled && setAnalyses(data.analyses))
+      .catch((err) => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, refreshKey]);
+
+  async function handleOpen(id) {
+    try {
+      onOpen(await fetchJson(`/analyses/${id}`));
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function handleDelete(id) {
+    try {
+      await fetchJson(`/analyses/${id}`, { method: "DELETE" });
+      setAnalyses((prev) => prev.filter((entry) => entry.id !== id));
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  if (!open) return null;
+
+  return (
+    <aside className="fixed inset-y-0 left-0 w-80 bg-gray-800 border-r border-gray-700 shadow-2xl z-40 flex flex-col">
+      <div className="flex items-center justify-between p-4 border-b border-gray-700">
+        <h2 className="text-lg font-semibold">History</h2>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-white transition-colors"
+          aria-label="Close history"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-auto p-3 space-y-2">
+        {loading && <p className="text-sm text-gray-400">Loading...</p>}
+        {error && <p className="text-sm text-red-400">{error}</p>}
+        {!loading && !error && analyses.length === 0 && (
+          <p className="text-sm text-gray-400">No saved analyses yet.</p>
+        )}
+
+        {analyses.map((entry) => (
+          <div key={entry.id} className="bg-gray-700/60 rounded-lg p-3 text-sm">
+            <button
+              onClick={() => handleOpen(entry.id)}
+              disabled={busy}
+              className="text-left w-full disabled:opacity-50"
+            >
+              <p className="font-semibold truncate" title={entry.title}>{entry.title}</p>
+              <p className="text-xs text-gray-400 truncate" title={entry.url}>{entry.url}</p>
+              <p className="text-xs text-gray-500 mt-1">
+                {formatDate(entry.createdAt)} · {entry.model}
+                {entry.fidelityScore !== null && ` · ${Math.round(entry.fidelityScore * 100)}% kept`}
+                {entry.versions > 1 && ` · ${entry.versions} versions`}
+                {entry.hasWarnings && " · ⚠️"}
+              </p>
+            </button>
+            <div className="flex gap-2 mt-2">
+              <button
+                onClick={() => onRerun(entry.id)}
+                disabled={busy}
+                className="px-2 py-1 text-xs bg-purple-600 hover:bg-purple-700 rounded transition-colors disabled:opacity-50"
+              >
+                Re-run
+              </button>
+              <button
+                onClick={() => handleDelete(entry.id)}
+                disabled={busy}
+                className="px-2 py-1 text-xs bg-gray-600 hover:bg-red-700 rounded transition-colors disabled:opacity-50"
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,95 @@
+import { useState } from "react";
+import { fetchJson } from "../api.js";
+import { DEVICE_PRESETS } from "../devices.js";
+
+const CHECKED_PRESETS = ["mobile", "tablet", "laptop"];
+
+function OverflowCell({ result }) {
+  if (!result) return <td className="px-2 py-1 text-gray-500">—</td>;
+  if (!result.overflows && result.total === 0) {
+    return <td className="px-2 py-1 text-green-400">No overflow</td>;
+  }
+
+  return (
+    <td className="px-2 py-1 align-top">
+      <p className="text-red-400">
+        {result.total} element{result.total === 1 ? "" : "s"} · page {result.documentWidth}px wide
+      </p>
+      <ul className="mt-1 space-y-0.5 text-gray-400">
+        {result.elements.slice(0, 5).map((element) => (
+          <li key={element.selector} className="truncate" title={element.snippet}>
+            <code>{element.selector}</code> +{element.overflowBy}px
+          </li>
+        ))}
+      </ul>
+    </td>
+  );
+}
+
+export default function OverflowReport({ originalHtml, improvedHtml, url, analysisId, device }) {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function runCheck() {
+    const breakpoints = DEVICE_PRESETS.filter((preset) => CHECKED_PRESETS.includes(preset.id)).map(
+      ({ label, width, height }) => ({ name: label, width, height })
+    );
+    if (!breakpoints.some((breakpoint) => breakpoint.width === device.width)) {
+      breakpoints.unshift({ name: "Current", width: device.width, height: device.height });
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      setReport(
+        analysisId
+          ? await fetchJson(`/analyses/${analysisId}/responsive`, { method: "POST", body: { breakpoints } })
+          : await fetchJson("/responsive", { method: "POST", body: { html: originalHtml, improvedHtml, url, breakpoints } })
+      );
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="bg-gray-800 border border-gray-700 rounded-xl p-3 text-xs">
+      <div className="flex items-center gap-3">
+        <button
+          type="button"
+          onClick={runCheck}
+          disabled={loading}
+          className="px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded-md text-white text-sm transition-colors disabled:opacity-50"
+        >
+          {loading ? "Checking..." : "Check horizontal overflow"}
+        </button>
+        {error && <span className="text-red-400">{error}</span>}
+      </div>
+
+      {report && (
+        <table className="w-full mt-3 text-left">
+          <thead className="text-gray-400">
+            <tr>
+              <th className="px-2 py-1 font-semibold">Breakpoint</th>
+              <th className="px-2 py-1 font-semibold">Original</th>
+              {report.improved && <th className="px-2 py-1 font-semibold">Improved</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {report.breakpoints.map((breakpoint, index) => (
+              <tr key={breakpoint.name} className="border-t border-gray-700">
+                <td className="px-2 py-1 align-top text-gray-300">
+                  {breakpoint.name} · {breakpoint.width}px
+                </td>
+                <OverflowCell result={report.original[index]} />
+                {report.improved && <OverflowCell result={report.improved[index]} />}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
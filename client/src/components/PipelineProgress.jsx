@@ -0,0 +1,117 @@
+import { useEffect, useRef } from "react";
+import { stageLabel } from "../stages.js";
+
+const STATUS_ICONS = {
+  started: "⏳",
+  done: "✅",
+  failed: "⚠️",
+  skipped: "⏭️",
+};
+
+const SHEET_ICONS = {
+  inlined: "✓",
+  truncated: "✂",
+  dropped: "✗",
+  failed: "⚠️",
+};
+
+function formatBytes(bytes) {
+  return bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`;
+}
+
+function describeStage(entry, stylesheets) {
+  switch (entry.stage) {
+    case "fetch": {
+      const mode = entry.renderMode === "rendered" ? "headless browser" : "";
+      const cached = ["hit", "revalidated"].includes(entry.cache) ? `cache ${entry.cache}` : "";
+      return [entry.bytes && formatBytes(entry.bytes), mode, cached].filter(Boolean).join(" · ");
+    }
+    case "css": {
+      const counts = stylesheets.reduce((acc, s) => ({ ...acc, [s.status]: (acc[s.status] || 0) + 1 }), {});
+      return Object.entries(counts)
+        .map(([status, count]) => `${count} ${status}`)
+        .join(", ");
+    }
+    case "summary":
+      return entry.type ? `${entry.type} site, ${entry.findings} accessibility findings` : "";
+    case "template":
+      return entry.bytes ? formatBytes(entry.bytes) : "";
+    case "generate":
+      if (entry.error) return entry.error;
+      if (entry.cached) return `${formatBytes(entry.bytes)} · from cache`;
+      if (entry.bytes) return formatBytes(entry.bytes);
+      return entry.provider ? `${entry.provider} · ${entry.model}` : "";
+    case "retry":
+      return `attempt ${entry.attempt}`;
+    case "chunk":
+      return `${entry.sections} regions`;
+    case "styleguide":
+      return entry.bytes ? formatBytes(entry.bytes) : "";
+    case "section": {
+      const position = `${entry.index + 1} of ${entry.total} · ${entry.role}`;
+      if (entry.status === "skipped") return `${position} not processed (${entry.error})`;
+      return entry.error ? `${position} kept original (${entry.error})` : position;
+    }
+    default:
+      return "";
+  }
+}
+
+export default function PipelineProgress({ stages, stylesheets, streamedHtml, onCancel }) {
+  const previewRef = useRef(null);
+
+  useEffect(() => {
+    if (previewRef.current) {
+      previewRef.current.scrollTop = previewRef.current.scrollHeight;
+    }
+  }, [streamedHtml]);
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-xl shadow-2xl w-full max-w-3xl mx-4 max-h-[90vh] flex flex-col">
+      <h3 className="text-lg font-semibold mb-4 text-center">Processing Website</h3>
+
+      <ol className="space-y-2 text-sm">
+        {stages.map((entry) => (
+          <li key={entry.stage} className="flex items-center gap-2">
+            <span>{STATUS_ICONS[entry.status] || "•"}</span>
+            <span className="text-gray-200">{stageLabel(entry.stage)}</span>
+            <span className="text-gray-500 truncate">{describeStage(entry, stylesheets)}</span>
+          </li>
+        ))}
+      </ol>
+
+      {stylesheets.length > 0 && (
+        <details className="mt-3 text-xs text-gray-400">
+          <summary className="cursor-pointer">Stylesheets ({stylesheets.length})</summary>
+          <ul className="mt-1 space-y-1 max-h-24 overflow-auto">
+            {stylesheets.map((sheet) => (
+              <li key={sheet.href} className="truncate" title={sheet.href}>
+                {SHEET_ICONS[sheet.status] || "✗"} {sheet.href}
+                {sheet.bytes !== undefined && <span className="text-gray-500"> · {formatBytes(sheet.bytes)}</span>}
+                {sheet.imports?.length > 0 && <span className="text-gray-500"> · {sheet.imports.length} imports</span>}
+                {["hit", "revalidated"].includes(sheet.cache) && <span className="text-gray-500"> · cached</span>}
+                {sheet.reason && <span className="text-gray-500"> ({sheet.reason})</span>}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {streamedHtml && (
+        <pre
+          ref={previewRef}
+          className="mt-4 flex-1 min-h-[8rem] max-h-64 overflow-auto bg-gray-900 text-green-300 text-xs p-3 rounded-lg whitespace-pre-wrap break-all"
+        >
+          {streamedHtml}
+        </pre>
+      )}
+
+      <button
+        onClick={onCancel}
+        className="mt-4 self-center px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+      >
+        Cancel
+      </button>
+    </div>
+  );
+}
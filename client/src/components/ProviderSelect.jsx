@@ -0,0 +1,24 @@
+/**
+ * Model provider for the analysis, listed from the server's /config. Empty
+ * means the server's default; providers missing credentials can't be picked.
+ */
+export default function ProviderSelect({ providers, defaultProvider, value, disabled, onChange }) {
+  return (
+    <label className="flex items-center gap-2 text-sm text-gray-300">
+      Model provider
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        className="px-2 py-2 bg-gray-700 border border-gray-600 rounded-lg text-gray-100 disabled:opacity-50"
+      >
+        <option value="">{`Server default (${defaultProvider})`}</option>
+        {providers.map((provider) => (
+          <option key={provider.name} value={provider.name} disabled={!provider.ready}>
+            {provider.ready ? provider.name : `${provider.name} (not configured)`}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
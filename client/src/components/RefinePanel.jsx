@@ -0,0 +1,156 @@
+import { useState } from "react";
+import { fetchJson } from "../api.js";
+
+const PLACEHOLDER = 'e.g. "Make the hero darker" or "Keep the original navigation"';
+
+function versionLabel(entry) {
+  if (!entry.instruction) return "Generated page";
+  return entry.selector ? `${entry.instruction} (${entry.selector})` : entry.instruction;
+}
+
+/**
+ * Follow-up instructions for the improved page, scoped to a picked element
+ * when there is one, plus undo/redo across the resulting versions
+ */
+export default function RefinePanel({
+  analysisId,
+  originalHtml,
+  url,
+  history,
+  selector,
+  picking,
+  onPickingChange,
+  onClearSelector,
+  onRefined,
+  onNavigate,
+}) {
+  const [instruction, setInstruction] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const text = instruction.trim();
+    if (!text || !history.current) return;
+
+    setBusy(true);
+    setError(null);
+    try {
+      const body = { instruction: text, ...(selector ? { selector } : {}) };
+      const result = analysisId
+        ? await fetchJson(`/analyses/${analysisId}/refine`, {
+            method: "POST",
+            body: { ...body, fromVersion: history.current.version },
+          })
+        : await fetchJson("/refine", {
+            method: "POST",
+            body: { ...body, html: originalHtml, improvedHtml: history.current.html, url },
+          });
+      onRefined(result, body);
+      setInstruction("");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="w-full bg-gray-800 border border-gray-700 rounded-2xl p-4 mb-6 text-sm">
+      <form onSubmit={handleSubmit} className="flex flex-wrap items-start gap-3">
+        <div className="flex-1 min-w-[280px]">
+          <label htmlFor="refine-instruction" className="block text-gray-300 mb-1">
+            Refine the improved page
+          </label>
+          <textarea
+            id="refine-instruction"
+            value={instruction}
+            onChange={(e) => setInstruction(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) handleSubmit(e);
+            }}
+            rows={2}
+            maxLength={1000}
+            placeholder={PLACEHOLDER}
+            className="w-full p-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500"
+            disabled={busy}
+          />
+          <div className="flex flex-wrap items-center gap-2 mt-2">
+            <button
+              type="button"
+              onClick={() => onPickingChange(!picking)}
+              aria-pressed={picking}
+              className={`px-3 py-1 rounded-md transition-colors ${
+                picking ? "bg-yellow-500 text-gray-900" : "bg-gray-700 hover:bg-gray-600 text-gray-200"
+              }`}
+            >
+              {picking ? "Picking… click in the improved page" : "Pick element"}
+            </button>
+            {selector ? (
+              <span className="inline-flex items-center gap-2 bg-purple-900/40 border border-purple-700 rounded-md px-2 py-1 font-mono text-xs">
+                {selector}
+                <button type="button" onClick={onClearSelector} aria-label="Apply to the whole page instead" className="text-gray-400 hover:text-white">
+                  ×
+                </button>
+              </span>
+            ) : (
+              <span className="text-gray-400">Applies to the whole page</span>
+            )}
+          </div>
+        </div>
+
+        <div className="flex flex-col gap-2 pt-6">
+          <button
+            type="submit"
+            disabled={busy || !instruction.trim()}
+            className="px-5 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition-colors disabled:opacity-50"
+          >
+            {busy ? "Refining..." : "Apply"}
+          </button>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => onNavigate(history.index - 1)}
+              disabled={busy || !history.canUndo}
+              className="flex-1 px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded-md disabled:opacity-40"
+            >
+              Undo
+            </button>
+            <button
+              type="button"
+              onClick={() => onNavigate(history.index + 1)}
+              disabled={busy || !history.canRedo}
+              className="flex-1 px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded-md disabled:opacity-40"
+            >
+              Redo
+            </button>
+          </div>
+        </div>
+      </form>
+
+      {error && <p className="text-red-400 mt-2">{error}</p>}
+
+      {history.entries.length > 1 && (
+        <ol className="flex flex-wrap gap-2 mt-3" aria-label="Versions">
+          {history.entries.map((entry, index) => (
+            <li key={`${entry.version}-${index}`}>
+              <button
+                onClick={() => onNavigate(index)}
+                disabled={busy}
+                aria-current={index === history.index ? "step" : undefined}
+                title={versionLabel(entry)}
+                className={`max-w-[16rem] truncate px-2 py-1 rounded-md border transition-colors ${
+                  index === history.index
+                    ? "border-purple-500 bg-purple-900/40 text-white"
+                    : "border-gray-600 text-gray-300 hover:text-white"
+                }`}
+              >
+                v{entry.version} · {versionLabel(entry)}
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import { clampToLimit } from "../config.js";
+
+const MODES = [
+  { value: "static", label: "Static", hint: "Fetch the HTML as served" },
+  { value: "rendered", label: "Rendered", hint: "Load in a headless browser so JavaScript-built pages are captured" },
+];
+
+/**
+ * Static/rendered fetch mode, plus the selector to wait for and the render
+ * timeout (in seconds) when rendering. `modes` and the timeout limits come
+ * from the server's /config; without them every mode is offered.
+ */
+export default function RenderModeToggle({
+  mode,
+  waitFor,
+  timeout,
+  modes,
+  maxTimeout,
+  defaultTimeout,
+  disabled,
+  onModeChange,
+  onWaitForChange,
+  onTimeoutChange,
+}) {
+  const options = modes ? MODES.filter((option) => modes.includes(option.value)) : MODES;
+  const maxSeconds = maxTimeout ? Math.floor(maxTimeout / 1000) : undefined;
+
+  function clampTimeout() {
+    onTimeoutChange(String(clampToLimit(timeout, maxSeconds) ?? ""));
+  }
+
+  return (
+    <div className="flex flex-col sm:flex-row sm:items-center gap-3 text-sm">
+      <div role="radiogroup" aria-label="Fetch mode" className="inline-flex rounded-lg bg-gray-700 p-1">
+        {options.map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            role="radio"
+            aria-checked={mode === option.value}
+            title={option.hint}
+            disabled={disabled}
+            onClick={() => onModeChange(option.value)}
+            className={`px-3 py-1.5 rounded-md transition-colors disabled:opacity-50 ${
+              mode === option.value ? "bg-purple-600 text-white" : "text-gray-300 hover:text-white"
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {mode === "rendered" && (
+        <input
+          type="text"
+          placeholder="Wait for selector (optional, e.g. #app main)"
+          value={waitFor}
+          onChange={(e) => onWaitForChange(e.target.value)}
+          disabled={disabled}
+          aria-label="Wait for selector"
+          className="flex-1 px-3 py-2 rounded-lg bg-gray-700 border border-gray-600 focus:outline-none focus:ring-2 focus:ring-purple-500 text-gray-100 placeholder-gray-400 disabled:opacity-50"
+        />
+      )}
+
+      {mode === "rendered" && (
+        <label className="flex items-center gap-2 text-gray-300" title={maxSeconds ? `Up to ${maxSeconds} seconds` : undefined}>
+          Timeout
+          <input
+            type="number"
+            min={1}
+            max={maxSeconds}
+            step={1}
+            placeholder={defaultTimeout ? String(Math.round(defaultTimeout / 1000)) : undefined}
+            value={timeout}
+            onChange={(e) => onTimeoutChange(e.target.value)}
+            onBlur={clampTimeout}
+            disabled={disabled}
+            aria-label="Render timeout in seconds"
+            className="w-20 px-3 py-2 rounded-lg bg-gray-700 border border-gray-600 focus:outline-none focus:ring-2 focus:ring-purple-500 text-gray-100 placeholder-gray-400 disabled:opacity-50"
+          />
+          s
+        </label>
+      )}
+    </div>
+  );
+}
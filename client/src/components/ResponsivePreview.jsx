@@ -0,0 +1,144 @@
+import { useEffect, useRef, useState } from "react";
+import DeviceToolbar from "./DeviceToolbar.jsx";
+import OverflowReport from "./OverflowReport.jsx";
+import { findPreset } from "../devices.js";
+import { attachPicker } from "../picker.js";
+
+const PANE_GAP = 24;
+
+// Both pages come from third-party markup (the generated page keeps the site's
+// scripts), so neither may run scripts as this app's origin, where they could
+// read the stored API key or lift their own sandbox. Same-origin access stays
+// for scroll sync and the element picker, which attach listeners from here.
+const PREVIEW_SANDBOX = "allow-same-origin";
+
+const PANE_STYLES = {
+  original: "from-blue-600 to-blue-700",
+  improved: "from-purple-600 to-purple-700",
+};
+
+function scrollRatio(win) {
+  const max = win.document.documentElement.scrollHeight - win.innerHeight;
+  return max > 0 ? win.scrollY / max : 0;
+}
+
+export default function ResponsivePreview({ originalHtml, improvedHtml, rawImprovedHtml, url, analysisId, picking, onPick }) {
+  const [device, setDevice] = useState(findPreset("laptop"));
+  const [fit, setFit] = useState(true);
+  const [syncScroll, setSyncScroll] = useState(true);
+  const [availableWidth, setAvailableWidth] = useState(0);
+  const [improvedLoads, setImprovedLoads] = useState(0);
+
+  const containerRef = useRef(null);
+  const framesRef = useRef({});
+  const syncRef = useRef(syncScroll);
+  const scrollingRef = useRef(null);
+
+  useEffect(() => {
+    syncRef.current = syncScroll;
+  }, [syncScroll]);
+
+  useEffect(() => {
+    const observer = new ResizeObserver(([entry]) => setAvailableWidth(entry.contentRect.width));
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  // Click-to-select in the improved page; re-attached whenever that frame reloads
+  useEffect(() => {
+    const doc = framesRef.current.improved?.contentDocument;
+    if (!picking || !doc?.body) return;
+    return attachPicker(doc, onPick);
+  }, [picking, onPick, improvedLoads]);
+
+  const panes = [
+    originalHtml && { id: "original", title: "Original Website", html: originalHtml },
+    improvedHtml && { id: "improved", title: "Improved Website", html: improvedHtml },
+  ].filter(Boolean);
+
+  const paneWidth = panes.length ? (availableWidth - PANE_GAP * (panes.length - 1)) / panes.length : 0;
+  const scale = fit && paneWidth > 0 ? Math.min(1, paneWidth / device.width) : 1;
+
+  // Mirror scroll position by ratio, since the two pages rarely have the same height
+  function handleFrameLoad(id) {
+    const frame = framesRef.current[id];
+    const win = frame?.contentWindow;
+    if (!win) return;
+    if (id === "improved") setImprovedLoads((count) => count + 1);
+
+    win.addEventListener("scroll", () => {
+      if (!syncRef.current || scrollingRef.current === id) {
+        if (scrollingRef.current === id) scrollingRef.current = null;
+        return;
+      }
+      const ratio = scrollRatio(win);
+      for (const [otherId, other] of Object.entries(framesRef.current)) {
+        const otherWin = other?.contentWindow;
+        if (otherId === id || !otherWin) continue;
+        scrollingRef.current = otherId;
+        const max = otherWin.document.documentElement.scrollHeight - otherWin.innerHeight;
+        otherWin.scrollTo(0, ratio * max);
+      }
+    });
+  }
+
+  return (
+    <div className="flex-[2] flex flex-col gap-3 min-w-0">
+      <DeviceToolbar
+        device={device}
+        fit={fit}
+        syncScroll={syncScroll}
+        onDeviceChange={setDevice}
+        onRotate={() => setDevice((prev) => ({ id: "custom", width: prev.height, height: prev.width }))}
+        onFitChange={setFit}
+        onSyncScrollChange={setSyncScroll}
+      />
+
+      <div ref={containerRef} className="flex gap-6">
+        {panes.map((pane) => (
+          <div
+            key={pane.id}
+            className="flex-1 min-w-0 bg-gray-800 rounded-2xl shadow-xl flex flex-col overflow-hidden border border-gray-700"
+          >
+            <h2
+              className={`bg-gradient-to-r ${PANE_STYLES[pane.id]} text-white text-center py-3 text-lg font-semibold rounded-t-2xl`}
+            >
+              {pane.title}
+              <span className="ml-2 text-sm font-normal opacity-80">
+                {device.width}×{device.height}
+                {scale < 1 && ` · ${Math.round(scale * 100)}%`}
+              </span>
+              {pane.id === "improved" && picking && (
+                <span className="block text-xs font-normal text-yellow-200">Click an element to refine just that part</span>
+              )}
+            </h2>
+            <div className="overflow-auto max-h-[75vh] bg-gray-900 p-2">
+              <div className="mx-auto" style={{ width: device.width * scale, height: device.height * scale }}>
+                <iframe
+                  ref={(frame) => {
+                    framesRef.current[pane.id] = frame;
+                  }}
+                  title={pane.title}
+                  sandbox={PREVIEW_SANDBOX}
+                  srcDoc={pane.html}
+                  onLoad={() => handleFrameLoad(pane.id)}
+                  className="bg-white origin-top-left"
+                  style={{ width: device.width, height: device.height, transform: `scale(${scale})` }}
+                  loading="lazy"
+                />
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <OverflowReport
+        originalHtml={originalHtml}
+        improvedHtml={rawImprovedHtml}
+        url={url}
+        analysisId={analysisId}
+        device={device}
+      />
+    </div>
+  );
+}
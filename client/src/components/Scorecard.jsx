@@ -0,0 +1,181 @@
+const STATUS_STYLES = {
+  improved: "text-green-400",
+  regressed: "text-red-400",
+  unchanged: "text-gray-400",
+};
+
+const STATUS_ICONS = {
+  improved: "▲",
+  regressed: "▼",
+  unchanged: "●",
+};
+
+function formatValue(value, unit) {
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  return `${value}${unit}`;
+}
+
+function ChangeList({ title, items, tone }) {
+  if (!items || items.length === 0) return null;
+
+  return (
+    <div className="mt-3">
+      <p className={`text-xs font-semibold uppercase tracking-wide ${tone}`}>
+        {title} ({items.length})
+      </p>
+      <ul className="mt-1 space-y-1 text-xs text-gray-300 max-h-32 overflow-auto">
+        {items.slice(0, 20).map((item) => (
+          <li key={item} className="truncate" title={item}>
+            {item}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function MetricTable({ metrics }) {
+  return (
+    <table className="w-full">
+      <tbody>
+        {metrics.map((metric) => (
+          <tr key={metric.key} className="border-b border-gray-700 last:border-0">
+            <td className="py-2 pr-2 text-gray-300">{metric.label}</td>
+            <td className="py-2 text-right whitespace-nowrap">
+              <span className="text-gray-500">{formatValue(metric.before, metric.unit)}</span>
+              {" → "}
+              <span className={STATUS_STYLES[metric.status]}>
+                {formatValue(metric.after, metric.unit)} {STATUS_ICONS[metric.status]}
+              </span>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function Swatches({ colors }) {
+  return (
+    <div className="flex flex-wrap gap-1">
+      {colors.map((color) => (
+        <span
+          key={color}
+          title={color}
+          className="w-5 h-5 rounded border border-gray-600"
+          style={{ background: color }}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default function Scorecard({ comparison, fidelity, brandCheck }) {
+  const { metrics, totals, content, landmarks, palette, fonts, performance } = comparison;
+
+  return (
+    <div className="w-80 shrink-0 bg-gray-800 rounded-2xl shadow-xl flex flex-col h-[75vh] overflow-hidden border border-gray-700">
+      <h2 className="bg-gradient-to-r from-green-600 to-teal-600 text-white text-center py-3 text-lg font-semibold rounded-t-2xl">
+        Before / After
+      </h2>
+
+      <div className="overflow-auto p-4 text-sm">
+        <p className="text-xs text-gray-400 mb-3">
+          <span className="text-green-400">{totals.improved} improved</span> ·{" "}
+          <span className="text-red-400">{totals.regressed} regressed</span> ·{" "}
+          {totals.unchanged} unchanged
+        </p>
+
+        {fidelity && (
+          <div
+            className={`mb-3 p-2 rounded-md border text-xs ${
+              fidelity.flagged
+                ? "border-red-800 bg-red-900/30 text-red-300"
+                : "border-green-800 bg-green-900/30 text-green-300"
+            }`}
+          >
+            Content preserved: {Math.round(fidelity.score * 100)}%
+            {fidelity.flagged && " (below threshold, review before using)"}
+            {fidelity.attempts > 1 && ` · ${fidelity.attempts} attempts`}
+          </div>
+        )}
+
+        {brandCheck && (
+          <div
+            className={`mb-3 p-2 rounded-md border text-xs ${
+              brandCheck.passed
+                ? "border-green-800 bg-green-900/30 text-green-300"
+                : "border-yellow-800 bg-yellow-900/30 text-yellow-300"
+            }`}
+          >
+            <p>{brandCheck.passed ? "All locked brand colors and fonts kept" : "Some locked brand values are missing"}</p>
+            <div className="flex flex-wrap gap-1 mt-1">
+              {[...brandCheck.colors, ...brandCheck.fonts].map((item) => (
+                <span
+                  key={item.value}
+                  className={`inline-flex items-center gap-1 px-1.5 rounded ${item.found ? "bg-gray-700" : "bg-red-900/50 line-through"}`}
+                >
+                  {item.value.startsWith("#") && (
+                    <span className="w-2.5 h-2.5 rounded-sm border border-gray-500" style={{ background: item.value }} />
+                  )}
+                  {item.value}
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <MetricTable metrics={metrics} />
+
+        {performance && (
+          <div className="mt-4">
+            <p className="text-xs font-semibold uppercase tracking-wide text-gray-400">Performance</p>
+            <p className="text-xs text-gray-500 mt-1">
+              <span className="text-green-400">{performance.totals.improved} improved</span> ·{" "}
+              <span className="text-red-400">{performance.totals.regressed} regressed</span>
+            </p>
+            <MetricTable metrics={performance.metrics} />
+            <ChangeList title="No longer blocking" items={performance.renderBlocking.removed} tone="text-green-400" />
+            <ChangeList title="Newly blocking" items={performance.renderBlocking.added} tone="text-red-400" />
+          </div>
+        )}
+
+        <div className="mt-4">
+          <p className="text-xs font-semibold uppercase tracking-wide text-gray-400">Landmarks</p>
+          <p className="text-xs text-gray-300 mt-1">
+            {landmarks.after.length ? landmarks.after.join(", ") : "none"}
+          </p>
+          <ChangeList title="Added" items={landmarks.added} tone="text-green-400" />
+          <ChangeList title="Removed" items={landmarks.removed} tone="text-red-400" />
+        </div>
+
+        <div className="mt-4">
+          <p className="text-xs font-semibold uppercase tracking-wide text-gray-400 mb-1">Palette</p>
+          <Swatches colors={palette.before} />
+          <p className="text-xs text-gray-500 my-1">↓</p>
+          <Swatches colors={palette.after} />
+        </div>
+
+        <div className="mt-4">
+          <p className="text-xs font-semibold uppercase tracking-wide text-gray-400">Fonts</p>
+          <ChangeList title="Added" items={fonts.added} tone="text-green-400" />
+          <ChangeList title="Removed" items={fonts.removed} tone="text-red-400" />
+          {fonts.added.length === 0 && fonts.removed.length === 0 && (
+            <p className="text-xs text-gray-300 mt-1">Unchanged</p>
+          )}
+        </div>
+
+        <div className="mt-4">
+          <p className="text-xs font-semibold uppercase tracking-wide text-gray-400">Content fidelity</p>
+          <ChangeList title="Dropped headings" items={content.droppedHeadings} tone="text-red-400" />
+          <ChangeList title="Invented headings" items={content.inventedHeadings} tone="text-yellow-400" />
+          <ChangeList title="Dropped links" items={content.droppedLinks} tone="text-red-400" />
+          <ChangeList title="Invented links" items={content.inventedLinks} tone="text-yellow-400" />
+          {Object.values(content).every((items) => items.length === 0) && (
+            <p className="text-xs text-gray-300 mt-1">All headings and links preserved</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import { useState } from "react";
+import { CSS_FRAMEWORKS, STYLE_PRESETS, toStyleRequest } from "../styleOptions.js";
+
+const MAX_BRAND_COLORS = 8;
+
+function OptionGroup({ label, options, value, disabled, onChange }) {
+  return (
+    <div role="radiogroup" aria-label={label} className="inline-flex flex-wrap rounded-lg bg-gray-700 p-1">
+      {options.map((option) => (
+        <button
+          key={option.value}
+          type="button"
+          role="radio"
+          aria-checked={value === option.value}
+          disabled={disabled}
+          onClick={() => onChange(option.value)}
+          className={`px-3 py-1.5 rounded-md transition-colors disabled:opacity-50 ${
+            value === option.value ? "bg-purple-600 text-white" : "text-gray-300 hover:text-white"
+          }`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Style preset, CSS framework, locked brand colors/fonts and an avoid list
+ * sent with the analysis request
+ */
+export default function StyleOptions({ value, disabled, onChange }) {
+  const [pendingColor, setPendingColor] = useState("#1e40af");
+  const update = (patch) => onChange({ ...value, ...patch });
+  const active = toStyleRequest(value);
+
+  function addColor() {
+    const color = pendingColor.toLowerCase();
+    if (value.brandColors.includes(color) || value.brandColors.length >= MAX_BRAND_COLORS) return;
+    update({ brandColors: [...value.brandColors, color] });
+  }
+
+  return (
+    <details className="text-sm bg-gray-900/40 border border-gray-700 rounded-lg">
+      <summary className="cursor-pointer px-3 py-2 text-gray-300">
+        Style & brand{active ? ` · ${Object.keys(active).length} option${Object.keys(active).length === 1 ? "" : "s"} set` : ""}
+      </summary>
+
+      <div className="flex flex-col gap-3 p-3 pt-1">
+        <div className="flex flex-col gap-1">
+          <span className="text-gray-400">Preset</span>
+          <OptionGroup label="Style preset" options={STYLE_PRESETS} value={value.preset} disabled={disabled} onChange={(preset) => update({ preset })} />
+        </div>
+
+        <div className="flex flex-col gap-1">
+          <span className="text-gray-400">CSS output</span>
+          <OptionGroup
+            label="CSS framework"
+            options={CSS_FRAMEWORKS}
+            value={value.framework}
+            disabled={disabled}
+            onChange={(framework) => update({ framework })}
+          />
+        </div>
+
+        <div className="flex flex-col gap-1">
+          <span className="text-gray-400">Locked brand colors</span>
+          <div className="flex flex-wrap items-center gap-2">
+            {value.brandColors.map((color) => (
+              <span key={color} className="inline-flex items-center gap-1 bg-gray-700 rounded-md px-2 py-1 font-mono text-xs">
+                <span className="w-3 h-3 rounded-sm border border-gray-500" style={{ background: color }} />
+                {color}
+                <button
+                  type="button"
+                  onClick={() => update({ brandColors: value.brandColors.filter((existing) => existing !== color) })}
+                  disabled={disabled}
+                  aria-label={`Remove ${color}`}
+                  className="text-gray-400 hover:text-white"
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+            <input
+              type="color"
+              value={pendingColor}
+              onChange={(e) => setPendingColor(e.target.value)}
+              disabled={disabled}
+              aria-label="Brand color to add"
+              className="w-8 h-8 bg-transparent rounded cursor-pointer"
+            />
+            <button
+              type="button"
+              onClick={addColor}
+              disabled={disabled || value.brandColors.length >= MAX_BRAND_COLORS}
+              className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded-md disabled:opacity-50"
+            >
+              Add
+            </button>
+          </div>
+        </div>
+
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-400">Locked brand fonts (comma separated)</span>
+          <input
+            type="text"
+            value={value.brandFonts}
+            onChange={(e) => update({ brandFonts: e.target.value })}
+            disabled={disabled}
+            placeholder="Inter, Source Serif 4"
+            className="px-3 py-2 rounded-lg bg-gray-700 border border-gray-600 focus:outline-none focus:ring-2 focus:ring-purple-500 text-gray-100 placeholder-gray-400 disabled:opacity-50"
+          />
+        </label>
+
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-400">Avoid (one per line)</span>
+          <textarea
+            rows={2}
+            value={value.avoid}
+            onChange={(e) => update({ avoid: e.target.value })}
+            disabled={disabled}
+            placeholder={"Carousels\nGradient backgrounds"}
+            className="px-3 py-2 rounded-lg bg-gray-700 border border-gray-600 focus:outline-none focus:ring-2 focus:ring-purple-500 text-gray-100 placeholder-gray-400 disabled:opacity-50"
+          />
+        </label>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,47 @@
+import { useState } from "react";
+import { fetchFile } from "../api.js";
+import { saveBlob } from "../download.js";
+
+const FORMATS = [
+  { value: "w3c", label: "Tokens JSON", title: "W3C Design Tokens format" },
+  { value: "css", label: "CSS variables", title: "Custom properties on :root" },
+  { value: "tailwind", label: "Tailwind config", title: "theme.extend for tailwind.config.js" },
+];
+
+export default function TokenDownloads({ originalHtml, analysisId }) {
+  const [busyFormat, setBusyFormat] = useState(null);
+  const [error, setError] = useState(null);
+
+  async function download(format) {
+    setBusyFormat(format);
+    setError(null);
+    try {
+      const { blob, filename } = analysisId
+        ? await fetchFile(`/analyses/${analysisId}/design-tokens?format=${format}`)
+        : await fetchFile("/design-tokens", { method: "POST", body: { html: originalHtml, format }, filename: `design-${format}` });
+      saveBlob(blob, filename);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyFormat(null);
+    }
+  }
+
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      <span className="text-gray-400">Design tokens:</span>
+      {FORMATS.map((format) => (
+        <button
+          key={format.value}
+          onClick={() => download(format.value)}
+          disabled={busyFormat !== null}
+          title={format.title}
+          className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg transition-colors disabled:opacity-50"
+        >
+          {busyFormat === format.value ? "Exporting..." : format.label}
+        </button>
+      ))}
+      {error && <span className="text-red-400">{error}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+import { useEffect, useState } from "react";
+import { fetchJson } from "../api.js";
+
+const VIEWPORTS = [
+  { label: "Desktop", width: 1280, height: 800 },
+  { label: "Tablet", width: 768, height: 1024 },
+  { label: "Mobile", width: 375, height: 812 },
+];
+
+const MODES = [
+  { value: "slider", label: "Slider" },
+  { value: "onion", label: "Onion skin" },
+  { value: "diff", label: "Diff" },
+];
+
+function DownloadLink({ href, name, children }) {
+  return (
+    <a href={href} download={name} className="text-xs text-blue-400 hover:text-blue-300 underline">
+      {children}
+    </a>
+  );
+}
+
+export default function VisualCompare({ originalHtml, improvedHtml, url, analysisId }) {
+  const [viewport, setViewport] = useState(VIEWPORTS[0]);
+  const [mode, setMode] = useState("slider");
+  const [position, setPosition] = useState(50);
+  const [captures, setCaptures] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const capture = captures[viewport.width];
+
+  useEffect(() => {
+    if (capture) return;
+
+    const controller = new AbortController();
+    const viewports = [{ width: viewport.width, height: viewport.height }];
+    setLoading(true);
+    setError(null);
+
+    const request = analysisId
+      ? fetchJson(`/analyses/${analysisId}/screenshots`, { method: "POST", body: { viewports }, signal: controller.signal })
+      : fetchJson("/screenshots", {
+          method: "POST",
+          body: { originalHtml, improvedHtml, url, viewports },
+          signal: controller.signal,
+        });
+
+    request
+      .then((data) => setCaptures((prev) => ({ ...prev, [viewport.width]: data.viewports[0] })))
+      .catch((err) => err.name !== "AbortError" && setError(err.message))
+      .finally(() => !controller.signal.aborted && setLoading(false));
+
+    return () => controller.abort();
+  }, [capture, viewport, analysisId, originalHtml, improvedHtml, url]);
+
+  const width = capture ? Math.max(capture.original.width, capture.improved.width) : viewport.width;
+  const truncated = capture && (capture.original.truncated || capture.improved.truncated);
+
+  return (
+    <div className="flex-[2] bg-gray-800 rounded-2xl shadow-xl flex flex-col h-[75vh] overflow-hidden border border-gray-700">
+      <div className="flex flex-wrap items-center gap-3 p-3 border-b border-gray-700 text-sm">
+        <div className="inline-flex rounded-lg bg-gray-700 p-1">
+          {VIEWPORTS.map((option) => (
+            <button
+              key={option.width}
+              onClick={() => setViewport(option)}
+              aria-pressed={viewport.width === option.width}
+              className={`px-3 py-1 rounded-md transition-colors ${
+                viewport.width === option.width ? "bg-blue-600 text-white" : "text-gray-300 hover:text-white"
+              }`}
+            >
+              {option.label} · {option.width}px
+            </button>
+          ))}
+        </div>
+
+        <div className="inline-flex rounded-lg bg-gray-700 p-1">
+          {MODES.map((option) => (
+            <button
+              key={option.value}
+              onClick={() => setMode(option.value)}
+              aria-pressed={mode === option.value}
+              className={`px-3 py-1 rounded-md transition-colors ${
+                mode === option.value ? "bg-purple-600 text-white" : "text-gray-300 hover:text-white"
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {mode !== "diff" && (
+          <label className="flex items-center gap-2 text-gray-300">
+            <span>{mode === "slider" ? "Original" : "Opacity"}</span>
+            <input
+              type="range"
+              min="0"
+              max="100"
+              value={position}
+              onChange={(e) => setPosition(Number(e.target.value))}
+              aria-label={mode === "slider" ? "Slider position" : "Improved page opacity"}
+            />
+            <span>Improved</span>
+          </label>
+        )}
+
+        {capture && (
+          <div className="ml-auto flex items-center gap-3">
+            <span className="text-yellow-300 font-semibold">{capture.diff.changedPercent}% changed</span>
+            <DownloadLink href={capture.original.image} name={`original-${viewport.width}.png`}>Original</DownloadLink>
+            <DownloadLink href={capture.improved.image} name={`improved-${viewport.width}.png`}>Improved</DownloadLink>
+            <DownloadLink href={capture.diff.image} name={`diff-${viewport.width}.png`}>Diff</DownloadLink>
+          </div>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-auto bg-gray-900 p-4">
+        {loading && <p className="text-center text-gray-400 mt-8">Capturing screenshots...</p>}
+        {error && <p className="text-center text-red-400 mt-8">{error}</p>}
+        {truncated && (
+          <p className="text-center text-xs text-gray-500 mb-2">Long pages are cut off at the capture height limit.</p>
+        )}
+
+        {capture && !loading && (
+          <div className="relative mx-auto" style={{ width }}>
+            {mode === "diff" ? (
+              <img src={capture.diff.image} alt="Pixel difference between original and improved page" className="block" />
+            ) : (
+              <>
+                <img src={capture.original.image} alt="Original page" className="block" />
+                <img
+                  src={capture.improved.image}
+                  alt="Improved page"
+                  className="absolute top-0 left-0 block"
+                  style={
+                    mode === "slider"
+                      ? { clipPath: `inset(0 0 0 ${100 - position}%)` }
+                      : { opacity: position / 100 }
+                  }
+                />
+                {mode === "slider" && (
+                  <div
+                    className="absolute inset-y-0 w-0.5 bg-yellow-400 pointer-events-none"
+                    style={{ left: `${100 - position}%` }}
+                  />
+                )}
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
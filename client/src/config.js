@@ -0,0 +1,29 @@
+const DEFAULT_API_BASE_URL = "https://ui-ux-analyzer.onrender.com";
+
+/**
+ * Base URL of the API, from VITE_API_BASE_URL at build time. Throws on an
+ * invalid value so a misconfigured build fails on load, not on every request.
+ */
+export function resolveApiBaseUrl(value = import.meta.env.VITE_API_BASE_URL) {
+  const raw = value?.trim() || DEFAULT_API_BASE_URL;
+  let url;
+  try {
+    url = new URL(raw);
+  } catch {
+    throw new Error(`VITE_API_BASE_URL must be an absolute URL (got "${raw}")`);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error(`VITE_API_BASE_URL must be an http or https URL (got "${raw}")`);
+  }
+  return url.href.replace(/\/+$/, "");
+}
+
+/**
+ * A whole number typed into a form, clamped to 1..max. Empty or non-numeric
+ * input gives undefined so the server's own default applies.
+ */
+export function clampToLimit(value, max = Infinity) {
+  const number = Number(value);
+  if (String(value).trim() === "" || !Number.isFinite(number)) return undefined;
+  return Math.min(Math.max(Math.round(number), 1), Math.floor(max));
+}
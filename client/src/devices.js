@@ -0,0 +1,15 @@
+export const DEVICE_PRESETS = [
+  { id: "mobile-s", label: "Mobile S", width: 320, height: 568 },
+  { id: "mobile", label: "Mobile", width: 375, height: 667 },
+  { id: "mobile-l", label: "Mobile L", width: 414, height: 896 },
+  { id: "tablet", label: "Tablet", width: 768, height: 1024 },
+  { id: "laptop", label: "Laptop", width: 1280, height: 800 },
+  { id: "desktop", label: "Desktop", width: 1920, height: 1080 },
+];
+
+export const MIN_DEVICE_WIDTH = 240;
+export const MAX_DEVICE_WIDTH = 3840;
+
+export function findPreset(id) {
+  return DEVICE_PRESETS.find((preset) => preset.id === id) || null;
+}
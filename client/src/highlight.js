@@ -0,0 +1,74 @@
+const TOKEN_CLASSES = {
+  tag: "text-pink-400",
+  attr: "text-sky-300",
+  value: "text-amber-300",
+  comment: "text-gray-500 italic",
+  selector: "text-emerald-300",
+  property: "text-sky-300",
+  punctuation: "text-gray-500",
+  text: "text-gray-200",
+};
+
+const HTML_PATTERN = /(<!--.*?-->)|(<\/?[\w-]+|\/?>)|([\w:@.-]+)(=)("[^"]*")|([\w:@.-]+)/g;
+
+/**
+ * Split one line of normalized diff output into { text, className } tokens.
+ * Lines are either markup, a CSS rule line or plain text, which is all the
+ * server's formatter produces.
+ */
+export function highlightLine(line) {
+  const trimmed = line.trim();
+  if (trimmed.startsWith("<")) return highlightHtml(line);
+  if (/^[^<>]*\{$|^\}$|^[\w-]+:\s.*;$/.test(trimmed)) return highlightCss(line);
+  return [token(line, "text")];
+}
+
+function highlightHtml(line) {
+  const tokens = [];
+  let last = 0;
+  let inTag = false;
+
+  for (const match of line.matchAll(HTML_PATTERN)) {
+    const [whole, comment, bracket, attrName, equals, attrValue, bareAttr] = match;
+    if (match.index > last) tokens.push(token(line.slice(last, match.index), "text"));
+    last = match.index + whole.length;
+
+    if (comment) {
+      tokens.push(token(comment, "comment"));
+    } else if (bracket) {
+      inTag = !bracket.endsWith(">");
+      tokens.push(token(bracket, "tag"));
+    } else if (inTag && attrName) {
+      tokens.push(token(attrName, "attr"), token(equals, "punctuation"), token(attrValue, "value"));
+    } else if (inTag && bareAttr) {
+      tokens.push(token(bareAttr, "attr"));
+    } else {
+      tokens.push(token(whole, "text"));
+    }
+  }
+  if (last < line.length) tokens.push(token(line.slice(last), "text"));
+
+  return tokens;
+}
+
+function highlightCss(line) {
+  const indent = line.match(/^\s*/)[0];
+  const trimmed = line.trim();
+
+  if (trimmed === "}") return [token(line, "punctuation")];
+  if (trimmed.endsWith("{")) {
+    return [token(indent + trimmed.slice(0, -1), "selector"), token("{", "punctuation")];
+  }
+
+  const colon = trimmed.indexOf(":");
+  return [
+    token(indent + trimmed.slice(0, colon), "property"),
+    token(":", "punctuation"),
+    token(trimmed.slice(colon + 1, -1), "value"),
+    token(";", "punctuation"),
+  ];
+}
+
+function token(text, type) {
+  return { text, className: TOKEN_CLASSES[type] };
+}
@@ -0,0 +1,79 @@
+const HOVER_ATTRIBUTE = "data-ux-picker-hover";
+const PICKING_ATTRIBUTE = "data-ux-picking";
+
+// Scoped under an attribute so it outranks the preview's pointer-events: none rules
+const PICKER_CSS = `
+  [${PICKING_ATTRIBUTE}] * { pointer-events: auto !important; cursor: crosshair !important; }
+  [${HOVER_ATTRIBUTE}] { outline: 2px solid #a855f7 !important; outline-offset: -2px !important; }
+`;
+
+/**
+ * Let the user click an element inside a same-origin iframe document.
+ * Calls onPick with a CSS selector for it; returns a cleanup function.
+ */
+export function attachPicker(doc, onPick) {
+  const style = doc.createElement("style");
+  style.textContent = PICKER_CSS;
+  doc.head.appendChild(style);
+  doc.documentElement.setAttribute(PICKING_ATTRIBUTE, "");
+
+  let hovered = null;
+  const setHovered = (el) => {
+    hovered?.removeAttribute(HOVER_ATTRIBUTE);
+    hovered = el;
+    hovered?.setAttribute(HOVER_ATTRIBUTE, "");
+  };
+
+  const handleOver = (event) => {
+    if (event.target.nodeType === 1 && event.target !== doc.body && event.target !== doc.documentElement) {
+      setHovered(event.target);
+    }
+  };
+  const handleClick = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    if (hovered) onPick(cssPath(hovered));
+  };
+
+  doc.addEventListener("mouseover", handleOver, true);
+  doc.addEventListener("click", handleClick, true);
+
+  return () => {
+    doc.removeEventListener("mouseover", handleOver, true);
+    doc.removeEventListener("click", handleClick, true);
+    setHovered(null);
+    style.remove();
+    doc.documentElement.removeAttribute(PICKING_ATTRIBUTE);
+  };
+}
+
+/**
+ * Short selector for an element: nearest unique id, then tag names with
+ * :nth-of-type where siblings share a tag. Same scheme the server uses in
+ * its reports, so selectors read the same everywhere.
+ */
+export function cssPath(el) {
+  const doc = el.ownerDocument;
+  const parts = [];
+  let node = el;
+
+  while (node && node.nodeType === 1) {
+    if (node.id && doc.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+      parts.unshift(`#${CSS.escape(node.id)}`);
+      break;
+    }
+
+    let part = node.tagName.toLowerCase();
+    const parent = node.parentElement;
+    if (parent) {
+      const sameTag = [...parent.children].filter((child) => child.tagName === node.tagName);
+      if (sameTag.length > 1) part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+    }
+
+    parts.unshift(part);
+    if (part === "body") break;
+    node = parent;
+  }
+
+  return parts.join(" > ");
+}
@@ -0,0 +1,16 @@
+const STAGE_LABELS = {
+  fetch: "Fetching website",
+  css: "Inlining stylesheets",
+  summary: "Building site summary",
+  template: "Preparing template",
+  generate: "Generating improved page",
+  chunk: "Splitting page into regions",
+  styleguide: "Writing shared stylesheet",
+  section: "Enhancing regions",
+  retry: "Retrying to preserve content",
+  compare: "Comparing before and after",
+};
+
+export function stageLabel(stage) {
+  return STAGE_LABELS[stage] || stage;
+}
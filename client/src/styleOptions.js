@@ -0,0 +1,33 @@
+export const STYLE_PRESETS = [
+  { value: "", label: "No preset" },
+  { value: "minimal", label: "Minimal" },
+  { value: "corporate", label: "Corporate" },
+  { value: "playful", label: "Playful" },
+  { value: "editorial", label: "Editorial" },
+  { value: "dark-mode-first", label: "Dark mode first" },
+];
+
+export const CSS_FRAMEWORKS = [
+  { value: "plain", label: "Plain CSS" },
+  { value: "tailwind", label: "Tailwind" },
+  { value: "bootstrap", label: "Bootstrap" },
+];
+
+export const DEFAULT_STYLE = { preset: "", framework: "plain", brandColors: [], brandFonts: "", avoid: "" };
+
+/**
+ * Form state → the request's `style` option, or undefined when nothing
+ * differs from the defaults
+ */
+export function toStyleRequest(style) {
+  const request = {
+    ...(style.preset ? { preset: style.preset } : {}),
+    ...(style.framework !== "plain" ? { framework: style.framework } : {}),
+    ...(style.brandColors.length ? { brandColors: style.brandColors } : {}),
+  };
+  const fonts = style.brandFonts.split(",").map((font) => font.trim()).filter(Boolean);
+  const avoid = style.avoid.split("\n").map((item) => item.trim()).filter(Boolean);
+  if (fonts.length) request.brandFonts = fonts;
+  if (avoid.length) request.avoid = avoid;
+  return Object.keys(request).length ? request : undefined;
+}
@@ -0,0 +1,21 @@
+import { useEffect, useState } from "react";
+import { fetchJson } from "./api.js";
+
+/**
+ * The server's public settings from GET /config, or null until they load.
+ * Older servers without the endpoint also leave it null, so callers should
+ * treat null as "unknown" and keep every option available.
+ */
+export function useServerConfig() {
+  const [config, setConfig] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchJson("/config", { signal: controller.signal })
+      .then(setConfig)
+      .catch(() => {});
+    return () => controller.abort();
+  }, []);
+
+  return config;
+}
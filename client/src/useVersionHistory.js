@@ -0,0 +1,43 @@
+import { useCallback, useState } from "react";
+
+/**
+ * Linear undo/redo stack of page versions. Pushing after an undo drops the
+ * versions that could have been redone, like an editor does.
+ */
+export function useVersionHistory() {
+  const [state, setState] = useState({ entries: [], index: -1 });
+
+  const reset = useCallback((entries) => setState({ entries, index: entries.length - 1 }), []);
+
+  const push = useCallback(
+    (entry) =>
+      setState((prev) => {
+        const entries = [...prev.entries.slice(0, prev.index + 1), entry];
+        return { entries, index: entries.length - 1 };
+      }),
+    []
+  );
+
+  const go = useCallback((index) => setState((prev) => ({ ...prev, index })), []);
+
+  const update = useCallback(
+    (index, patch) =>
+      setState((prev) => ({
+        ...prev,
+        entries: prev.entries.map((entry, i) => (i === index ? { ...entry, ...patch } : entry)),
+      })),
+    []
+  );
+
+  return {
+    entries: state.entries,
+    index: state.index,
+    current: state.entries[state.index] || null,
+    canUndo: state.index > 0,
+    canRedo: state.index < state.entries.length - 1,
+    reset,
+    push,
+    go,
+    update,
+  };
+}
@@ -0,0 +1,187 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getConfig } from './config.js';
+
+const DATA_DIR = getConfig().server.dataDir;
+const KEYS_FILE = path.join(DATA_DIR, 'api-keys.json');
+
+export const API_SCOPES = ['analyze', 'fetch', 'history', 'export', 'admin'];
+
+// Issued keys get every scope but admin unless they ask for less
+export const DEFAULT_SCOPES = API_SCOPES.filter(scope => scope !== 'admin');
+
+const KEY_PREFIX = 'uxa_';
+
+// Days of usage kept per key
+const USAGE_DAYS = 30;
+
+// Serialize writes so concurrent requests don't lose each other's usage
+let writeQueue = Promise.resolve();
+
+/**
+ * Validate the body of a create-key request. Limits left out (or null) fall
+ * back to the server defaults when the key is used. Throws with a message
+ * suitable for a 400 response.
+ */
+export function resolveKeyOptions({ name, scopes = DEFAULT_SCOPES, rateLimit = null, dailyRequests = null, dailyTokens = null } = {}) {
+  if (typeof name !== 'string' || !name.trim()) throw new Error('name is required');
+  if (name.length > 100) throw new Error('name must be at most 100 characters');
+  if (!Array.isArray(scopes) || scopes.length === 0) throw new Error('scopes must be a non-empty array');
+  const unknown = scopes.filter(scope => !API_SCOPES.includes(scope));
+  if (unknown.length) throw new Error(`Unknown scopes: ${unknown.join(', ')}. Expected any of: ${API_SCOPES.join(', ')}`);
+
+  const limit = (value, label) => {
+    if (value === null) return null;
+    if (!Number.isInteger(value) || value < 0) throw new Error(`${label} must be a non-negative integer or null`);
+    return value;
+  };
+
+  return {
+    name: name.trim(),
+    scopes: [...new Set(scopes)],
+    rateLimit: limit(rateLimit, 'rateLimit'),
+    dailyRequests: limit(dailyRequests, 'dailyRequests'),
+    dailyTokens: limit(dailyTokens, 'dailyTokens')
+  };
+}
+
+/**
+ * Issue a key. Only its hash is stored, so the returned secret is the one
+ * chance to see it.
+ */
+export async function createApiKey(options) {
+  const secret = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id: crypto.randomUUID(),
+    ...options,
+    prefix: secret.slice(0, KEY_PREFIX.length + 6),
+    hash: hashSecret(secret),
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+    lastUsedAt: null,
+    usage: {}
+  };
+
+  await enqueue(async () => {
+    const keys = await readKeys();
+    keys.push(record);
+    await writeKeys(keys);
+  });
+
+  return { key: secret, ...toPublic(record) };
+}
+
+export async function listApiKeys() {
+  await settled();
+  return (await readKeys()).map(toPublic);
+}
+
+export async function getApiKey(id) {
+  await settled();
+  const record = (await readKeys()).find(key => key.id === id);
+  return record ? toPublic(record) : null;
+}
+
+/**
+ * Look up the stored key for a presented secret; revoked keys still resolve
+ * so callers can tell them apart from unknown ones
+ */
+export async function findApiKey(secret) {
+  if (typeof secret !== 'string' || !secret.startsWith(KEY_PREFIX)) return null;
+  const hash = hashSecret(secret);
+  await settled();
+  const record = (await readKeys()).find(key => key.hash === hash);
+  return record ? toPublic(record) : null;
+}
+
+/**
+ * Revoke a key, keeping its record and usage. Resolves to the revoked key,
+ * or null if it doesn't exist.
+ */
+export async function revokeApiKey(id) {
+  return updateKey(id, key => ({ ...key, revokedAt: key.revokedAt ?? new Date().toISOString() }));
+}
+
+/**
+ * Add requests and estimated model tokens to today's usage for a key
+ */
+export async function recordUsage(id, { requests = 0, tokens = 0 }) {
+  return updateKey(id, key => {
+    const day = today();
+    const current = key.usage[day] || { requests: 0, tokens: 0 };
+    const usage = Object.fromEntries(
+      Object.entries({ ...key.usage, [day]: { requests: current.requests + requests, tokens: current.tokens + tokens } })
+        .sort(([a], [b]) => b.localeCompare(a))
+        .slice(0, USAGE_DAYS)
+    );
+    return { ...key, usage, lastUsedAt: requests ? new Date().toISOString() : key.lastUsedAt };
+  });
+}
+
+/**
+ * Today's usage for a key record, zero when it hasn't been used
+ */
+export function usageToday(key) {
+  return key.usage[today()] || { requests: 0, tokens: 0 };
+}
+
+/**
+ * Usage days count in UTC so quotas reset at the same moment for everyone
+ */
+export function today(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+async function updateKey(id, update) {
+  let updated = null;
+  await enqueue(async () => {
+    const keys = await readKeys();
+    const index = keys.findIndex(key => key.id === id);
+    if (index === -1) return;
+    keys[index] = update(keys[index]);
+    updated = toPublic(keys[index]);
+    await writeKeys(keys);
+  });
+  return updated;
+}
+
+function toPublic({ hash, ...key }) {
+  return key;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+async function readKeys() {
+  try {
+    return JSON.parse(await fs.readFile(KEYS_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Write to a temp file and rename, so a crash never leaves half a JSON file
+ */
+async function writeKeys(keys) {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  const temp = `${KEYS_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(keys));
+  await fs.rename(temp, KEYS_FILE);
+}
+
+/**
+ * Wait for queued writes so reads see usage recorded by earlier requests
+ */
+function settled() {
+  return writeQueue;
+}
+
+function enqueue(task) {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
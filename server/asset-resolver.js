@@ -0,0 +1,241 @@
+import { JSDOM } from 'jsdom';
+import { safeFetch, withTimeout } from './url-policy.js';
+import { getConfig } from './config.js';
+
+// Elements and the attribute holding a single URL
+const URL_ATTRIBUTES = [
+  ['a[href], area[href], link[href], use[href], image[href]', 'href'],
+  ['use[xlink\\:href], image[xlink\\:href]', 'xlink:href'],
+  ['img[src], script[src], iframe[src], source[src], audio[src], video[src], embed[src], track[src], input[src]', 'src'],
+  ['video[poster]', 'poster'],
+  ['object[data]', 'data'],
+  ['form[action]', 'action']
+];
+const SRCSET_ATTRIBUTES = [['img[srcset], source[srcset]', 'srcset'], ['link[imagesrcset]', 'imagesrcset']];
+
+// References that are not relative paths and must be left as written
+const UNRESOLVABLE = /^(#|data:|blob:|about:|javascript:|mailto:|tel:|sms:)/i;
+
+const CSS_URL = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)'"\s]*))\s*\)/gi;
+const CSS_IMPORT = /@import\s+(["'])([^"']+)\1/gi;
+
+const EMBEDDABLE_TYPES = /^(image\/|font\/|application\/(font-|x-font-|vnd\.ms-fontobject))/i;
+const EXTENSION_TYPES = {
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif',
+  svg: 'image/svg+xml', ico: 'image/x-icon', woff: 'font/woff', woff2: 'font/woff2', ttf: 'font/ttf', otf: 'font/otf',
+  eot: 'application/vnd.ms-fontobject'
+};
+
+/**
+ * Absolute form of a URL reference, or the reference unchanged when it is a
+ * fragment, data: URI or similar, or there is nothing to resolve against
+ */
+export function resolveUrl(reference, baseUrl) {
+  const trimmed = reference.trim();
+  if (!trimmed || UNRESOLVABLE.test(trimmed) || !baseUrl) return reference;
+  try {
+    return new URL(trimmed, baseUrl).href;
+  } catch {
+    return reference;
+  }
+}
+
+/**
+ * Rewrite url(...) references and @import strings in a stylesheet. Relative
+ * URLs in CSS are relative to the stylesheet, so pass the sheet's own URL for
+ * fetched stylesheets and the page URL for inline styles.
+ */
+export function resolveCssUrls(css, baseUrl) {
+  return rewriteCssUrls(css, url => resolveUrl(url, baseUrl));
+}
+
+function rewriteCssUrls(css, mapUrl) {
+  return css
+    .replace(CSS_URL, (match, double, single, bare) => {
+      const url = double ?? single ?? bare;
+      const quote = double !== undefined ? '"' : single !== undefined ? "'" : '';
+      const mapped = mapUrl(url, 'url');
+      return mapped === url ? match : `url(${quote}${mapped}${quote})`;
+    })
+    .replace(CSS_IMPORT, (match, quote, url) => {
+      const mapped = mapUrl(url, 'import');
+      return mapped === url ? match : `@import ${quote}${mapped}${quote}`;
+    });
+}
+
+/**
+ * Split a srcset into { url, descriptor } candidates. URLs may contain
+ * commas (data: URIs), so candidates are only split on commas after a URL.
+ */
+export function parseSrcset(srcset) {
+  const candidates = [];
+  let position = 0;
+
+  while (position < srcset.length) {
+    while (position < srcset.length && /[\s,]/.test(srcset[position])) position++;
+    if (position >= srcset.length) break;
+
+    let end = position;
+    while (end < srcset.length && !/\s/.test(srcset[end])) end++;
+    let url = srcset.slice(position, end);
+    position = end;
+
+    let descriptor = '';
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+    } else {
+      const comma = srcset.indexOf(',', position);
+      const stop = comma === -1 ? srcset.length : comma;
+      descriptor = srcset.slice(position, stop).trim();
+      position = stop + 1;
+    }
+    candidates.push({ url, descriptor });
+  }
+  return candidates;
+}
+
+function formatSrcset(candidates) {
+  return candidates.map(({ url, descriptor }) => (descriptor ? `${url} ${descriptor}` : url)).join(', ');
+}
+
+/**
+ * The URL relative references resolve against: <base href> (itself relative
+ * to the page) when present, otherwise the page URL
+ */
+function documentBase(doc, pageUrl) {
+  const href = doc.querySelector('base[href]')?.getAttribute('href');
+  return href ? resolveUrl(href, pageUrl) : pageUrl;
+}
+
+function resolveDocument(doc, pageUrl) {
+  const baseUrl = documentBase(doc, pageUrl);
+
+  // Everything is absolute afterwards, and a <base> left behind would only
+  // confuse srcdoc previews; its target still applies to links, so keep that
+  doc.querySelectorAll('base[href]').forEach(base => {
+    if (base.hasAttribute('target')) base.removeAttribute('href');
+    else base.remove();
+  });
+  if (!baseUrl) return;
+
+  for (const [selector, attribute] of URL_ATTRIBUTES) {
+    doc.querySelectorAll(selector).forEach(el => el.setAttribute(attribute, resolveUrl(el.getAttribute(attribute), baseUrl)));
+  }
+  for (const [selector, attribute] of SRCSET_ATTRIBUTES) {
+    doc.querySelectorAll(selector).forEach(el => {
+      const candidates = parseSrcset(el.getAttribute(attribute)).map(({ url, descriptor }) => ({ url: resolveUrl(url, baseUrl), descriptor }));
+      el.setAttribute(attribute, formatSrcset(candidates));
+    });
+  }
+  doc.querySelectorAll('style').forEach(style => {
+    style.textContent = resolveCssUrls(style.textContent, baseUrl);
+  });
+  doc.querySelectorAll('[style]').forEach(el => {
+    el.setAttribute('style', resolveCssUrls(el.getAttribute('style'), baseUrl));
+  });
+}
+
+/**
+ * Make every relative URL in a page absolute against the URL it was fetched
+ * from: links, media, srcset candidates, inline CSS url() and @import, and
+ * anything under a <base href>. Fragments and data: URIs are left alone.
+ */
+export function resolveAssetUrls(html, pageUrl) {
+  const dom = new JSDOM(html);
+  const doc = dom.window.document;
+  if (!pageUrl && !doc.querySelector('base[href]')) return html;
+
+  resolveDocument(doc, pageUrl);
+  return dom.serialize();
+}
+
+/**
+ * Replace small images and fonts with data: URIs so the page works without
+ * network access: <img src>, icons, CSS backgrounds and @font-face sources.
+ * Assets over maxAssetBytes, or past the total budget, keep their absolute URL,
+ * as do srcset candidates, which browsers prefer over src when they load.
+ * Resolves to { html, embedded: [{ url, bytes, type }], skipped: [{ url, reason }] }.
+ */
+export async function embedAssets(html, { pageUrl, maxAssetBytes = 20000, maxTotalBytes = 2000000, signal } = {}) {
+  const dom = new JSDOM(html);
+  const doc = dom.window.document;
+  resolveDocument(doc, pageUrl);
+
+  const dataUris = new Map();
+  const embedded = [];
+  const skipped = [];
+  let totalBytes = 0;
+
+  const embed = async url => {
+    if (dataUris.has(url)) return dataUris.get(url) ?? url;
+    dataUris.set(url, null);
+    if (!/^https?:/i.test(url)) return url;
+
+    if (totalBytes >= maxTotalBytes) {
+      skipped.push({ url, reason: 'Embedding budget exhausted' });
+      return url;
+    }
+    signal?.throwIfAborted();
+
+    try {
+      const response = await safeFetch(url, { signal: withTimeout(signal, getConfig().fetch.assetTimeout), maxBytes: maxAssetBytes });
+      if (!response.ok) {
+        skipped.push({ url, reason: `HTTP ${response.status}` });
+        return url;
+      }
+      const type = contentType(response.headers.get('content-type'), url);
+      if (!type) {
+        skipped.push({ url, reason: 'Not an image or font' });
+        return url;
+      }
+      if (totalBytes + response.body.length > maxTotalBytes) {
+        skipped.push({ url, reason: 'Would exceed embedding budget', bytes: response.body.length });
+        return url;
+      }
+
+      const dataUri = `data:${type};base64,${response.body.toString('base64')}`;
+      totalBytes += response.body.length;
+      dataUris.set(url, dataUri);
+      embedded.push({ url, bytes: response.body.length, type });
+      return dataUri;
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      skipped.push({ url, reason: error.message });
+      return url;
+    }
+  };
+
+  const embedCss = async css => {
+    const urls = new Set();
+    rewriteCssUrls(css, (url, kind) => {
+      if (kind === 'url') urls.add(url);
+      return url;
+    });
+    for (const url of urls) await embed(url);
+    return rewriteCssUrls(css, (url, kind) => (kind === 'url' && dataUris.get(url)) || url);
+  };
+
+  for (const img of doc.querySelectorAll('img[src], input[type="image"][src]')) {
+    img.setAttribute('src', await embed(img.getAttribute('src')));
+  }
+  for (const link of doc.querySelectorAll('link[href][rel~="icon"], link[href][rel="apple-touch-icon"]')) {
+    link.setAttribute('href', await embed(link.getAttribute('href')));
+  }
+  for (const style of doc.querySelectorAll('style')) {
+    style.textContent = await embedCss(style.textContent);
+  }
+  for (const el of doc.querySelectorAll('[style]')) {
+    el.setAttribute('style', await embedCss(el.getAttribute('style')));
+  }
+
+  return { html: dom.serialize(), embedded, skipped };
+}
+
+function contentType(header, url) {
+  const declared = (header || '').split(';')[0].trim().toLowerCase();
+  if (EMBEDDABLE_TYPES.test(declared)) return declared;
+  // Servers often send fonts and icons as application/octet-stream
+  if (declared && declared !== 'application/octet-stream') return null;
+  const extension = new URL(url).pathname.split('.').pop().toLowerCase();
+  return EXTENSION_TYPES[extension] || null;
+}
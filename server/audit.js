@@ -0,0 +1,366 @@
+import { analyzeContrast } from './contrast.js';
+import { cssPath, isHidden, normalizedText, snippet } from './dom-utils.js';
+
+export const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+const LABELABLE_INPUTS = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), textarea, select';
+
+/**
+ * Accessibility rules. Each check returns the offending nodes, optionally
+ * with a more specific message than the rule description.
+ */
+export const RULES = [
+  {
+    id: 'image-alt',
+    wcag: '1.1.1',
+    severity: 'critical',
+    description: 'Images must have alternative text',
+    fix: 'Add an alt attribute describing the image, or alt="" if it is purely decorative.',
+    check: doc => [...doc.querySelectorAll('img:not([alt]), input[type="image"]:not([alt]), area[href]:not([alt])')]
+      .filter(el => !isHidden(el) && el.getAttribute('role') !== 'presentation' && el.getAttribute('role') !== 'none')
+      .filter(el => !hasAriaName(el))
+      .map(node => ({ node }))
+  },
+  {
+    id: 'form-label',
+    wcag: '1.3.1',
+    severity: 'critical',
+    description: 'Form fields must have a programmatic label',
+    fix: 'Associate a <label for="..."> with the field, wrap it in a <label>, or add aria-label/aria-labelledby.',
+    check: doc => [...doc.querySelectorAll(LABELABLE_INPUTS)]
+      .filter(el => !isHidden(el) && !hasFormLabel(el))
+      .map(node => ({ node }))
+  },
+  {
+    id: 'landmark-main',
+    wcag: '1.3.1',
+    severity: 'moderate',
+    description: 'Page should have exactly one main landmark',
+    fix: 'Wrap the primary content in a single <main> element.',
+    check: doc => {
+      const mains = [...doc.querySelectorAll('main, [role="main"]')].filter(el => !isHidden(el));
+      if (mains.length === 0 && doc.body) {
+        return [{ node: doc.body, message: 'Page has no main landmark' }];
+      }
+      return mains.slice(1).map(node => ({ node, message: 'Page has more than one main landmark' }));
+    }
+  },
+  {
+    id: 'landmark-content',
+    wcag: '1.3.1',
+    severity: 'minor',
+    description: 'Header, navigation and footer content should use landmark elements',
+    fix: 'Use <header>, <nav> and <footer> (or the matching roles) instead of generic containers.',
+    check: doc => {
+      const findings = [];
+      const pairs = [
+        ['header, [role="banner"]', '.header, #header', 'header'],
+        ['nav, [role="navigation"]', '.nav, .navigation, .menu, #nav', 'nav'],
+        ['footer, [role="contentinfo"]', '.footer, #footer', 'footer']
+      ];
+      for (const [landmark, lookalike, name] of pairs) {
+        const fake = doc.querySelector(lookalike);
+        if (!doc.querySelector(landmark) && fake) {
+          findings.push({ node: fake, message: `Looks like a ${name} but is not a <${name}> landmark` });
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'page-has-heading-one',
+    wcag: '2.4.6',
+    severity: 'moderate',
+    description: 'Page should have a level-one heading',
+    fix: 'Add a single <h1> that describes the page.',
+    check: doc => doc.body && !doc.querySelector('h1, [role="heading"][aria-level="1"]')
+      ? [{ node: doc.body }]
+      : []
+  },
+  {
+    id: 'heading-order',
+    wcag: '1.3.1',
+    severity: 'moderate',
+    description: 'Heading levels should only increase by one',
+    fix: 'Use the next heading level down instead of skipping levels; restyle with CSS if needed.',
+    check: doc => {
+      const findings = [];
+      let previous = 0;
+      for (const heading of doc.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+        if (isHidden(heading)) continue;
+        const level = parseInt(heading.tagName.charAt(1));
+        if (previous && level > previous + 1) {
+          findings.push({ node: heading, message: `Heading jumps from h${previous} to h${level}` });
+        }
+        previous = level;
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'empty-heading',
+    wcag: '2.4.6',
+    severity: 'serious',
+    description: 'Headings must have discernible text',
+    fix: 'Give the heading text content, or remove it if it is only used for styling.',
+    check: doc => [...doc.querySelectorAll('h1, h2, h3, h4, h5, h6')]
+      .filter(el => !isHidden(el) && !accessibleName(el))
+      .map(node => ({ node }))
+  },
+  {
+    id: 'link-name',
+    wcag: '2.4.4',
+    severity: 'serious',
+    description: 'Links must have discernible text',
+    fix: 'Add link text, an aria-label, or alt text on the image inside the link.',
+    check: doc => [...doc.querySelectorAll('a[href]')]
+      .filter(el => !isHidden(el) && !accessibleName(el))
+      .map(node => ({ node }))
+  },
+  {
+    id: 'button-name',
+    wcag: '4.1.2',
+    severity: 'critical',
+    description: 'Buttons must have discernible text',
+    fix: 'Add text inside the button, a value on the input, or an aria-label.',
+    check: doc => [...doc.querySelectorAll('button, [role="button"], input[type="button"], input[type="submit"], input[type="reset"]')]
+      .filter(el => !isHidden(el) && !buttonName(el))
+      .map(node => ({ node }))
+  },
+  {
+    id: 'color-contrast',
+    wcag: '1.4.3',
+    severity: 'serious',
+    description: 'Text must have sufficient contrast against its background',
+    fix: 'Darken the text or lighten the background until the ratio is at least 4.5:1 (3:1 for large text).',
+    check: doc => analyzeContrast(doc).failing
+      .filter(result => !result.aa)
+      .map(result => ({
+        node: doc.querySelector(result.selector),
+        message: `Contrast ratio ${result.ratio}:1 (${result.foreground} on ${result.background}) is below ${result.large ? 3 : 4.5}:1`
+      }))
+      .filter(result => result.node)
+  },
+  {
+    id: 'html-lang',
+    wcag: '3.1.1',
+    severity: 'serious',
+    description: 'The <html> element must have a valid lang attribute',
+    fix: 'Set lang on <html> to the page language, e.g. <html lang="en">.',
+    check: doc => {
+      const lang = doc.documentElement.getAttribute('lang')?.trim();
+      if (!lang) return [{ node: doc.documentElement, message: '<html> has no lang attribute' }];
+      if (!/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{1,8})*$/.test(lang)) {
+        return [{ node: doc.documentElement, message: `"${lang}" is not a valid language tag` }];
+      }
+      return [];
+    }
+  },
+  {
+    id: 'tabindex',
+    wcag: '2.4.3',
+    severity: 'serious',
+    description: 'Elements should not have a positive tabindex',
+    fix: 'Use tabindex="0" or reorder the DOM instead of forcing a tab order.',
+    check: doc => [...doc.querySelectorAll('[tabindex]')]
+      .filter(el => parseInt(el.getAttribute('tabindex')) > 0)
+      .map(node => ({ node, message: `tabindex="${node.getAttribute('tabindex')}" overrides the natural focus order` }))
+  },
+  {
+    id: 'focusable-aria-hidden',
+    wcag: '4.1.2',
+    severity: 'serious',
+    description: 'aria-hidden content must not be focusable',
+    fix: 'Remove aria-hidden or take the element out of the tab order with tabindex="-1".',
+    check: doc => [...doc.querySelectorAll('[aria-hidden="true"] a[href], [aria-hidden="true"] button, [aria-hidden="true"] input, [aria-hidden="true"] [tabindex]')]
+      .filter(el => el.getAttribute('tabindex') !== '-1' && !el.disabled)
+      .map(node => ({ node }))
+  },
+  {
+    id: 'duplicate-id',
+    wcag: '4.1.1',
+    severity: 'minor',
+    description: 'id attribute values must be unique',
+    fix: 'Give each element a unique id.',
+    check: doc => {
+      const referenced = referencedIds(doc);
+      const seen = new Map();
+      const findings = [];
+      for (const el of doc.querySelectorAll('[id]')) {
+        const id = el.id;
+        if (!id) continue;
+        if (seen.has(id)) {
+          findings.push({
+            node: el,
+            message: `id "${id}" is used more than once${referenced.has(id) ? ' and is referenced by a label or ARIA attribute' : ''}`,
+            severity: referenced.has(id) ? 'serious' : undefined
+          });
+        } else {
+          seen.set(id, el);
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'bypass',
+    wcag: '2.4.1',
+    severity: 'moderate',
+    description: 'Pages with navigation should offer a skip link to the main content',
+    fix: 'Add a "Skip to main content" link as the first focusable element, pointing at the id of <main>.',
+    check: doc => doc.querySelector('nav, [role="navigation"]') && !findSkipLink(doc)
+      ? [{ node: doc.querySelector('nav, [role="navigation"]') }]
+      : []
+  }
+];
+
+/**
+ * Run every rule against a parsed document
+ */
+export function runAudit(doc) {
+  const findings = [];
+
+  for (const rule of RULES) {
+    for (const result of rule.check(doc)) {
+      findings.push({
+        id: rule.id,
+        wcag: rule.wcag,
+        severity: result.severity || rule.severity,
+        message: result.message || rule.description,
+        selector: cssPath(result.node),
+        snippet: snippet(result.node),
+        fix: rule.fix
+      });
+    }
+  }
+
+  findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+  const bySeverity = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  const byRule = {};
+  findings.forEach(finding => {
+    bySeverity[finding.severity]++;
+    byRule[finding.id] = (byRule[finding.id] || 0) + 1;
+  });
+
+  return {
+    findings,
+    summary: {
+      total: findings.length,
+      bySeverity,
+      byRule,
+      passedRules: RULES.map(rule => rule.id).filter(id => !byRule[id])
+    }
+  };
+}
+
+/**
+ * Compact, prompt-friendly list of findings grouped by rule
+ */
+export function formatFindingsForPrompt(findings, maxPerRule = 3) {
+  if (findings.length === 0) return '- No automated accessibility violations found';
+
+  const groups = new Map();
+  findings.forEach(finding => {
+    if (!groups.has(finding.id)) groups.set(finding.id, []);
+    groups.get(finding.id).push(finding);
+  });
+
+  return [...groups.values()].map(group => {
+    const [first] = group;
+    const selectors = group.slice(0, maxPerRule).map(f => `\`${f.selector}\``).join(', ');
+    const more = group.length > maxPerRule ? ` (+${group.length - maxPerRule} more)` : '';
+    return `- [${first.severity}] ${first.id} (WCAG ${first.wcag}, ${group.length}x): ${first.message} at ${selectors}${more}. Fix: ${first.fix}`;
+  }).join('\n');
+}
+
+/**
+ * A skip link is an in-page link near the top of the body whose target exists
+ */
+export function findSkipLink(doc) {
+  const focusable = [...(doc.body?.querySelectorAll('a[href], button, input, select, textarea') || [])].slice(0, 3);
+  return focusable.find(el => {
+    const href = el.getAttribute('href');
+    if (!href || !href.startsWith('#') || href.length < 2) return false;
+    const targetId = decodeFragment(href.slice(1));
+    return !!doc.getElementById(targetId) || !!doc.querySelector(`a[name="${targetId.replace(/"/g, '\\"')}"]`);
+  }) || null;
+}
+
+// Browsers fall back to the raw fragment when it isn't valid percent-encoding (#50%off)
+function decodeFragment(fragment) {
+  try {
+    return decodeURIComponent(fragment);
+  } catch {
+    return fragment;
+  }
+}
+
+/**
+ * Whether a form field has a label by any of the mechanisms browsers support
+ */
+export function hasFormLabel(el) {
+  const doc = el.ownerDocument;
+  if (hasAriaName(el)) return true;
+  if (el.id && [...doc.querySelectorAll('label[for]')].some(label => label.getAttribute('for') === el.id && normalizedText(label))) {
+    return true;
+  }
+  const wrapping = el.closest('label');
+  if (wrapping && normalizedText(wrapping)) return true;
+  return !!el.getAttribute('title')?.trim();
+}
+
+/**
+ * Simplified accessible name computation: aria-labelledby, aria-label,
+ * then text content including image alt text, then title
+ */
+export function accessibleName(el) {
+  const doc = el.ownerDocument;
+  const labelledBy = el.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const text = labelledBy.split(/\s+/)
+      .map(id => normalizedText(doc.getElementById(id)))
+      .join(' ')
+      .trim();
+    if (text) return text;
+  }
+
+  const ariaLabel = el.getAttribute('aria-label')?.trim();
+  if (ariaLabel) return ariaLabel;
+
+  const clone = el.cloneNode(true);
+  clone.querySelectorAll('[aria-hidden="true"]').forEach(hidden => hidden.remove());
+  clone.querySelectorAll('img[alt], svg title').forEach(node => {
+    node.replaceWith(doc.createTextNode(` ${node.getAttribute?.('alt') ?? node.textContent} `));
+  });
+  const text = normalizedText(clone);
+  if (text) return text;
+
+  return el.getAttribute('title')?.trim() || '';
+}
+
+function buttonName(el) {
+  if (el.tagName === 'INPUT') {
+    const type = el.getAttribute('type');
+    return hasAriaName(el) || !!el.getAttribute('value')?.trim() || type === 'submit' || type === 'reset';
+  }
+  return !!accessibleName(el);
+}
+
+function hasAriaName(el) {
+  const doc = el.ownerDocument;
+  if (el.getAttribute('aria-label')?.trim()) return true;
+  const labelledBy = el.getAttribute('aria-labelledby');
+  return !!labelledBy && labelledBy.split(/\s+/).some(id => normalizedText(doc.getElementById(id)));
+}
+
+function referencedIds(doc) {
+  const ids = new Set();
+  doc.querySelectorAll('label[for]').forEach(label => ids.add(label.getAttribute('for')));
+  doc.querySelectorAll('[aria-labelledby], [aria-describedby], [aria-controls]').forEach(el => {
+    ['aria-labelledby', 'aria-describedby', 'aria-controls'].forEach(attr => {
+      el.getAttribute(attr)?.split(/\s+/).forEach(id => ids.add(id));
+    });
+  });
+  return ids;
+}
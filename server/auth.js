@@ -0,0 +1,183 @@
+import crypto from 'crypto';
+import { API_SCOPES, findApiKey, recordUsage, usageToday } from './api-keys.js';
+import { estimateTokens } from './chunker.js';
+import { getConfig } from './config.js';
+
+/**
+ * Auth settings from config. The mode defaults to on in production.
+ * rateLimit (requests per minute), dailyRequests and dailyTokens are the
+ * limits for keys that don't set their own; 0 turns a limit off.
+ * ADMIN_API_KEY, a bootstrap key with every scope and no limits, is a
+ * secret and so only read from the environment.
+ */
+export function getAuthSettings() {
+  const { mode, rateLimit, dailyRequests, dailyTokens } = getConfig().auth;
+  return {
+    enabled: mode === 'on',
+    adminKey: process.env.ADMIN_API_KEY || null,
+    rateLimit,
+    dailyRequests,
+    dailyTokens
+  };
+}
+
+/**
+ * Fixed one-minute windows per key. take(id, limit) counts a request and
+ * reports whether it's allowed and, if not, how many seconds until it is.
+ */
+export function createRateLimiter({ windowMs = 60000 } = {}) {
+  const windows = new Map();
+
+  return {
+    take(id, limit, now = Date.now()) {
+      let window = windows.get(id);
+      if (!window || now >= window.resetAt) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(id, window);
+      }
+      if (limit && window.count >= limit) {
+        return { allowed: false, remaining: 0, retryAfter: Math.ceil((window.resetAt - now) / 1000) };
+      }
+      window.count++;
+      return { allowed: true, remaining: limit ? limit - window.count : null, retryAfter: 0 };
+    },
+    reset: () => windows.clear()
+  };
+}
+
+export const rateLimiter = createRateLimiter();
+
+/**
+ * Middleware requiring a key with every one of the given scopes, sent as
+ * "Authorization: Bearer <key>" or X-API-Key. With API_AUTH off only admin
+ * routes are checked. Admitted requests count against the key's rate limit
+ * and daily quotas, and get req.meter(tokens) to charge model usage.
+ */
+export function requireScope(...scopes) {
+  return async (req, res, next) => {
+    const settings = getAuthSettings();
+    if (!settings.enabled && !scopes.includes('admin')) return next();
+
+    const secret = readSecret(req);
+    if (!secret) {
+      return res.status(401).json({ error: 'An API key is required. Send it as "Authorization: Bearer <key>".', code: 'API_KEY_REQUIRED' });
+    }
+    if (settings.adminKey && sameSecret(secret, settings.adminKey)) {
+      req.apiKey = { id: 'admin', name: 'ADMIN_API_KEY', scopes: API_SCOPES };
+      return next();
+    }
+
+    const key = await findApiKey(secret);
+    if (!key || key.revokedAt) {
+      return res.status(401).json({ error: 'API key is invalid or has been revoked.', code: 'API_KEY_INVALID' });
+    }
+    const missing = scopes.filter(scope => !key.scopes.includes(scope));
+    if (missing.length) {
+      return res.status(403).json({ error: `API key is missing the ${missing.join(', ')} scope.`, code: 'SCOPE_REQUIRED' });
+    }
+
+    const limits = resolveLimits(key, settings);
+    const rate = rateLimiter.take(key.id, limits.rateLimit);
+    if (!rate.allowed) {
+      return tooManyRequests(res, rate.retryAfter, `Rate limit of ${limits.rateLimit} requests per minute exceeded.`, 'RATE_LIMITED');
+    }
+    const used = usageToday(key);
+    if (limits.dailyRequests && used.requests >= limits.dailyRequests) {
+      return tooManyRequests(res, secondsUntilTomorrow(), `Daily quota of ${limits.dailyRequests} requests used up.`, 'QUOTA_EXCEEDED');
+    }
+    if (limits.dailyTokens && used.tokens >= limits.dailyTokens) {
+      return tooManyRequests(res, secondsUntilTomorrow(), `Daily quota of ${limits.dailyTokens} model tokens used up.`, 'QUOTA_EXCEEDED');
+    }
+
+    if (limits.rateLimit) {
+      res.set('X-RateLimit-Limit', String(limits.rateLimit));
+      res.set('X-RateLimit-Remaining', String(rate.remaining));
+    }
+    await recordUsage(key.id, { requests: 1 });
+
+    // Charged when the response ends, including streams the client abandons
+    let tokens = 0;
+    req.apiKey = key;
+    req.meter = count => {
+      tokens += count;
+    };
+    res.once('close', () => {
+      if (!tokens) return;
+      recordUsage(key.id, { tokens }).catch(error => console.error('Could not record token usage:', error.message));
+    });
+    next();
+  };
+}
+
+/**
+ * A key's own limits, falling back to the server defaults where it has none
+ */
+export function resolveLimits(key, settings = getAuthSettings()) {
+  return {
+    rateLimit: key.rateLimit ?? settings.rateLimit,
+    dailyRequests: key.dailyRequests ?? settings.dailyRequests,
+    dailyTokens: key.dailyTokens ?? settings.dailyTokens
+  };
+}
+
+/**
+ * Owner recorded on crawl jobs and analyses a request creates: its key's id,
+ * or null when auth is off
+ */
+export function ownerOf(req) {
+  return req.apiKey?.id ?? null;
+}
+
+/**
+ * Whether a request may see a crawl job or analysis. Without auth everything
+ * is shared; admin keys see everything, other keys only what they created.
+ */
+export function canAccess(req, ownerId) {
+  if (!req.apiKey || req.apiKey.scopes.includes('admin')) return true;
+  return ownerId === req.apiKey.id;
+}
+
+/**
+ * Wrap a provider so every prompt and reply is charged to meter(tokens),
+ * using the same estimate as the chunker
+ */
+export function meterProvider(provider, meter) {
+  if (!meter) return provider;
+  return {
+    ...provider,
+    async generate(prompt, options) {
+      meter(estimateTokens(prompt));
+      const output = await provider.generate(prompt, options);
+      meter(estimateTokens(output));
+      return output;
+    },
+    async *stream(prompt, options) {
+      meter(estimateTokens(prompt));
+      for await (const text of provider.stream(prompt, options)) {
+        meter(estimateTokens(text));
+        yield text;
+      }
+    }
+  };
+}
+
+function readSecret(req) {
+  const header = req.get('Authorization') || '';
+  const bearer = header.match(/^Bearer\s+(\S+)$/i);
+  return bearer ? bearer[1] : req.get('X-API-Key') || null;
+}
+
+function sameSecret(a, b) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function tooManyRequests(res, retryAfter, error, code) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, code, retryAfter });
+}
+
+function secondsUntilTomorrow(now = new Date()) {
+  const tomorrow = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((tomorrow - now.getTime()) / 1000);
+}
@@ -0,0 +1,204 @@
+import { assertUrlAllowed } from './url-policy.js';
+import { getConfig } from './config.js';
+import { SOURCE_ATTRIBUTE } from './css-pipeline.js';
+
+const DEFAULT_VIEWPORT = { width: 1280, height: 800 };
+
+// Inherited properties worth pinning on elements so jsdom-based analysis sees
+// the values the browser actually resolved (CSS variables, runtime styles...)
+const PINNED_PROPERTIES = ['color', 'background-color', 'font-family', 'font-size', 'font-weight'];
+
+let browserPromise;
+let activePages = 0;
+const waiting = [];
+
+/**
+ * Raised when no headless browser can be started in this environment
+ */
+export class RenderUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RenderUnavailableError';
+  }
+}
+
+/**
+ * Shared headless Chromium, launched on first use. Set CHROMIUM_PATH (or
+ * render.chromiumPath) to use a system browser instead of the one installed
+ * by `npm run install-browser`.
+ */
+export async function getBrowser() {
+  browserPromise ??= (async () => {
+    let chromium;
+    try {
+      ({ chromium } = await import('playwright'));
+    } catch {
+      throw new RenderUnavailableError('Playwright is not installed. Run npm install in the server directory.');
+    }
+
+    try {
+      return await chromium.launch({
+        executablePath: getConfig().render.chromiumPath || undefined,
+        args: ['--no-sandbox', '--disable-dev-shm-usage']
+      });
+    } catch (error) {
+      throw new RenderUnavailableError(
+        `Could not start headless Chromium (${error.message.split('\n')[0]}). Run npm run install-browser or set CHROMIUM_PATH.`
+      );
+    }
+  })();
+
+  try {
+    return await browserPromise;
+  } catch (error) {
+    browserPromise = undefined;
+    throw error;
+  }
+}
+
+/**
+ * Run fn(page) in a fresh browser context, with a cap on concurrent pages.
+ * Every request the page makes goes through the same URL policy as /fetch-html.
+ */
+export async function withPage(fn, { viewport = DEFAULT_VIEWPORT, signal, javaScriptEnabled = true, userAgent } = {}) {
+  const browser = await getBrowser();
+  await acquireSlot(signal);
+
+  // The slot is released even when the context can't be created, or a
+  // crashed browser would leak it and every later render would wait forever
+  let context;
+  const abort = () => context?.close().catch(() => {});
+  try {
+    context = await browser.newContext({ viewport, javaScriptEnabled, deviceScaleFactor: 1, ...(userAgent && { userAgent }) });
+    signal?.addEventListener('abort', abort, { once: true });
+
+    const page = await context.newPage();
+    await page.route('**/*', async route => {
+      const requestUrl = route.request().url();
+      if (requestUrl.startsWith('data:') || requestUrl.startsWith('blob:') || requestUrl === 'about:blank') {
+        return route.continue();
+      }
+      try {
+        await assertUrlAllowed(requestUrl);
+        await route.continue();
+      } catch {
+        await route.abort('blockedbyclient');
+      }
+    });
+    return await fn(page);
+  } finally {
+    signal?.removeEventListener('abort', abort);
+    await context?.close().catch(() => {});
+    releaseSlot();
+  }
+}
+
+/**
+ * Load a URL in headless Chromium, wait for it to settle and return the
+ * hydrated DOM. Stylesheets are replaced by their live CSSOM (which includes
+ * rules injected at runtime), scripts are dropped so the snapshot doesn't
+ * re-render itself, and resolved colors/fonts are pinned as inline styles.
+ */
+export async function renderPage(url, {
+  waitUntil = 'networkidle',
+  waitForSelector,
+  timeout = getConfig().render.timeout,
+  viewport,
+  inlineComputedStyles = true,
+  userAgent,
+  signal
+} = {}) {
+  await assertUrlAllowed(url);
+
+  return withPage(async page => {
+    const response = await page.goto(url, { waitUntil, timeout });
+    if (waitForSelector) {
+      await page.waitForSelector(waitForSelector, { timeout });
+    }
+
+    const html = await page.evaluate(snapshotDocument, { pinned: inlineComputedStyles ? PINNED_PROPERTIES : [], sourceAttribute: SOURCE_ATTRIBUTE });
+
+    return {
+      html,
+      finalUrl: page.url(),
+      status: response?.status() ?? null
+    };
+  }, { viewport, signal, userAgent });
+}
+
+/**
+ * Add a <base> so relative images and fonts in a detached HTML string resolve
+ */
+export function withBaseUrl(html, baseUrl) {
+  if (!baseUrl || /<base\s/i.test(html)) return html;
+  const base = `<base href="${baseUrl.replace(/"/g, '&quot;')}">`;
+  return /<head[^>]*>/i.test(html) ? html.replace(/<head[^>]*>/i, match => `${match}${base}`) : `${base}${html}`;
+}
+
+/**
+ * Runs inside the page
+ */
+function snapshotDocument({ pinned, sourceAttribute }) {
+  const doc = document;
+
+  if (pinned.length) {
+    for (const el of doc.body.querySelectorAll('*')) {
+      const style = getComputedStyle(el);
+      const parentStyle = el.parentElement ? getComputedStyle(el.parentElement) : null;
+      for (const property of pinned) {
+        const value = style.getPropertyValue(property);
+        const inherited = property !== 'background-color' && parentStyle?.getPropertyValue(property) === value;
+        const transparent = property === 'background-color' && value === 'rgba(0, 0, 0, 0)';
+        if (!inherited && !transparent && !el.style.getPropertyValue(property)) {
+          el.style.setProperty(property, value);
+        }
+      }
+    }
+  }
+
+  for (const sheet of [...doc.styleSheets]) {
+    const owner = sheet.ownerNode;
+    if (!owner) continue;
+    let rules;
+    try {
+      rules = [...sheet.cssRules].map(rule => rule.cssText).join('\n');
+    } catch {
+      continue; // Cross-origin sheet: keep the <link> so CSS inlining can fetch it
+    }
+    const style = doc.createElement('style');
+    if (sheet.media?.mediaText) style.setAttribute('media', sheet.media.mediaText);
+    if (sheet.href) style.setAttribute(sourceAttribute, sheet.href);
+    style.textContent = rules;
+    owner.replaceWith(style);
+  }
+
+  doc.querySelectorAll('script:not([type="application/ld+json"]), link[rel="modulepreload"], link[rel="preload"][as="script"]')
+    .forEach(el => el.remove());
+
+  const doctype = doc.doctype ? `<!DOCTYPE ${doc.doctype.name}>` : '<!DOCTYPE html>';
+  return `${doctype}\n${doc.documentElement.outerHTML}`;
+}
+
+function acquireSlot(signal) {
+  if (activePages < getConfig().render.maxPages) {
+    activePages++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const entry = () => {
+      activePages++;
+      resolve();
+    };
+    waiting.push(entry);
+    signal?.addEventListener('abort', () => {
+      const index = waiting.indexOf(entry);
+      if (index !== -1) waiting.splice(index, 1);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+function releaseSlot() {
+  activePages--;
+  waiting.shift()?.();
+}
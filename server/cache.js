@@ -0,0 +1,208 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { safeFetch } from './url-policy.js';
+import { CONFIG_SCHEMA, getConfig } from './config.js';
+
+const CACHE_DIR = path.join(getConfig().server.dataDir, 'cache');
+
+export const CACHE_BACKENDS = CONFIG_SCHEMA.cache.backend.values;
+
+// Response headers kept with cached bodies
+const STORED_HEADERS = ['content-type', 'etag', 'last-modified'];
+
+/**
+ * Cache settings from config: the backend, its size limits (maxBytes applies
+ * to the memory backend) and TTLs in seconds for pages, stylesheets and
+ * analyses. A TTL of 0 turns that cache off.
+ */
+export function getCacheSettings() {
+  const { backend, maxEntries, maxBytes, pageTtl, stylesheetTtl, analysisTtl } = getConfig().cache;
+  return {
+    backend,
+    maxEntries,
+    maxBytes,
+    ttl: { page: pageTtl, stylesheet: stylesheetTtl, analysis: analysisTtl }
+  };
+}
+
+/**
+ * Stable SHA-256 of a string or JSON-serializable value
+ */
+export function hashKey(value) {
+  return crypto.createHash('sha256').update(typeof value === 'string' ? value : JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Cache for one kind of entry (pages, stylesheets, analyses) on the
+ * configured backend. Every backend has the same async get/set/delete/clear.
+ */
+export function createCache(namespace, settings = getCacheSettings()) {
+  if (settings.backend === 'disk') return createDiskCache({ dir: path.join(CACHE_DIR, namespace), maxEntries: settings.maxEntries });
+  if (settings.backend === 'off') return createNullCache();
+  return createMemoryCache({ maxEntries: settings.maxEntries, maxBytes: settings.maxBytes });
+}
+
+/**
+ * Least-recently-used cache in a Map, bounded by entry count and by the
+ * approximate JSON size of its entries
+ */
+export function createMemoryCache({ maxEntries = 500, maxBytes = 100 * 1024 * 1024 } = {}) {
+  const entries = new Map();
+  let bytes = 0;
+
+  const remove = key => {
+    const existing = entries.get(key);
+    if (!existing) return;
+    bytes -= existing.size;
+    entries.delete(key);
+  };
+
+  return {
+    async get(key) {
+      const existing = entries.get(key);
+      if (!existing) return undefined;
+      // Re-insert so iteration order runs from least to most recently used
+      entries.delete(key);
+      entries.set(key, existing);
+      return existing.value;
+    },
+    async set(key, value) {
+      remove(key);
+      const size = Buffer.byteLength(JSON.stringify(value));
+      if (size > maxBytes) return;
+      entries.set(key, { value, size });
+      bytes += size;
+      for (const oldest of entries.keys()) {
+        if (entries.size <= maxEntries && bytes <= maxBytes) break;
+        remove(oldest);
+      }
+    },
+    async delete(key) {
+      remove(key);
+    },
+    async clear() {
+      entries.clear();
+      bytes = 0;
+    },
+    stats: () => ({ backend: 'memory', entries: entries.size, bytes })
+  };
+}
+
+/**
+ * One JSON file per entry, named by the key's hash. Reads touch the file's
+ * mtime so the oldest files are the least recently used when pruning.
+ */
+export function createDiskCache({ dir, maxEntries = 500 }) {
+  const file = key => path.join(dir, `${hashKey(key)}.json`);
+
+  const prune = async () => {
+    const names = (await fs.readdir(dir)).filter(name => name.endsWith('.json'));
+    if (names.length <= maxEntries) return;
+    const files = await Promise.all(names.map(async name => {
+      const stat = await fs.stat(path.join(dir, name)).catch(() => null);
+      return { name, mtime: stat?.mtimeMs ?? 0 };
+    }));
+    files.sort((a, b) => a.mtime - b.mtime);
+    await Promise.all(files.slice(0, files.length - maxEntries).map(({ name }) => fs.rm(path.join(dir, name), { force: true })));
+  };
+
+  return {
+    async get(key) {
+      try {
+        const stored = JSON.parse(await fs.readFile(file(key), 'utf8'));
+        if (stored.key !== key) return undefined;
+        const now = new Date();
+        await fs.utimes(file(key), now, now).catch(() => {});
+        return stored.value;
+      } catch (error) {
+        if (error.code === 'ENOENT' || error instanceof SyntaxError) return undefined;
+        throw error;
+      }
+    },
+    async set(key, value) {
+      await fs.mkdir(dir, { recursive: true });
+      // Write then rename so a crash never leaves half an entry behind
+      const temporary = `${file(key)}.${process.pid}.tmp`;
+      await fs.writeFile(temporary, JSON.stringify({ key, value }));
+      await fs.rename(temporary, file(key));
+      await prune();
+    },
+    async delete(key) {
+      await fs.rm(file(key), { force: true });
+    },
+    async clear() {
+      await fs.rm(dir, { recursive: true, force: true });
+    },
+    stats: () => ({ backend: 'disk', dir })
+  };
+}
+
+function createNullCache() {
+  return {
+    async get() {
+      return undefined;
+    },
+    async set() {},
+    async delete() {},
+    async clear() {},
+    stats: () => ({ backend: 'off' })
+  };
+}
+
+/**
+ * safeFetch through an HTTP cache. Fresh entries (younger than ttl seconds)
+ * are served without a request; stale ones with an ETag or Last-Modified are
+ * revalidated with a conditional request. Only 200 responses without
+ * Cache-Control: no-store are stored. Entries are keyed by key (default: the
+ * URL) together with the request headers, since a different User-Agent or
+ * Accept can get a different response. The result has safeFetch's shape plus
+ * cache: 'hit' | 'revalidated' | 'miss' | 'bypass', or 'off' without a cache or ttl.
+ */
+export async function cachedFetch(url, { cache, ttl, bypass = false, key: name = url, headers = {}, ...options } = {}) {
+  if (!cache || !ttl) return { ...(await safeFetch(url, { headers, ...options })), cache: 'off' };
+
+  const key = hashKey({ name, headers });
+  const stored = bypass ? undefined : await cache.get(key);
+  if (stored && Date.now() < stored.expiresAt) return fromEntry(stored, 'hit');
+
+  const conditional = { ...headers };
+  if (stored?.etag) conditional['If-None-Match'] = stored.etag;
+  if (stored?.lastModified) conditional['If-Modified-Since'] = stored.lastModified;
+
+  const response = await safeFetch(url, { headers: conditional, ...options });
+  if (response.status === 304 && stored) {
+    const refreshed = { ...stored, expiresAt: Date.now() + ttl * 1000 };
+    await cache.set(key, refreshed);
+    return fromEntry(refreshed, 'revalidated');
+  }
+
+  if (response.status === 200 && !/no-store/i.test(response.headers.get('cache-control') || '')) {
+    await cache.set(key, {
+      url: response.url,
+      status: response.status,
+      statusText: response.statusText,
+      headers: Object.fromEntries(STORED_HEADERS.filter(name => response.headers.has(name)).map(name => [name, response.headers.get(name)])),
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      body: response.body.toString('base64'),
+      storedAt: Date.now(),
+      expiresAt: Date.now() + ttl * 1000
+    });
+  }
+  return { ...response, cache: bypass ? 'bypass' : 'miss' };
+}
+
+function fromEntry(entry, status) {
+  const body = Buffer.from(entry.body, 'base64');
+  return {
+    ok: true,
+    status: entry.status,
+    statusText: entry.statusText,
+    headers: new Headers(entry.headers),
+    url: entry.url,
+    body,
+    text: () => body.toString('utf8'),
+    cache: status
+  };
+}
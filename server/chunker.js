@@ -0,0 +1,337 @@
+import { JSDOM } from 'jsdom';
+import { normalizedText } from './dom-utils.js';
+import { formatFindingsForPrompt } from './audit.js';
+import { checkFidelity, describeFidelityIssues } from './fidelity.js';
+import { CSS_FRAMEWORKS, formatStyleOptionsForPrompt } from './style-options.js';
+import { getConfig } from './config.js';
+
+// Regions past this many are left as they are and reported as skipped
+export const MAX_SECTIONS = 24;
+const STYLE_GUIDE_CSS_TOKENS = 4000;
+
+const SECTION_MARKER = 'ux-section:';
+const REGION_TAGS = ['header', 'nav', 'main', 'section', 'article', 'aside', 'footer', 'form'];
+
+/**
+ * Chunking limits from config. Templates above singlePassTokens (by default
+ * about 50 KB of HTML) are enhanced section by section.
+ */
+export function getChunkSettings() {
+  const { singlePassTokens, sectionTokens } = getConfig().chunking;
+  return { singlePassTokens, sectionTokens };
+}
+
+/**
+ * Rough token count for budgeting (about four characters per token for HTML)
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Split a page into logical regions that each fit the token budget.
+ * Oversized regions are split along their children; small neighbours are
+ * grouped. Each region is replaced by a placeholder comment in the skeleton,
+ * and every <style> block is pulled out so the page ends up with one stylesheet.
+ */
+export function splitIntoSections(html, { maxTokens = getConfig().chunking.sectionTokens } = {}) {
+  const dom = new JSDOM(html);
+  const doc = dom.window.document;
+
+  const css = [...doc.querySelectorAll('style')].map(style => {
+    const media = style.getAttribute('media');
+    style.remove();
+    return media && media !== 'all' ? `@media ${media} {\n${style.textContent}\n}` : style.textContent;
+  });
+
+  const groups = [];
+  collectGroups(doc.body, maxTokens, groups);
+
+  const sections = groups.map((elements, id) => {
+    const sectionHtml = elements.map(el => el.outerHTML).join('\n');
+    const first = elements[0];
+    const placeholder = doc.createComment(`${SECTION_MARKER}${id}`);
+    first.replaceWith(placeholder);
+    elements.slice(1).forEach(el => el.remove());
+
+    return {
+      id,
+      role: regionRole(first),
+      label: normalizedText(first.querySelector('h1, h2, h3') || first).slice(0, 60),
+      html: sectionHtml,
+      tokens: estimateTokens(sectionHtml)
+    };
+  });
+
+  return { skeleton: dom.serialize(), sections, css: css.join('\n') };
+}
+
+/**
+ * Put the regions back into the skeleton and add the single stylesheet,
+ * after any framework tags (head) the page needs
+ */
+export function assembleDocument(skeleton, sectionHtml, stylesheet, { head = '' } = {}) {
+  let html = skeleton.replace(
+    new RegExp(`<!--${SECTION_MARKER}(\\d+)-->`, 'g'),
+    (match, id) => sectionHtml[Number(id)] ?? ''
+  );
+
+  const style = `${head ? `${head}\n` : ''}<style data-stylesheet="enhanced">\n${stylesheet}\n</style>`;
+  html = /<\/head>/i.test(html) ? html.replace(/<\/head>/i, `${style}\n</head>`) : `${style}\n${html}`;
+  return html.startsWith('<!DOCTYPE') ? html : `<!DOCTYPE html>\n${html}`;
+}
+
+/**
+ * Enhance a large page region by region: one call for a shared stylesheet,
+ * then one call per region that uses it. Regions that fail or lose content
+ * (after one corrective retry) keep their original markup, so no section is
+ * ever dropped. Regions past MAX_SECTIONS are not sent to the model at all
+ * and are listed in chunking.skipped. Resolves to { improvedHtml, chunking }.
+ */
+export async function generateSectioned({ provider, websiteSummary, template, fidelitySettings, styleOptions, settings = getChunkSettings(), signal, onEvent = () => {}, onToken }) {
+  const { skeleton, sections, css } = splitIntoSections(template, { maxTokens: settings.sectionTokens });
+  onEvent('stage', { stage: 'chunk', status: 'done', sections: sections.length });
+
+  onEvent('stage', { stage: 'styleguide', status: 'started' });
+  const styleGuide = extractTagged(
+    await callProvider(provider, buildStyleGuidePrompt(websiteSummary, sections, css, styleOptions), { signal, onToken }),
+    'stylesheet'
+  );
+  if (!styleGuide.trim()) throw new Error('Style guide response contained no CSS');
+  onEvent('stage', { stage: 'styleguide', status: 'done', bytes: styleGuide.length });
+
+  const results = [];
+  for (const section of sections) {
+    signal?.throwIfAborted();
+    onEvent('stage', { stage: 'section', status: 'started', index: section.id, total: sections.length, role: section.role });
+
+    const result = section.id < MAX_SECTIONS
+      ? await enhanceSection(provider, websiteSummary, styleGuide, section, { fidelitySettings, styleOptions, signal, onToken })
+      : { html: section.html, css: '', kept: true, skipped: true, reason: `only the first ${MAX_SECTIONS} regions are enhanced` };
+    results.push(result);
+
+    onEvent('stage', {
+      stage: 'section',
+      status: result.skipped ? 'skipped' : result.kept ? 'failed' : 'done',
+      index: section.id,
+      total: sections.length,
+      role: section.role,
+      error: result.kept ? result.reason : undefined
+    });
+  }
+
+  const kept = results.filter(result => result.kept).length;
+  const stylesheet = [
+    // Regions that kept their original markup still need the original rules
+    kept > 0 ? `/* Original styles, kept for unchanged sections */\n${css}` : '',
+    `/* Shared style guide */\n${styleGuide}`,
+    ...results.map((result, id) => (result.css ? `/* Section ${id + 1}: ${sections[id].role} */\n${result.css}` : ''))
+  ].filter(Boolean).join('\n\n');
+
+  return {
+    improvedHtml: assembleDocument(skeleton, results.map(result => result.html), stylesheet, {
+      head: CSS_FRAMEWORKS[styleOptions?.framework || 'plain'].head
+    }),
+    chunking: {
+      sections: sections.length,
+      enhanced: sections.length - kept,
+      keptOriginal: results
+        .map((result, id) => (result.kept && !result.skipped ? { index: id, role: sections[id].role, label: sections[id].label, reason: result.reason } : null))
+        .filter(Boolean),
+      skipped: results
+        .map((result, id) => (result.skipped ? { index: id, role: sections[id].role, label: sections[id].label } : null))
+        .filter(Boolean),
+      stylesheetBytes: stylesheet.length
+    }
+  };
+}
+
+async function enhanceSection(provider, websiteSummary, styleGuide, section, { fidelitySettings, styleOptions, signal, onToken }) {
+  const prompt = buildSectionPrompt(websiteSummary, styleGuide, section, styleOptions);
+  let best = null;
+
+  for (let attempt = 0; attempt <= fidelitySettings.maxRetries; attempt++) {
+    const attemptPrompt = attempt === 0 || !best ? prompt : buildSectionCorrection(prompt, best.fidelity);
+    let output;
+    try {
+      output = parseSectionOutput(await callProvider(provider, attemptPrompt, { signal, onToken }));
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      if (!best) best = { error: error.message };
+      continue;
+    }
+
+    const fidelity = checkFidelity(section.html, output.html, fidelitySettings);
+    if (!best?.fidelity || fidelity.score > best.fidelity.score) best = { ...output, fidelity };
+    if (fidelity.passed) break;
+  }
+
+  if (!best?.fidelity) return { html: section.html, css: '', kept: true, reason: best?.error || 'no output' };
+  if (!best.fidelity.passed) {
+    return { html: section.html, css: '', kept: true, reason: `content preservation ${Math.round(best.fidelity.score * 100)}%` };
+  }
+  return { html: best.html, css: best.css, kept: false, fidelity: best.fidelity.score };
+}
+
+/**
+ * Model response as text, forwarding tokens when the caller streams
+ */
+export async function callProvider(provider, prompt, { signal, onToken }) {
+  if (!onToken) return provider.generate(prompt, { signal });
+
+  let text = '';
+  for await (const chunk of provider.stream(prompt, { signal })) {
+    text += chunk;
+    onToken(chunk);
+  }
+  return text;
+}
+
+function buildStyleGuidePrompt(websiteSummary, sections, css, styleOptions) {
+  const outline = sections
+    .map(section => `${section.id + 1}. <${section.role}> ${section.label || '(no heading)'}`)
+    .join('\n');
+
+  return `You are an expert frontend developer creating the shared stylesheet for a modernized version of a large website. The page will be rebuilt region by region, and every region will use only the classes you define here.
+
+${describeSite(websiteSummary)}
+
+**Page regions (in order):**
+${outline}
+
+**Existing CSS (may be truncated):**
+\`\`\`css
+${truncateToTokens(css, STYLE_GUIDE_CSS_TOKENS)}
+\`\`\`
+
+Write one cohesive, mobile-first stylesheet: CSS custom properties for the palette, type scale and spacing, base element styles, a layout container, and reusable component classes (buttons, cards, grids, navigation, forms, footer). Keep the site's branding, meet WCAG AA contrast and include visible focus styles.
+${styleSection(styleOptions)}
+
+Return ONLY the CSS inside <stylesheet></stylesheet> tags.`;
+}
+
+function buildSectionPrompt(websiteSummary, styleGuide, section, styleOptions) {
+  return `You are an expert frontend developer modernizing one region of a larger page. The other regions are handled separately and all share the stylesheet below.
+
+${describeSite(websiteSummary)}
+
+**Shared stylesheet (already on the page, do not repeat it):**
+\`\`\`css
+${styleGuide}
+\`\`\`
+
+**Region ${section.id + 1} (${section.role}):**
+<section-template>
+${section.html}
+</section-template>
+
+${styleSection(styleOptions)}
+Rewrite this region's markup to use the shared classes, with semantic HTML and the accessibility fixes that apply to it. Keep every heading, paragraph, link target, image source, form field and price exactly as written, and do not invent content. If the region needs extra rules, put them in a single <style> element at the start, using selectors specific to this region.
+
+Return ONLY the region inside <enhanced-section></enhanced-section> tags, with no <html>, <head> or <body> elements.`;
+}
+
+function buildSectionCorrection(prompt, fidelity) {
+  return `${prompt}
+
+=== CORRECTION REQUIRED ===
+Your previous attempt did not preserve this region's content (preservation score ${fidelity.score}, required ${fidelity.threshold}).
+Problems found:
+${describeFidelityIssues(fidelity)}`;
+}
+
+// Requested style direction; with a framework the shared stylesheet only
+// holds overrides, and regions use the framework's classes
+function styleSection(styleOptions) {
+  const requirements = formatStyleOptionsForPrompt(styleOptions);
+  if (!requirements) return '';
+  const framework = styleOptions.framework !== 'plain'
+    ? `\nThe ${CSS_FRAMEWORKS[styleOptions.framework].label} stylesheet is already loaded on the page; do not load it again.`
+    : '';
+  return `\n${requirements}${framework}\n`;
+}
+
+function describeSite(websiteSummary) {
+  return `**Site:** ${websiteSummary.metadata.title} (${websiteSummary.content.type}, ${websiteSummary.structure.layoutType})
+**Color palette:** ${websiteSummary.design.colors.join(', ') || 'none detected'}
+**Fonts:** ${websiteSummary.design.fonts.join(', ') || 'none detected'}
+**Accessibility findings:**
+${formatFindingsForPrompt(websiteSummary.accessibility.findings)}`;
+}
+
+/**
+ * Section markup and its own CSS from a model response; tolerates missing
+ * tags and full documents
+ */
+export function parseSectionOutput(text) {
+  let html = extractTagged(text, 'enhanced-section');
+  if (/<body[\s>]/i.test(html)) {
+    const doc = new JSDOM(html).window.document;
+    html = [...doc.head.querySelectorAll('style')].map(style => style.outerHTML).join('\n') + doc.body.innerHTML;
+  }
+
+  const css = [];
+  html = html.replace(/<style[^>]*>([\s\S]*?)<\/style>/gi, (match, rules) => {
+    css.push(rules.trim());
+    return '';
+  }).trim();
+
+  if (!html) throw new Error('Section response was empty');
+  return { html, css: css.join('\n') };
+}
+
+function extractTagged(text, tag) {
+  const cleaned = text.replace(/```[a-z]*\n?/gi, '').trim();
+  const match = cleaned.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'i'));
+  return (match ? match[1] : cleaned).trim();
+}
+
+/**
+ * Cut text to roughly the given token budget, marking where it was cut
+ */
+export function truncateToTokens(text, tokens) {
+  const limit = tokens * 4;
+  return text.length > limit ? `${text.slice(0, limit)}\n/* ... truncated ... */` : text;
+}
+
+/**
+ * Regions are element children that fit the budget; bigger ones are split
+ * along their own children. Consecutive small siblings share a region.
+ */
+function collectGroups(container, maxTokens, groups) {
+  let current = [];
+  let currentTokens = 0;
+  const flush = () => {
+    if (current.length) groups.push(current);
+    current = [];
+    currentTokens = 0;
+  };
+
+  for (const child of [...container.children]) {
+    if (['SCRIPT', 'NOSCRIPT', 'TEMPLATE', 'LINK', 'META'].includes(child.tagName)) continue;
+
+    const tokens = estimateTokens(child.outerHTML);
+    if (tokens > maxTokens && child.children.length > 0) {
+      flush();
+      collectGroups(child, maxTokens, groups);
+      continue;
+    }
+
+    // Landmarks always start their own region so roles stay meaningful
+    if (current.length && (currentTokens + tokens > maxTokens || isLandmark(child) || isLandmark(current[0]))) flush();
+    current.push(child);
+    currentTokens += tokens;
+  }
+  flush();
+}
+
+function isLandmark(el) {
+  return ['HEADER', 'NAV', 'MAIN', 'FOOTER', 'ASIDE'].includes(el.tagName) || el.hasAttribute('role');
+}
+
+function regionRole(el) {
+  const role = el.getAttribute('role');
+  if (role) return role;
+  const tag = el.tagName.toLowerCase();
+  return REGION_TAGS.includes(tag) ? tag : 'content';
+}
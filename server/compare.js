@@ -0,0 +1,176 @@
+import { JSDOM } from 'jsdom';
+import { normalizedText } from './dom-utils.js';
+
+const LANDMARKS = {
+  header: 'header, [role="banner"]',
+  nav: 'nav, [role="navigation"]',
+  main: 'main, [role="main"]',
+  aside: 'aside, [role="complementary"]',
+  footer: 'footer, [role="contentinfo"]',
+  search: 'search, [role="search"]',
+  form: 'form[aria-label], form[aria-labelledby], [role="form"]'
+};
+
+/**
+ * Structured before/after diff of two analyzed documents.
+ * Summaries come from generateWebsiteSummary(); the HTML is re-parsed here
+ * for the full heading and link lists the summaries truncate.
+ */
+export function compareAnalyses({ originalHtml, improvedHtml, originalSummary, improvedSummary }) {
+  const before = new JSDOM(originalHtml).window.document;
+  const after = new JSDOM(improvedHtml).window.document;
+
+  const headings = { before: headingOutline(before), after: headingOutline(after) };
+  const altText = { before: altCoverage(before), after: altCoverage(after) };
+  const landmarks = { before: presentLandmarks(before), after: presentLandmarks(after) };
+  const beforeAudit = originalSummary.accessibility.auditSummary;
+  const afterAudit = improvedSummary.accessibility.auditSummary;
+  const beforeContrast = originalSummary.accessibility.colorContrast;
+  const afterContrast = improvedSummary.accessibility.colorContrast;
+
+  const metrics = [
+    metric('accessibilityIssues', 'Accessibility issues', beforeAudit.total, afterAudit.total, 'lower'),
+    metric('criticalIssues', 'Critical issues', beforeAudit.bySeverity.critical, afterAudit.bySeverity.critical, 'lower'),
+    metric('contrastFailures', 'Contrast failures (AA)', beforeContrast.failAA, afterContrast.failAA, 'lower'),
+    metric('formLabels', 'Labeled form fields', originalSummary.accessibility.formLabels.percentage,
+      improvedSummary.accessibility.formLabels.percentage, 'higher', '%'),
+    metric('altText', 'Images with alt text', altText.before.percentage, altText.after.percentage, 'higher', '%'),
+    metric('landmarks', 'Semantic landmarks', landmarks.before.length, landmarks.after.length, 'higher'),
+    metric('headingHierarchy', 'Proper heading hierarchy',
+      originalSummary.accessibility.headingStructure.properHierarchy,
+      improvedSummary.accessibility.headingStructure.properHierarchy, 'higher'),
+    metric('singleH1', 'Exactly one H1', headings.before.filter(h => h.level === 1).length === 1,
+      headings.after.filter(h => h.level === 1).length === 1, 'higher')
+  ];
+
+  return {
+    metrics,
+    headings: {
+      ...headings,
+      changes: diffLists(headings.before.map(formatHeading), headings.after.map(formatHeading))
+    },
+    formLabels: {
+      before: originalSummary.accessibility.formLabels,
+      after: improvedSummary.accessibility.formLabels
+    },
+    altText,
+    landmarks: { ...landmarks, ...diffLists(landmarks.before, landmarks.after) },
+    palette: {
+      before: originalSummary.design.colors,
+      after: improvedSummary.design.colors,
+      ...diffLists(originalSummary.design.colors.map(normalizeToken), improvedSummary.design.colors.map(normalizeToken))
+    },
+    fonts: {
+      before: originalSummary.design.fonts,
+      after: improvedSummary.design.fonts,
+      ...diffLists(originalSummary.design.fonts.map(normalizeToken), improvedSummary.design.fonts.map(normalizeToken))
+    },
+    content: contentChanges(before, after),
+    performance: comparePerformance(originalSummary.performance, improvedSummary.performance),
+    totals: {
+      improved: metrics.filter(m => m.status === 'improved').length,
+      regressed: metrics.filter(m => m.status === 'regressed').length,
+      unchanged: metrics.filter(m => m.status === 'unchanged').length
+    }
+  };
+}
+
+/**
+ * Loading metrics of two performance reports (see analyzePerformance), kept
+ * apart from the UX metrics so they don't count toward the scorecard totals
+ */
+export function comparePerformance(before, after) {
+  const kilobytes = bytes => Math.round(bytes / 102.4) / 10;
+  const blockingUrls = report => [...report.renderBlocking.stylesheets, ...report.renderBlocking.scripts].map(resource => resource.url);
+
+  const metrics = [
+    metric('pageWeight', 'Page weight', kilobytes(before.weight.totalBytes), kilobytes(after.weight.totalBytes), 'lower', ' KB'),
+    metric('requests', 'Requests', before.weight.requests, after.weight.requests, 'lower'),
+    metric('renderBlocking', 'Render-blocking resources', before.renderBlocking.count, after.renderBlocking.count, 'lower'),
+    metric('criticalPath', 'Critical-path requests', before.criticalPath.requests, after.criticalPath.requests, 'lower'),
+    metric('imageDimensions', 'Images without width/height', before.images.missingDimensions, after.images.missingDimensions, 'lower'),
+    metric('lazyImages', 'Images not lazy-loaded', before.images.notLazy, after.images.notLazy, 'lower'),
+    metric('unusedSelectors', 'Unused CSS selectors', before.unusedCss.unused, after.unusedCss.unused, 'lower'),
+    metric('blockingFonts', 'Fonts with blocking font-display', before.fonts.blockingDisplay, after.fonts.blockingDisplay, 'lower')
+  ];
+
+  return {
+    metrics,
+    renderBlocking: diffLists(blockingUrls(before), blockingUrls(after)),
+    totals: {
+      improved: metrics.filter(m => m.status === 'improved').length,
+      regressed: metrics.filter(m => m.status === 'regressed').length,
+      unchanged: metrics.filter(m => m.status === 'unchanged').length
+    }
+  };
+}
+
+/**
+ * Headings and links present in only one of the two documents
+ */
+function contentChanges(before, after) {
+  const headingText = doc => [...doc.querySelectorAll('h1, h2, h3, h4, h5, h6')]
+    .map(normalizedText).filter(Boolean);
+  const links = doc => [...doc.querySelectorAll('a[href]')]
+    .map(a => a.getAttribute('href').trim())
+    .filter(href => href && href !== '#' && !href.startsWith('javascript:'));
+
+  const headingDiff = diffLists(headingText(before).map(t => t.toLowerCase()), headingText(after).map(t => t.toLowerCase()));
+  const linkDiff = diffLists(links(before), links(after));
+
+  return {
+    droppedHeadings: headingDiff.removed,
+    inventedHeadings: headingDiff.added,
+    droppedLinks: linkDiff.removed,
+    inventedLinks: linkDiff.added
+  };
+}
+
+function headingOutline(doc) {
+  return [...doc.querySelectorAll('h1, h2, h3, h4, h5, h6')].map(h => ({
+    level: parseInt(h.tagName.charAt(1)),
+    text: normalizedText(h)
+  }));
+}
+
+function formatHeading({ level, text }) {
+  return `h${level}: ${text}`;
+}
+
+function altCoverage(doc) {
+  const images = [...doc.querySelectorAll('img')];
+  const withAlt = images.filter(img => img.hasAttribute('alt')).length;
+  return {
+    total: images.length,
+    withAlt,
+    percentage: images.length ? Math.round((withAlt / images.length) * 100) : 100
+  };
+}
+
+function presentLandmarks(doc) {
+  return Object.entries(LANDMARKS)
+    .filter(([, selector]) => doc.querySelector(selector))
+    .map(([name]) => name);
+}
+
+function metric(key, label, before, after, better, unit = '') {
+  let status = 'unchanged';
+  if (before !== after) {
+    const gained = typeof before === 'boolean' ? after : after > before;
+    status = (better === 'higher') === gained ? 'improved' : 'regressed';
+  }
+  return { key, label, before, after, unit, better, status };
+}
+
+function diffLists(before, after) {
+  const beforeSet = new Set(before);
+  const afterSet = new Set(after);
+  return {
+    added: [...afterSet].filter(item => !beforeSet.has(item)),
+    removed: [...beforeSet].filter(item => !afterSet.has(item))
+  };
+}
+
+function normalizeToken(value) {
+  return value.toLowerCase().replace(/\s+/g, ' ').replace(/["']/g, '').trim();
+}
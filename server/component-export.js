@@ -0,0 +1,692 @@
+import { JSDOM } from 'jsdom';
+import postcss from 'postcss';
+import { strToU8, zipSync } from 'fflate';
+import { elementToJsx, isBooleanAttribute, isSignificantSpace, pascalCase } from './html-to-jsx.js';
+
+export const EXPORT_TARGETS = {
+  react: { label: 'React (JSX) components' },
+  vue: { label: 'Vue single-file components' },
+  html: { label: 'HTML + CSS partials' }
+};
+
+// css-modules: rules used by a single component move next to it, scoped;
+// tailwind: utility classes stay as written and a Tailwind build replaces the CDN
+export const EXPORT_STYLES = ['css-modules', 'tailwind'];
+
+// Landmarks that always become their own component
+const LANDMARKS = {
+  header: 'SiteHeader',
+  nav: 'SiteNavigation',
+  footer: 'SiteFooter',
+  aside: 'PageSidebar'
+};
+const LANDMARK_ROLES = { banner: 'header', navigation: 'nav', contentinfo: 'footer', complementary: 'aside', main: 'main' };
+const LANDMARK_SELECTOR = 'header, nav, main, footer, aside, [role="banner"], [role="navigation"], [role="main"], [role="contentinfo"]';
+// How deep layout wrappers (div#app > div.page > ...) are unwrapped looking for landmarks
+const MAX_WRAPPER_DEPTH = 4;
+const NON_CONTENT = new Set(['script', 'noscript', 'template', 'style', 'link', 'meta']);
+
+// State and pseudo-element parts that can't be matched against a static DOM
+const DYNAMIC_PSEUDO = /::?(?:-(?:webkit|moz|ms)-[\w-]+|before|after|first-line|first-letter|placeholder|selection|marker|backdrop|file-selector-button|hover|focus|focus-visible|focus-within|active|visited|link|target)\b/g;
+const TAILWIND_CDN = /cdn\.tailwindcss\.com/;
+
+const REACT_VERSION = '^19.1.0';
+const VUE_VERSION = '^3.5.13';
+const VITE_VERSION = '^6.3.5';
+const TAILWIND_VERSION = '^3.4.17';
+
+/**
+ * Validate { target, styles } for an export. Throws on bad input.
+ */
+export function resolveExportOptions({ target = 'react', styles = 'css-modules' } = {}) {
+  if (!EXPORT_TARGETS[target]) {
+    throw new Error(`target must be one of: ${Object.keys(EXPORT_TARGETS).join(', ')}`);
+  }
+  if (!EXPORT_STYLES.includes(styles)) {
+    throw new Error(`styles must be one of: ${EXPORT_STYLES.join(', ')}`);
+  }
+  return { target, styles };
+}
+
+/**
+ * Split an improved page into components by landmark (header, nav, the
+ * sections of main, aside, footer) and lay them out as a project for the
+ * target. Returns { files: { path: content }, components, notes }.
+ */
+export function exportComponents(html, { target = 'react', styles = 'css-modules' } = {}) {
+  const doc = new JSDOM(html).window.document;
+  const notes = new Set();
+  const { components, wrappers } = splitLayout(doc.body);
+  if (!components.length) throw new Error('The page has no body content to export.');
+
+  const owners = new Map();
+  components.forEach((component, index) => {
+    owners.set(component.element, index);
+    for (const el of component.element.querySelectorAll('*')) owners.set(el, index);
+  });
+
+  const page = readHead(doc, styles);
+  const css = [...doc.querySelectorAll('style')].map(style => style.textContent).join('\n');
+  const sheets = styles === 'css-modules'
+    ? splitStylesheet(css, doc, components.length, owners, notes)
+    : { global: css.trim(), modules: components.map(() => ''), localClasses: components.map(() => new Set()) };
+
+  const context = { doc, components, wrappers, sheets, page, styles, notes };
+  const files = target === 'vue' ? vueProject(context) : target === 'html' ? htmlProject(context) : reactProject(context);
+
+  return {
+    files,
+    components: components.map(({ name, landmark, path }) => ({ name, landmark, path })),
+    notes: [...notes]
+  };
+}
+
+/**
+ * Zip exported files under a single top-level folder
+ */
+export function zipExport(files, folder = 'improved-site') {
+  const entries = {};
+  for (const [path, content] of Object.entries(files)) entries[`${folder}/${path}`] = strToU8(content);
+  return Buffer.from(zipSync(entries, { level: 6 }));
+}
+
+// Walk body → components and the layout wrappers that hold them
+function splitLayout(body) {
+  const components = [];
+  const wrappers = new Set();
+  const usedNames = new Set(['App']);
+
+  const add = (element, landmark) => {
+    const base = LANDMARKS[landmark] || (landmark === 'main' ? 'MainContent' : sectionName(element));
+    let name = base;
+    for (let n = 2; usedNames.has(name); n++) name = `${base}${n}`;
+    usedNames.add(name);
+    components.push({ element, landmark, name });
+  };
+
+  const walk = (container, depth) => {
+    for (const el of container.children) {
+      if (NON_CONTENT.has(el.localName)) continue;
+      const landmark = LANDMARK_ROLES[el.getAttribute('role')] || el.localName;
+
+      if (landmark === 'main') {
+        const sections = [...el.children].filter(child => !NON_CONTENT.has(child.localName));
+        if (sections.length > 1) {
+          wrappers.add(el);
+          walk(el, depth + 1);
+        } else {
+          add(el, 'main');
+        }
+      } else if (LANDMARKS[landmark]) {
+        add(el, landmark);
+      } else if (depth < MAX_WRAPPER_DEPTH && el.querySelector(LANDMARK_SELECTOR)) {
+        wrappers.add(el);
+        walk(el, depth + 1);
+      } else {
+        add(el, 'section');
+      }
+    }
+  };
+
+  walk(body, 0);
+  return { components, wrappers };
+}
+
+// "Featured products" heading → FeaturedProductsSection
+function sectionName(element) {
+  const source = element.getAttribute('aria-label')
+    || element.querySelector('h1, h2, h3, h4, h5, h6')?.textContent
+    || element.id
+    || element.classList[0]
+    || '';
+  const words = pascalCase(source.split(/\s+/).slice(0, 3).join(' ')) || 'Content';
+  return words.endsWith('Section') ? words : `${words}Section`;
+}
+
+// Title, language and the external stylesheets/fonts the page loads
+function readHead(doc, styles) {
+  const links = [...doc.querySelectorAll('link[href]')]
+    .filter(link => /\b(stylesheet|preconnect|preload|icon)\b/i.test(link.getAttribute('rel') || ''))
+    .map(link => link.outerHTML);
+  const scripts = styles === 'tailwind'
+    ? []
+    : [...doc.querySelectorAll('script[src]')].filter(script => TAILWIND_CDN.test(script.src)).map(script => script.outerHTML);
+  const configScript = [...doc.querySelectorAll('script:not([src])')].find(script => /tailwind\.config\s*=/.test(script.textContent));
+  const description = doc.querySelector('meta[name="description"]')?.getAttribute('content');
+
+  if (styles !== 'tailwind' && configScript) scripts.push(configScript.outerHTML);
+
+  return {
+    title: doc.title || 'Improved site',
+    lang: doc.documentElement.getAttribute('lang') || 'en',
+    description,
+    headTags: [...links, ...scripts],
+    bodyAttributes: [...doc.body.attributes].filter(attr => !/^on/i.test(attr.name)),
+    tailwindConfig: configScript ? configScript.textContent.replace(/^[\s\S]*?tailwind\.config\s*=\s*/, '').trim().replace(/;$/, '') : null
+  };
+}
+
+/**
+ * Move each rule whose classes and matched elements all belong to one
+ * component into that component's stylesheet. A class only becomes local
+ * when every rule that mentions it is local to the same component, so
+ * scoping it can't break a rule left in the global sheet.
+ */
+function splitStylesheet(css, doc, count, owners, notes) {
+  const empty = { global: css.trim(), modules: Array(count).fill(''), localClasses: Array.from({ length: count }, () => new Set()) };
+  let root;
+  try {
+    root = postcss.parse(css);
+  } catch {
+    notes.add('The page CSS could not be parsed, so it was exported as a single global stylesheet.');
+    return empty;
+  }
+
+  // Component index per class from the markup; null when used in several places or outside components
+  const classOwner = new Map();
+  for (const el of doc.body.querySelectorAll('[class]')) {
+    const owner = owners.get(el) ?? null;
+    for (const name of el.classList) {
+      classOwner.set(name, classOwner.has(name) && classOwner.get(name) !== owner ? null : owner);
+    }
+  }
+
+  const rules = [];
+  root.walkRules(rule => {
+    if (/keyframes$/i.test(rule.parent?.name || '')) return;
+    rules.push({ rule, classes: selectorClasses(rule.selector), matched: matchedOwners(doc, rule.selector, owners) });
+  });
+
+  const localOwner = ({ classes, matched }) => {
+    const known = classes.map(name => classOwner.get(name)).filter(owner => owner !== undefined);
+    if (!known.length || known.some(owner => owner === null || owner !== known[0])) return null;
+    if (matched === null || [...matched].some(owner => owner !== known[0])) return null;
+    return known[0];
+  };
+
+  for (let changed = true; changed;) {
+    changed = false;
+    for (const entry of rules) {
+      entry.owner = localOwner(entry);
+      if (entry.owner !== null) continue;
+      for (const name of entry.classes) {
+        if (classOwner.get(name) != null) {
+          classOwner.set(name, null);
+          changed = true;
+        }
+      }
+    }
+  }
+
+  const localClasses = Array.from({ length: count }, () => new Set());
+  for (const entry of rules) {
+    entry.rule.raws.exportOwner = entry.owner;
+    if (entry.owner === null) continue;
+    for (const name of entry.classes) {
+      if (classOwner.get(name) === entry.owner) localClasses[entry.owner].add(name);
+    }
+  }
+
+  const keyframes = new Map();
+  root.walkAtRules(/keyframes$/i, atRule => keyframes.set(atRule.params.trim(), atRule));
+
+  const modules = Array.from({ length: count }, (_, index) => {
+    const sheet = root.clone();
+    sheet.walk(node => {
+      if (node.type === 'rule' && node.raws.exportOwner !== undefined && node.raws.exportOwner !== index) node.remove();
+      else if (node.type === 'atrule' && /^(import|font-face|charset|layer|property)$|keyframes$/i.test(node.name)) node.remove();
+      else if (node.type === 'comment') node.remove();
+    });
+    pruneEmpty(sheet, { requireRules: true });
+    if (!sheet.nodes.length) return '';
+
+    // Module files scope animation names, so the keyframes they use travel with them
+    const animations = new Set();
+    sheet.walkDecls(/^animation(-name)?$/i, decl => decl.value.split(/[\s,]+/).forEach(word => animations.add(word)));
+    for (const name of animations) if (keyframes.has(name)) sheet.append(keyframes.get(name).clone());
+    return formatSheet(sheet);
+  });
+
+  const global = root.clone();
+  global.walkRules(rule => {
+    if (rule.raws.exportOwner !== undefined && rule.raws.exportOwner !== null) rule.remove();
+  });
+  pruneEmpty(global);
+  const imports = [];
+  global.walkAtRules('import', atRule => {
+    imports.push(atRule);
+    atRule.remove();
+  });
+  global.prepend(imports);
+
+  return { global: formatSheet(global), modules, localClasses };
+}
+
+// Class names in a selector, with CSS escapes (md\:flex) resolved
+function selectorClasses(selector) {
+  return [...new Set([...selector.matchAll(/\.((?:\\.|[\w-])+)/g)].map(match => match[1].replace(/\\(.)/g, '$1')))];
+}
+
+// Owners (component index, or null for layout) of every element the selector
+// matches with state pseudo-classes stripped; null when it can't be evaluated
+function matchedOwners(doc, selector, owners) {
+  const owned = new Set();
+  for (const part of selector.split(',')) {
+    const staticPart = part.replace(DYNAMIC_PSEUDO, '').trim();
+    if (!staticPart || /[>+~]$/.test(staticPart)) continue;
+    try {
+      for (const el of doc.querySelectorAll(staticPart)) owned.add(owners.get(el) ?? null);
+    } catch {
+      return null;
+    }
+  }
+  return owned;
+}
+
+// Drop at-rules left without content; with requireRules also the ones that
+// only hold declarations (@page), which stay global
+function pruneEmpty(root, { requireRules = false } = {}) {
+  for (let pass = 0; pass < 2; pass++) {
+    root.walkAtRules(atRule => {
+      if (!atRule.nodes) return;
+      let hasRule = false;
+      atRule.walkRules(() => {
+        hasRule = true;
+      });
+      if (!atRule.nodes.length || (requireRules && !hasRule)) atRule.remove();
+    });
+  }
+}
+
+function formatSheet(root) {
+  root.walk(node => {
+    node.raws.before = node.parent === root ? '\n\n' : node.raws.before;
+  });
+  return root.toString().trim();
+}
+
+// CSS modules reference: styles.card, styles["card-title"] or $style.card
+function moduleReference(object, name, quote = '"') {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? `${object}.${name}` : `${object}[${quote}${name.replace(/[\\'"]/g, '\\$&')}${quote}]`;
+}
+
+function reactClassNames(local) {
+  return classes => {
+    if (!classes.some(name => local.has(name))) return classes.join(' ');
+    if (classes.length === 1) return { expression: moduleReference('styles', classes[0]) };
+    const parts = classes.map(name => (local.has(name) ? `\${${moduleReference('styles', name)}}` : name));
+    return { expression: `\`${parts.join(' ')}\`` };
+  };
+}
+
+function reactProject({ doc, components, wrappers, sheets, page, styles, notes }) {
+  const files = {};
+  components.forEach((component, index) => {
+    const moduleCss = sheets.modules[index];
+    component.path = `src/components/${component.name}.jsx`;
+    const markup = elementToJsx(component.element, { depth: 2, classNames: reactClassNames(sheets.localClasses[index]), notes });
+    files[component.path] = `${moduleCss ? `import styles from "./${component.name}.module.css";\n\n` : ''}export default function ${component.name}() {
+  return (
+${markup}
+  );
+}
+`;
+    if (moduleCss) files[`src/components/${component.name}.module.css`] = `${moduleCss}\n`;
+  });
+
+  const layout = layoutElements(doc.body, wrappers, components);
+  const names = new Map(components.map(component => [component.element, component.name]));
+  const body = layout.map(el => elementToJsx(el, { depth: layout.length > 1 ? 3 : 2, components: names, notes })).join('\n');
+  files['src/App.jsx'] = `${components.map(component => `import ${component.name} from "./components/${component.name}.jsx";`).join('\n')}
+
+export default function App() {
+  return (
+${layout.length > 1 ? `    <>\n${body}\n    </>` : body}
+  );
+}
+`;
+  files['src/main.jsx'] = `import { StrictMode } from "react";
+import { createRoot } from "react-dom/client";
+import "./index.css";
+import App from "./App.jsx";
+
+createRoot(document.getElementById("root")).render(
+  <StrictMode>
+    <App />
+  </StrictMode>,
+);
+`;
+  files['src/index.css'] = globalCss(sheets.global, styles);
+  files['index.html'] = indexHtml(page, '<div id="root"></div>\n    <script type="module" src="/src/main.jsx"></script>');
+  files['vite.config.js'] = `import { defineConfig } from "vite";
+import react from "@vitejs/plugin-react";
+
+export default defineConfig({
+  plugins: [react()],
+});
+`;
+  files['eslint.config.js'] = `import js from "@eslint/js";
+import globals from "globals";
+import reactHooks from "eslint-plugin-react-hooks";
+import reactRefresh from "eslint-plugin-react-refresh";
+
+export default [
+  { ignores: ["dist"] },
+  {
+    files: ["**/*.{js,jsx}"],
+    languageOptions: {
+      ecmaVersion: "latest",
+      globals: globals.browser,
+      parserOptions: { ecmaFeatures: { jsx: true }, sourceType: "module" },
+    },
+    plugins: {
+      "react-hooks": reactHooks,
+      "react-refresh": reactRefresh,
+    },
+    rules: {
+      ...js.configs.recommended.rules,
+      ...reactHooks.configs.recommended.rules,
+      "no-unused-vars": ["error", { varsIgnorePattern: "^[A-Z_]" }],
+      "react-refresh/only-export-components": "warn",
+    },
+  },
+];
+`;
+  files['package.json'] = packageJson({
+    dependencies: { react: REACT_VERSION, 'react-dom': REACT_VERSION },
+    devDependencies: {
+      '@eslint/js': '^9.25.0',
+      '@vitejs/plugin-react': '^4.4.1',
+      eslint: '^9.25.0',
+      'eslint-plugin-react-hooks': '^5.2.0',
+      'eslint-plugin-react-refresh': '^0.4.19',
+      globals: '^16.0.0',
+      vite: VITE_VERSION
+    }
+  }, styles);
+  Object.assign(files, tailwindFiles(page, styles, './src/**/*.{js,jsx}'));
+  files['README.md'] = readme({ framework: 'React', components, styles, notes, run: true });
+  return files;
+}
+
+function vueProject({ doc, components, wrappers, sheets, page, styles, notes }) {
+  const files = {};
+  components.forEach((component, index) => {
+    const moduleCss = sheets.modules[index];
+    component.path = `src/components/${component.name}.vue`;
+    const markup = templateLines(component.element, { local: sheets.localClasses[index], components: new Map(), notes }, 1).join('\n');
+    files[component.path] = `<template>\n${markup}\n</template>\n${moduleCss ? `\n<style module>\n${moduleCss}\n</style>\n` : ''}`;
+  });
+
+  const names = new Map(components.map(component => [component.element, component.name]));
+  const layout = layoutElements(doc.body, wrappers, components)
+    .flatMap(el => templateLines(el, { local: new Set(), components: names, notes }, 1));
+  files['src/App.vue'] = `<script setup>
+${components.map(component => `import ${component.name} from "./components/${component.name}.vue";`).join('\n')}
+</script>
+
+<template>
+${layout.join('\n')}
+</template>
+`;
+  files['src/main.js'] = `import { createApp } from "vue";
+import "./style.css";
+import App from "./App.vue";
+
+createApp(App).mount("#app");
+`;
+  files['src/style.css'] = globalCss(sheets.global, styles);
+  files['index.html'] = indexHtml(page, '<div id="app"></div>\n    <script type="module" src="/src/main.js"></script>');
+  files['vite.config.js'] = `import { defineConfig } from "vite";
+import vue from "@vitejs/plugin-vue";
+
+export default defineConfig({
+  plugins: [vue()],
+});
+`;
+  files['eslint.config.js'] = `import js from "@eslint/js";
+import globals from "globals";
+import pluginVue from "eslint-plugin-vue";
+
+export default [
+  { ignores: ["dist"] },
+  js.configs.recommended,
+  ...pluginVue.configs["flat/essential"],
+  { languageOptions: { globals: globals.browser } },
+];
+`;
+  files['package.json'] = packageJson({
+    dependencies: { vue: VUE_VERSION },
+    devDependencies: {
+      '@eslint/js': '^9.25.0',
+      '@vitejs/plugin-vue': '^5.2.3',
+      eslint: '^9.25.0',
+      'eslint-plugin-vue': '^10.0.0',
+      globals: '^16.0.0',
+      vite: VITE_VERSION,
+      'vue-eslint-parser': '^10.1.3'
+    }
+  }, styles);
+  Object.assign(files, tailwindFiles(page, styles, './src/**/*.{js,vue}'));
+  files['README.md'] = readme({ framework: 'Vue', components, styles, notes, run: true });
+  return files;
+}
+
+// Partials keep the page's markup byte for byte; index.html stitches them
+// back together so the export still opens as a single page
+function htmlProject({ doc, components, sheets, page, styles, notes }) {
+  const files = {};
+  const stylesheets = ['css/global.css'];
+  components.forEach((component, index) => {
+    component.path = `partials/${kebabCase(component.name)}.html`;
+    files[component.path] = `${component.element.outerHTML}\n`;
+    if (sheets.modules[index]) {
+      const path = `css/${kebabCase(component.name)}.css`;
+      files[path] = `${sheets.modules[index]}\n`;
+      stylesheets.push(path);
+    }
+  });
+
+  if (styles === 'tailwind') {
+    notes.add('Tailwind classes are kept as written; the page loads Tailwind from its CDN as before.');
+    page.headTags.push('<script src="https://cdn.tailwindcss.com"></script>');
+    if (page.tailwindConfig) page.headTags.push(`<script>tailwind.config = ${page.tailwindConfig}</script>`);
+  }
+  files['css/global.css'] = `${sheets.global}\n`;
+
+  for (const style of doc.querySelectorAll('style')) style.remove();
+  for (const component of components) {
+    component.element.before(doc.createComment(` partial: ${component.path} `));
+    component.element.after(doc.createComment(` /partial: ${component.path} `));
+  }
+  const body = doc.body.innerHTML.trim();
+  const head = [...page.headTags, ...stylesheets.map(path => `<link rel="stylesheet" href="${path}">`)];
+  files['index.html'] = indexHtml({ ...page, headTags: head }, body);
+  files['README.md'] = readme({ framework: 'HTML', components, styles, notes, run: false });
+  return files;
+}
+
+// Top-level body elements that hold the components (wrappers or components themselves)
+function layoutElements(body, wrappers, components) {
+  const roots = new Set(components.map(component => component.element));
+  return [...body.children].filter(el => wrappers.has(el) || roots.has(el));
+}
+
+// Vue template serialization. Elements with text are written on one line so
+// Vue's whitespace condensing renders the same spacing; local classes bind
+// to $style.
+function templateLines(element, context, depth) {
+  const indent = '  '.repeat(depth);
+  if (context.components.has(element)) return [`${indent}<${context.components.get(element)} />`];
+
+  const nodes = contentNodes(element);
+  if (isVoid(element) || element.localName === 'pre' || element.localName === 'textarea' ||
+    nodes.some(node => node.nodeType === 3 && node.textContent.trim())) {
+    return [`${indent}${inlineTemplate(element, context)}`];
+  }
+
+  const { open, close } = templateTags(element, context);
+  if (!nodes.length) return [`${indent}${open}${close}`];
+  const lines = [`${indent}${open}`];
+  nodes.forEach((node, index) => {
+    if (node.nodeType === 1) lines.push(...templateLines(node, context, depth + 1));
+    // Whitespace between elements that a line break would otherwise swallow
+    else if (node.textContent && isSignificantSpace(nodes[index - 1], nodes[index + 1])) lines.push(`${indent}  {{ " " }}`);
+  });
+  lines.push(`${indent}${close}`);
+  return lines;
+}
+
+function inlineTemplate(node, context) {
+  if (node.nodeType === 3) return escapeTemplateText(node.textContent.replace(/[ \t\n\r\f]+/g, ' '));
+  const { open, close } = templateTags(node, context);
+  if (isVoid(node)) return open.replace(/>$/, ' />');
+  if (node.localName === 'pre' || node.localName === 'textarea') return `${open}${escapeTemplateText(node.textContent)}${close}`;
+  return `${open}${contentNodes(node).map(child => inlineTemplate(child, context)).join('')}${close}`;
+}
+
+function templateTags(element, context) {
+  const attributes = templateAttributes(element, context);
+  return { open: `<${element.localName}${attributes.map(attr => ` ${attr}`).join('')}>`, close: `</${element.localName}>` };
+}
+
+function contentNodes(element) {
+  return [...element.childNodes].filter(node =>
+    node.nodeType === 3 || (node.nodeType === 1 && !NON_CONTENT.has(node.localName))
+  );
+}
+
+function isVoid(element) {
+  return /^(area|base|br|col|embed|hr|img|input|link|meta|source|track|wbr)$/.test(element.localName);
+}
+
+function templateAttributes(element, { local, notes }) {
+  const result = [];
+  for (const { name, value } of element.attributes) {
+    if (/^on/i.test(name)) {
+      notes.add('Inline event handler attributes were removed; wire behaviour up in the component instead.');
+      continue;
+    }
+    if (/^[@:#]|^v-/.test(name)) {
+      notes.add(`Attributes Vue would read as directives (e.g. "${name}") were removed.`);
+      continue;
+    }
+    if (name === 'class') {
+      const classes = value.split(/\s+/).filter(Boolean);
+      if (!classes.some(cls => local.has(cls))) {
+        if (classes.length) result.push(`class="${escapeAttribute(classes.join(' '))}"`);
+        continue;
+      }
+      const bound = classes.map(cls => (local.has(cls) ? moduleReference('$style', cls, "'") : `'${cls}'`));
+      result.push(`:class="${bound.length === 1 ? bound[0] : `[${bound.join(', ')}]`}"`);
+      continue;
+    }
+    result.push(value === '' && isBooleanAttribute(name) ? name : `${name}="${escapeAttribute(value)}"`);
+  }
+  return result;
+}
+
+function escapeTemplateText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\{\{/g, '&#123;&#123;')
+    .replace(/\u00a0/g, '&nbsp;');
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function globalCss(css, styles) {
+  if (styles !== 'tailwind') return `${css}\n`;
+  const imports = [];
+  const rest = css.replace(/@import[^;]+;\s*/g, rule => {
+    imports.push(rule.trim());
+    return '';
+  });
+  // Page rules sit before the utilities, as they did with the Tailwind CDN
+  return `${imports.length ? `${imports.join('\n')}\n\n` : ''}@tailwind base;
+@tailwind components;
+
+${rest.trim()}
+
+@tailwind utilities;
+`;
+}
+
+function tailwindFiles(page, styles, content) {
+  if (styles !== 'tailwind') return {};
+  const config = page.tailwindConfig ? `const pageConfig = ${page.tailwindConfig};\n\n` : '';
+  return {
+    'tailwind.config.js': `${config}/** @type {import('tailwindcss').Config} */
+export default {
+${page.tailwindConfig ? '  ...pageConfig,\n' : ''}  content: ["./index.html", "${content}"],
+};
+`,
+    'postcss.config.js': `export default {
+  plugins: {
+    tailwindcss: {},
+    autoprefixer: {},
+  },
+};
+`
+  };
+}
+
+function packageJson({ dependencies, devDependencies }, styles) {
+  const tailwind = styles === 'tailwind' ? { autoprefixer: '^10.4.21', postcss: '^8.5.3', tailwindcss: TAILWIND_VERSION } : {};
+  return `${JSON.stringify({
+    name: 'improved-site',
+    private: true,
+    version: '0.0.0',
+    type: 'module',
+    scripts: { dev: 'vite', build: 'vite build', lint: 'eslint .', preview: 'vite preview' },
+    dependencies,
+    devDependencies: Object.fromEntries(Object.entries({ ...devDependencies, ...tailwind }).sort(([a], [b]) => a.localeCompare(b)))
+  }, null, 2)}\n`;
+}
+
+function indexHtml(page, body) {
+  const bodyAttributes = page.bodyAttributes.map(attr => ` ${attr.name}="${escapeAttribute(attr.value)}"`).join('');
+  const head = [
+    '<meta charset="UTF-8" />',
+    '<meta name="viewport" content="width=device-width, initial-scale=1.0" />',
+    ...(page.description ? [`<meta name="description" content="${escapeAttribute(page.description)}" />`] : []),
+    `<title>${escapeTemplateText(page.title)}</title>`,
+    ...page.headTags
+  ];
+  return `<!doctype html>
+<html lang="${escapeAttribute(page.lang)}">
+  <head>
+    ${head.join('\n    ')}
+  </head>
+  <body${bodyAttributes}>
+    ${body}
+  </body>
+</html>
+`;
+}
+
+function readme({ framework, components, styles, notes, run }) {
+  const styleLine = styles === 'tailwind'
+    ? 'Utility classes are kept as written and built with Tailwind (see `tailwind.config.js`); the page\'s own CSS is in the global stylesheet.'
+    : framework === 'HTML'
+      ? 'Rules used only by one partial are in `css/<partial>.css`; everything shared stays in `css/global.css`.'
+      : 'Rules used only by one component are scoped in its CSS module; everything shared stays in the global stylesheet.';
+  return `# Improved site (${framework})
+
+Exported from UI/UX Analyzer, split by page landmark.
+
+| Component | Landmark | File |
+| --- | --- | --- |
+${components.map(component => `| ${component.name} | ${component.landmark} | \`${component.path}\` |`).join('\n')}
+
+${styleLine}
+${run ? '\n```sh\nnpm install\nnpm run dev\n```\n' : '\nOpen `index.html` directly, or include the partials from your templating system.\n'}${notes.size ? `\n## Notes\n\n${[...notes].map(note => `- ${note}`).join('\n')}\n` : ''}`;
+}
+
+function kebabCase(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
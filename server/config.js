@@ -0,0 +1,232 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SERVER_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Every server setting, grouped the way config files nest them. Each has the
+ * environment variable that overrides it, a type, a default and a short doc.
+ * Settings marked public: false (paths, host lists, ports) are left out of
+ * GET /config. API keys for providers and ADMIN_API_KEY are secrets and only
+ * come from the environment, never from here.
+ */
+export const CONFIG_SCHEMA = {
+  server: {
+    port: { env: 'PORT', type: 'integer', default: 3001, min: 1, max: 65535, public: false, doc: 'Port the API listens on' },
+    corsOrigins: {
+      env: 'CORS_ORIGINS',
+      type: 'list',
+      default: ['https://ui-ux-analyzer.vercel.app'],
+      public: false,
+      doc: 'Browser origins allowed to call the API, comma-separated; * allows any'
+    },
+    bodyLimit: { env: 'BODY_LIMIT', type: 'size', default: '5mb', doc: 'Largest JSON or form body accepted (b, kb or mb)' },
+    dataDir: { env: 'DATA_DIR', type: 'string', default: path.join(SERVER_DIR, 'data'), public: false, doc: 'Where history, API keys and the disk cache live; defaults to server/data' }
+  },
+  llm: {
+    provider: { env: 'LLM_PROVIDER', type: 'enum', values: ['gemini', 'openai', 'mock'], default: 'gemini', doc: 'Default model provider' },
+    model: { env: 'LLM_MODEL', type: 'string', default: null, doc: "Model for the default provider; unset uses that provider's own default" },
+    temperature: { env: 'LLM_TEMPERATURE', type: 'number', default: 0.8, min: 0, max: 2, doc: 'Sampling temperature when a request sets none' },
+    maxOutputTokens: { env: 'LLM_MAX_OUTPUT_TOKENS', type: 'integer', default: 32768, min: 1, doc: "Largest reply requested from the model, capped at the model's own limit" },
+    openaiBaseUrl: {
+      env: 'OPENAI_BASE_URL',
+      type: 'url',
+      default: 'https://api.openai.com/v1',
+      public: false,
+      doc: 'Any /v1/chat/completions server: OpenAI, Ollama, llama.cpp, vLLM...'
+    }
+  },
+  fetch: {
+    allowHosts: { env: 'FETCH_ALLOW_HOSTS', type: 'list', default: [], public: false, doc: 'Only these hosts (and subdomains) may be fetched; empty allows any public host' },
+    denyHosts: { env: 'FETCH_DENY_HOSTS', type: 'list', default: [], public: false, doc: 'Hosts (and subdomains) that may never be fetched' },
+    maxRedirects: { env: 'FETCH_MAX_REDIRECTS', type: 'integer', default: 5, min: 0, doc: 'Redirects followed per fetch' },
+    maxBytes: { env: 'FETCH_MAX_BYTES', type: 'integer', default: 5 * 1024 * 1024, min: 1, doc: 'Largest response body read per fetch' },
+    pageTimeout: { env: 'PAGE_FETCH_TIMEOUT', type: 'integer', default: 15000, min: 1, doc: 'Milliseconds to wait for a page in static mode' },
+    userAgent: {
+      env: 'FETCH_USER_AGENT',
+      type: 'string',
+      default: 'Mozilla/5.0 (compatible; UIUXAnalyzer/1.0; +https://ui-ux-analyzer.vercel.app)',
+      doc: 'User-Agent sent when fetching pages and stylesheets'
+    },
+    assetTimeout: { env: 'ASSET_FETCH_TIMEOUT', type: 'integer', default: 5000, min: 1, doc: 'Milliseconds to wait for each image, font or measured resource' }
+  },
+  render: {
+    timeout: { env: 'RENDER_TIMEOUT', type: 'integer', default: 30000, min: 1, max: 60000, doc: 'Milliseconds a headless render may take when a request sets none' },
+    maxPages: { env: 'BROWSER_MAX_PAGES', type: 'integer', default: 2, min: 1, doc: 'Browser pages open at once; more requests wait' },
+    chromiumPath: { env: 'CHROMIUM_PATH', type: 'string', default: null, public: false, doc: 'System Chromium to use instead of the Playwright download' }
+  },
+  css: {
+    maxTotalBytes: { env: 'CSS_MAX_TOTAL_BYTES', type: 'integer', default: 80000, min: 0, doc: 'Minified CSS inlined across all stylesheets of a page' },
+    maxSheetBytes: { env: 'CSS_MAX_SHEET_BYTES', type: 'integer', default: 40000, min: 0, doc: 'Minified CSS inlined from any one stylesheet' },
+    concurrency: { env: 'CSS_CONCURRENCY', type: 'integer', default: 4, min: 1, doc: 'Stylesheets fetched at once' },
+    timeout: { env: 'CSS_FETCH_TIMEOUT', type: 'integer', default: 5000, min: 1, doc: 'Milliseconds to wait for each stylesheet' },
+    maxImportDepth: { env: 'CSS_MAX_IMPORT_DEPTH', type: 'integer', default: 4, min: 0, doc: 'Levels of @import followed' }
+  },
+  cache: {
+    backend: { env: 'CACHE_BACKEND', type: 'enum', values: ['memory', 'disk', 'off'], default: 'memory', doc: 'Where fetched pages, stylesheets and analyses are cached' },
+    maxEntries: { env: 'CACHE_MAX_ENTRIES', type: 'integer', default: 500, min: 1, doc: 'Entries kept per cache' },
+    maxBytes: { env: 'CACHE_MAX_BYTES', type: 'integer', default: 100 * 1024 * 1024, min: 1, doc: 'Memory backend size per cache' },
+    pageTtl: { env: 'CACHE_PAGE_TTL', type: 'number', default: 300, min: 0, doc: 'Seconds a fetched page is reused; 0 turns the page cache off' },
+    stylesheetTtl: { env: 'CACHE_STYLESHEET_TTL', type: 'number', default: 3600, min: 0, doc: 'Seconds a stylesheet is reused before revalidating' },
+    analysisTtl: { env: 'CACHE_ANALYSIS_TTL', type: 'number', default: 86400, min: 0, doc: 'Seconds a generated page is reused for identical input' }
+  },
+  auth: {
+    mode: {
+      env: 'API_AUTH',
+      type: 'enum',
+      values: ['on', 'off'],
+      default: env => (env.NODE_ENV === 'production' ? 'on' : 'off'),
+      doc: 'Require API keys; on by default when NODE_ENV is production'
+    },
+    rateLimit: { env: 'API_RATE_LIMIT', type: 'integer', default: 30, min: 0, doc: 'Requests per minute per key; 0 for no limit' },
+    dailyRequests: { env: 'API_DAILY_REQUESTS', type: 'integer', default: 500, min: 0, doc: 'Requests per key per UTC day; 0 for no limit' },
+    dailyTokens: { env: 'API_DAILY_TOKENS', type: 'integer', default: 2000000, min: 0, doc: 'Estimated model tokens per key per UTC day; 0 for no limit' }
+  },
+  chunking: {
+    singlePassTokens: { env: 'CHUNK_SINGLE_PASS_TOKENS', type: 'integer', default: 12500, min: 1, doc: 'Templates above this are enhanced section by section' },
+    sectionTokens: { env: 'CHUNK_SECTION_TOKENS', type: 'integer', default: 6000, min: 1, doc: 'Target size of each section' }
+  },
+  fidelity: {
+    threshold: { env: 'FIDELITY_THRESHOLD', type: 'number', default: 0.8, min: 0, max: 1, doc: 'Content preservation score a generated page must reach' },
+    maxRetries: { env: 'FIDELITY_MAX_RETRIES', type: 'integer', default: 1, min: 0, doc: 'Corrective retries when it falls short' }
+  }
+};
+
+/**
+ * Raised for invalid settings. Lists every problem found, not just the first.
+ */
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration: ${problems.join('; ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Config files are read once per path; environment variables on every call
+const fileCache = new Map();
+
+/**
+ * The effective configuration: environment variables over the config file
+ * over defaults. The file is CONFIG_FILE, or config.json next to this module
+ * when it exists, and nests settings like CONFIG_SCHEMA, e.g.
+ * { "server": { "corsOrigins": ["https://staging.example.com"] } }.
+ */
+export function getConfig(env = process.env) {
+  const file = env.CONFIG_FILE || path.join(SERVER_DIR, 'config.json');
+  if (!fileCache.has(file)) fileCache.set(file, readConfigFile(file, Boolean(env.CONFIG_FILE)));
+  return resolveConfig({ env, file: fileCache.get(file), fileName: path.basename(file) });
+}
+
+/**
+ * Validate and merge one set of sources. Throws ConfigError listing every
+ * invalid or unknown setting.
+ */
+export function resolveConfig({ env = {}, file = {}, fileName = 'config file' } = {}) {
+  const problems = [];
+  const config = {};
+
+  for (const [name, section] of Object.entries(file)) {
+    if (!CONFIG_SCHEMA[name]) {
+      problems.push(`${fileName} has an unknown section "${name}"`);
+      continue;
+    }
+    for (const key of Object.keys(section ?? {})) {
+      if (!CONFIG_SCHEMA[name][key]) problems.push(`${fileName} has an unknown setting "${name}.${key}"`);
+    }
+  }
+
+  for (const [name, section] of Object.entries(CONFIG_SCHEMA)) {
+    config[name] = {};
+    for (const [key, setting] of Object.entries(section)) {
+      const fromEnv = env[setting.env] !== undefined && env[setting.env] !== '';
+      const fromFile = file[name]?.[key] !== undefined;
+      if (!fromEnv && !fromFile) {
+        config[name][key] = typeof setting.default === 'function' ? setting.default(env) : setting.default;
+        continue;
+      }
+      const label = fromEnv ? setting.env : `${name}.${key} in ${fileName}`;
+      try {
+        config[name][key] = parseSetting(fromEnv ? env[setting.env] : file[name][key], setting, label);
+      } catch (error) {
+        problems.push(error.message);
+      }
+    }
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+  return config;
+}
+
+/**
+ * The settings a client may see: everything not marked public: false
+ */
+export function publicConfig(config = getConfig()) {
+  return Object.fromEntries(Object.entries(CONFIG_SCHEMA).map(([name, section]) => [
+    name,
+    Object.fromEntries(Object.keys(section).filter(key => section[key].public !== false).map(key => [key, config[name][key]]))
+  ]));
+}
+
+function parseSetting(value, setting, label) {
+  const text = typeof value === 'string' ? value.trim() : value;
+
+  switch (setting.type) {
+    case 'integer':
+    case 'number': {
+      const number = typeof text === 'number' ? text : Number(text);
+      if (typeof text === 'boolean' || text === '' || !Number.isFinite(number)) throw new Error(`${label} must be a number`);
+      if (setting.type === 'integer' && !Number.isInteger(number)) throw new Error(`${label} must be a whole number`);
+      if (setting.min !== undefined && number < setting.min) throw new Error(`${label} must be at least ${setting.min}`);
+      if (setting.max !== undefined && number > setting.max) throw new Error(`${label} must be at most ${setting.max}`);
+      return number;
+    }
+    case 'enum': {
+      const choice = String(text).toLowerCase();
+      if (!setting.values.includes(choice)) throw new Error(`${label} must be one of: ${setting.values.join(', ')}`);
+      return choice;
+    }
+    case 'list': {
+      const items = Array.isArray(text) ? text : String(text).split(',');
+      return items.map(item => String(item).trim()).filter(Boolean);
+    }
+    case 'size':
+      if (!/^\d+(b|kb|mb)$/i.test(String(text))) throw new Error(`${label} must be a size like 500kb or 5mb`);
+      return String(text).toLowerCase();
+    case 'url': {
+      let url;
+      try {
+        url = new URL(String(text));
+      } catch {
+        throw new Error(`${label} must be an absolute URL`);
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error(`${label} must be an http or https URL`);
+      return url.href.replace(/\/+$/, '');
+    }
+    default:
+      if (typeof text !== 'string') throw new Error(`${label} must be a string`);
+      return text;
+  }
+}
+
+function readConfigFile(file, required) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) return {};
+    throw new ConfigError([`Could not read ${file}: ${error.message}`]);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError([`${file} is not valid JSON: ${error.message}`]);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ConfigError([`${file} must hold a JSON object`]);
+  }
+  return parsed;
+}
@@ -0,0 +1,237 @@
+import { cssPath, normalizedText } from './dom-utils.js';
+
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'svg', 'SVG', 'TITLE', 'OPTION']);
+
+const FONT_SIZE_KEYWORDS = {
+  'xx-small': 9, 'x-small': 10, small: 13, medium: 16, large: 18, 'x-large': 24, 'xx-large': 32, 'xxx-large': 48
+};
+
+// User-agent default sizes, since jsdom only reports authored font-size values
+const DEFAULT_TAG_SIZES = {
+  H1: '2em', H2: '1.5em', H3: '1.17em', H5: '0.83em', H6: '0.67em', SMALL: 'smaller', SUB: 'smaller', SUP: 'smaller'
+};
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+const BLACK = { r: 0, g: 0, b: 0, a: 1 };
+
+const cache = new WeakMap();
+
+/**
+ * Resolve effective text/background colors from the cascade for every element
+ * with its own text, and compute WCAG 2.x contrast ratios.
+ * Relies on the document's own <style> elements, so run it after CSS inlining.
+ */
+export function analyzeContrast(doc, { maxElements = 2000 } = {}) {
+  if (cache.has(doc)) return cache.get(doc);
+
+  const win = doc.defaultView;
+  const styles = new Map();
+  const computed = el => {
+    if (!styles.has(el)) styles.set(el, win.getComputedStyle(el));
+    return styles.get(el);
+  };
+
+  const results = [];
+  let indeterminate = 0;
+  let truncated = false;
+
+  for (const el of doc.body?.querySelectorAll('*') || []) {
+    if (SKIPPED_TAGS.has(el.tagName) || el.closest('svg') || !ownText(el)) continue;
+    if (isRenderHidden(el, computed)) continue;
+    if (results.length + indeterminate >= maxElements) {
+      truncated = true;
+      break;
+    }
+
+    const foreground = resolveColor(el, computed(el).color, computed);
+    const background = resolveBackground(el, computed);
+    if (!foreground || !background) {
+      indeterminate++;
+      continue;
+    }
+
+    const fg = blend(foreground, background);
+    const ratio = contrastRatio(fg, background);
+    const fontSize = resolveFontSize(el, computed);
+    const bold = isBold(el, computed);
+    const large = fontSize >= 24 || (fontSize >= 18.66 && bold);
+
+    results.push({
+      selector: cssPath(el),
+      text: ownText(el).slice(0, 80),
+      ratio: Math.round(ratio * 100) / 100,
+      foreground: toCss(fg),
+      background: toCss(background),
+      fontSize,
+      large,
+      aa: ratio >= (large ? 3 : 4.5),
+      aaa: ratio >= (large ? 4.5 : 7)
+    });
+  }
+
+  const failing = results.filter(result => !result.aaa)
+    .sort((a, b) => a.ratio - b.ratio);
+
+  const report = {
+    checked: results.length,
+    passAA: results.filter(result => result.aa).length,
+    failAA: results.filter(result => !result.aa).length,
+    failAAA: failing.length,
+    indeterminate,
+    truncated,
+    minRatio: results.length ? Math.min(...results.map(result => result.ratio)) : null,
+    failing
+  };
+
+  cache.set(doc, report);
+  return report;
+}
+
+/**
+ * WCAG 2.x contrast ratio between two opaque colors
+ */
+export function contrastRatio(a, b) {
+  const [lighter, darker] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+export function relativeLuminance({ r, g, b }) {
+  const channel = value => {
+    const c = value / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+/**
+ * Parse the color formats jsdom's computed style produces (plus hex/transparent)
+ */
+export function parseColor(value) {
+  if (!value) return null;
+  const color = value.trim().toLowerCase();
+
+  if (color === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+
+  const rgb = color.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+  if (rgb) {
+    let alpha = rgb[4] === undefined ? 1 : parseFloat(rgb[4]);
+    if (rgb[4]?.endsWith('%')) alpha /= 100;
+    return { r: +rgb[1], g: +rgb[2], b: +rgb[3], a: alpha };
+  }
+
+  const hex = color.match(/^#([0-9a-f]{3,8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length === 3 || digits.length === 4) digits = [...digits].map(d => d + d).join('');
+    if (digits.length !== 6 && digits.length !== 8) return null;
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+    };
+  }
+
+  return null;
+}
+
+function resolveColor(el, value, computed) {
+  if (!value) return BLACK;
+  if (value.includes('var(')) {
+    return parseColor(resolveVar(el, value, computed));
+  }
+  if (value === 'currentcolor') return resolveColor(el, computed(el).color, computed);
+  return parseColor(value);
+}
+
+/**
+ * Composite background colors from the element up to the canvas; returns null
+ * when a background image makes the result unknowable without rendering
+ */
+function resolveBackground(el, computed) {
+  const layers = [];
+  for (let node = el; node; node = node.parentElement) {
+    const style = computed(node);
+    const image = style.backgroundImage;
+    if (image && image !== 'none') return null;
+
+    const color = resolveColor(node, style.backgroundColor, computed);
+    if (!color) return null;
+    if (color.a > 0) layers.push(color);
+    if (color.a >= 1) break;
+  }
+
+  return layers.reverse().reduce((below, layer) => blend(layer, below), WHITE);
+}
+
+function resolveVar(el, value, computed) {
+  return value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^)]+))?\)/g, (match, name, fallback) => {
+    for (let node = el; node; node = node.parentElement) {
+      const declared = computed(node).getPropertyValue(name).trim();
+      if (declared) return declared;
+    }
+    return fallback?.trim() || '';
+  });
+}
+
+function resolveFontSize(el, computed) {
+  if (!el) return 16;
+  const parentSize = el.parentElement ? resolveFontSize(el.parentElement, computed) : 16;
+  const value = computed(el).fontSize?.trim().toLowerCase() || DEFAULT_TAG_SIZES[el.tagName];
+  if (!value) return parentSize;
+
+  if (FONT_SIZE_KEYWORDS[value]) return FONT_SIZE_KEYWORDS[value];
+  if (value === 'smaller') return parentSize / 1.2;
+  if (value === 'larger') return parentSize * 1.2;
+
+  const match = value.match(/^([\d.]+)(px|em|rem|%|pt)$/);
+  if (!match) return parentSize;
+  const number = parseFloat(match[1]);
+  switch (match[2]) {
+    case 'px': return number;
+    case 'em': return number * parentSize;
+    case '%': return (number / 100) * parentSize;
+    case 'rem': return number * resolveFontSize(el.ownerDocument.documentElement, computed);
+    case 'pt': return (number * 4) / 3;
+    default: return parentSize;
+  }
+}
+
+function isBold(el, computed) {
+  for (let node = el; node; node = node.parentElement) {
+    const weight = computed(node).fontWeight;
+    if (weight) return weight === 'bold' || weight === 'bolder' || parseInt(weight) >= 700;
+    if (/^(B|STRONG|TH|H[1-6])$/.test(node.tagName)) return true;
+  }
+  return false;
+}
+
+function isRenderHidden(el, computed) {
+  if (el.closest('[hidden]')) return true;
+  for (let node = el; node; node = node.parentElement) {
+    if (computed(node).display === 'none') return true;
+  }
+  return computed(el).visibility === 'hidden';
+}
+
+function ownText(el) {
+  return [...el.childNodes]
+    .filter(node => node.nodeType === 3)
+    .map(node => normalizedText(node))
+    .join(' ')
+    .trim();
+}
+
+function blend(top, bottom) {
+  const alpha = top.a ?? 1;
+  return {
+    r: Math.round(top.r * alpha + bottom.r * (1 - alpha)),
+    g: Math.round(top.g * alpha + bottom.g * (1 - alpha)),
+    b: Math.round(top.b * alpha + bottom.b * (1 - alpha)),
+    a: 1
+  };
+}
+
+function toCss({ r, g, b }) {
+  return `rgb(${r}, ${g}, ${b})`;
+}
@@ -0,0 +1,386 @@
+import crypto from 'crypto';
+import { JSDOM } from 'jsdom';
+import { SEVERITIES } from './audit.js';
+import { normalizedText } from './dom-utils.js';
+import { CRAWLER_USER_AGENT, fetchRobots } from './robots.js';
+
+const DEFAULT_MAX_DEPTH = 2;
+const MAX_DEPTH = 5;
+const DEFAULT_MAX_PAGES = 20;
+const MAX_PAGES = 200;
+const MAX_JOBS_KEPT = 50;
+// Queued or running jobs per API key (anonymous callers share one allowance)
+export const MAX_ACTIVE_JOBS = 3;
+const REQUEST_DELAY = 250;
+const MAX_CRAWL_DELAY = 10;
+
+const SKIPPED_EXTENSIONS = /\.(pdf|zip|gz|png|jpe?g|gif|svg|webp|avif|ico|css|js|mjs|json|xml|rss|mp4|webm|mp3|wav|woff2?|ttf|otf|eot|txt|csv|docx?|xlsx?|pptx?)$/i;
+
+const LAYOUT_REGIONS = {
+  header: 'header, [role="banner"]',
+  nav: 'nav, [role="navigation"]',
+  footer: 'footer, [role="contentinfo"]'
+};
+
+/**
+ * Validate crawl limits. Throws with a message suitable for a 400 response.
+ */
+export function resolveCrawlOptions({ maxDepth = DEFAULT_MAX_DEPTH, maxPages = DEFAULT_MAX_PAGES } = {}) {
+  const depth = Number(maxDepth);
+  const pages = Number(maxPages);
+  if (!Number.isInteger(depth) || depth < 0 || depth > MAX_DEPTH) {
+    throw new Error(`maxDepth must be an integer between 0 and ${MAX_DEPTH}`);
+  }
+  if (!Number.isInteger(pages) || pages < 1 || pages > MAX_PAGES) {
+    throw new Error(`maxPages must be an integer between 1 and ${MAX_PAGES}`);
+  }
+  return { maxDepth: depth, maxPages: pages };
+}
+
+/**
+ * In-memory crawl job queue. Jobs run one at a time in the background and are
+ * polled by id. fetchPage(url, { signal, render, userAgent }) resolves to { html, finalUrl } and
+ * summarize(html, url, { renderMode }) builds the page summary, so the crawler
+ * shares the single-page pipeline.
+ */
+export function createCrawlQueue({ fetchPage, summarize }) {
+  const jobs = new Map();
+  const pending = [];
+  let running = null;
+
+  function enqueue(url, { maxDepth, maxPages, render = { renderMode: 'static' }, ownerId = null }) {
+    const job = {
+      id: crypto.randomUUID(),
+      url,
+      ownerId,
+      options: { maxDepth, maxPages, renderMode: render.renderMode },
+      render,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: { crawled: 0, failed: 0, skipped: 0, queued: 0 },
+      pages: [],
+      skipped: [],
+      report: null,
+      error: null,
+      controller: new AbortController()
+    };
+
+    jobs.set(job.id, job);
+    pending.push(job);
+    pruneJobs();
+    runNext();
+    return toJobView(job);
+  }
+
+  function get(id) {
+    const job = jobs.get(id);
+    return job ? toJobView(job, { includePages: true }) : null;
+  }
+
+  /**
+   * Queued and running jobs of one owner, to cap how many it can start
+   */
+  function countActive(ownerId = null) {
+    return [...jobs.values()].filter(job => job.ownerId === ownerId && !job.finishedAt).length;
+  }
+
+  function list() {
+    return [...jobs.values()].reverse().map(job => toJobView(job));
+  }
+
+  /**
+   * Returns false when the job doesn't exist or has already finished
+   */
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job || !['queued', 'running'].includes(job.status)) return false;
+
+    if (job.status === 'queued') {
+      pending.splice(pending.indexOf(job), 1);
+      finish(job, 'cancelled');
+    } else {
+      job.controller.abort();
+    }
+    return true;
+  }
+
+  async function runNext() {
+    if (running || pending.length === 0) return;
+
+    running = pending.shift();
+    running.status = 'running';
+    running.startedAt = new Date().toISOString();
+
+    try {
+      await crawlSite(running, { fetchPage, summarize });
+      running.report = buildSiteReport(running);
+      finish(running, 'completed');
+    } catch (error) {
+      running.report = buildSiteReport(running);
+      if (running.controller.signal.aborted) {
+        finish(running, 'cancelled');
+      } else {
+        console.error(`Crawl ${running.id} failed:`, error.message);
+        running.error = error.message;
+        finish(running, 'failed');
+      }
+    } finally {
+      running = null;
+      runNext();
+    }
+  }
+
+  // Finished jobs beyond the cap are forgotten, oldest first
+  function pruneJobs() {
+    for (const job of jobs.values()) {
+      if (jobs.size <= MAX_JOBS_KEPT) break;
+      if (job.finishedAt) jobs.delete(job.id);
+    }
+  }
+
+  return { enqueue, get, list, cancel, countActive };
+}
+
+function finish(job, status) {
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  job.progress.queued = 0;
+}
+
+function toJobView(job, { includePages = false } = {}) {
+  const view = {
+    id: job.id,
+    url: job.url,
+    ownerId: job.ownerId,
+    status: job.status,
+    options: job.options,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    progress: job.progress,
+    error: job.error
+  };
+  if (includePages) {
+    view.pages = job.pages;
+    view.skipped = job.skipped;
+    view.report = job.report;
+  }
+  return view;
+}
+
+/**
+ * Breadth-first crawl of same-origin links from job.url
+ */
+async function crawlSite(job, { fetchPage, summarize }) {
+  const { signal } = job.controller;
+  const start = new URL(job.url);
+  const robots = await fetchRobots(start.origin, { signal });
+  const delay = Math.max(REQUEST_DELAY, Math.min(robots.crawlDelay ?? 0, MAX_CRAWL_DELAY) * 1000);
+
+  const queue = [{ url: normalizeUrl(start), depth: 0 }];
+  const seen = new Set([queue[0].url]);
+
+  while (queue.length > 0 && job.pages.length < job.options.maxPages) {
+    signal.throwIfAborted();
+    const { url, depth } = queue.shift();
+    job.progress.queued = queue.length;
+
+    const { pathname, search } = new URL(url);
+    if (!robots.isAllowed(pathname + search)) {
+      job.skipped.push({ url, reason: 'Disallowed by robots.txt' });
+      job.progress.skipped++;
+      continue;
+    }
+
+    if (job.pages.length > 0) await sleep(delay, signal);
+
+    let page;
+    try {
+      const { html, finalUrl = url } = await fetchPage(url, { signal, render: job.render, userAgent: CRAWLER_USER_AGENT });
+      // Relative links on a redirected page are relative to where it ended up
+      seen.add(normalizeUrl(finalUrl));
+      page = analyzePage(html, url, depth, { summarize, renderMode: job.render.renderMode, baseUrl: finalUrl });
+    } catch (error) {
+      if (signal.aborted) throw error;
+      job.pages.push({ url, depth, status: 'error', error: error.message });
+      job.progress.failed++;
+      continue;
+    }
+
+    const { links, ...record } = page;
+    job.pages.push(record);
+    job.progress.crawled++;
+
+    if (depth < job.options.maxDepth) {
+      for (const link of links) {
+        if (seen.has(link)) continue;
+        seen.add(link);
+        queue.push({ url: link, depth: depth + 1 });
+      }
+    }
+    job.progress.queued = queue.length;
+  }
+}
+
+function analyzePage(html, url, depth, { summarize, renderMode, baseUrl = url }) {
+  const summary = summarize(html, url, { renderMode });
+  const doc = new JSDOM(html).window.document;
+  const { auditSummary } = summary.accessibility;
+
+  return {
+    url,
+    depth,
+    status: 'ok',
+    title: summary.metadata.title,
+    description: summary.metadata.description,
+    h1Count: doc.querySelectorAll('h1').length,
+    contentType: summary.content.type,
+    issues: {
+      total: auditSummary.total,
+      bySeverity: auditSummary.bySeverity,
+      byRule: auditSummary.byRule
+    },
+    layout: Object.fromEntries(
+      Object.entries(LAYOUT_REGIONS).map(([region, selector]) => [region, regionSignature(doc, selector, url)])
+    ),
+    links: extractLinks(doc, baseUrl)
+  };
+}
+
+/**
+ * Same-origin page links, without fragments or obvious non-HTML files
+ */
+function extractLinks(doc, pageUrl) {
+  const base = new URL(doc.querySelector('base[href]')?.getAttribute('href') || pageUrl, pageUrl);
+  const origin = new URL(pageUrl).origin;
+  const links = new Set();
+
+  for (const anchor of doc.querySelectorAll('a[href]')) {
+    if (anchor.hasAttribute('download') || /nofollow/i.test(anchor.getAttribute('rel') || '')) continue;
+    let url;
+    try {
+      url = new URL(anchor.getAttribute('href'), base);
+    } catch {
+      continue;
+    }
+    if (url.origin !== origin || SKIPPED_EXTENSIONS.test(url.pathname)) continue;
+    links.add(normalizeUrl(url));
+  }
+
+  return [...links];
+}
+
+/**
+ * Fingerprint a header/nav/footer by its text and link targets, so the same
+ * shared component produces the same signature on every page
+ */
+function regionSignature(doc, selector, pageUrl) {
+  const matches = [...doc.querySelectorAll(selector)].filter(el => !el.closest('article, aside'));
+  const el = selector.startsWith('footer') ? matches.at(-1) : matches[0];
+  if (!el) return null;
+
+  const text = normalizedText(el).toLowerCase();
+  const links = [...el.querySelectorAll('a[href]')]
+    .map(anchor => {
+      try {
+        return new URL(anchor.getAttribute('href'), pageUrl).pathname;
+      } catch {
+        return '';
+      }
+    })
+    .sort();
+
+  return {
+    hash: crypto.createHash('sha1').update(`${text}\n${links.join('\n')}`).digest('hex').slice(0, 12),
+    sample: normalizedText(el).slice(0, 80),
+    linkCount: links.length
+  };
+}
+
+/**
+ * Site-level findings across all crawled pages
+ */
+function buildSiteReport(job) {
+  const ok = job.pages.filter(page => page.status === 'ok');
+  const bySeverity = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  const byRule = {};
+
+  for (const page of ok) {
+    SEVERITIES.forEach(severity => { bySeverity[severity] += page.issues.bySeverity[severity] || 0; });
+    Object.entries(page.issues.byRule).forEach(([rule, count]) => { byRule[rule] = (byRule[rule] || 0) + count; });
+  }
+
+  const titles = new Map();
+  ok.forEach(page => titles.set(page.title, [...(titles.get(page.title) || []), page.url]));
+
+  return {
+    pagesCrawled: ok.length,
+    pagesFailed: job.pages.length - ok.length,
+    pagesSkipped: job.skipped.length,
+    sharedLayout: Object.fromEntries(Object.keys(LAYOUT_REGIONS).map(region => [region, regionConsistency(ok, region)])),
+    missingH1: ok.filter(page => page.h1Count === 0).map(page => page.url),
+    multipleH1: ok.filter(page => page.h1Count > 1).map(page => page.url),
+    missingMetaDescription: ok.filter(page => !page.description.trim()).map(page => page.url),
+    duplicateTitles: [...titles]
+      .filter(([, urls]) => urls.length > 1)
+      .map(([title, urls]) => ({ title, urls })),
+    issues: {
+      total: Object.values(bySeverity).reduce((sum, count) => sum + count, 0),
+      bySeverity,
+      byRule
+    },
+    pages: ok
+      .map(page => ({ url: page.url, title: page.title, issues: page.issues.total, bySeverity: page.issues.bySeverity }))
+      .sort((a, b) => b.issues - a.issues)
+  };
+}
+
+/**
+ * A region is consistent when every page has it and all copies match
+ */
+function regionConsistency(pages, region) {
+  const variants = new Map();
+  const missing = [];
+
+  for (const page of pages) {
+    const signature = page.layout[region];
+    if (!signature) {
+      missing.push(page.url);
+      continue;
+    }
+    const variant = variants.get(signature.hash) || { hash: signature.hash, sample: signature.sample, count: 0, urls: [] };
+    variant.count++;
+    variant.urls.push(page.url);
+    variants.set(signature.hash, variant);
+  }
+
+  const sorted = [...variants.values()].sort((a, b) => b.count - a.count);
+  return {
+    consistent: pages.length > 0 && missing.length === 0 && sorted.length === 1,
+    coverage: pages.length ? Math.round(((pages.length - missing.length) / pages.length) * 100) / 100 : 0,
+    variants: sorted.map(variant => ({ ...variant, urls: variant.urls.slice(0, 10) })),
+    missing
+  };
+}
+
+function normalizeUrl(url) {
+  const normalized = new URL(url);
+  normalized.hash = '';
+  return normalized.href;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,307 @@
+import { JSDOM } from 'jsdom';
+import postcss from 'postcss';
+import valueParser from 'postcss-value-parser';
+import { resolveCssUrls, resolveUrl } from './asset-resolver.js';
+import { cachedFetch } from './cache.js';
+import { getConfig } from './config.js';
+import { withTimeout } from './url-policy.js';
+
+// Largest stylesheet downloaded; budgets then decide how much is inlined
+const MAX_FETCH_BYTES = 2000000;
+
+// Inlined <style> elements remember the sheet they replaced, so the page can
+// still be audited as it was served: one request of that many bytes
+export const SOURCE_ATTRIBUTE = 'data-ux-source';
+export const SOURCE_BYTES_ATTRIBUTE = 'data-ux-bytes';
+
+/**
+ * Replace <link rel="stylesheet"> elements with minified <style> blocks.
+ * Sheets are fetched in parallel, @import chains are followed and inlined
+ * under their media, layer and supports conditions, and media attributes
+ * carry over to the <style>. Sheets are budgeted in document order: one that
+ * doesn't fit is cut at a rule boundary, or left as a link if no rule fits.
+ * Resolves to { html, stylesheets, bytes } where stylesheets reports each
+ * sheet's status: inlined, truncated, dropped or failed. Budgets, timeouts
+ * and concurrency default to the css section of the config. Pass cache and
+ * cacheTtl (see cachedFetch) to reuse and revalidate earlier downloads.
+ */
+export async function inlineStylesheets(html, baseUrl, { signal, onEvent = () => {}, ...options } = {}) {
+  const config = getConfig();
+  const settings = { maxFetchBytes: MAX_FETCH_BYTES, userAgent: config.fetch.userAgent, ...config.css, ...definedOptions(options) };
+  const dom = new JSDOM(html);
+  const doc = dom.window.document;
+  const links = [...doc.querySelectorAll('link[rel~="stylesheet"][href]')].filter(link =>
+    !link.hasAttribute('disabled') && !/\balternate\b/i.test(link.getAttribute('rel')));
+
+  const context = { settings, signal, limit: createLimiter(settings.concurrency) };
+  const loaded = await Promise.all(links.map(async link => {
+    const href = resolveUrl(link.getAttribute('href'), baseUrl);
+    try {
+      return { href, ...(await loadStylesheet(href, context)) };
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      return { href, error: error.message };
+    }
+  }));
+
+  const stylesheets = [];
+  let used = 0;
+  links.forEach((link, index) => {
+    const sheet = loaded[index];
+    const media = link.getAttribute('media') || 'all';
+    let entry;
+
+    if (sheet.error) {
+      entry = { href: sheet.href, status: 'failed', media, reason: sheet.error };
+    } else {
+      const css = minifyCss(sheet.css);
+      const originalBytes = Buffer.byteLength(css);
+      const available = Math.min(settings.maxSheetBytes, settings.maxTotalBytes - used);
+      const fitted = originalBytes <= available ? { css, rules: null } : truncateCss(css, available);
+
+      if (fitted.rules === 0) {
+        entry = {
+          href: sheet.href,
+          status: 'dropped',
+          media,
+          originalBytes,
+          reason: available <= 0 ? 'CSS budget exhausted' : `No rule fits in the ${available} bytes left`
+        };
+      } else {
+        const bytes = Buffer.byteLength(fitted.css);
+        const style = doc.createElement('style');
+        style.textContent = fitted.css;
+        if (media !== 'all') style.setAttribute('media', media);
+        style.setAttribute(SOURCE_ATTRIBUTE, sheet.href);
+        style.setAttribute(SOURCE_BYTES_ATTRIBUTE, String(originalBytes));
+        link.replaceWith(style);
+        used += bytes;
+        entry = fitted.rules === null
+          ? { href: sheet.href, status: 'inlined', media, bytes, originalBytes }
+          : {
+              href: sheet.href,
+              status: 'truncated',
+              media,
+              bytes,
+              originalBytes,
+              reason: `Kept ${fitted.rules} of ${fitted.totalRules} rules to stay within ${available} bytes`
+            };
+      }
+    }
+
+    if (sheet.cache) entry.cache = sheet.cache;
+    if (sheet.imports?.length) entry.imports = sheet.imports;
+    stylesheets.push(entry);
+    onEvent('stylesheet', entry);
+  });
+
+  return { html: dom.serialize(), stylesheets, bytes: used };
+}
+
+function definedOptions(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Run at most `concurrency` of the wrapped calls at once
+ */
+function createLimiter(concurrency) {
+  const waiting = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || waiting.length === 0) return;
+    active++;
+    const { task, resolve, reject } = waiting.shift();
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return task => new Promise((resolve, reject) => {
+    waiting.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Fetch one stylesheet, make its URLs absolute and inline its imports.
+ * Only the fetch holds a concurrency slot, so nested imports can't deadlock.
+ */
+async function loadStylesheet(url, context, chain = []) {
+  const { settings, signal } = context;
+  const response = await context.limit(() => cachedFetch(url, {
+    cache: settings.cache,
+    ttl: settings.cacheTtl,
+    bypass: settings.bypassCache,
+    signal: withTimeout(signal, settings.timeout),
+    maxBytes: settings.maxFetchBytes,
+    headers: {
+      'User-Agent': settings.userAgent,
+      'Accept': 'text/css'
+    }
+  }));
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  // url() and @import inside the sheet are relative to the sheet, not the page
+  const css = resolveCssUrls(response.text(), response.url);
+  return { ...(await expandImports(css, context, [...chain, url])), cache: response.cache };
+}
+
+/**
+ * The URL and conditions of an @import rule's params
+ */
+export function parseImport(params) {
+  const nodes = valueParser(params).nodes.filter(node => node.type !== 'space');
+  const [first, ...rest] = nodes;
+  let url = null;
+  if (first?.type === 'string') url = first.value;
+  if (first?.type === 'function' && first.value.toLowerCase() === 'url') url = first.nodes[0]?.value ?? null;
+  if (!url) return { url: null };
+
+  let layer = null;
+  let supports = null;
+  let mediaStart = null;
+  for (const node of rest) {
+    const name = node.value.toLowerCase();
+    if (mediaStart === null && layer === null && node.type === 'word' && name === 'layer') layer = '';
+    else if (mediaStart === null && layer === null && node.type === 'function' && name === 'layer') layer = valueParser.stringify(node.nodes).trim();
+    else if (mediaStart === null && supports === null && node.type === 'function' && name === 'supports') supports = valueParser.stringify(node.nodes).trim();
+    else if (mediaStart === null) mediaStart = node.sourceIndex;
+  }
+
+  return {
+    url,
+    layer,
+    supports,
+    media: mediaStart === null ? null : params.slice(mediaStart).trim(),
+    conditions: params.slice(first.sourceEndIndex).trim()
+  };
+}
+
+/**
+ * Inline the top-level @import rules of a sheet. Imports that can't be
+ * loaded stay as @import rules with absolute URLs, hoisted to the top
+ * where browsers still honour them.
+ */
+async function expandImports(css, context, chain) {
+  let root;
+  try {
+    root = postcss.parse(css);
+  } catch {
+    return { css, imports: [] };
+  }
+
+  const rules = root.nodes.filter(node => node.type === 'atrule' && node.name.toLowerCase() === 'import');
+
+  // Each import reports its own results so the order follows the sheet, not the network
+  const results = await Promise.all(rules.map(async rule => {
+    const parsed = parseImport(rule.params);
+    const url = parsed.url;
+    if (!url) return { imports: [], kept: [rule] };
+
+    if (chain.includes(url)) {
+      rule.remove();
+      return { imports: [{ href: url, status: 'dropped', reason: 'Import cycle' }], kept: [] };
+    }
+    if (chain.length > context.settings.maxImportDepth) {
+      return {
+        imports: [{ href: url, status: 'failed', reason: `Imports nested deeper than ${context.settings.maxImportDepth}` }],
+        kept: [rule]
+      };
+    }
+
+    try {
+      const child = await loadStylesheet(url, context, chain);
+      const childRoot = postcss.parse(child.css);
+      const childImports = childRoot.nodes.filter(node => node.type === 'atrule' && node.name.toLowerCase() === 'import');
+      childImports.forEach(childRule => {
+        // A bare import inside a conditional one only applies under the same conditions
+        if (!parseImport(childRule.params).conditions && parsed.conditions) {
+          childRule.params = `${childRule.params} ${parsed.conditions}`;
+        }
+        childRule.remove();
+      });
+      rule.replaceWith(wrapImported(childRoot.nodes, parsed));
+      return { imports: [{ href: url, status: 'inlined', cache: child.cache }, ...child.imports], kept: childImports };
+    } catch (error) {
+      if (context.signal?.aborted) throw error;
+      return { imports: [{ href: url, status: 'failed', reason: error.message }], kept: [rule] };
+    }
+  }));
+
+  const kept = results.flatMap(result => result.kept);
+  root.walkAtRules('charset', rule => rule.remove());
+  kept.forEach(rule => rule.remove());
+  root.prepend(...kept);
+  return { css: root.toString(), imports: results.flatMap(result => result.imports) };
+}
+
+function wrapImported(nodes, { layer, supports, media }) {
+  let wrapped = nodes;
+  if (layer !== null) wrapped = [postcss.atRule({ name: 'layer', params: layer, nodes: wrapped })];
+  if (media) wrapped = [postcss.atRule({ name: 'media', params: media, nodes: wrapped })];
+  if (supports !== null) wrapped = [postcss.atRule({ name: 'supports', params: `(${supports})`, nodes: wrapped })];
+  return wrapped;
+}
+
+/**
+ * Drop comments (except /*! licence notes) and the whitespace between
+ * tokens. Values, selectors' insides and strings are left as written, so
+ * nothing that changes meaning is touched. Unparsable CSS comes back as is.
+ */
+export function minifyCss(css) {
+  let root;
+  try {
+    root = postcss.parse(css);
+  } catch {
+    return css.trim();
+  }
+
+  root.walkComments(comment => {
+    if (!comment.text.startsWith('!')) comment.remove();
+  });
+  root.walk(node => {
+    node.raws.before = '';
+    if (node.type === 'decl') {
+      node.raws.between = ':';
+      // The raw value keeps trailing whitespace and comments; the parsed one doesn't
+      delete node.raws.value;
+      if (node.important) node.raws.important = '!important';
+    } else if (node.type === 'rule') {
+      node.selector = node.selectors.join(',');
+      Object.assign(node.raws, { between: '', after: '', semicolon: false });
+    } else if (node.type === 'atrule') {
+      node.params = node.params.trim();
+      Object.assign(node.raws, { afterName: node.params ? ' ' : '', between: '', after: '', semicolon: false });
+    }
+  });
+  root.raws.after = '';
+  return root.toString();
+}
+
+/**
+ * Keep whole top-level rules from the start of a sheet until maxBytes.
+ * Resolves to { css, rules, totalRules }; rules is 0 when none fit.
+ */
+export function truncateCss(css, maxBytes) {
+  let root;
+  try {
+    root = postcss.parse(css);
+  } catch {
+    return { css: '', rules: 0, totalRules: 1 };
+  }
+
+  const totalRules = root.nodes.length;
+  let bytes = 0;
+  let rules = 0;
+  for (const node of root.nodes) {
+    const size = Buffer.byteLength(node.toString());
+    if (bytes + size > maxBytes) break;
+    bytes += size;
+    rules++;
+  }
+  root.nodes.slice(rules).forEach(node => node.remove());
+  return { css: root.toString(), rules, totalRules };
+}
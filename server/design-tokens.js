@@ -0,0 +1,423 @@
+import postcss from 'postcss';
+import valueParser from 'postcss-value-parser';
+import { parseColor } from './contrast.js';
+
+// Colors closer than this (CIEDE2000) are treated as the same design color
+const CLUSTER_DISTANCE = 5;
+const MAX_COLORS = 24;
+const ROOT_FONT_SIZE = 16;
+
+const NAMED_COLORS = {
+  black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff',
+  yellow: '#ffff00', orange: '#ffa500', purple: '#800080', pink: '#ffc0cb', brown: '#a52a2a',
+  gray: '#808080', grey: '#808080', silver: '#c0c0c0', navy: '#000080', teal: '#008080',
+  maroon: '#800000', olive: '#808000', lime: '#00ff00', aqua: '#00ffff', cyan: '#00ffff',
+  fuchsia: '#ff00ff', magenta: '#ff00ff', indigo: '#4b0082', gold: '#ffd700', crimson: '#dc143c',
+  coral: '#ff7f50', tomato: '#ff6347', salmon: '#fa8072', khaki: '#f0e68c', beige: '#f5f5dc',
+  ivory: '#fffff0', lavender: '#e6e6fa', tan: '#d2b48c', whitesmoke: '#f5f5f5', gainsboro: '#dcdcdc',
+  lightgray: '#d3d3d3', lightgrey: '#d3d3d3', darkgray: '#a9a9a9', darkgrey: '#a9a9a9', dimgray: '#696969',
+  slategray: '#708090', darkblue: '#00008b', royalblue: '#4169e1', steelblue: '#4682b4', skyblue: '#87ceeb',
+  darkgreen: '#006400', forestgreen: '#228b22', seagreen: '#2e8b57', darkred: '#8b0000', firebrick: '#b22222'
+};
+
+const COLOR_ROLES = {
+  color: 'text',
+  'background-color': 'background',
+  background: 'background',
+  'border-color': 'border',
+  border: 'border',
+  'border-top': 'border',
+  'border-right': 'border',
+  'border-bottom': 'border',
+  'border-left': 'border',
+  'border-top-color': 'border',
+  'border-right-color': 'border',
+  'border-bottom-color': 'border',
+  'border-left-color': 'border',
+  outline: 'border',
+  'outline-color': 'border'
+};
+
+const SPACING_PROPERTIES = /^(margin|padding)(-(top|right|bottom|left|inline|block)(-(start|end))?)?$|^(gap|row-gap|column-gap)$/;
+const RADIUS_PROPERTIES = /^border(-(top|bottom)-(left|right)|-(start|end)-(start|end))?-radius$/;
+
+/**
+ * Parse every <style> block and inline style attribute and pull out the
+ * site's design tokens: clustered colors ranked by usage, font stacks, type
+ * and spacing scales, radii, shadows and breakpoints.
+ */
+export function extractDesignTokens(doc) {
+  const sources = collectSources(doc);
+  const customProperties = new Map();
+  const usage = {
+    colors: new Map(),
+    fontStacks: new Map(),
+    webFonts: new Set(),
+    fontSizes: new Map(),
+    spacing: new Map(),
+    radii: new Map(),
+    shadows: new Map(),
+    breakpoints: new Map()
+  };
+  let parseErrors = 0;
+
+  const roots = sources.map(css => {
+    try {
+      return postcss.parse(css);
+    } catch {
+      parseErrors++;
+      return null;
+    }
+  }).filter(Boolean);
+
+  // Custom properties first, so var() references can be resolved in one pass
+  roots.forEach(root => root.walkDecls(/^--/, decl => customProperties.set(decl.prop, decl.value)));
+
+  for (const root of roots) {
+    root.walkAtRules(atRule => {
+      if (atRule.name === 'media') collectBreakpoints(atRule.params, usage.breakpoints);
+      if (atRule.name === 'font-face') {
+        atRule.walkDecls('font-family', decl => usage.webFonts.add(cleanFamily(decl.value)));
+      }
+    });
+
+    root.walkDecls(decl => {
+      if (decl.parent?.type === 'atrule' && decl.parent.name === 'font-face') return;
+
+      const prop = decl.prop.toLowerCase();
+      const value = resolveVars(decl.value, customProperties);
+
+      collectColors(value, COLOR_ROLES[prop] || (prop.startsWith('--') ? 'variable' : 'other'), usage.colors);
+
+      if (prop === 'font-family') {
+        count(usage.fontStacks, normalizeStack(value));
+      } else if (prop === 'font') {
+        const { size, family } = parseFontShorthand(value);
+        if (family) count(usage.fontStacks, normalizeStack(family));
+        if (size) countLength(usage.fontSizes, size);
+      } else if (prop === 'font-size') {
+        countLength(usage.fontSizes, value);
+      } else if (SPACING_PROPERTIES.test(prop)) {
+        valueParser(value).nodes.filter(node => node.type === 'word').forEach(node => countLength(usage.spacing, node.value));
+      } else if (RADIUS_PROPERTIES.test(prop)) {
+        valueParser(value).nodes
+          .filter(node => node.type === 'word')
+          .forEach(node => count(usage.radii, node.value.endsWith('%') ? node.value : toPx(node.value)));
+      } else if (prop === 'box-shadow' && value.trim() !== 'none') {
+        count(usage.shadows, valueParser.stringify(valueParser(value).nodes).replace(/\s+/g, ' ').trim());
+      }
+    });
+  }
+
+  const fontSizes = rankNumbers(usage.fontSizes);
+  const spacing = rankNumbers(usage.spacing).filter(entry => entry.value > 0);
+
+  return {
+    colors: clusterColors(usage.colors),
+    fonts: {
+      stacks: rank(usage.fontStacks).map(({ value, usage: used }) => ({ stack: value, families: splitStack(value), usage: used })),
+      webFonts: [...usage.webFonts].filter(Boolean)
+    },
+    typeScale: { sizes: fontSizes, ratio: scaleRatio(fontSizes.map(entry => entry.value)) },
+    spacing: { values: spacing, baseUnit: baseUnit(spacing) },
+    radii: rank(usage.radii).filter(entry => entry.value !== null && entry.value !== 0),
+    shadows: rank(usage.shadows),
+    breakpoints: rankNumbers(usage.breakpoints),
+    sources: { styleBlocks: doc.querySelectorAll('style').length, inlineStyles: doc.querySelectorAll('[style]').length, parseErrors }
+  };
+}
+
+/**
+ * Every distinct color the page's CSS uses, as hex, without clustering or
+ * the MAX_COLORS cut-off. Used to check that specific colors survived.
+ */
+export function listColors(doc) {
+  const colors = new Map();
+  const customProperties = new Map();
+  const roots = collectSources(doc).map(css => {
+    try {
+      return postcss.parse(css);
+    } catch {
+      return null;
+    }
+  }).filter(Boolean);
+
+  roots.forEach(root => root.walkDecls(/^--/, decl => customProperties.set(decl.prop, decl.value)));
+  roots.forEach(root => root.walkDecls(decl => collectColors(resolveVars(decl.value, customProperties), 'other', colors)));
+  return new Set([...colors.values()].map(entry => entry.hex));
+}
+
+/**
+ * A single CSS color value (hex, named, rgb() or hsl()) as opaque hex, or null
+ */
+export function normalizeColor(value) {
+  const colors = new Map();
+  collectColors(String(value).trim(), 'other', colors);
+  const [entry] = colors.values();
+  return colors.size === 1 ? entry.hex : null;
+}
+
+function collectSources(doc) {
+  const blocks = [...doc.querySelectorAll('style')].map(style => style.textContent || '');
+  const inline = [...doc.querySelectorAll('[style]')]
+    .map(el => el.getAttribute('style'))
+    .filter(Boolean)
+    .map(style => `[inline]{${style}}`);
+  return [...blocks, ...inline];
+}
+
+function resolveVars(value, customProperties, depth = 0) {
+  if (!value.includes('var(') || depth > 5) return value;
+  const resolved = value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*(?:\([^()]*\))?[^()]*))?\)/g, (match, name, fallback) =>
+    customProperties.get(name) ?? fallback ?? match
+  );
+  return resolved === value ? value : resolveVars(resolved, customProperties, depth + 1);
+}
+
+/**
+ * Colors in a declaration value. Walks parsed value nodes, so "#fff" inside
+ * url(), ids or strings is never mistaken for a color.
+ */
+function collectColors(value, role, colors) {
+  valueParser(value).walk(node => {
+    let color = null;
+    if (node.type === 'word') {
+      const word = node.value.toLowerCase();
+      if (/^#[0-9a-f]{3,8}$/.test(word)) color = parseColor(word);
+      else if (NAMED_COLORS[word]) color = parseColor(NAMED_COLORS[word]);
+    } else if (node.type === 'function') {
+      const name = node.value.toLowerCase();
+      if (name === 'url' || name === 'var') return false;
+      if (name === 'rgb' || name === 'rgba') color = parseColor(valueParser.stringify(node));
+      if (name === 'hsl' || name === 'hsla') color = parseHsl(node);
+      if (color) {
+        addColor(colors, color, role);
+        return false;
+      }
+      return undefined;
+    }
+    if (color) addColor(colors, color, role);
+    return undefined;
+  });
+}
+
+function addColor(colors, color, role) {
+  if (color.a === 0) return;
+  const alpha = Math.round(color.a * 100) / 100;
+  const key = `${toHex(color)}${alpha < 1 ? `/${alpha}` : ''}`;
+  const entry = colors.get(key) || { hex: toHex(color), alpha, rgb: color, usage: 0, roles: {} };
+  entry.usage++;
+  entry.roles[role] = (entry.roles[role] || 0) + 1;
+  colors.set(key, entry);
+}
+
+function parseHsl(node) {
+  const parts = node.nodes.filter(part => part.type === 'word').map(part => part.value);
+  if (parts.length < 3) return null;
+  const h = (parseFloat(parts[0]) % 360 + 360) % 360;
+  const s = parseFloat(parts[1]) / 100;
+  const l = parseFloat(parts[2]) / 100;
+  if ([h, s, l].some(Number.isNaN)) return null;
+
+  let a = parts[3] === undefined ? 1 : parseFloat(parts[3]);
+  if (parts[3]?.endsWith('%')) a /= 100;
+
+  const k = n => (n + h / 30) % 12;
+  const f = n => l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return { r: Math.round(f(0) * 255), g: Math.round(f(8) * 255), b: Math.round(f(4) * 255), a };
+}
+
+/**
+ * Greedy clustering in CIELAB: colors are visited by usage and join the first
+ * cluster whose representative is within CLUSTER_DISTANCE
+ */
+function clusterColors(colors) {
+  const clusters = [];
+
+  for (const entry of [...colors.values()].sort((a, b) => b.usage - a.usage)) {
+    const lab = toLab(entry.rgb);
+    const cluster = clusters.find(candidate =>
+      Math.abs(candidate.alpha - entry.alpha) < 0.1 && deltaE2000(candidate.lab, lab) < CLUSTER_DISTANCE
+    );
+
+    if (cluster) {
+      cluster.usage += entry.usage;
+      cluster.members.push(entry.hex);
+      Object.entries(entry.roles).forEach(([role, n]) => { cluster.roles[role] = (cluster.roles[role] || 0) + n; });
+    } else {
+      clusters.push({ hex: entry.hex, alpha: entry.alpha, lab, usage: entry.usage, members: [entry.hex], roles: { ...entry.roles } });
+    }
+  }
+
+  return clusters
+    .sort((a, b) => b.usage - a.usage)
+    .slice(0, MAX_COLORS)
+    .map(({ hex, alpha, lab, usage, members, roles }) => ({
+      value: hex,
+      alpha,
+      family: colorFamily(lab),
+      lightness: Math.round(lab.L),
+      usage,
+      roles,
+      members
+    }));
+}
+
+/**
+ * Rough hue family from LCh, used to name color tokens
+ */
+function colorFamily({ L, a, b }) {
+  const chroma = Math.hypot(a, b);
+  if (chroma < 10) return 'neutral';
+  const hue = (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+  if (hue < 50 || hue >= 350) return L > 75 ? 'pink' : 'red';
+  if (hue < 75) return 'orange';
+  if (hue < 110) return 'yellow';
+  if (hue < 170) return 'green';
+  if (hue < 230) return 'teal';
+  if (hue < 310) return 'blue';
+  if (hue < 340) return 'purple';
+  return 'pink';
+}
+
+function toHex({ r, g, b }) {
+  return `#${[r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function toLab({ r, g, b }) {
+  const linear = c => {
+    const s = c / 255;
+    return s <= 0.04045 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  };
+  const [R, G, B] = [linear(r), linear(g), linear(b)];
+  const x = (R * 0.4124 + G * 0.3576 + B * 0.1805) / 0.95047;
+  const y = R * 0.2126 + G * 0.7152 + B * 0.0722;
+  const z = (R * 0.0193 + G * 0.1192 + B * 0.9505) / 1.08883;
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  return { L: 116 * f(y) - 16, a: 500 * (f(x) - f(y)), b: 200 * (f(y) - f(z)) };
+}
+
+function deltaE2000(lab1, lab2) {
+  const rad = Math.PI / 180;
+  const C1 = Math.hypot(lab1.a, lab1.b);
+  const C2 = Math.hypot(lab2.a, lab2.b);
+  const Cbar = (C1 + C2) / 2;
+  const G = 0.5 * (1 - Math.sqrt(Cbar ** 7 / (Cbar ** 7 + 25 ** 7)));
+  const a1 = lab1.a * (1 + G);
+  const a2 = lab2.a * (1 + G);
+  const C1p = Math.hypot(a1, lab1.b);
+  const C2p = Math.hypot(a2, lab2.b);
+  const h1p = (Math.atan2(lab1.b, a1) / rad + 360) % 360;
+  const h2p = (Math.atan2(lab2.b, a2) / rad + 360) % 360;
+
+  const dL = lab2.L - lab1.L;
+  const dC = C2p - C1p;
+  let dh = 0;
+  if (C1p * C2p !== 0) {
+    dh = h2p - h1p;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dH = 2 * Math.sqrt(C1p * C2p) * Math.sin((dh / 2) * rad);
+
+  const Lbar = (lab1.L + lab2.L) / 2;
+  const Cpbar = (C1p + C2p) / 2;
+  let hbar = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    hbar = Math.abs(h1p - h2p) > 180 ? (h1p + h2p + (h1p + h2p < 360 ? 360 : -360)) / 2 : (h1p + h2p) / 2;
+  }
+
+  const T = 1 - 0.17 * Math.cos((hbar - 30) * rad) + 0.24 * Math.cos(2 * hbar * rad)
+    + 0.32 * Math.cos((3 * hbar + 6) * rad) - 0.2 * Math.cos((4 * hbar - 63) * rad);
+  const SL = 1 + (0.015 * (Lbar - 50) ** 2) / Math.sqrt(20 + (Lbar - 50) ** 2);
+  const SC = 1 + 0.045 * Cpbar;
+  const SH = 1 + 0.015 * Cpbar * T;
+  const RT = -2 * Math.sqrt(Cpbar ** 7 / (Cpbar ** 7 + 25 ** 7))
+    * Math.sin(60 * Math.exp(-(((hbar - 275) / 25) ** 2)) * rad);
+
+  return Math.sqrt((dL / SL) ** 2 + (dC / SC) ** 2 + (dH / SH) ** 2 + RT * (dC / SC) * (dH / SH));
+}
+
+function parseFontShorthand(value) {
+  const match = value.match(/(?:^|\s)((?:\d*\.)?\d+(?:px|r?em|pt|%)|x*-?(?:small|large)|medium)(?:\s*\/\s*[^\s]+)?\s+(.+)$/i);
+  return match ? { size: match[1], family: match[2] } : {};
+}
+
+function cleanFamily(name) {
+  return name.trim().replace(/^["']|["']$/g, '').trim();
+}
+
+function splitStack(stack) {
+  return stack.split(',').map(cleanFamily).filter(Boolean);
+}
+
+function normalizeStack(value) {
+  return splitStack(value).join(', ');
+}
+
+/**
+ * Length in px, assuming a 16px root for rem/em; null for anything relative
+ * to layout (%, vw, calc...) which can't form a fixed scale
+ */
+function toPx(value) {
+  const match = String(value).trim().toLowerCase().match(/^(-?(?:\d*\.)?\d+)(px|rem|em|pt)?$/);
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  if (number === 0) return 0;
+  if (!match[2]) return null;
+  const px = { px: 1, rem: ROOT_FONT_SIZE, em: ROOT_FONT_SIZE, pt: 4 / 3 }[match[2]] * Math.abs(number);
+  return Math.round(px * 100) / 100;
+}
+
+function collectBreakpoints(params, breakpoints) {
+  for (const match of params.matchAll(/(?:min|max)-width\s*:\s*([\d.]+(?:px|em|rem))/gi)) {
+    countLength(breakpoints, match[1]);
+  }
+  for (const match of params.matchAll(/width\s*[<>]=?\s*([\d.]+(?:px|em|rem))/gi)) {
+    countLength(breakpoints, match[1]);
+  }
+}
+
+function count(map, key) {
+  if (key === null || key === undefined || key === '') return;
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+function countLength(map, value) {
+  count(map, toPx(value));
+}
+
+function rank(map) {
+  return [...map].map(([value, used]) => ({ value, usage: used })).sort((a, b) => b.usage - a.usage);
+}
+
+/**
+ * Numeric tokens sorted ascending (a scale), each with its usage count
+ */
+function rankNumbers(map) {
+  return rank(map).filter(entry => typeof entry.value === 'number').sort((a, b) => a.value - b.value);
+}
+
+/**
+ * Median ratio between neighbouring sizes, e.g. 1.25 for a major-third scale
+ */
+function scaleRatio(sizes) {
+  const ratios = [];
+  for (let i = 1; i < sizes.length; i++) ratios.push(sizes[i] / sizes[i - 1]);
+  if (ratios.length === 0) return null;
+  ratios.sort((a, b) => a - b);
+  return Math.round(ratios[Math.floor(ratios.length / 2)] * 1000) / 1000;
+}
+
+/**
+ * Largest of 8/4/2 px that divides most spacing values (weighted by usage)
+ */
+function baseUnit(values) {
+  const total = values.reduce((sum, entry) => sum + entry.usage, 0);
+  if (total === 0) return null;
+  for (const unit of [8, 4, 2]) {
+    const fitting = values.filter(entry => entry.value % unit === 0).reduce((sum, entry) => sum + entry.usage, 0);
+    if (fitting / total >= 0.75) return unit;
+  }
+  return 1;
+}
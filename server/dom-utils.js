@@ -0,0 +1,61 @@
+/**
+ * Build a reasonably short, unique CSS selector for an element
+ */
+export function cssPath(el) {
+  const doc = el.ownerDocument;
+  const parts = [];
+  let node = el;
+
+  while (node && node.nodeType === 1) {
+    if (node.id && isUniqueId(doc, node.id)) {
+      parts.unshift(`#${cssEscape(node.id)}`);
+      break;
+    }
+
+    let part = node.tagName.toLowerCase();
+    const parent = node.parentElement;
+    if (parent) {
+      const sameTag = [...parent.children].filter(child => child.tagName === node.tagName);
+      if (sameTag.length > 1) {
+        part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+      }
+    }
+
+    parts.unshift(part);
+    if (part === 'html' || part === 'body') break;
+    node = parent;
+  }
+
+  return parts.join(' > ');
+}
+
+/**
+ * Opening tag plus a little content, for showing offending markup in reports
+ */
+export function snippet(el, maxLength = 160) {
+  const html = el.outerHTML || '';
+  return html.length > maxLength ? `${html.slice(0, maxLength)}…` : html;
+}
+
+/**
+ * Visible-ish text content with whitespace collapsed
+ */
+export function normalizedText(el) {
+  return (el?.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Whether the element is hidden from assistive technology by markup alone
+ */
+export function isHidden(el) {
+  return !!el.closest('[hidden], [aria-hidden="true"]') ||
+    /display\s*:\s*none|visibility\s*:\s*hidden/i.test(el.getAttribute('style') || '');
+}
+
+function isUniqueId(doc, id) {
+  return doc.querySelectorAll(`[id="${id.replace(/"/g, '\\"')}"]`).length === 1;
+}
+
+function cssEscape(value) {
+  return value.replace(/([^a-zA-Z0-9_-])/g, '\\$1').replace(/^(\d)/, '\\3$1 ');
+}
@@ -0,0 +1,167 @@
+import { JSDOM } from 'jsdom';
+import { normalizedText } from './dom-utils.js';
+import { getConfig } from './config.js';
+
+// How much each category contributes to the overall preservation score
+const WEIGHTS = {
+  text: 0.25,
+  inventedText: 0.1,
+  headings: 0.15,
+  links: 0.15,
+  images: 0.1,
+  formFields: 0.1,
+  prices: 0.15
+};
+
+const PRICE_PATTERN = /(?:[$€£¥₹]\s?\d[\d,]*(?:\.\d+)?|\d[\d,]*(?:\.\d+)?\s?(?:USD|EUR|GBP|INR|€|£))/g;
+
+/**
+ * Fidelity settings from config, overridable per request
+ */
+export function resolveFidelitySettings(overrides = {}) {
+  const defaults = getConfig().fidelity;
+  const threshold = Number(overrides.threshold ?? defaults.threshold);
+  const maxRetries = Number(overrides.maxRetries ?? defaults.maxRetries);
+
+  if (Number.isNaN(threshold) || threshold < 0 || threshold > 1) {
+    throw new Error('fidelity threshold must be between 0 and 1');
+  }
+  if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+    throw new Error('fidelity maxRetries must be a non-negative integer');
+  }
+
+  return { threshold, maxRetries };
+}
+
+/**
+ * Compare the content of the template the model was given with what it
+ * returned. Each category scores how much of the original survived; invented
+ * text and prices count against the score too.
+ */
+export function checkFidelity(templateHtml, improvedHtml, { threshold = getConfig().fidelity.threshold } = {}) {
+  const before = extractContent(new JSDOM(templateHtml).window.document);
+  const after = extractContent(new JSDOM(improvedHtml).window.document);
+
+  const categories = {
+    text: recall(before.words, after.words),
+    inventedText: recall(after.words, before.words),
+    headings: compareSets(before.headings, after.headings),
+    links: compareSets(before.links, after.links),
+    images: compareSets(before.images, after.images),
+    formFields: compareSets(before.formFields, after.formFields),
+    prices: comparePrices(before.prices, after.prices)
+  };
+
+  const score = Object.entries(WEIGHTS)
+    .reduce((total, [category, weight]) => total + categories[category].score * weight, 0);
+  const rounded = Math.round(score * 100) / 100;
+
+  return {
+    score: rounded,
+    threshold,
+    passed: rounded >= threshold && categories.prices.invented.length === 0,
+    categories
+  };
+}
+
+/**
+ * Human-readable list of what went wrong, used in the corrective prompt
+ */
+export function describeFidelityIssues(report, limit = 10) {
+  const { categories } = report;
+  const lines = [];
+  const list = items => items.slice(0, limit).map(item => `"${item}"`).join(', ');
+
+  if (categories.headings.missing.length) lines.push(`- Missing headings: ${list(categories.headings.missing)}`);
+  if (categories.headings.invented.length) lines.push(`- Invented headings: ${list(categories.headings.invented)}`);
+  if (categories.links.missing.length) lines.push(`- Missing link targets: ${list(categories.links.missing)}`);
+  if (categories.images.missing.length) lines.push(`- Missing images: ${list(categories.images.missing)}`);
+  if (categories.formFields.missing.length) lines.push(`- Missing form fields: ${list(categories.formFields.missing)}`);
+  if (categories.prices.invented.length) lines.push(`- Prices that do not exist on the original page: ${list(categories.prices.invented)}`);
+  if (categories.prices.missing.length) lines.push(`- Missing prices: ${list(categories.prices.missing)}`);
+  if (categories.text.score < 0.9) {
+    lines.push(`- Only ${Math.round(categories.text.score * 100)}% of the original text was kept`);
+  }
+  if (categories.inventedText.score < 0.9) {
+    lines.push(`- ${Math.round((1 - categories.inventedText.score) * 100)}% of the output text does not appear on the original page`);
+  }
+
+  return lines.join('\n');
+}
+
+function extractContent(doc) {
+  const body = doc.body;
+  if (!body) {
+    return { words: [], headings: [], links: [], images: [], formFields: [], prices: [] };
+  }
+
+  const text = visibleText(body);
+
+  return {
+    words: text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [],
+    headings: [...doc.querySelectorAll('h1, h2, h3, h4, h5, h6')].map(h => normalizedText(h).toLowerCase()).filter(Boolean),
+    links: [...doc.querySelectorAll('a[href]')]
+      .map(a => a.getAttribute('href').trim())
+      .filter(href => href && href !== '#'),
+    images: [...doc.querySelectorAll('img[src]')].map(img => img.getAttribute('src').trim()).filter(Boolean),
+    formFields: [...doc.querySelectorAll('input:not([type="hidden"]), select, textarea')]
+      .map(field => field.getAttribute('name') || field.id || field.getAttribute('type') || field.tagName.toLowerCase()),
+    prices: (text.match(PRICE_PATTERN) || []).map(price => price.replace(/\s/g, ''))
+  };
+}
+
+/**
+ * Text nodes joined with spaces, so adjacent blocks don't run together
+ */
+function visibleText(root) {
+  const doc = root.ownerDocument;
+  const walker = doc.createTreeWalker(root, doc.defaultView.NodeFilter.SHOW_TEXT);
+  const parts = [];
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (node.parentElement?.closest('script, style, noscript, template')) continue;
+    parts.push(node.textContent);
+  }
+  return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Fraction of the multiset `expected` found in `actual`
+ */
+function recall(expected, actual) {
+  if (expected.length === 0) return { score: 1 };
+
+  const available = countItems(actual);
+  let found = 0;
+  for (const item of expected) {
+    if (available.get(item) > 0) {
+      available.set(item, available.get(item) - 1);
+      found++;
+    }
+  }
+  return { score: found / expected.length };
+}
+
+function compareSets(before, after) {
+  const beforeSet = new Set(before);
+  const afterSet = new Set(after);
+  const missing = [...beforeSet].filter(item => !afterSet.has(item));
+  const invented = [...afterSet].filter(item => !beforeSet.has(item));
+
+  return {
+    score: beforeSet.size ? (beforeSet.size - missing.length) / beforeSet.size : 1,
+    missing,
+    invented
+  };
+}
+
+function comparePrices(before, after) {
+  const result = compareSets(before, after);
+  // Any invented price is a hard failure, so it zeroes the category
+  return result.invented.length ? { ...result, score: 0 } : result;
+}
+
+function countItems(items) {
+  const counts = new Map();
+  items.forEach(item => counts.set(item, (counts.get(item) || 0) + 1));
+  return counts;
+}
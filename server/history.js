@@ -0,0 +1,189 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getConfig } from './config.js';
+
+const HISTORY_DIR = path.join(getConfig().server.dataDir, 'analyses');
+const INDEX_FILE = path.join(HISTORY_DIR, 'index.json');
+
+// Serialize index updates so concurrent analyses don't clobber each other
+let writeQueue = Promise.resolve();
+
+/**
+ * Persist a finished analysis. Full records live in one JSON file each;
+ * index.json holds the list metadata so listing doesn't read every snapshot.
+ */
+export async function saveAnalysis(record) {
+  const id = crypto.randomUUID();
+  const createdAt = new Date().toISOString();
+  const stored = { id, createdAt, ...record };
+
+  await enqueue(async () => {
+    await fs.mkdir(HISTORY_DIR, { recursive: true });
+    await writeJson(recordPath(id), stored);
+
+    const index = await readIndex();
+    index.unshift(toListEntry(stored));
+    await writeJson(INDEX_FILE, index);
+  });
+
+  return stored;
+}
+
+export async function listAnalyses() {
+  return readIndex();
+}
+
+export async function getAnalysis(id) {
+  if (!isValidId(id)) return null;
+  try {
+    return JSON.parse(await fs.readFile(recordPath(id), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Rewrite a stored analysis with update(record) and refresh its index entry.
+ * Resolves to the updated record, or null if the analysis doesn't exist.
+ */
+export async function updateAnalysis(id, update) {
+  if (!isValidId(id)) return null;
+
+  let updated = null;
+  await enqueue(async () => {
+    const record = await getAnalysis(id);
+    if (!record) return;
+
+    updated = update(record);
+    await writeJson(recordPath(id), updated);
+
+    const index = await readIndex();
+    await writeJson(INDEX_FILE, index.map(entry => (entry.id === id ? toListEntry(updated) : entry)));
+  });
+
+  return updated;
+}
+
+/**
+ * Every stored version of the improved page. Version 0 is the generated page;
+ * records that were never refined only have that one.
+ */
+export function getVersions(record) {
+  return record.versions || [{
+    version: 0,
+    basedOn: null,
+    instruction: null,
+    selector: null,
+    scope: null,
+    createdAt: record.createdAt,
+    improvedHtml: record.improvedHtml,
+    fidelity: record.fidelity,
+    comparison: record.comparison,
+    brandCheck: record.brandCheck ?? null
+  }];
+}
+
+/**
+ * Append a refined version and make it current
+ */
+export async function addVersion(id, { improvedHtml, fidelity, comparison, brandCheck = null, ...meta }) {
+  return updateAnalysis(id, record => {
+    const versions = getVersions(record);
+    const version = { version: versions.length, ...meta, createdAt: new Date().toISOString(), improvedHtml, fidelity, comparison, brandCheck };
+    return { ...record, versions: [...versions, version], ...currentFields(version) };
+  });
+}
+
+/**
+ * Point the record's improvedHtml (used by screenshots, diffs, exports) at
+ * an existing version
+ */
+export async function setCurrentVersion(id, versionNumber) {
+  return updateAnalysis(id, record => {
+    const versions = getVersions(record);
+    const version = versions.find(entry => entry.version === versionNumber);
+    if (!version) return record;
+    return { ...record, versions, ...currentFields(version) };
+  });
+}
+
+function currentFields(version) {
+  return {
+    currentVersion: version.version,
+    improvedHtml: version.improvedHtml,
+    fidelity: version.fidelity,
+    comparison: version.comparison,
+    brandCheck: version.brandCheck ?? null
+  };
+}
+
+/**
+ * Returns false when there was nothing to delete
+ */
+export async function deleteAnalysis(id) {
+  if (!isValidId(id)) return false;
+
+  let deleted = false;
+  await enqueue(async () => {
+    const index = await readIndex();
+    const remaining = index.filter(entry => entry.id !== id);
+    deleted = remaining.length !== index.length;
+
+    await fs.rm(recordPath(id), { force: true });
+    if (deleted) await writeJson(INDEX_FILE, remaining);
+  });
+
+  return deleted;
+}
+
+function toListEntry(record) {
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    url: record.url,
+    ownerId: record.ownerId || null,
+    title: record.websiteSummary?.metadata?.title || record.url || 'Untitled',
+    provider: record.provider?.provider,
+    model: record.provider?.model,
+    processingMethod: record.processingMethod,
+    renderMode: record.websiteSummary?.renderMode || 'static',
+    fidelityScore: record.fidelity?.score ?? null,
+    hasWarnings: record.warnings?.length > 0,
+    versions: record.versions?.length || 1,
+    parentId: record.parentId || null
+  };
+}
+
+async function readIndex() {
+  try {
+    return JSON.parse(await fs.readFile(INDEX_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Write to a temp file and rename, so a crash never leaves half a JSON file
+ */
+async function writeJson(file, data) {
+  const temp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(data));
+  await fs.rename(temp, file);
+}
+
+function enqueue(task) {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+function recordPath(id) {
+  return path.join(HISTORY_DIR, `${id}.json`);
+}
+
+function isValidId(id) {
+  return /^[0-9a-f-]{36}$/.test(id);
+}
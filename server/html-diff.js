@@ -0,0 +1,329 @@
+import { JSDOM } from 'jsdom';
+import postcss from 'postcss';
+import { FILE_HEADERS_ONLY, formatPatch, structuredPatch } from 'diff';
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'pre', 'textarea']);
+const INDENT = '  ';
+// Elements whose only content is this much text stay on one line
+const INLINE_TEXT_LENGTH = 100;
+const CONTEXT_LINES = 3;
+const DIFF_TIMEOUT = 10000;
+
+/**
+ * Pretty-print a document so formatting noise doesn't show up in the diff:
+ * one node per line, attributes and class names sorted, whitespace collapsed
+ * and stylesheets reformatted rule by rule. Script, pre and textarea
+ * contents are kept as written.
+ */
+export function formatHtml(html) {
+  const doc = new JSDOM(html).window.document;
+  const lines = [];
+  if (doc.doctype) lines.push(`<!DOCTYPE ${doc.doctype.name}>`);
+  formatNode(doc.documentElement, 0, lines);
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Normalized stylesheet, one declaration per line. Comments are dropped;
+ * unparseable CSS falls back to its trimmed lines.
+ */
+export function formatCss(css) {
+  try {
+    const lines = [];
+    formatCssNodes(postcss.parse(css).nodes, 0, lines);
+    return lines;
+  } catch {
+    return css.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+}
+
+/**
+ * Line diff of the normalized documents. Each hunk carries side-by-side rows
+ * where a removed line is paired with the added line that replaced it.
+ */
+export function diffDocuments(before, after, { context = CONTEXT_LINES, fileName = 'index.html' } = {}) {
+  const patch = structuredPatch(`a/${fileName}`, `b/${fileName}`, formatHtml(before), formatHtml(after), undefined, undefined, {
+    context,
+    timeout: DIFF_TIMEOUT
+  });
+  if (!patch) throw new Error('The documents differ too much to diff in time.');
+
+  const hunks = patch.hunks.map(hunk => ({
+    oldStart: hunk.oldStart,
+    oldLines: hunk.oldLines,
+    newStart: hunk.newStart,
+    newLines: hunk.newLines,
+    rows: toRows(hunk)
+  }));
+  const stats = hunks.flatMap(hunk => hunk.rows).reduce((totals, row) => {
+    if (row.left && row.type !== 'context') totals.deletions++;
+    if (row.right && row.type !== 'context') totals.additions++;
+    return totals;
+  }, { additions: 0, deletions: 0, hunks: hunks.length });
+
+  return { fileName, hunks, stats, patch };
+}
+
+/**
+ * Unified .patch text for a diffDocuments() result
+ */
+export function toUnifiedPatch(diff) {
+  const note = [
+    `UI/UX Analyzer changes for ${diff.fileName}.`,
+    'Both versions were normalized (one node per line, sorted attributes), so apply this',
+    'to the normalized original rather than to hand-formatted source.',
+    ''
+  ];
+  const body = diff.patch.hunks.length ? formatPatch(structuredClone(diff.patch), FILE_HEADERS_ONLY) : '';
+  return `${note.join('\n')}\n${body}`;
+}
+
+/**
+ * Compare the <style> rules of two documents by selector within their
+ * @media/@supports context. Inline style attributes aren't included.
+ */
+export function diffStylesheets(before, after) {
+  const oldRules = collectRules(before);
+  const newRules = collectRules(after);
+  const added = [];
+  const removed = [];
+  const modified = [];
+  let unchanged = 0;
+
+  for (const [key, rule] of newRules) {
+    const previous = oldRules.get(key);
+    if (!previous) {
+      added.push(describeRule(rule));
+      continue;
+    }
+    const changes = diffDeclarations(previous.declarations, rule.declarations);
+    if (changes.length) modified.push({ selector: rule.selector, context: rule.context, changes });
+    else unchanged++;
+  }
+  for (const [key, rule] of oldRules) {
+    if (!newRules.has(key)) removed.push(describeRule(rule));
+  }
+
+  return {
+    added,
+    removed,
+    modified,
+    summary: { added: added.length, removed: removed.length, modified: modified.length, unchanged }
+  };
+}
+
+function formatNode(node, depth, lines) {
+  const pad = INDENT.repeat(depth);
+
+  if (node.nodeType === 3) {
+    const text = collapse(node.textContent);
+    if (text) lines.push(pad + escapeText(text));
+    return;
+  }
+  if (node.nodeType === 8) {
+    const text = collapse(node.textContent);
+    if (text) lines.push(`${pad}<!-- ${text} -->`);
+    return;
+  }
+  if (node.nodeType !== 1) return;
+
+  const tag = node.tagName.toLowerCase();
+  const open = `${pad}<${tag}${formatAttributes(node)}>`;
+  if (VOID_ELEMENTS.has(tag)) {
+    lines.push(open);
+    return;
+  }
+
+  if (tag === 'style') {
+    lines.push(open, ...formatCss(node.textContent).map(line => pad + INDENT + line), `${pad}</style>`);
+    return;
+  }
+  if (RAW_TEXT_ELEMENTS.has(tag)) {
+    const content = tag === 'script' ? node.textContent.trim() : node.innerHTML;
+    if (!content.includes('\n')) {
+      lines.push(`${open}${content}</${tag}>`);
+    } else {
+      lines.push(open, ...content.split('\n').map(line => (tag === 'script' ? pad + INDENT + line.trim() : line)), `${pad}</${tag}>`);
+    }
+    return;
+  }
+
+  const children = [...(tag === 'template' ? node.content.childNodes : node.childNodes)];
+  const onlyText = children.every(child => child.nodeType === 3);
+  const text = onlyText ? collapse(node.textContent) : '';
+  if (onlyText && text.length <= INLINE_TEXT_LENGTH) {
+    lines.push(`${open}${escapeText(text)}</${tag}>`);
+    return;
+  }
+
+  lines.push(open);
+  children.forEach(child => formatNode(child, depth + 1, lines));
+  lines.push(`${pad}</${tag}>`);
+}
+
+function formatAttributes(el) {
+  return [...el.attributes]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(({ name, value }) => {
+      let normalized = collapse(value);
+      if (name === 'class') normalized = normalized.split(' ').sort().join(' ');
+      if (name === 'style') normalized = normalized.split(';').map(part => part.trim()).filter(Boolean).join('; ');
+      return value === '' && name !== 'alt' && name !== 'value' ? ` ${name}` : ` ${name}="${escapeAttribute(normalized)}"`;
+    })
+    .join('');
+}
+
+function formatCssNodes(nodes, depth, lines) {
+  const pad = INDENT.repeat(depth);
+  for (const node of nodes) {
+    if (node.type === 'decl') {
+      lines.push(`${pad}${formatDeclaration(node)};`);
+    } else if (node.type === 'rule') {
+      lines.push(`${pad}${formatSelector(node.selector)} {`);
+      formatCssNodes(node.nodes, depth + 1, lines);
+      lines.push(`${pad}}`);
+    } else if (node.type === 'atrule') {
+      const head = `${pad}@${node.name}${node.params ? ` ${collapse(node.params)}` : ''}`;
+      if (!node.nodes) {
+        lines.push(`${head};`);
+        continue;
+      }
+      lines.push(`${head} {`);
+      formatCssNodes(node.nodes, depth + 1, lines);
+      lines.push(`${pad}}`);
+    }
+  }
+}
+
+function formatDeclaration(decl) {
+  return `${decl.prop.startsWith('--') ? decl.prop : decl.prop.toLowerCase()}: ${collapse(decl.value)}${decl.important ? ' !important' : ''}`;
+}
+
+function formatSelector(selector) {
+  return selector.split(',').map(collapse).join(', ');
+}
+
+/**
+ * Map of "context|selector" → { selector, context, declarations }. Repeated
+ * selectors are merged in source order, so later declarations win like
+ * they would in the cascade.
+ */
+function collectRules(html) {
+  const doc = new JSDOM(html).window.document;
+  const rules = new Map();
+
+  for (const style of doc.querySelectorAll('style')) {
+    let root;
+    try {
+      root = postcss.parse(style.textContent);
+    } catch {
+      continue;
+    }
+    const media = style.getAttribute('media');
+
+    root.walk(node => {
+      const isRule = node.type === 'rule';
+      const isDescriptorBlock = node.type === 'atrule' && node.nodes?.some(child => child.type === 'decl');
+      if (!isRule && !isDescriptorBlock) return;
+
+      const context = [media && `@media ${collapse(media)}`, ...atRuleContext(node)].filter(Boolean).join(' ');
+      let selector = isRule ? formatSelector(node.selector) : `@${node.name}${node.params ? ` ${collapse(node.params)}` : ''}`;
+      if (node.name === 'font-face') {
+        const family = node.nodes.find(child => child.type === 'decl' && child.prop.toLowerCase() === 'font-family');
+        if (family) selector += ` ${collapse(family.value)}`;
+      }
+
+      const key = `${context}|${selector}`;
+      if (!rules.has(key)) rules.set(key, { selector, context, declarations: new Map() });
+      const { declarations } = rules.get(key);
+      for (const child of node.nodes || []) {
+        if (child.type !== 'decl') continue;
+        const prop = child.prop.startsWith('--') ? child.prop : child.prop.toLowerCase();
+        declarations.set(prop, `${collapse(child.value)}${child.important ? ' !important' : ''}`);
+      }
+    });
+  }
+
+  return rules;
+}
+
+function atRuleContext(node) {
+  const context = [];
+  for (let parent = node.parent; parent && parent.type !== 'root'; parent = parent.parent) {
+    if (parent.type === 'atrule') context.unshift(`@${parent.name} ${collapse(parent.params)}`.trim());
+  }
+  return context;
+}
+
+function diffDeclarations(before, after) {
+  const changes = [];
+  for (const [property, value] of after) {
+    const previous = before.get(property);
+    if (previous !== value) changes.push({ property, before: previous ?? null, after: value });
+  }
+  for (const [property, value] of before) {
+    if (!after.has(property)) changes.push({ property, before: value, after: null });
+  }
+  return changes;
+}
+
+function describeRule({ selector, context, declarations }) {
+  return {
+    selector,
+    context,
+    declarations: [...declarations].map(([property, value]) => ({ property, value }))
+  };
+}
+
+/**
+ * Hunk lines → side-by-side rows. A run of removals followed by additions is
+ * paired up line by line as "modified"; the leftovers stay one-sided.
+ */
+function toRows(hunk) {
+  const rows = [];
+  let oldLine = hunk.oldStart;
+  let newLine = hunk.newStart;
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    const length = Math.max(removed.length, added.length);
+    for (let i = 0; i < length; i++) {
+      const left = removed[i] || null;
+      const right = added[i] || null;
+      rows.push({ type: left && right ? 'modified' : left ? 'removed' : 'added', left, right });
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const line of hunk.lines) {
+    const marker = line[0];
+    const text = line.slice(1);
+    if (marker === '-') {
+      if (added.length) flush();
+      removed.push({ number: oldLine++, text });
+    } else if (marker === '+') {
+      added.push({ number: newLine++, text });
+    } else if (marker === ' ') {
+      flush();
+      rows.push({ type: 'context', left: { number: oldLine++, text }, right: { number: newLine++, text } });
+    }
+  }
+  flush();
+
+  return rows;
+}
+
+function collapse(value) {
+  return value.replace(/\s+/g, ' ').trim();
+}
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
@@ -0,0 +1,285 @@
+import postcss from 'postcss';
+
+// HTML attribute → React prop, for the ones whose names differ
+const ATTRIBUTE_NAMES = {
+  class: 'className',
+  for: 'htmlFor',
+  tabindex: 'tabIndex',
+  readonly: 'readOnly',
+  maxlength: 'maxLength',
+  minlength: 'minLength',
+  colspan: 'colSpan',
+  rowspan: 'rowSpan',
+  cellpadding: 'cellPadding',
+  cellspacing: 'cellSpacing',
+  srcset: 'srcSet',
+  crossorigin: 'crossOrigin',
+  autocomplete: 'autoComplete',
+  autofocus: 'autoFocus',
+  autoplay: 'autoPlay',
+  enctype: 'encType',
+  contenteditable: 'contentEditable',
+  spellcheck: 'spellCheck',
+  accesskey: 'accessKey',
+  novalidate: 'noValidate',
+  formaction: 'formAction',
+  frameborder: 'frameBorder',
+  allowfullscreen: 'allowFullScreen',
+  usemap: 'useMap',
+  datetime: 'dateTime',
+  referrerpolicy: 'referrerPolicy',
+  inputmode: 'inputMode',
+  enterkeyhint: 'enterKeyHint',
+  playsinline: 'playsInline',
+  fetchpriority: 'fetchPriority',
+  hreflang: 'hrefLang',
+  charset: 'charSet',
+  'accept-charset': 'acceptCharset',
+  'http-equiv': 'httpEquiv',
+  'xlink:href': 'xlinkHref',
+  'xml:lang': 'xmlLang',
+  'xml:space': 'xmlSpace',
+  'xmlns:xlink': 'xmlnsXlink'
+};
+
+const BOOLEAN_ATTRIBUTES = new Set([
+  'allowfullscreen', 'async', 'autofocus', 'autoplay', 'checked', 'controls', 'default', 'defer', 'disabled',
+  'formnovalidate', 'hidden', 'inert', 'ismap', 'loop', 'multiple', 'muted', 'nomodule', 'novalidate', 'open',
+  'playsinline', 'readonly', 'required', 'reversed', 'selected'
+]);
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// Dropped from exported markup: behaviour that doesn't survive as static JSX
+const SKIPPED_ELEMENTS = new Set(['script', 'noscript', 'template', 'style']);
+
+// Whitespace between two of these never renders
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'dd', 'div', 'dl', 'dt', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'li',
+  'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+]);
+
+// Whitespace and line breaks inside these are content
+const PREFORMATTED = new Set(['pre', 'textarea']);
+
+const VALID_NAME = /^[A-Za-z_][\w-]*(?::[A-Za-z_][\w-]*)?$/;
+const INDENT = '  ';
+const INLINE_TEXT_LENGTH = 80;
+
+/**
+ * Serialize a DOM element as indented JSX. classNames(classes) decides how a
+ * class list is written and returns either a plain string or a JS expression
+ * ({ expression }); elements in the components map are written as
+ * <Name />; notes collects what couldn't be carried over.
+ */
+export function elementToJsx(element, { depth = 0, classNames = plainClassNames, components = new Map(), notes = new Set() } = {}) {
+  return serializeElement(element, { classNames, components, notes, svg: false }, depth).join('\n');
+}
+
+/**
+ * `style="a: b"` → JSX style object literal, e.g. {{ marginTop: "4px" }}.
+ * `!important` has no equivalent in React inline styles and is dropped.
+ */
+export function styleObject(style, notes = new Set()) {
+  let root;
+  try {
+    root = postcss.parse(`a{${style}}`);
+  } catch {
+    notes.add('An unparsable inline style was left out.');
+    return null;
+  }
+  const entries = [];
+  root.walkDecls(decl => {
+    if (decl.important) notes.add('!important in inline styles was dropped (React inline styles cannot express it).');
+    const key = decl.prop.startsWith('--') ? JSON.stringify(decl.prop) : styleKey(decl.prop);
+    entries.push(`${key}: ${JSON.stringify(decl.value)}`);
+  });
+  return entries.length ? `{{ ${entries.join(', ')} }}` : null;
+}
+
+/**
+ * Text as JSX children: markup characters and braces become entities
+ */
+export function escapeJsxText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\{/g, '&#123;')
+    .replace(/\}/g, '&#125;')
+    .replace(/\u00a0/g, '&nbsp;');
+}
+
+/**
+ * Whether the attribute is a boolean (present or absent) HTML attribute
+ */
+export function isBooleanAttribute(name) {
+  return BOOLEAN_ATTRIBUTES.has(name);
+}
+
+/**
+ * Whether whitespace between two sibling nodes can render (it can't between
+ * block-level elements)
+ */
+export function isSignificantSpace(previous, next) {
+  return Boolean(previous && next) && !(BLOCK_ELEMENTS.has(previous.localName) && BLOCK_ELEMENTS.has(next.localName));
+}
+
+/**
+ * Component-friendly name: PascalCase words, starting with a letter
+ */
+export function pascalCase(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[^A-Za-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1).toLowerCase())
+    .join('')
+    .replace(/^\d+/, '');
+}
+
+function plainClassNames(classes) {
+  return classes.join(' ');
+}
+
+function serializeElement(element, context, depth) {
+  const tag = element.localName;
+  const indent = INDENT.repeat(depth);
+  if (context.components.has(element)) return [`${indent}<${context.components.get(element)} />`];
+
+  const svg = context.svg || tag === 'svg';
+  const attributes = serializeAttributes(element, { ...context, svg });
+  const open = attributes.length ? `<${tag} ${attributes.join(' ')}` : `<${tag}`;
+
+  if (VOID_ELEMENTS.has(tag)) return [`${indent}${open} />`];
+
+  if (PREFORMATTED.has(tag)) {
+    if (tag === 'textarea') {
+      const value = element.value ? ` defaultValue={${JSON.stringify(element.value)}}` : '';
+      return [`${indent}${open}${value} />`];
+    }
+    return [`${indent}${open}>{${JSON.stringify(element.textContent)}}</${tag}>`];
+  }
+
+  const children = childItems(element);
+  if (!children.length) return [`${indent}${open} />`];
+
+  if (children.length === 1 && children[0].type === 'text') {
+    if (children[0].text.length <= INLINE_TEXT_LENGTH) return [`${indent}${open}>${children[0].text}</${tag}>`];
+  }
+
+  const lines = [`${indent}${open}>`];
+  const childIndent = INDENT.repeat(depth + 1);
+  for (const child of children) {
+    if (child.type === 'element') lines.push(...serializeElement(child.node, { ...context, svg }, depth + 1));
+    else lines.push(`${childIndent}${child.text}`);
+  }
+  lines.push(`${indent}</${tag}>`);
+  return lines;
+}
+
+// Children as { type: 'element', node } or { type: 'text', text } with
+// whitespace collapsed the way the browser renders it. Spaces that JSX would
+// swallow at line breaks are kept as {" "}.
+function childItems(element) {
+  const nodes = [...element.childNodes].filter(node =>
+    node.nodeType === 3 || (node.nodeType === 1 && !SKIPPED_ELEMENTS.has(node.localName))
+  );
+  const items = [];
+  nodes.forEach((node, index) => {
+    if (node.nodeType === 1) {
+      items.push({ type: 'element', node });
+      return;
+    }
+    const collapsed = node.textContent.replace(/[ \t\n\r\f]+/g, ' ');
+    const first = index === 0;
+    const last = index === nodes.length - 1;
+    if (!collapsed.trim()) {
+      if (collapsed && isSignificantSpace(nodes[index - 1], nodes[index + 1])) items.push({ type: 'text', text: '{" "}' });
+      return;
+    }
+    const lead = collapsed.startsWith(' ') && !first ? '{" "}' : '';
+    const trail = collapsed.endsWith(' ') && !last ? '{" "}' : '';
+    items.push({ type: 'text', text: `${lead}${escapeJsxText(collapsed.trim())}${trail}` });
+  });
+  return items;
+}
+
+function serializeAttributes(element, context) {
+  const tag = element.localName;
+  const result = [];
+  let hasRel = false;
+
+  for (const { name, value } of element.attributes) {
+    if (/^on/i.test(name)) {
+      context.notes.add('Inline event handler attributes were removed; wire behaviour up in the component instead.');
+      continue;
+    }
+    if (!VALID_NAME.test(name)) {
+      context.notes.add(`Attributes that are not valid JSX names (e.g. "${name}") were removed.`);
+      continue;
+    }
+    if (name === 'rel') hasRel = true;
+
+    if (name === 'class') {
+      const classes = value.split(/\s+/).filter(Boolean);
+      if (!classes.length) continue;
+      const written = context.classNames(classes, element);
+      result.push(typeof written === 'string' ? `className=${quote(written)}` : `className={${written.expression}}`);
+      continue;
+    }
+    if (name === 'style') {
+      const style = styleObject(value, context.notes);
+      if (style) result.push(`style=${style}`);
+      continue;
+    }
+    if (name === 'value' && ['input', 'select'].includes(tag) && !['submit', 'button', 'reset', 'hidden'].includes(element.type)) {
+      result.push(`defaultValue=${quote(value)}`);
+      continue;
+    }
+    if (name === 'checked' && tag === 'input') {
+      result.push('defaultChecked');
+      continue;
+    }
+    if (name === 'selected' && tag === 'option') continue;
+
+    const prop = propName(name, context.svg);
+    if (BOOLEAN_ATTRIBUTES.has(name) && (value === '' || value.toLowerCase() === name)) {
+      result.push(prop);
+    } else {
+      result.push(`${prop}=${quote(value)}`);
+    }
+  }
+
+  // React reads the selected option from the select itself
+  if (tag === 'select' && !element.hasAttribute('value')) {
+    const selected = element.querySelector('option[selected]');
+    if (selected) result.push(`defaultValue=${quote(selected.value)}`);
+  }
+  if (tag === 'a' && element.getAttribute('target') === '_blank' && !hasRel) {
+    result.push('rel="noreferrer"');
+  }
+  return result;
+}
+
+function propName(name, svg) {
+  if (ATTRIBUTE_NAMES[name]) return ATTRIBUTE_NAMES[name];
+  if (name.startsWith('data-') || name.startsWith('aria-')) return name;
+  // stroke-width → strokeWidth; the parser already restores viewBox-style casing
+  return svg ? name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase()) : name;
+}
+
+// -webkit-transition → WebkitTransition, -ms-filter → msFilter
+function styleKey(prop) {
+  const camel = prop.toLowerCase().replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+  return camel.startsWith('Ms') ? `ms${camel.slice(2)}` : camel;
+}
+
+function quote(value) {
+  return `"${value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`;
+}
@@ -1,438 +1,1170 @@
+// Loads .env before any module reads its configuration
+import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import fetch from "node-fetch";
-import dotenv from "dotenv";
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import { JSDOM } from "jsdom";
-
-dotenv.config();
+import { fileURLToPath } from "url";
+import { checkProviderReady, createProvider, PROVIDER_NAMES, resolveProviderSettings } from "./providers.js";
+import { getConfig, publicConfig } from "./config.js";
+import { formatFindingsForPrompt, runAudit } from "./audit.js";
+import { analyzeContrast } from "./contrast.js";
+import { compareAnalyses, comparePerformance } from "./compare.js";
+import { checkFidelity, describeFidelityIssues, resolveFidelitySettings } from "./fidelity.js";
+import { openEventStream } from "./sse.js";
+import { addVersion, deleteAnalysis, getAnalysis, getVersions, listAnalyses, saveAnalysis, setCurrentVersion } from "./history.js";
+import { assertUrlAllowed, safeFetch, UrlPolicyError, withTimeout } from "./url-policy.js";
+import { renderPage, RenderUnavailableError } from "./browser.js";
+import { compareScreenshots, resolveViewports } from "./screenshots.js";
+import { checkOverflow, resolveBreakpoints } from "./responsive.js";
+import { createCrawlQueue, MAX_ACTIVE_JOBS, resolveCrawlOptions } from "./crawler.js";
+import { extractDesignTokens } from "./design-tokens.js";
+import { exportTokens, TOKEN_FORMATS } from "./token-export.js";
+import { estimateTokens, generateSectioned, getChunkSettings, MAX_SECTIONS } from "./chunker.js";
+import { diffDocuments, diffStylesheets, toUnifiedPatch } from "./html-diff.js";
+import { refineDocument, resolveRefinement } from "./refine.js";
+import { generateWebsiteSummary } from "./summary.js";
+import { createCleanTemplate, createSmartFallback } from "./templates.js";
+import { embedAssets, resolveAssetUrls } from "./asset-resolver.js";
+import { inlineStylesheets } from "./css-pipeline.js";
+import { cachedFetch, createCache, getCacheSettings, hashKey } from "./cache.js";
+import { canAccess, getAuthSettings, meterProvider, ownerOf, requireScope, resolveLimits } from "./auth.js";
+import { createApiKey, getApiKey, listApiKeys, resolveKeyOptions, revokeApiKey, usageToday } from "./api-keys.js";
+import { analyzePerformance, formatPerformanceForPrompt, listResources, measureResources } from "./performance.js";
+import { exportComponents, resolveExportOptions, zipExport } from "./component-export.js";
+import {
+  checkBrandConstraints,
+  describeBrandViolations,
+  formatStyleOptionsForPrompt,
+  frameworkOutputRule,
+  hasStyleOptions,
+  resolveStyleOptions,
+  STYLE_PRESETS
+} from "./style-options.js";
+
+// Validated once at startup so a bad setting stops the server with every problem listed
+const config = getConfig();
 
 const app = express();
-const allowedOrigins = ['https://ui-ux-analyzer.vercel.app'];
 
 app.use(cors({
   origin: function (origin, callback) {
-    if (!origin || allowedOrigins.includes(origin)) {
+    const allowedOrigins = getConfig().server.corsOrigins;
+    if (!origin || allowedOrigins.includes('*') || allowedOrigins.includes(origin)) {
       callback(null, true);
     } else {
       callback(new Error('Not allowed by CORS'));
     }
-  }
+  },
+  // Lets the client name downloaded files (design tokens, exports) and back off when rate limited
+  exposedHeaders: ['Content-Disposition', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining']
 }));
-app.use(express.json({ limit: "50mb" }));
-app.use(express.urlencoded({ extended: true, limit: "50mb" }));
-
-let genAIClient;
-let geminiModel;
-
-async function initializeGeminiClientAndModel() {
-  if (!process.env.GEMINI_API_KEY) {
-    console.error("CRITICAL ERROR: GEMINI_API_KEY is not set in your .env file.");
-    process.exit(1);
+// Pages arrive with their CSS inlined under a budget, so a few MB is plenty
+app.use(express.json({ limit: config.server.bodyLimit }));
+app.use(express.urlencoded({ extended: true, limit: config.server.bodyLimit }));
+
+// Fetched pages and stylesheets (revalidated by ETag/Last-Modified) and
+// finished analyses keyed by a hash of everything that shapes the output
+const caches = {
+  pages: createCache('pages'),
+  stylesheets: createCache('stylesheets'),
+  analyses: createCache('analyses')
+};
+
+function logAuthStatus() {
+  const settings = getAuthSettings();
+  if (!settings.enabled) {
+    console.warn("WARNING: API_AUTH is off; every route except /admin is open to anyone who can reach the server.");
+  } else if (!settings.adminKey) {
+    console.log("API keys required. Set ADMIN_API_KEY to issue keys through /admin/keys.");
   }
+}
 
-  try {
-    genAIClient = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    const modelName = "gemini-2.0-flash";
-    geminiModel = genAIClient.getGenerativeModel({
-      model: modelName,
-      generationConfig: {
-        maxOutputTokens: 32768,
-        temperature: 0.8,
-      }
-    });
-    console.log(`Successfully initialized Gemini model: ${modelName}`);
-  } catch (error) {
-    console.error("CRITICAL ERROR initializing Gemini client or model:", error.message);
-    process.exit(1);
+function logProviderStatus() {
+  const settings = resolveProviderSettings();
+  const { ready, reason } = checkProviderReady(settings.provider);
+
+  if (ready) {
+    console.log(`Default LLM provider: ${settings.provider} (${settings.model})`);
+  } else {
+    console.warn(`WARNING: default LLM provider "${settings.provider}" is not ready: ${reason}. ` +
+      `Set it up or choose another provider via LLM_PROVIDER or the request body.`);
   }
 }
 
-initializeGeminiClientAndModel().then(() => {
-  const PORT = process.env.PORT || 3001;
-  app.listen(PORT, () => {
-    console.log(`Server listening on http://localhost:${PORT}`);
+/**
+ * Abort controller that fires when the client goes away before we respond
+ */
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
   });
-});
+  return controller;
+}
+
+const RENDER_MODES = ['static', 'rendered'];
+const WAIT_UNTIL_OPTIONS = ['networkidle', 'load', 'domcontentloaded'];
+const MAX_RENDER_TIMEOUT = 60000;
 
 /**
- * Generate comprehensive website summary for AI processing
+ * Validate render options from a query string or request body.
+ * Returns { error } instead of throwing, like prepareAnalysis.
  */
-function generateWebsiteSummary(html, url = '') {
-  const dom = new JSDOM(html);
-  const doc = dom.window.document;
+function parseRenderOptions({ renderMode = 'static', waitFor, waitUntil = 'networkidle', renderTimeout } = {}) {
+  if (!RENDER_MODES.includes(renderMode)) {
+    return { error: `renderMode must be one of: ${RENDER_MODES.join(', ')}` };
+  }
+  if (!WAIT_UNTIL_OPTIONS.includes(waitUntil)) {
+    return { error: `waitUntil must be one of: ${WAIT_UNTIL_OPTIONS.join(', ')}` };
+  }
+  if (waitFor !== undefined && (typeof waitFor !== 'string' || !waitFor.trim())) {
+    return { error: 'waitFor must be a CSS selector' };
+  }
 
-  const summary = {
-    metadata: extractMetadata(doc, url),
-    structure: analyzeStructure(doc),
-    content: extractContent(doc),
-    design: analyzeDesign(doc),
-    technical: analyzeTechnical(doc),
-    accessibility: analyzeAccessibility(doc)
-  };
+  const timeout = renderTimeout === undefined ? undefined : Number(renderTimeout);
+  if (timeout !== undefined && !(timeout > 0 && timeout <= MAX_RENDER_TIMEOUT)) {
+    return { error: `renderTimeout must be between 1 and ${MAX_RENDER_TIMEOUT} ms` };
+  }
 
-  return summary;
+  return { renderMode, waitFor: waitFor?.trim(), waitUntil, timeout };
 }
 
 /**
- * Extract website metadata
+ * Status and body for errors raised while fetching or rendering a page
  */
-function extractMetadata(doc, url) {
-  return {
-    title: doc.querySelector('title')?.textContent?.trim() || 'Untitled',
-    description: doc.querySelector('meta[name="description"]')?.getAttribute('content') || '',
-    keywords: doc.querySelector('meta[name="keywords"]')?.getAttribute('content') || '',
-    domain: url ? new URL(url).hostname : '',
-    language: doc.documentElement.lang || 'en',
-    viewport: doc.querySelector('meta[name="viewport"]')?.getAttribute('content') || 'missing'
-  };
+function describeFetchError(error) {
+  if (error instanceof UrlPolicyError) {
+    return { status: error.status, body: { error: error.message, code: error.code } };
+  }
+  if (error instanceof RenderUnavailableError) {
+    return { status: 503, body: { error: error.message, code: 'RENDER_UNAVAILABLE' } };
+  }
+  if (error.name === 'TimeoutError') {
+    return { status: 504, body: { error: `Timed out rendering the page: ${error.message.split('\n')[0]}`, code: 'RENDER_TIMEOUT' } };
+  }
+  return { status: 500, body: { error: `Failed to fetch HTML from URL: ${error.message}` } };
 }
 
 /**
- * Analyze website structure
+ * Headless render of a page, reused for ttl seconds. Rendered snapshots have
+ * no validators, so unlike static fetches they are never revalidated.
  */
-function analyzeStructure(doc) {
-  const structure = {
-    hasHeader: !!doc.querySelector('header, .header, #header'),
-    hasNav: !!doc.querySelector('nav, .nav, .navigation, .menu'),
-    hasMain: !!doc.querySelector('main, .main, #main, .content'),
-    hasSidebar: !!doc.querySelector('aside, .sidebar, .side-nav'),
-    hasFooter: !!doc.querySelector('footer, .footer, #footer'),
-    sections: doc.querySelectorAll('section').length,
-    articles: doc.querySelectorAll('article').length
-  };
-
-  // Determine layout type
-  if (structure.hasSidebar) {
-    structure.layoutType = 'sidebar-layout';
-  } else if (structure.sections > 3) {
-    structure.layoutType = 'multi-section';
-  } else if (structure.articles > 0) {
-    structure.layoutType = 'article-based';
-  } else {
-    structure.layoutType = 'simple-page';
+async function renderPageCached(url, render, { signal, bypassCache, ttl, userAgent }) {
+  const key = `rendered ${hashKey({ url, userAgent, waitUntil: render.waitUntil, waitFor: render.waitFor, timeout: render.timeout })}`;
+  const stored = bypassCache || !ttl ? undefined : await caches.pages.get(key);
+  if (stored && Date.now() < stored.expiresAt) return { ...stored, cache: 'hit' };
+
+  const rendered = await renderPage(url, {
+    waitUntil: render.waitUntil,
+    waitForSelector: render.waitFor,
+    timeout: render.timeout,
+    userAgent,
+    signal
+  });
+  if (ttl && rendered.status < 400) {
+    await caches.pages.set(key, { html: rendered.html, finalUrl: rendered.finalUrl, status: rendered.status, expiresAt: Date.now() + ttl * 1000 });
   }
+  return { ...rendered, cache: !ttl ? 'off' : bypassCache ? 'bypass' : 'miss' };
+}
 
-  return structure;
+function countCacheStatuses(stylesheets) {
+  const counts = {};
+  for (const sheet of stylesheets.flatMap(entry => [entry, ...(entry.imports || [])])) {
+    if (sheet.cache) counts[sheet.cache] = (counts[sheet.cache] || 0) + 1;
+  }
+  return counts;
 }
 
 /**
- * Extract key content information
+ * Warning naming the stylesheets that didn't fit the CSS budget, if any
  */
-function extractContent(doc) {
-  const headings = {
-    h1: [...doc.querySelectorAll('h1')].map(h => h.textContent.trim()).slice(0, 3),
-    h2: [...doc.querySelectorAll('h2')].map(h => h.textContent.trim()).slice(0, 5),
-    h3: [...doc.querySelectorAll('h3')].map(h => h.textContent.trim()).slice(0, 5)
-  };
-
-  const content = {
-    headings,
-    paragraphCount: doc.querySelectorAll('p').length,
-    imageCount: doc.querySelectorAll('img').length,
-    linkCount: doc.querySelectorAll('a').length,
-    formCount: doc.querySelectorAll('form').length,
-    buttonCount: doc.querySelectorAll('button, input[type="button"], input[type="submit"]').length
-  };
+function describeCssBudget(stylesheets) {
+  const cut = stylesheets.filter(sheet => sheet.status === 'truncated' || sheet.status === 'dropped');
+  if (cut.length === 0) return null;
+  return `Some CSS did not fit the inlining budget: ${cut.map(sheet => `${sheet.href} (${sheet.status})`).join(', ')}.`;
+}
 
-  // Determine content type
-  const bodyText = doc.body?.textContent?.toLowerCase() || '';
-  if (bodyText.includes('shop') || bodyText.includes('product') || bodyText.includes('cart') || bodyText.includes('buy')) {
-    content.type = 'e-commerce';
-  } else if (bodyText.includes('portfolio') || bodyText.includes('work') || bodyText.includes('project')) {
-    content.type = 'portfolio';
-  } else if (bodyText.includes('blog') || bodyText.includes('article') || content.articles > 0) {
-    content.type = 'blog';
-  } else if (bodyText.includes('service') || bodyText.includes('business') || bodyText.includes('company')) {
-    content.type = 'business';
-  } else if (content.formCount > 0) {
-    content.type = 'application';
+/**
+ * Fetch a page (or render it in a headless browser) and inline its stylesheets.
+ * userAgent overrides the configured one, e.g. for the crawler.
+ */
+async function fetchPageHtml(url, { signal, onEvent = () => {}, render = { renderMode: 'static' }, bypassCache = false, userAgent = getConfig().fetch.userAgent } = {}) {
+  const { renderMode } = render;
+  onEvent('stage', { stage: 'fetch', status: 'started', url, renderMode });
+
+  const ttl = getCacheSettings().ttl;
+  let html;
+  let baseUrl;
+  let pageCache;
+  if (renderMode === 'rendered') {
+    const rendered = await renderPageCached(url, render, { signal, bypassCache, ttl: ttl.page, userAgent });
+    if (rendered.status >= 400) throw new Error(`Failed to render URL: page responded with ${rendered.status}`);
+    html = rendered.html;
+    baseUrl = rendered.finalUrl;
+    pageCache = rendered.cache;
   } else {
-    content.type = 'informational';
+    const response = await cachedFetch(url, {
+      cache: caches.pages,
+      ttl: ttl.page,
+      bypass: bypassCache,
+      key: `${renderMode} ${url}`,
+      signal: withTimeout(signal, getConfig().fetch.pageTimeout),
+      headers: { 'User-Agent': userAgent }
+    });
+
+    if (!response.ok) throw new Error(`Failed to fetch URL: ${response.status} - ${response.statusText}`);
+    html = response.text();
+    baseUrl = response.url;
+    pageCache = response.cache;
   }
 
-  return content;
+  console.log(`Fetched HTML length (${renderMode}): ${html.length}`);
+  onEvent('stage', { stage: 'fetch', status: 'done', bytes: html.length, renderMode, cache: pageCache });
+
+  // Absolute URLs keep images and fonts working in srcdoc previews and downloads
+  html = resolveAssetUrls(html, baseUrl);
+
+  // Rendered snapshots already carry same-origin CSS; this picks up cross-origin sheets
+  onEvent('stage', { stage: 'css', status: 'started' });
+  const css = await inlineStylesheets(html, baseUrl, {
+    signal,
+    onEvent,
+    cache: caches.stylesheets,
+    cacheTtl: ttl.stylesheet,
+    bypassCache,
+    userAgent
+  });
+  html = css.html;
+  console.log(`Final HTML length after CSS inlining: ${html.length}`);
+  onEvent('stage', { stage: 'css', status: 'done', bytes: html.length });
+
+  return {
+    html,
+    finalUrl: baseUrl,
+    originalSize: html.length,
+    renderMode,
+    stylesheets: css.stylesheets,
+    cssBytes: css.bytes,
+    cache: { page: pageCache, stylesheets: countCacheStatuses(css.stylesheets) },
+    warning: [
+      html.length > 500000 ? "Large HTML detected" : null,
+      describeCssBudget(css.stylesheets)
+    ].filter(Boolean).join(' ') || null
+  };
 }
 
 /**
- * Analyze design characteristics
+ * Whether the client asked to skip cached results, with bypassCache in the
+ * body or query string or a Cache-Control: no-cache request header
  */
-function analyzeDesign(doc) {
-  const styles = [...doc.querySelectorAll('style, link[rel="stylesheet"]')]
-    .map(s => s.textContent || '').join(' ');
+function wantsFreshResult(req) {
+  const flag = req.body?.bypassCache ?? req.query.bypassCache;
+  return flag === true || flag === 'true' || flag === '1' || /no-cache/i.test(req.get('Cache-Control') || '');
+}
 
-  const design = {
-    colors: extractColors(styles),
-    fonts: extractFonts(styles),
-    hasAnimations: /animation|transition|transform/.test(styles),
-    hasGridLayout: /display:\s*grid|grid-template/.test(styles),
-    hasFlexLayout: /display:\s*flex|flex-direction/.test(styles),
-    hasResponsive: /@media/.test(styles),
-    darkMode: /dark|night/.test(styles.toLowerCase()),
-    designSystem: 'custom'
-  };
+app.get("/fetch-html", requireScope('fetch'), async (req, res) => {
+  const { url, renderMode, waitFor, waitUntil, timeout } = req.query;
+  if (!url) return res.status(400).json({ error: "Missing url parameter." });
+
+  const { error, ...render } = parseRenderOptions({ renderMode, waitFor, waitUntil, renderTimeout: timeout });
+  if (error) return res.status(400).json({ error });
 
-  // Detect popular frameworks
-  const classes = doc.body?.className || '';
-  if (classes.includes('bootstrap') || styles.includes('bootstrap')) {
-    design.designSystem = 'bootstrap';
-  } else if (classes.includes('tailwind') || styles.includes('tailwind')) {
-    design.designSystem = 'tailwind';
-  } else if (styles.includes('material') || classes.includes('mat-')) {
-    design.designSystem = 'material';
+  const controller = abortOnDisconnect(res);
+
+  try {
+    res.json(await fetchPageHtml(url, { signal: controller.signal, render, bypassCache: wantsFreshResult(req) }));
+  } catch (error) {
+    console.error(`Error fetching HTML from URL "${url}":`, error.message);
+    const { status, body } = describeFetchError(error);
+    res.status(status).json(body);
   }
+});
 
-  return design;
-}
+const crawlQueue = createCrawlQueue({ fetchPage: fetchPageHtml, summarize: generateWebsiteSummary });
 
 /**
- * Extract color palette from CSS
+ * Queue a crawl of same-origin pages from a start URL. Answers 202 right away;
+ * poll GET /crawl/:id for progress and the site-level report.
  */
-function extractColors(styles) {
-  const hexColors = styles.match(/#[0-9a-fA-F]{3,6}/g) || [];
-  const rgbColors = styles.match(/rgb\([^)]+\)/g) || [];
-  const namedColors = styles.match(/:\s*(red|blue|green|black|white|gray|yellow|orange|purple|pink|brown)\b/g) || [];
-  
-  const allColors = [...new Set([...hexColors, ...rgbColors, ...namedColors.map(c => c.replace(':', '').trim())])];
-  return allColors.slice(0, 10); // Top 10 colors
-}
+app.post("/crawl", requireScope('fetch'), async (req, res) => {
+  const { url } = req.body;
+  if (!url) return res.status(400).json({ error: "Missing url in request body." });
+
+  let limits;
+  try {
+    limits = resolveCrawlOptions(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const { error, ...render } = parseRenderOptions(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    await assertUrlAllowed(url);
+  } catch (policyError) {
+    if (!(policyError instanceof UrlPolicyError)) throw policyError;
+    return res.status(policyError.status).json({ error: policyError.message, code: policyError.code });
+  }
+
+  const ownerId = ownerOf(req);
+  if (crawlQueue.countActive(ownerId) >= MAX_ACTIVE_JOBS) {
+    return res.status(429).json({
+      error: `At most ${MAX_ACTIVE_JOBS} crawls can be queued or running at once. Wait for one to finish or cancel it.`,
+      code: 'TOO_MANY_CRAWLS'
+    });
+  }
+
+  const job = crawlQueue.enqueue(url, { ...limits, render, ownerId });
+  res.status(202).location(`/crawl/${job.id}`).json(job);
+});
+
+// Jobs of other API keys answer 404, as if they didn't exist
+app.get("/crawl", requireScope('fetch'), (req, res) => {
+  res.json({ jobs: crawlQueue.list().filter(job => canAccess(req, job.ownerId)) });
+});
+
+app.get("/crawl/:id", requireScope('fetch'), (req, res) => {
+  const job = crawlQueue.get(req.params.id);
+  if (!job || !canAccess(req, job.ownerId)) return res.status(404).json({ error: "Crawl job not found." });
+  res.json(job);
+});
+
+app.delete("/crawl/:id", requireScope('fetch'), (req, res) => {
+  const job = crawlQueue.get(req.params.id);
+  if (!job || !canAccess(req, job.ownerId) || !crawlQueue.cancel(job.id)) {
+    return res.status(404).json({ error: "No queued or running crawl job with that id." });
+  }
+  res.status(204).end();
+});
 
 /**
- * Extract font information
+ * Design tokens as JSON, or as a downloadable file when format is one of
+ * TOKEN_FORMATS (w3c, css, tailwind)
  */
-function extractFonts(styles) {
-  const fontFamilies = styles.match(/font-family:\s*([^;]+)/g) || [];
-  const uniqueFonts = [...new Set(fontFamilies.map(f => f.replace('font-family:', '').trim()))];
-  return uniqueFonts.slice(0, 5);
+function sendDesignTokens(res, html, format, filename = 'design') {
+  const tokens = extractDesignTokens(new JSDOM(html).window.document);
+  if (!format) return res.json({ tokens, formats: Object.keys(TOKEN_FORMATS) });
+
+  const target = TOKEN_FORMATS[format];
+  if (!target) {
+    return res.status(400).json({ error: `Unknown format "${format}". Use one of: ${Object.keys(TOKEN_FORMATS).join(', ')}` });
+  }
+  res
+    .type(target.contentType)
+    .attachment(`${filename}.${target.extension}`)
+    .send(exportTokens(tokens, format));
 }
 
+app.post("/design-tokens", requireScope('export'), (req, res) => {
+  const { html, format } = req.body;
+  if (!html) return res.status(400).json({ error: "Missing HTML in request body." });
+  sendDesignTokens(res, html, format);
+});
+
+app.get("/analyses/:id/design-tokens", requireScope('export'), async (req, res) => {
+  const analysis = await getOwnAnalysis(req);
+  if (!analysis) return res.status(404).json({ error: "Analysis not found." });
+
+  const source = req.query.source || 'original';
+  if (!['original', 'improved'].includes(source)) {
+    return res.status(400).json({ error: 'source must be "original" or "improved"' });
+  }
+  const html = source === 'improved' ? analysis.improvedHtml : analysis.originalHtml;
+  sendDesignTokens(res, html, req.query.format, source);
+});
+
 /**
- * Analyze technical aspects
+ * Normalized line diff of the clean template against the improved page plus
+ * a CSS rule diff, or a unified .patch download when format is "patch"
  */
-function analyzeTechnical(doc) {
-  return {
-    hasJavaScript: doc.querySelectorAll('script[src], script:not([src])').length > 0,
-    externalStylesheets: doc.querySelectorAll('link[rel="stylesheet"]').length,
-    inlineStyles: doc.querySelectorAll('style').length,
-    metaTags: doc.querySelectorAll('meta').length,
-    htmlVersion: doc.doctype ? 'HTML5' : 'Legacy HTML',
-    hasServiceWorker: /service-?worker/.test(doc.body?.innerHTML || ''),
-    hasManifest: !!doc.querySelector('link[rel="manifest"]')
-  };
+function sendDiff(res, { template, improvedHtml, format = 'json', fileName = 'index.html' }) {
+  if (!['json', 'patch'].includes(format)) {
+    return res.status(400).json({ error: 'format must be "json" or "patch"' });
+  }
+  if (!/^[\w.-]+(\/[\w.-]+)*$/.test(fileName) || fileName.split('/').includes('..')) {
+    return res.status(400).json({ error: "fileName must be a relative path like src/index.html" });
+  }
+
+  let diff;
+  try {
+    diff = diffDocuments(template, improvedHtml, { fileName });
+  } catch (error) {
+    return res.status(422).json({ error: error.message });
+  }
+
+  if (format === 'patch') {
+    return res.attachment('improved.patch').type('text/x-diff').send(toUnifiedPatch(diff));
+  }
+  const { patch, ...lines } = diff;
+  res.json({ ...lines, css: diffStylesheets(template, improvedHtml) });
 }
 
+app.post("/diff", requireScope('export'), (req, res) => {
+  const { html, improvedHtml, format, fileName } = req.body;
+  if (!html || !improvedHtml) {
+    return res.status(400).json({ error: "Both html and improvedHtml are required." });
+  }
+  sendDiff(res, { template: createCleanTemplate(html), improvedHtml, format, fileName });
+});
+
+app.get("/analyses/:id/diff", requireScope('export'), async (req, res) => {
+  const analysis = await getOwnAnalysis(req);
+  if (!analysis) return res.status(404).json({ error: "Analysis not found." });
+
+  sendDiff(res, {
+    template: analysis.cleanTemplate || createCleanTemplate(analysis.originalHtml),
+    improvedHtml: analysis.improvedHtml,
+    format: req.query.format,
+    fileName: req.query.file
+  });
+});
+
 /**
- * Analyze accessibility features
+ * Zip of the improved page split into components by landmark: React (JSX)
+ * or Vue components with CSS modules or Tailwind, or HTML + CSS partials
  */
-function analyzeAccessibility(doc) {
-  return {
-    hasAltTexts: [...doc.querySelectorAll('img')].every(img => img.hasAttribute('alt')),
-    hasAriaLabels: doc.querySelectorAll('[aria-label], [aria-labelledby]').length > 0,
-    hasSemanticHTML: doc.querySelectorAll('header, nav, main, article, section, aside, footer').length > 0,
-    hasSkipLinks: !!doc.querySelector('a[href^="#"]'),
-    headingStructure: analyzeHeadingStructure(doc),
-    formLabels: analyzeFormLabels(doc),
-    colorContrast: 'unknown' // Would need additional analysis
-  };
-}
+function sendComponentExport(res, improvedHtml, options) {
+  let resolved;
+  try {
+    resolved = resolveExportOptions(options);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-function analyzeHeadingStructure(doc) {
-  const headings = [...doc.querySelectorAll('h1, h2, h3, h4, h5, h6')];
-  const levels = headings.map(h => parseInt(h.tagName.charAt(1)));
-  
-  return {
-    hasH1: levels.includes(1),
-    multipleH1: levels.filter(l => l === 1).length > 1,
-    properHierarchy: isProperHeadingHierarchy(levels)
-  };
+  let exported;
+  try {
+    exported = exportComponents(improvedHtml, resolved);
+  } catch (error) {
+    return res.status(422).json({ error: error.message });
+  }
+  res
+    .attachment(`improved-site-${resolved.target}.zip`)
+    .type('application/zip')
+    .send(zipExport(exported.files));
 }
 
-function isProperHeadingHierarchy(levels) {
-  for (let i = 1; i < levels.length; i++) {
-    if (levels[i] > levels[i-1] + 1) return false;
+const MAX_EMBEDDED_ASSET_BYTES = 500000;
+
+/**
+ * Send the improved page as one HTML file with small images and fonts
+ * embedded as data: URIs, so it keeps working offline. Every asset is
+ * fetched through the URL policy; url resolves relative references.
+ */
+async function sendBundle(res, { improvedHtml, url, maxAssetBytes }) {
+  const limit = maxAssetBytes === undefined ? undefined : Number(maxAssetBytes);
+  if (limit !== undefined && !(limit > 0 && limit <= MAX_EMBEDDED_ASSET_BYTES)) {
+    return res.status(400).json({ error: `maxAssetBytes must be between 1 and ${MAX_EMBEDDED_ASSET_BYTES}` });
+  }
+
+  const controller = abortOnDisconnect(res);
+  try {
+    const bundle = await embedAssets(improvedHtml, { pageUrl: url, maxAssetBytes: limit, signal: controller.signal });
+    res
+      .attachment('improved-website.html')
+      .type('text/html')
+      .set('X-Embedded-Assets', String(bundle.embedded.length))
+      .set('X-Skipped-Assets', String(bundle.skipped.length))
+      .send(bundle.html);
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    throw error;
   }
-  return true;
 }
 
-function analyzeFormLabels(doc) {
-  const inputs = doc.querySelectorAll('input, textarea, select');
-  let labeledInputs = 0;
-  
-  inputs.forEach(input => {
-    if (input.hasAttribute('aria-label') || 
-        input.hasAttribute('aria-labelledby') ||
-        doc.querySelector(`label[for="${input.id}"]`) ||
-        input.closest('label')) {
-      labeledInputs++;
+app.post("/bundle", requireScope('fetch'), async (req, res) => {
+  const { improvedHtml, url, maxAssetBytes } = req.body;
+  if (!improvedHtml) return res.status(400).json({ error: "Missing improvedHtml in request body." });
+  await sendBundle(res, { improvedHtml, url, maxAssetBytes });
+});
+
+app.get("/analyses/:id/bundle", requireScope('fetch'), async (req, res) => {
+  const analysis = await getOwnAnalysis(req);
+  if (!analysis) return res.status(404).json({ error: "Analysis not found." });
+  await sendBundle(res, { improvedHtml: analysis.improvedHtml, url: analysis.url, maxAssetBytes: req.query.maxAssetBytes });
+});
+
+app.post("/export", requireScope('export'), (req, res) => {
+  const { improvedHtml, target, styles } = req.body;
+  if (!improvedHtml) return res.status(400).json({ error: "Missing improvedHtml in request body." });
+  sendComponentExport(res, improvedHtml, { target, styles });
+});
+
+app.get("/analyses/:id/export", requireScope('export'), async (req, res) => {
+  const analysis = await getOwnAnalysis(req);
+  if (!analysis) return res.status(404).json({ error: "Analysis not found." });
+  sendComponentExport(res, analysis.improvedHtml, { target: req.query.target, styles: req.query.styles });
+});
+
+/**
+ * Performance audit of a page, and of its improved version when given.
+ * With measure and a url, external resources are downloaded to weigh them.
+ */
+app.post("/performance", requireScope('fetch'), async (req, res) => {
+  const { html, improvedHtml, url, measure = false } = req.body;
+  if (!html) return res.status(400).json({ error: "Missing HTML in request body." });
+  if (measure && !url) return res.status(400).json({ error: "measure needs the page url to resolve resources against." });
+
+  const documents = [html, improvedHtml].filter(Boolean).map(source => ({ html: source, doc: new JSDOM(source).window.document }));
+  let resourceSizes = {};
+  if (measure) {
+    const controller = abortOnDisconnect(res);
+    const resources = documents.flatMap(({ doc }) => listResources(doc, url));
+    try {
+      resourceSizes = await measureResources(resources, { signal: controller.signal });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      throw error;
     }
+  }
+
+  const [original, improved] = documents.map(({ html: source, doc }) => analyzePerformance(doc, { html: source, baseUrl: url, resourceSizes }));
+  res.json({
+    original,
+    improved: improved || null,
+    comparison: improved ? comparePerformance(original, improved) : null,
+    measured: Object.keys(resourceSizes).length
   });
-  
-  return {
-    total: inputs.length,
-    labeled: labeledInputs,
-    percentage: inputs.length ? Math.round((labeledInputs / inputs.length) * 100) : 100
-  };
+});
+
+app.post("/audit", requireScope('analyze'), (req, res) => {
+  const { html } = req.body;
+  if (!html) return res.status(400).json({ error: "Missing HTML in request body." });
+
+  const dom = new JSDOM(html);
+  const doc = dom.window.document;
+  res.json({ ...runAudit(doc), contrast: analyzeContrast(doc) });
+});
+
+/**
+ * Validate per-request model, fidelity and style options and create the
+ * provider. A style preset supplies the temperature unless one is given.
+ * meter, when given, is charged the estimated tokens of every model call.
+ * Returns { error, status } instead of throwing so routes can respond directly.
+ */
+function prepareAnalysis(body, meter) {
+  const { provider: providerName, model, temperature, fidelity: fidelityOptions, style } = body;
+
+  let providerSettings;
+  let fidelitySettings;
+  let styleOptions;
+  try {
+    styleOptions = resolveStyleOptions(style ?? {});
+    providerSettings = resolveProviderSettings({
+      provider: providerName,
+      model,
+      temperature: temperature ?? STYLE_PRESETS[styleOptions.preset]?.temperature
+    });
+    fidelitySettings = resolveFidelitySettings(fidelityOptions);
+  } catch (error) {
+    return { status: 400, error: error.message };
+  }
+
+  try {
+    return { provider: meterProvider(createProvider(providerSettings), meter), providerSettings, fidelitySettings, styleOptions };
+  } catch (error) {
+    return { status: 500, error: `LLM provider not available: ${error.message}` };
+  }
 }
 
+app.post("/analyze-uiux", requireScope('analyze'), async (req, res) => {
+  const { html, url, renderMode = 'static' } = req.body;
+  if (!html) return res.status(400).json({ error: "Missing HTML in request body." });
+  if (!RENDER_MODES.includes(renderMode)) {
+    return res.status(400).json({ error: `renderMode must be one of: ${RENDER_MODES.join(', ')}` });
+  }
+
+  const { error, status, ...analysis } = prepareAnalysis(req.body, req.meter);
+  if (error) return res.status(status).json({ error });
+
+  const controller = abortOnDisconnect(res);
+
+  try {
+    const result = await analyzeHtml({ html, url, renderMode, ...analysis, bypassCache: wantsFreshResult(req), signal: controller.signal });
+    res.json(req.body.save === false ? result.response : await recordAnalysis({ url, html, result, ownerId: ownerOf(req) }));
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log("Analysis cancelled by client");
+      return;
+    }
+    throw error;
+  }
+});
+
 /**
- * Create clean HTML template for AI to work with
+ * Fetch → inline CSS → summarize → generate, streamed as server-sent events.
+ * Closing the connection aborts outstanding fetches and the model call.
  */
-function createCleanTemplate(html) {
-  const dom = new JSDOM(html);
-  const doc = dom.window.document;
+app.post("/analyze-stream", requireScope('analyze', 'fetch'), async (req, res) => {
+  const { url } = req.body;
+  if (!url) return res.status(400).json({ error: "Missing url in request body." });
 
-  // Remove only non-essential elements
-  const toRemove = [
-    'script[src*="analytics"]',
-    'script[src*="gtag"]',
-    'script[src*="facebook"]',
-    'script[async]:not([essential])',
-    'noscript',
-    '.ads',
-    '.advertisement',
-    '[data-ad]'
-  ];
-
-  toRemove.forEach(selector => {
-    doc.querySelectorAll(selector).forEach(el => el.remove());
-  });
+  const { error, status, ...analysis } = prepareAnalysis(req.body, req.meter);
+  if (error) return res.status(status).json({ error });
 
-  // Keep essential structure and content
-  const template = dom.serialize();
-  
-  // If still too large, create a structural template
-  if (template.length > 50000) {
-    return createStructuralTemplate(doc);
+  const { error: renderError, ...render } = parseRenderOptions(req.body);
+  if (renderError) return res.status(400).json({ error: renderError });
+
+  // Reject disallowed URLs with a proper status before switching to a stream
+  try {
+    await assertUrlAllowed(url);
+  } catch (policyError) {
+    if (!(policyError instanceof UrlPolicyError)) throw policyError;
+    return res.status(policyError.status).json({ error: policyError.message, code: policyError.code });
+  }
+
+  const controller = abortOnDisconnect(res);
+  const send = openEventStream(res);
+
+  try {
+    const bypassCache = wantsFreshResult(req);
+    const page = await fetchPageHtml(url, { signal: controller.signal, onEvent: send, render, bypassCache });
+    send('page', page);
+
+    const result = await analyzeHtml({
+      html: page.html,
+      url,
+      renderMode: page.renderMode,
+      ...analysis,
+      bypassCache,
+      signal: controller.signal,
+      onEvent: send,
+      onToken: text => send('token', { text })
+    });
+    send('result', req.body.save === false
+      ? result.response
+      : await recordAnalysis({ url, html: page.html, result, warnings: [page.warning], ownerId: ownerOf(req) }));
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log("Streaming analysis cancelled by client");
+    } else {
+      console.error(`Streaming analysis failed for "${url}":`, error.message);
+      const { body } = describeFetchError(error);
+      send('error', { error: body.code ? body.error : error.message, code: body.code });
+    }
+  } finally {
+    res.end();
+  }
+});
+
+/**
+ * Store a finished analysis and tag the response with its id. Storage
+ * failures are logged rather than failing the analysis.
+ */
+async function recordAnalysis({ url, html, result, warnings = [], parentId, ownerId }) {
+  const { response, prompt, cleanTemplate } = result;
+
+  try {
+    const { warning, cache, ...rest } = response;
+    const saved = await saveAnalysis({
+      url,
+      parentId,
+      ownerId,
+      originalHtml: html,
+      cleanTemplate,
+      prompt,
+      ...rest,
+      warnings: [...warnings, warning].filter(Boolean)
+    });
+    return { ...response, analysisId: saved.id };
+  } catch (error) {
+    console.error("Could not save analysis:", error.message);
+    return response;
   }
-  
-  return template;
 }
 
-function createStructuralTemplate(doc) {
-  const template = `<!DOCTYPE html>
-<html lang="${doc.documentElement.lang || 'en'}">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${doc.querySelector('title')?.textContent || 'Website'}</title>
-  ${doc.head.querySelector('style')?.outerHTML || ''}
-</head>
-<body>
-  ${doc.querySelector('header')?.outerHTML || ''}
-  ${doc.querySelector('nav')?.outerHTML || ''}
-  ${doc.querySelector('main')?.outerHTML || doc.body.innerHTML}
-  ${doc.querySelector('footer')?.outerHTML || ''}
-</body>
-</html>`;
-  
-  return template;
+/**
+ * The analysis named by the :id route parameter, or null when it doesn't
+ * exist or belongs to another API key
+ */
+async function getOwnAnalysis(req) {
+  const analysis = await getAnalysis(req.params.id);
+  return analysis && canAccess(req, analysis.ownerId) ? analysis : null;
 }
 
-// Enhanced CSS inlining
-async function inlineExternalCSS(html, baseUrl, maxCssSize = 80000) {
-  const dom = new JSDOM(html);
-  const document = dom.window.document;
-  const links = [...document.querySelectorAll('link[rel="stylesheet"][href]')];
-  
-  let totalInlinedSize = 0;
+app.get("/analyses", requireScope('history'), async (req, res) => {
+  const analyses = await listAnalyses();
+  res.json({ analyses: analyses.filter(entry => canAccess(req, entry.ownerId)) });
+});
 
-  for (const link of links) {
-    let href = link.getAttribute("href");
-    if (!href) continue;
+app.get("/analyses/:id", requireScope('history'), async (req, res) => {
+  const analysis = await getOwnAnalysis(req);
+  if (!analysis) return res.status(404).json({ error: "Analysis not found." });
+  res.json(analysis);
+});
 
-    try {
-      const cssUrl = new URL(href, baseUrl).href;
-      
-      if (totalInlinedSize > maxCssSize) break;
-
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 3000);
-
-      const cssResp = await fetch(cssUrl, {
-        signal: controller.signal,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; UI-Improver/1.0)',
-          'Accept': 'text/css'
-        }
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!cssResp.ok) continue;
-
-      let cssText = await cssResp.text();
-      
-      // Optimize CSS
-      cssText = cssText.replace(/\/\*[\s\S]*?\*\//g, '')
-                      .replace(/\s+/g, ' ')
-                      .trim();
-
-      if (totalInlinedSize + cssText.length <= maxCssSize) {
-        const styleEl = document.createElement("style");
-        styleEl.textContent = cssText;
-        link.parentNode.replaceChild(styleEl, link);
-        totalInlinedSize += cssText.length;
-      }
-    } catch (e) {
-      console.warn(`Could not inline CSS for ${href}:`, e.message);
+app.delete("/analyses/:id", requireScope('history'), async (req, res) => {
+  const deleted = await getOwnAnalysis(req) && await deleteAnalysis(req.params.id);
+  if (!deleted) return res.status(404).json({ error: "Analysis not found." });
+  res.status(204).end();
+});
+
+/**
+ * Re-run a stored analysis against its saved original HTML, optionally with
+ * different model settings, without refetching the site
+ */
+app.post("/analyses/:id/rerun", requireScope('analyze'), async (req, res) => {
+  const previous = await getOwnAnalysis(req);
+  if (!previous) return res.status(404).json({ error: "Analysis not found." });
+
+  // Keep the previous model settings unless the caller switches provider
+  const switching = req.body.provider && req.body.provider !== previous.provider?.provider;
+  const { error, status, ...analysis } = prepareAnalysis({
+    ...(switching ? {} : previous.provider),
+    style: previous.style ?? undefined,
+    ...req.body
+  }, req.meter);
+  if (error) return res.status(status).json({ error });
+
+  const controller = abortOnDisconnect(res);
+
+  try {
+    const result = await analyzeHtml({
+      html: previous.originalHtml,
+      url: previous.url,
+      renderMode: previous.websiteSummary?.renderMode,
+      ...analysis,
+      // A re-run asks for a fresh generation even with unchanged settings
+      bypassCache: true,
+      signal: controller.signal
+    });
+    res.json(await recordAnalysis({ url: previous.url, html: previous.originalHtml, result, parentId: previous.id, ownerId: ownerOf(req) }));
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log("Re-run cancelled by client");
+      return;
     }
+    throw error;
   }
+});
 
-  return dom.serialize();
+/**
+ * Apply one follow-up instruction. When the original page is known, fidelity
+ * and the scorecard are measured against it like the first generation was.
+ */
+async function runRefinement({ improvedHtml, originalHtml, template, url, refinement, provider, fidelitySettings, styleOptions, signal }) {
+  const refined = await refineDocument({ provider, html: improvedHtml, originalHtml: template, ...refinement, styleOptions, signal });
+  const brandCheck = checkBrandConstraints(refined.html, styleOptions);
+  const brandWarning = brandCheck && !brandCheck.passed ? describeBrandViolations(brandCheck) : null;
+  if (!originalHtml) return { improvedHtml: refined.html, scope: refined.scope, brandCheck, warning: brandWarning };
+
+  const originalSummary = generateWebsiteSummary(originalHtml, url);
+  const improvedSummary = generateWebsiteSummary(refined.html, url);
+  const fidelity = checkFidelity(template, refined.html, fidelitySettings);
+  return {
+    improvedHtml: refined.html,
+    scope: refined.scope,
+    fidelity: { ...fidelity, attempts: 1, flagged: !fidelity.passed },
+    comparison: compareAnalyses({ originalHtml, improvedHtml: refined.html, originalSummary, improvedSummary }),
+    brandCheck,
+    warning: [
+      fidelity.passed
+        ? null
+        : `The refinement changed the site's content (preservation score ${Math.round(fidelity.score * 100)}%). Review it before sharing.`,
+      brandWarning
+    ].filter(Boolean).join(' ') || null
+  };
 }
 
-app.get("/fetch-html", async (req, res) => {
-  const { url } = req.query;
-  if (!url) return res.status(400).json({ error: "Missing url parameter." });
+function describeVersion({ improvedHtml, comparison, fidelity, brandCheck, ...meta }) {
+  return { ...meta, fidelityScore: fidelity?.score ?? null, brandPassed: brandCheck ? brandCheck.passed : null };
+}
+
+/**
+ * Refine an improved page that isn't stored. html (the original page) is
+ * optional and enables the fidelity check and scorecard.
+ */
+app.post("/refine", requireScope('analyze'), async (req, res) => {
+  const { html, improvedHtml, url } = req.body;
+  if (!improvedHtml) return res.status(400).json({ error: "Missing improvedHtml in request body." });
 
+  let refinement;
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 15000);
+    refinement = resolveRefinement(req.body, improvedHtml);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-    const response = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      }
+  const { error, status, ...analysis } = prepareAnalysis(req.body, req.meter);
+  if (error) return res.status(status).json({ error });
+
+  const controller = abortOnDisconnect(res);
+
+  try {
+    res.json(await runRefinement({
+      improvedHtml,
+      originalHtml: html,
+      template: html && createCleanTemplate(html),
+      url,
+      refinement,
+      ...analysis,
+      signal: controller.signal
+    }));
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error("Refinement failed:", error.message);
+    res.status(502).json({ error: `Refinement failed: ${error.message}` });
+  }
+});
+
+/**
+ * Refine a stored analysis and append the result to its version list.
+ * fromVersion defaults to the current version; the new one becomes current.
+ */
+app.post("/analyses/:id/refine", requireScope('analyze'), async (req, res) => {
+  const record = await getOwnAnalysis(req);
+  if (!record) return res.status(404).json({ error: "Analysis not found." });
+
+  const versions = getVersions(record);
+  const basedOn = req.body.fromVersion ?? record.currentVersion ?? 0;
+  const base = versions.find(entry => entry.version === basedOn);
+  if (!base) return res.status(400).json({ error: `Version ${basedOn} does not exist.` });
+
+  let refinement;
+  try {
+    refinement = resolveRefinement(req.body, base.improvedHtml);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const switching = req.body.provider && req.body.provider !== record.provider?.provider;
+  const { error, status, ...analysis } = prepareAnalysis({
+    ...(switching ? {} : record.provider),
+    style: record.style ?? undefined,
+    ...req.body
+  }, req.meter);
+  if (error) return res.status(status).json({ error });
+
+  const controller = abortOnDisconnect(res);
+
+  let result;
+  try {
+    result = await runRefinement({
+      improvedHtml: base.improvedHtml,
+      originalHtml: record.originalHtml,
+      template: record.cleanTemplate || createCleanTemplate(record.originalHtml),
+      url: record.url,
+      refinement,
+      ...analysis,
+      signal: controller.signal
     });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error("Refinement failed:", error.message);
+    return res.status(502).json({ error: `Refinement failed: ${error.message}` });
+  }
 
-    clearTimeout(timeoutId);
+  const { warning, ...version } = result;
+  const updated = await addVersion(record.id, { ...version, basedOn, ...refinement });
+  if (!updated) return res.status(404).json({ error: "Analysis not found." });
 
-    if (!response.ok) throw new Error(`Failed to fetch URL: ${response.status} - ${response.statusText}`);
+  const created = updated.versions.at(-1);
+  res.status(201).json({
+    ...result,
+    version: created.version,
+    currentVersion: updated.currentVersion,
+    versions: updated.versions.map(describeVersion)
+  });
+});
 
-    let html = await response.text();
-    console.log(`Fetched HTML length: ${html.length}`);
+app.get("/analyses/:id/versions", requireScope('history'), async (req, res) => {
+  const record = await getOwnAnalysis(req);
+  if (!record) return res.status(404).json({ error: "Analysis not found." });
+  res.json({ currentVersion: record.currentVersion ?? 0, versions: getVersions(record).map(describeVersion) });
+});
 
-    html = await inlineExternalCSS(html, url);
-    console.log(`Final HTML length after CSS inlining: ${html.length}`);
+app.get("/analyses/:id/versions/:version", requireScope('history'), async (req, res) => {
+  const record = await getOwnAnalysis(req);
+  if (!record) return res.status(404).json({ error: "Analysis not found." });
 
-    res.json({
-      html,
-      originalSize: html.length,
-      warning: html.length > 500000 ? "Large HTML detected" : null
+  const version = getVersions(record).find(entry => entry.version === Number(req.params.version));
+  if (!version) return res.status(404).json({ error: "Version not found." });
+  res.json(version);
+});
+
+/**
+ * Undo/redo: make an existing version the one screenshots, diffs and
+ * exports of this analysis use
+ */
+app.put("/analyses/:id/current-version", requireScope('history'), async (req, res) => {
+  const record = await getOwnAnalysis(req);
+  if (!record) return res.status(404).json({ error: "Analysis not found." });
+
+  const { version } = req.body;
+  if (!getVersions(record).some(entry => entry.version === version)) {
+    return res.status(400).json({ error: `Version ${version} does not exist.` });
+  }
+
+  const updated = await setCurrentVersion(record.id, version);
+  res.json({ currentVersion: updated.currentVersion });
+});
+
+/**
+ * Capture both versions at each requested viewport and answer with the
+ * screenshots, a pixel-diff image and the changed-area percentage
+ */
+async function sendScreenshots(req, res, { originalHtml, improvedHtml, url }) {
+  let viewports;
+  try {
+    viewports = resolveViewports(req.body.viewports);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const controller = abortOnDisconnect(res);
+
+  try {
+    const results = await compareScreenshots({
+      originalHtml,
+      improvedHtml,
+      viewports,
+      baseUrl: url,
+      fullPage: req.body.fullPage !== false,
+      signal: controller.signal
     });
+    res.json({ viewports: results });
   } catch (error) {
-    console.error(`Error fetching HTML from URL "${url}":`, error.message);
-    res.status(500).json({ error: `Failed to fetch HTML from URL: ${error.message}` });
+    if (controller.signal.aborted) return;
+    sendRenderError(res, error, "Screenshot capture failed");
   }
+}
+
+/**
+ * Headless-browser failures: 503 when no browser is available, else 500
+ */
+function sendRenderError(res, error, label) {
+  console.error(`${label}:`, error.message);
+  if (error instanceof RenderUnavailableError) {
+    return res.status(503).json({ error: error.message, code: 'RENDER_UNAVAILABLE' });
+  }
+  res.status(500).json({ error: `${label}: ${error.message}` });
+}
+
+app.post("/screenshots", requireScope('fetch'), async (req, res) => {
+  const { originalHtml, improvedHtml, url } = req.body;
+  if (!originalHtml || !improvedHtml) {
+    return res.status(400).json({ error: "Missing originalHtml or improvedHtml in request body." });
+  }
+  await sendScreenshots(req, res, { originalHtml, improvedHtml, url });
 });
 
-app.post("/analyze-uiux", async (req, res) => {
-  const { html, url } = req.body;
+app.post("/analyses/:id/screenshots", requireScope('fetch'), async (req, res) => {
+  const analysis = await getOwnAnalysis(req);
+  if (!analysis) return res.status(404).json({ error: "Analysis not found." });
+  await sendScreenshots(req, res, {
+    originalHtml: analysis.originalHtml,
+    improvedHtml: analysis.improvedHtml,
+    url: analysis.url
+  });
+});
+
+/**
+ * Report elements that cause horizontal scrolling at each breakpoint, for the
+ * original page and (when given) the improved one
+ */
+async function sendOverflowReport(req, res, { html, improvedHtml, url }) {
+  let breakpoints;
+  try {
+    breakpoints = resolveBreakpoints(req.body.breakpoints);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const controller = abortOnDisconnect(res);
+  const options = { breakpoints, baseUrl: url, signal: controller.signal };
+
+  try {
+    res.json({
+      breakpoints,
+      original: await checkOverflow(html, options),
+      improved: improvedHtml ? await checkOverflow(improvedHtml, options) : null
+    });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    sendRenderError(res, error, "Overflow check failed");
+  }
+}
+
+app.post("/responsive", requireScope('fetch'), async (req, res) => {
+  const { html, improvedHtml, url } = req.body;
   if (!html) return res.status(400).json({ error: "Missing HTML in request body." });
+  await sendOverflowReport(req, res, { html, improvedHtml, url });
+});
+
+app.post("/analyses/:id/responsive", requireScope('fetch'), async (req, res) => {
+  const analysis = await getOwnAnalysis(req);
+  if (!analysis) return res.status(404).json({ error: "Analysis not found." });
+  await sendOverflowReport(req, res, {
+    html: analysis.originalHtml,
+    improvedHtml: analysis.improvedHtml,
+    url: analysis.url
+  });
+});
 
-  if (!geminiModel) return res.status(500).json({ error: "Gemini model not initialized." });
+// Part of the analysis cache key; bump it when the prompts change so older
+// generations aren't served for the new wording
+const PROMPT_VERSION = 1;
 
+/**
+ * Summarize the page, generate the improved version and evaluate it.
+ * Resolves to { response, prompt, cleanTemplate }; response is what the routes send.
+ * Successful generations are cached by a hash of the template, summary, prompt
+ * version and model settings; response.cache reports hit, miss, bypass or off.
+ */
+async function analyzeHtml({ html, url, renderMode, provider, providerSettings, fidelitySettings, styleOptions, bypassCache = false, signal, onEvent = () => {}, onToken }) {
   console.log(`Received HTML for analysis: ${html.length} characters`);
 
   // Generate comprehensive website summary
-  const websiteSummary = generateWebsiteSummary(html, url);
+  onEvent('stage', { stage: 'summary', status: 'started' });
+  const websiteSummary = generateWebsiteSummary(html, url, { renderMode });
+  onEvent('stage', {
+    stage: 'summary',
+    status: 'done',
+    title: websiteSummary.metadata.title,
+    type: websiteSummary.content.type,
+    findings: websiteSummary.accessibility.auditSummary.total
+  });
+
   const cleanTemplate = createCleanTemplate(html);
+  onEvent('stage', { stage: 'template', status: 'done', bytes: cleanTemplate.length });
   
   console.log(`Summary generated. Template size: ${cleanTemplate.length} characters`);
+  signal?.throwIfAborted();
+
+  // Pages too big for one prompt are enhanced region by region
+  const chunkSettings = getChunkSettings();
+  const sectioned = estimateTokens(cleanTemplate) > chunkSettings.singlePassTokens;
+  const prompt = sectioned ? null : buildAnalysisPrompt(websiteSummary, cleanTemplate, styleOptions);
+
+  const cacheKey = hashKey({
+    promptVersion: PROMPT_VERSION,
+    template: cleanTemplate,
+    summary: websiteSummary,
+    provider: providerSettings,
+    fidelity: fidelitySettings,
+    style: styleOptions,
+    chunking: chunkSettings
+  });
+  const cacheTtl = getCacheSettings().ttl.analysis;
+  const cached = bypassCache || !cacheTtl ? undefined : await caches.analyses.get(cacheKey);
+  if (cached && Date.now() < cached.expiresAt) {
+    console.log(`Serving cached analysis ${cacheKey.slice(0, 12)}`);
+    onEvent('stage', { stage: 'generate', status: 'done', cached: true, bytes: cached.response.outputSize, fidelity: cached.response.fidelity.score });
+    return { response: { ...cached.response, cache: { status: 'hit', key: cacheKey, storedAt: cached.storedAt } }, prompt, cleanTemplate };
+  }
+  const cache = { status: !cacheTtl ? 'off' : bypassCache ? 'bypass' : 'miss', key: cacheKey };
+
+  try {
+    console.log(`Sending website summary to ${provider.name} (${provider.model})${sectioned ? ' in sections' : ''}...`);
+    onEvent('stage', { stage: 'generate', status: 'started', provider: provider.name, model: provider.model, sectioned });
+
+    let improvedHtml;
+    let chunking = null;
+    if (sectioned) {
+      ({ improvedHtml, chunking } = await generateSectioned({
+        provider,
+        websiteSummary,
+        template: cleanTemplate,
+        fidelitySettings,
+        styleOptions,
+        settings: chunkSettings,
+        signal,
+        onEvent,
+        onToken
+      }));
+    } else {
+      improvedHtml = await generateImprovedHtml(provider, prompt, { signal, onToken });
+    }
+    let fidelity = checkFidelity(cleanTemplate, improvedHtml, fidelitySettings);
+    let attempts = 1;
+    onEvent('stage', { stage: 'generate', status: 'done', bytes: improvedHtml.length, fidelity: fidelity.score });
+
+    // Retry with the concrete fidelity problems spelled out, keeping the best attempt.
+    // Sectioned runs already retried each region on its own.
+    while (!sectioned && !fidelity.passed && attempts <= fidelitySettings.maxRetries) {
+      console.warn(`Fidelity score ${fidelity.score} below ${fidelity.threshold}, retrying (attempt ${attempts + 1})`);
+      attempts++;
+      onEvent('stage', { stage: 'retry', status: 'started', attempt: attempts, fidelity: fidelity.score });
+
+      const retryHtml = await generateImprovedHtml(provider, buildCorrectivePrompt(prompt, fidelity), { signal, onToken });
+      const retryFidelity = checkFidelity(cleanTemplate, retryHtml, fidelitySettings);
+      if (retryFidelity.score >= fidelity.score || (retryFidelity.passed && !fidelity.passed)) {
+        improvedHtml = retryHtml;
+        fidelity = retryFidelity;
+      }
+      onEvent('stage', { stage: 'retry', status: 'done', attempt: attempts, fidelity: retryFidelity.score });
+    }
 
-  // Create detailed prompt with summary
-  const prompt = `You are an expert frontend developer. Based on the following website analysis and template, create a modern, enhanced version.
+    console.log("Generated improved HTML length:", improvedHtml.length);
+    const brandCheck = checkBrandConstraints(improvedHtml, styleOptions);
+
+    onEvent('stage', { stage: 'compare', status: 'started' });
+    const improvedSummary = generateWebsiteSummary(improvedHtml, url);
+    const comparison = compareAnalyses({ originalHtml: html, improvedHtml, originalSummary: websiteSummary, improvedSummary });
+    onEvent('stage', { stage: 'compare', status: 'done' });
+
+    const response = {
+      improvedHtml,
+      websiteSummary,
+      improvedSummary,
+      comparison,
+      originalSize: html.length,
+      templateSize: cleanTemplate.length,
+      outputSize: improvedHtml.length,
+      contrast: compareContrast(websiteSummary, improvedSummary),
+      fidelity: { ...fidelity, attempts, flagged: !fidelity.passed },
+      brandCheck,
+      warning: [
+        fidelity.passed
+          ? null
+          : `The generated page changed the site's content (preservation score ${Math.round(fidelity.score * 100)}%, ` +
+            `threshold ${Math.round(fidelity.threshold * 100)}%). Review it before sharing.`,
+        brandCheck && !brandCheck.passed ? describeBrandViolations(brandCheck) : null,
+        chunking?.skipped.length
+          ? `The page has ${chunking.sections} regions; only the first ${MAX_SECTIONS} were enhanced and the other ` +
+            `${chunking.skipped.length} are unchanged.`
+          : null
+      ].filter(Boolean).join(' ') || null,
+      style: hasStyleOptions(styleOptions) ? styleOptions : null,
+      chunking,
+      processingMethod: sectioned ? 'summary-based-sectioned' : 'summary-based',
+      provider: providerSettings
+    };
+    if (cacheTtl) {
+      await caches.analyses.set(cacheKey, { response, storedAt: Date.now(), expiresAt: Date.now() + cacheTtl * 1000 });
+    }
+    return { response: { ...response, cache }, prompt, cleanTemplate };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.error(`${provider.name} provider error:`, error.message);
+    onEvent('stage', { stage: 'generate', status: 'failed', error: error.message });
+
+    const fallbackHtml = createSmartFallback(cleanTemplate, websiteSummary);
+    const improvedSummary = generateWebsiteSummary(fallbackHtml, url);
+    const fidelity = checkFidelity(cleanTemplate, fallbackHtml, fidelitySettings);
+    const response = {
+      improvedHtml: fallbackHtml,
+      warning: `Used smart fallback: ${error.message}`,
+      websiteSummary,
+      improvedSummary,
+      comparison: compareAnalyses({ originalHtml: html, improvedHtml: fallbackHtml, originalSummary: websiteSummary, improvedSummary }),
+      contrast: compareContrast(websiteSummary, improvedSummary),
+      fidelity: { ...fidelity, attempts: 0, flagged: !fidelity.passed },
+      style: hasStyleOptions(styleOptions) ? styleOptions : null,
+      processingMethod: 'summary-based-fallback',
+      provider: providerSettings,
+      // Fallbacks are never stored, so the next request tries the model again
+      cache
+    };
+    return { response, prompt, cleanTemplate };
+  }
+}
+
+/**
+ * Create detailed prompt with summary
+ */
+function buildAnalysisPrompt(websiteSummary, cleanTemplate, styleOptions) {
+  return `You are an expert frontend developer. Based on the following website analysis and template, create a modern, enhanced version.
 
 === WEBSITE ANALYSIS ===
 **Metadata:**
@@ -462,128 +1194,170 @@ app.post("/analyze-uiux", async (req, res) => {
 - Uses Flexbox: ${websiteSummary.design.hasFlexLayout}
 - Uses Grid: ${websiteSummary.design.hasGridLayout}
 
-**Accessibility Status:**
-- Semantic HTML: ${websiteSummary.accessibility.hasSemanticHTML}
-- Alt Texts: ${websiteSummary.accessibility.hasAltTexts}
-- ARIA Labels: ${websiteSummary.accessibility.hasAriaLabels}
-- Form Labels: ${websiteSummary.accessibility.formLabels.percentage}% labeled
+**Accessibility Findings (${websiteSummary.accessibility.auditSummary.total} total, ${websiteSummary.accessibility.auditSummary.bySeverity.critical} critical):**
+${formatFindingsForPrompt(websiteSummary.accessibility.findings)}
+
+**Performance Findings:**
+${formatPerformanceForPrompt(websiteSummary.performance)}
 
 === ENHANCEMENT INSTRUCTIONS ===
 Based on this analysis, create a modernized version that:
 
 1. **Preserves Identity**: Keep the ${websiteSummary.content.type} website's purpose and branding
 2. **Enhances Design**: Improve the visual hierarchy, spacing, and modern appeal
-3. **Improves Accessibility**: Address the identified accessibility gaps
+3. **Improves Accessibility**: Fix every accessibility finding listed above
 4. **Modernizes Layout**: Use modern CSS techniques (Grid/Flexbox) appropriately for the ${websiteSummary.structure.layoutType}
 5. **Responsive Design**: Ensure mobile-first approach
-6. **Performance**: Optimize for loading and interaction
+6. **Performance**: Optimize for loading and interaction, addressing the performance findings above
 
 **Specific Focus Areas:**
 ${websiteSummary.design.hasResponsive ? '- Enhance existing responsive design' : '- Add comprehensive responsive design'}
 ${websiteSummary.accessibility.hasSemanticHTML ? '- Maintain semantic structure' : '- Improve semantic HTML structure'}
 ${websiteSummary.design.colors.length > 0 ? `- Work with existing color palette: ${websiteSummary.design.colors.slice(0, 3).join(', ')}` : '- Create cohesive color system'}
-
+${hasStyleOptions(styleOptions) ? `\n${formatStyleOptionsForPrompt(styleOptions)}\n` : ''}
 === HTML TEMPLATE TO ENHANCE ===
 ${cleanTemplate}
 
-Return ONLY the complete enhanced HTML document starting with <!DOCTYPE html> and ending with </html>. All CSS must be internal within <style> tags.`;
-
-  try {
-    console.log("Sending website summary to Gemini API...");
-    const result = await geminiModel.generateContent(prompt);
-    const response = await result.response;
-    let improvedHtml = response.text();
-
-    // Clean up response
-    improvedHtml = improvedHtml.replace(/```html\n?/g, '').replace(/```\n?/g, '').trim();
+Return ONLY the complete enhanced HTML document starting with <!DOCTYPE html> and ending with </html>. ${frameworkOutputRule(styleOptions)}`;
+}
 
-    if (!improvedHtml.includes('<!DOCTYPE html>') || !improvedHtml.includes('</html>')) {
-      throw new Error('Generated HTML is incomplete');
+/**
+ * Call the provider and clean up/validate the returned document.
+ * Streams when a token callback is given.
+ */
+async function generateImprovedHtml(provider, prompt, { signal, onToken } = {}) {
+  let improvedHtml = '';
+  if (onToken) {
+    for await (const text of provider.stream(prompt, { signal })) {
+      improvedHtml += text;
+      onToken(text);
     }
+  } else {
+    improvedHtml = await provider.generate(prompt, { signal });
+  }
 
-    console.log("Generated improved HTML length:", improvedHtml.length);
-
-    res.json({
-      improvedHtml,
-      websiteSummary,
-      originalSize: html.length,
-      templateSize: cleanTemplate.length,
-      outputSize: improvedHtml.length,
-      processingMethod: 'summary-based'
-    });
-  } catch (error) {
-    console.error("Gemini API error:", error.message);
+  // Clean up response
+  improvedHtml = improvedHtml.replace(/```html\n?/g, '').replace(/```\n?/g, '').trim();
 
-    const fallbackHtml = createSmartFallback(cleanTemplate, websiteSummary);
-    res.json({
-      improvedHtml: fallbackHtml,
-      warning: `Used smart fallback: ${error.message}`,
-      websiteSummary,
-      processingMethod: 'summary-based-fallback'
-    });
+  if (!improvedHtml.includes('<!DOCTYPE html>') || !improvedHtml.includes('</html>')) {
+    throw new Error('Generated HTML is incomplete');
   }
-});
+
+  return improvedHtml;
+}
 
 /**
- * Create fallback based on website summary
+ * Original prompt plus the specific content the previous attempt lost or made up
  */
-function createSmartFallback(template, summary) {
-  const dom = new JSDOM(template);
-  const doc = dom.window.document;
+function buildCorrectivePrompt(prompt, fidelity) {
+  return `${prompt}
 
-  // Add modern enhancements based on summary
-  const style = doc.createElement('style');
-  
-  // Build CSS based on website type and characteristics
-  let css = `
-    * { box-sizing: border-box; margin: 0; padding: 0; }
-    
-    html { scroll-behavior: smooth; }
-    
-    body {
-      font-family: ${summary.design.fonts[0] || '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif'};
-      line-height: 1.6;
-      color: #333;
-    }
-  `;
-
-  // Add layout-specific styles
-  if (summary.structure.layoutType === 'sidebar-layout') {
-    css += `
-      .container { display: grid; grid-template-columns: 250px 1fr; gap: 2rem; }
-      @media (max-width: 768px) { .container { grid-template-columns: 1fr; } }
-    `;
-  } else if (summary.content.type === 'e-commerce') {
-    css += `
-      .product-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 1.5rem; }
-      .btn-primary { background: #007bff; color: white; padding: 0.75rem 1.5rem; border: none; border-radius: 0.375rem; }
-    `;
-  }
-
-  // Add responsive design
-  css += `
-    @media (max-width: 768px) {
-      body { font-size: 16px; padding: 1rem; }
-      h1 { font-size: 1.75rem; }
-      h2 { font-size: 1.5rem; }
-    }
-  `;
+=== CORRECTION REQUIRED ===
+Your previous attempt did not preserve the original content (preservation score ${fidelity.score}, required ${fidelity.threshold}).
+Problems found:
+${describeFidelityIssues(fidelity)}
 
-  style.textContent = css;
-  doc.head.appendChild(style);
+Regenerate the page. Keep every heading, paragraph, link target, image source, form field and price from the template exactly as written. Do not invent product names, prices, testimonials or any other content. Only change markup structure and styling.`;
+}
 
-  return dom.serialize();
+/**
+ * Contrast results for the original page and the generated page side by side
+ */
+function compareContrast(websiteSummary, improvedSummary) {
+  const original = websiteSummary.accessibility.colorContrast;
+  const improved = improvedSummary.accessibility.colorContrast;
+
+  return {
+    original,
+    improved,
+    failAADelta: improved.failAA - original.failAA,
+    improvedOverall: improved.failAA < original.failAA ||
+      (improved.failAA === original.failAA && (improved.minRatio ?? 0) > (original.minRatio ?? 0))
+  };
+}
+
+/**
+ * A key as the admin routes show it: its limits after server defaults and
+ * today's usage next to the stored history
+ */
+function describeApiKey(key) {
+  return { ...key, limits: resolveLimits(key), today: usageToday(key) };
 }
 
+/**
+ * Issue a key. The response is the only time the secret is shown.
+ */
+app.post("/admin/keys", requireScope('admin'), async (req, res) => {
+  let options;
+  try {
+    options = resolveKeyOptions(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(201).json(describeApiKey(await createApiKey(options)));
+});
+
+app.get("/admin/keys", requireScope('admin'), async (req, res) => {
+  res.json({ keys: (await listApiKeys()).map(describeApiKey) });
+});
+
+app.get("/admin/keys/:id", requireScope('admin'), async (req, res) => {
+  const key = await getApiKey(req.params.id);
+  if (!key) return res.status(404).json({ error: "API key not found." });
+  res.json(describeApiKey(key));
+});
+
+/**
+ * Revoke a key. Its record and usage stay for the admin routes.
+ */
+app.delete("/admin/keys/:id", requireScope('admin'), async (req, res) => {
+  const key = await revokeApiKey(req.params.id);
+  if (!key) return res.status(404).json({ error: "API key not found." });
+  res.json(describeApiKey(key));
+});
+
+/**
+ * Effective non-secret settings, plus the options and limits requests are
+ * validated against, so clients can adapt their forms
+ */
+app.get("/config", (req, res) => {
+  res.json({
+    ...publicConfig(),
+    providers: PROVIDER_NAMES.map(name => ({ name, ready: checkProviderReady(name).ready })),
+    renderModes: RENDER_MODES,
+    waitUntilOptions: WAIT_UNTIL_OPTIONS,
+    maxRenderTimeout: MAX_RENDER_TIMEOUT,
+    maxEmbeddedAssetBytes: MAX_EMBEDDED_ASSET_BYTES
+  });
+});
+
 app.get("/health", (req, res) => {
+  const settings = resolveProviderSettings();
   res.json({
     status: "OK",
     timestamp: new Date().toISOString(),
-    geminiModel: !!geminiModel
+    provider: settings.provider,
+    model: settings.model,
+    providerReady: checkProviderReady(settings.provider).ready,
+    cache: Object.fromEntries(Object.entries(caches).map(([name, cache]) => [name, cache.stats()]))
   });
 });
 
 app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: `Request body is larger than the ${error.limit} byte limit.` });
+  }
   console.error('Unhandled error:', error);
   res.status(500).json({ error: 'Internal server error' });
 });
+
+// Only listen when run directly so the app can be imported by tests
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  logProviderStatus();
+  logAuthStatus();
+  app.listen(config.server.port, () => {
+    console.log(`Server listening on http://localhost:${config.server.port}`);
+  });
+}
+
+export default app;
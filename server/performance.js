@@ -0,0 +1,408 @@
+import postcss from 'postcss';
+import valueParser from 'postcss-value-parser';
+import { cssPath } from './dom-utils.js';
+import { safeFetch, withTimeout } from './url-policy.js';
+import { getConfig } from './config.js';
+import { SOURCE_ATTRIBUTE, SOURCE_BYTES_ATTRIBUTE } from './css-pipeline.js';
+
+export const RESOURCE_TYPES = ['html', 'css', 'js', 'images', 'fonts'];
+
+// Long lists are cut to this many entries; the counts stay exact
+const MAX_LISTED = 20;
+const MAX_SELECTORS = 5000;
+const NON_BLOCKING_MEDIA = /^\s*(print|not all)\s*$/i;
+const SCRIPT_TYPES = /^(|text\/javascript|application\/javascript|text\/ecmascript|application\/ecmascript)$/i;
+const PSEUDO = /::?[a-zA-Z-]+(\([^()]*(\([^()]*\)[^()]*)*\))?/g;
+const BLOCKING_FONT_DISPLAY = new Set(['auto', 'block']);
+
+/**
+ * Page-weight and loading audit of a parsed document: resource weight by
+ * type, render-blocking requests in <head>, image loading hints, unused
+ * selectors, font-display and the critical path before first render.
+ * External resources are only counted unless resourceSizes (absolute URL to
+ * bytes, see measureResources) says how large they are. Pass the HTML the
+ * document came from to weigh it as fetched rather than re-serialized.
+ * Stylesheets the CSS pipeline inlined still count as the external,
+ * render-blocking requests they were on the fetched page.
+ */
+export function analyzePerformance(doc, { html, baseUrl, resourceSizes = {} } = {}) {
+  const base = documentBase(doc, baseUrl);
+  const stylesheets = parseStyles(doc);
+  const resources = collectResources(doc, base, stylesheets);
+  resourceSizes = { ...inlinedSheetSizes(doc, base), ...resourceSizes };
+  const htmlBytes = Buffer.byteLength(html ?? doc.documentElement.outerHTML);
+
+  const renderBlocking = findRenderBlocking(doc, base, stylesheets);
+  const weight = weighResources(resources, { htmlBytes, resourceSizes, inline: inlineBytes(doc, stylesheets) });
+
+  return {
+    weight,
+    renderBlocking,
+    images: auditImages(doc),
+    unusedCss: findUnusedSelectors(doc, stylesheets),
+    fonts: auditFonts(doc, stylesheets, base),
+    criticalPath: estimateCriticalPath(renderBlocking, { htmlBytes, resourceSizes })
+  };
+}
+
+/**
+ * Every external resource the page references, deduplicated by URL
+ */
+export function listResources(doc, baseUrl) {
+  return collectResources(doc, documentBase(doc, baseUrl), parseStyles(doc));
+}
+
+/**
+ * Download the given resources (see listResources) through the URL policy to
+ * learn their size, a few at a time.
+ * Resolves to a map of URL to bytes; failures and skipped URLs are left out.
+ */
+export async function measureResources(resources, { signal, maxResources = 40, concurrency = 4, timeout = getConfig().fetch.assetTimeout, maxBytes = 5_000_000 } = {}) {
+  const queue = [...new Set(resources.map(resource => resource.url))].filter(url => /^https?:/i.test(url)).slice(0, maxResources);
+  const sizes = {};
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      signal?.throwIfAborted();
+      const url = queue.shift();
+      try {
+        const response = await safeFetch(url, { signal: withTimeout(signal, timeout), maxBytes });
+        if (response.ok) sizes[url] = response.body.length;
+      } catch (error) {
+        if (signal?.aborted) throw error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  return sizes;
+}
+
+/**
+ * Loading problems from analyzePerformance as prompt bullet points
+ */
+export function formatPerformanceForPrompt(performance) {
+  const lines = [];
+  const { renderBlocking, images, unusedCss, fonts } = performance;
+  if (renderBlocking.count > 0) {
+    lines.push(`- ${renderBlocking.count} render-blocking resource(s) in <head>; defer scripts that don't need to run before first paint`);
+  }
+  if (images.missingDimensions > 0) lines.push(`- ${images.missingDimensions} image(s) without width/height attributes`);
+  if (images.notLazy > 0) lines.push(`- ${images.notLazy} image(s) below the first without loading="lazy"`);
+  if (unusedCss.unused > 0) lines.push(`- ${unusedCss.unused} CSS selector(s) match nothing on the page`);
+  if (fonts.blockingDisplay > 0) lines.push(`- ${fonts.blockingDisplay} web font(s) without font-display: swap`);
+  return lines.length ? lines.join('\n') : '- No loading issues found';
+}
+
+function documentBase(doc, baseUrl) {
+  const href = doc.querySelector('base[href]')?.getAttribute('href');
+  if (!href) return baseUrl || '';
+  try {
+    return new URL(href, baseUrl || undefined).href;
+  } catch {
+    return baseUrl || '';
+  }
+}
+
+function resolveUrl(href, base) {
+  try {
+    return new URL(href, base || undefined).href;
+  } catch {
+    return href;
+  }
+}
+
+/**
+ * Parse each <style> block once; blocks postcss can't read are skipped
+ */
+function parseStyles(doc) {
+  return [...doc.querySelectorAll('style')].flatMap(style => {
+    try {
+      return [{ element: style, root: postcss.parse(style.textContent), inHead: !!style.closest('head') }];
+    } catch {
+      return [];
+    }
+  });
+}
+
+function cssUrls(value) {
+  const urls = [];
+  valueParser(value).walk(node => {
+    if (node.type === 'function' && node.value.toLowerCase() === 'url' && node.nodes[0]?.value) {
+      urls.push(node.nodes[0].value.trim());
+    }
+  });
+  return urls;
+}
+
+function importUrl(params) {
+  const [first] = valueParser(params).nodes;
+  if (!first) return null;
+  if (first.type === 'string') return first.value;
+  return first.type === 'function' && first.value.toLowerCase() === 'url' ? first.nodes[0]?.value ?? null : null;
+}
+
+function collectResources(doc, base, stylesheets) {
+  const resources = new Map();
+  const add = (type, href) => {
+    if (!href || href.startsWith('#')) return;
+    if (/^data:/i.test(href)) return;
+    const url = resolveUrl(href, base);
+    if (!resources.has(url)) resources.set(url, { type, url });
+  };
+
+  doc.querySelectorAll(`link[href], style[${SOURCE_ATTRIBUTE}]`).forEach(el => {
+    if (el.tagName === 'STYLE') return add('css', el.getAttribute(SOURCE_ATTRIBUTE));
+    const rel = (el.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+    if (rel.includes('stylesheet')) add('css', el.getAttribute('href'));
+    else if (rel.includes('preload') && el.getAttribute('as') === 'font') add('fonts', el.getAttribute('href'));
+  });
+  doc.querySelectorAll('script[src]').forEach(script => add('js', script.getAttribute('src')));
+  doc.querySelectorAll('img[src], input[type="image"][src], video[poster]').forEach(el => {
+    if (!el.closest('noscript')) add('images', el.getAttribute(el.tagName === 'VIDEO' ? 'poster' : 'src'));
+  });
+
+  for (const { root } of stylesheets) {
+    root.walkAtRules('import', rule => add('css', importUrl(rule.params)));
+    root.walkAtRules('font-face', rule => {
+      // Browsers download the first source format they support, usually the first listed
+      const src = rule.nodes.find(node => node.type === 'decl' && node.prop.toLowerCase() === 'src');
+      const [first] = src ? cssUrls(src.value) : [];
+      add('fonts', first);
+    });
+    root.walkDecls(decl => {
+      if (decl.parent.type === 'atrule' && decl.parent.name.toLowerCase() === 'font-face') return;
+      cssUrls(decl.value).forEach(url => add('images', url));
+    });
+  }
+  doc.querySelectorAll('[style]').forEach(el => {
+    cssUrls(el.getAttribute('style')).forEach(url => add('images', url));
+  });
+
+  return [...resources.values()];
+}
+
+/**
+ * Bytes of CSS, JS and data: URIs embedded in the HTML itself
+ */
+function inlineBytes(doc, stylesheets) {
+  const bytes = Object.fromEntries(RESOURCE_TYPES.map(type => [type, 0]));
+
+  bytes.css = [...doc.querySelectorAll(`style:not([${SOURCE_ATTRIBUTE}])`)].reduce((sum, style) => sum + Buffer.byteLength(style.textContent), 0) +
+    [...doc.querySelectorAll('[style]')].reduce((sum, el) => sum + Buffer.byteLength(el.getAttribute('style')), 0);
+  bytes.js = [...doc.querySelectorAll('script:not([src])')]
+    .filter(script => SCRIPT_TYPES.test(script.getAttribute('type') || '') || script.getAttribute('type') === 'module')
+    .reduce((sum, script) => sum + Buffer.byteLength(script.textContent), 0);
+
+  doc.querySelectorAll('img[src^="data:"]').forEach(img => { bytes.images += dataUriBytes(img.getAttribute('src')); });
+  for (const { root } of stylesheets) {
+    root.walkDecls(decl => {
+      const type = decl.parent.type === 'atrule' && decl.parent.name.toLowerCase() === 'font-face' ? 'fonts' : 'images';
+      cssUrls(decl.value).filter(url => /^data:/i.test(url)).forEach(url => { bytes[type] += dataUriBytes(url); });
+    });
+  }
+  return bytes;
+}
+
+/**
+ * Sizes the CSS pipeline recorded for the sheets it inlined
+ */
+function inlinedSheetSizes(doc, base) {
+  const sizes = {};
+  doc.querySelectorAll(`style[${SOURCE_ATTRIBUTE}][${SOURCE_BYTES_ATTRIBUTE}]`).forEach(style => {
+    const bytes = Number(style.getAttribute(SOURCE_BYTES_ATTRIBUTE));
+    if (Number.isFinite(bytes)) sizes[resolveUrl(style.getAttribute(SOURCE_ATTRIBUTE), base)] = bytes;
+  });
+  return sizes;
+}
+
+function dataUriBytes(uri) {
+  const comma = uri.indexOf(',');
+  const payload = uri.slice(comma + 1);
+  return /;base64$/i.test(uri.slice(0, comma)) ? Math.floor(payload.length * 3 / 4) : Buffer.byteLength(decodeURIComponentSafe(payload));
+}
+
+function decodeURIComponentSafe(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Weight per type. bytes counts transferred external resources of known size;
+ * inlineBytes is what the HTML already carries, so it is part of html.bytes.
+ */
+function weighResources(resources, { htmlBytes, resourceSizes, inline }) {
+  const byType = Object.fromEntries(RESOURCE_TYPES.map(type => [type, { requests: 0, bytes: 0, inlineBytes: inline[type], unmeasured: 0 }]));
+  byType.html = { requests: 1, bytes: htmlBytes, inlineBytes: 0, unmeasured: 0 };
+
+  for (const { type, url } of resources) {
+    byType[type].requests++;
+    if (url in resourceSizes) byType[type].bytes += resourceSizes[url];
+    else byType[type].unmeasured++;
+  }
+
+  const totals = Object.values(byType);
+  return {
+    totalBytes: totals.reduce((sum, entry) => sum + entry.bytes, 0),
+    requests: totals.reduce((sum, entry) => sum + entry.requests, 0),
+    unmeasured: totals.reduce((sum, entry) => sum + entry.unmeasured, 0),
+    byType
+  };
+}
+
+/**
+ * Stylesheets and classic scripts in <head> that hold up the first render
+ */
+function findRenderBlocking(doc, base, stylesheets) {
+  const head = doc.head;
+  const stylesheetLinks = [...(head?.querySelectorAll(`link[rel~="stylesheet"][href], style[${SOURCE_ATTRIBUTE}]`) || [])]
+    .filter(el => !el.hasAttribute('disabled') && !NON_BLOCKING_MEDIA.test(el.getAttribute('media') || ''))
+    .map(el => ({
+      url: resolveUrl(el.getAttribute(el.tagName === 'STYLE' ? SOURCE_ATTRIBUTE : 'href'), base),
+      media: el.getAttribute('media') || 'all'
+    }));
+  const imports = stylesheets.filter(sheet => sheet.inHead).flatMap(({ root }) => {
+    const urls = [];
+    root.walkAtRules('import', rule => {
+      const url = importUrl(rule.params);
+      if (url) urls.push({ url: resolveUrl(url, base), media: rule.params.replace(/^\s*(url\([^)]*\)|"[^"]*"|'[^']*')\s*/, '') || 'all' });
+    });
+    return urls;
+  });
+  const scripts = [...(head?.querySelectorAll('script[src]') || [])]
+    .filter(script => SCRIPT_TYPES.test(script.getAttribute('type') || '') &&
+      !script.hasAttribute('async') && !script.hasAttribute('defer'))
+    .map(script => ({ url: resolveUrl(script.getAttribute('src'), base), selector: cssPath(script) }));
+
+  const styles = [...stylesheetLinks, ...imports];
+  return { count: styles.length + scripts.length, stylesheets: styles, scripts };
+}
+
+/**
+ * Content images missing intrinsic dimensions (layout shift) or lazy loading.
+ * The first image is usually above the fold, so it isn't expected to be lazy.
+ */
+function auditImages(doc) {
+  const images = [...doc.querySelectorAll('img')].filter(img => !img.closest('noscript'));
+  const describe = img => ({ selector: cssPath(img), src: img.getAttribute('src') || '' });
+  const missingDimensions = images.filter(img => !img.hasAttribute('width') || !img.hasAttribute('height'));
+  const notLazy = images.slice(1).filter(img => (img.getAttribute('loading') || '').toLowerCase() !== 'lazy');
+
+  return {
+    total: images.length,
+    missingDimensions: missingDimensions.length,
+    notLazy: notLazy.length,
+    missingDimensionsList: missingDimensions.slice(0, MAX_LISTED).map(describe),
+    notLazyList: notLazy.slice(0, MAX_LISTED).map(describe)
+  };
+}
+
+/**
+ * Reduce a selector to something querySelector can match statically:
+ * pseudo-classes and pseudo-elements go, so a:hover counts when any <a> exists
+ */
+function staticSelector(selector) {
+  const parts = selector.replace(PSEUDO, '').replace(/\s*([>+~])\s*/g, ' $1 ').trim().split(/\s+/).filter(Boolean);
+  const result = [];
+  for (const part of parts) {
+    const combinator = /^[>+~]$/.test(part);
+    if (combinator && (result.length === 0 || /^[>+~]$/.test(result.at(-1)))) result.push('*');
+    result.push(part);
+  }
+  if (result.length === 0 || /^[>+~]$/.test(result.at(-1))) result.push('*');
+  return result.join(' ');
+}
+
+/**
+ * Selectors in <style> blocks that match nothing in the document. Classes
+ * added by scripts at runtime show up here too, so treat it as an upper bound.
+ */
+function findUnusedSelectors(doc, stylesheets) {
+  const unused = [];
+  let total = 0;
+  let unusedBytes = 0;
+  let skipped = 0;
+
+  for (const { root } of stylesheets) {
+    root.walkRules(rule => {
+      if (rule.parent.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) return;
+      let matchedAny = false;
+      for (const selector of rule.selectors) {
+        if (total >= MAX_SELECTORS) {
+          skipped++;
+          matchedAny = true;
+          continue;
+        }
+        total++;
+        let matched;
+        try {
+          matched = !!doc.querySelector(staticSelector(selector));
+        } catch {
+          matched = true; // selectors jsdom can't parse are given the benefit of the doubt
+        }
+        if (matched) matchedAny = true;
+        else unused.push(selector);
+      }
+      if (!matchedAny) unusedBytes += Buffer.byteLength(rule.toString());
+    });
+  }
+
+  return {
+    totalSelectors: total,
+    unused: unused.length,
+    percentage: total ? Math.round((unused.length / total) * 100) : 0,
+    unusedBytes,
+    truncated: skipped > 0,
+    selectors: unused.slice(0, MAX_LISTED)
+  };
+}
+
+/**
+ * @font-face rules with their font-display value, plus font preloads and
+ * Google Fonts links (which take display as a query parameter)
+ */
+function auditFonts(doc, stylesheets, base) {
+  const faces = [];
+  for (const { root } of stylesheets) {
+    root.walkAtRules('font-face', rule => {
+      const descriptor = name => rule.nodes.find(node => node.type === 'decl' && node.prop.toLowerCase() === name)?.value.trim();
+      faces.push({
+        family: (descriptor('font-family') || '').replace(/["']/g, ''),
+        display: (descriptor('font-display') || 'auto').toLowerCase()
+      });
+    });
+  }
+
+  doc.querySelectorAll('link[rel~="stylesheet"][href*="fonts.googleapis.com"]').forEach(link => {
+    const url = new URL(resolveUrl(link.getAttribute('href'), base || 'https://fonts.googleapis.com/'));
+    const families = url.searchParams.getAll('family').map(family => family.split(':')[0]);
+    const display = (url.searchParams.get('display') || 'auto').toLowerCase();
+    families.forEach(family => faces.push({ family, display, hosted: 'google' }));
+  });
+
+  return {
+    faces: faces.slice(0, MAX_LISTED),
+    total: faces.length,
+    blockingDisplay: faces.filter(face => BLOCKING_FONT_DISPLAY.has(face.display)).length,
+    preloaded: doc.querySelectorAll('link[rel~="preload"][as="font"]').length
+  };
+}
+
+/**
+ * Requests that must finish before the first paint: the document, then the
+ * blocking head resources, fetched in parallel. @import rules inside external
+ * stylesheets would add further round trips but aren't visible from here.
+ */
+function estimateCriticalPath(renderBlocking, { htmlBytes, resourceSizes }) {
+  const resources = [...renderBlocking.stylesheets, ...renderBlocking.scripts];
+
+  return {
+    requests: 1 + resources.length,
+    roundTrips: resources.length > 0 ? 2 : 1,
+    bytes: htmlBytes + resources.reduce((sum, resource) => sum + (resourceSizes[resource.url] ?? 0), 0),
+    unmeasured: resources.filter(resource => !(resource.url in resourceSizes)).length
+  };
+}
@@ -0,0 +1,246 @@
+import fetch from "node-fetch";
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { getConfig } from "./config.js";
+
+const DEFAULT_MODELS = {
+  gemini: "gemini-2.0-flash",
+  openai: "gpt-4o-mini",
+  mock: "mock-static"
+};
+
+export const PROVIDER_NAMES = Object.keys(DEFAULT_MODELS);
+
+// Largest reply each model family accepts, matched by the longest name prefix.
+// Requests above it are rejected, so the configured maximum is clamped to it.
+// Unlisted models, e.g. on local OpenAI-compatible servers, get the configured value.
+const MODEL_OUTPUT_LIMITS = {
+  "gemini-1.5": 8192,
+  "gemini-2.0": 8192,
+  "gemini-2.5": 65536,
+  "gpt-3.5-turbo": 4096,
+  "gpt-4-turbo": 4096,
+  "gpt-4o": 16384,
+  "gpt-4.1": 32768
+};
+
+let genAIClient;
+
+/**
+ * Resolve provider settings from config, overridden by per-request options
+ */
+export function resolveProviderSettings(overrides = {}) {
+  const defaults = getConfig().llm;
+  const provider = (overrides.provider || defaults.provider).toLowerCase();
+  if (!PROVIDER_NAMES.includes(provider)) {
+    throw new Error(`Unknown provider "${provider}". Expected one of: ${PROVIDER_NAMES.join(", ")}`);
+  }
+
+  // The configured model belongs to the configured provider
+  const configuredModel = provider === defaults.provider ? defaults.model : null;
+
+  const temperature = parseNumber(overrides.temperature, defaults.temperature, "temperature");
+  if (temperature < 0 || temperature > 2) {
+    throw new Error("temperature must be between 0 and 2");
+  }
+
+  const model = overrides.model || configuredModel || DEFAULT_MODELS[provider];
+  return {
+    provider,
+    model,
+    temperature,
+    maxOutputTokens: Math.min(defaults.maxOutputTokens, outputTokenLimit(model) ?? Infinity)
+  };
+}
+
+/**
+ * Output token limit of a known model, or null
+ */
+export function outputTokenLimit(model) {
+  const prefix = Object.keys(MODEL_OUTPUT_LIMITS)
+    .filter(name => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? MODEL_OUTPUT_LIMITS[prefix] : null;
+}
+
+/**
+ * Create a provider instance exposing generate(prompt, { signal }) and
+ * stream(prompt, { signal }), an async iterator of text chunks
+ */
+export function createProvider(settings) {
+  switch (settings.provider) {
+    case "gemini":
+      return createGeminiProvider(settings);
+    case "openai":
+      return createOpenAICompatibleProvider(settings);
+    case "mock":
+      return createMockProvider(settings);
+    default:
+      throw new Error(`Unknown provider "${settings.provider}"`);
+  }
+}
+
+/**
+ * Report whether the provider has the credentials/config it needs
+ */
+export function checkProviderReady(provider) {
+  if (provider === "gemini" && !process.env.GEMINI_API_KEY) {
+    return { ready: false, reason: "GEMINI_API_KEY is not set" };
+  }
+  return { ready: true };
+}
+
+function createGeminiProvider({ model, temperature, maxOutputTokens }) {
+  const { ready, reason } = checkProviderReady("gemini");
+  if (!ready) throw new Error(reason);
+
+  genAIClient ??= new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  const geminiModel = genAIClient.getGenerativeModel({
+    model,
+    generationConfig: { maxOutputTokens, temperature }
+  });
+
+  return {
+    name: "gemini",
+    model,
+    async generate(prompt, { signal } = {}) {
+      const result = await geminiModel.generateContent(prompt, { signal });
+      const response = await result.response;
+      return response.text();
+    },
+    async *stream(prompt, { signal } = {}) {
+      const result = await geminiModel.generateContentStream(prompt, { signal });
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield text;
+      }
+    }
+  };
+}
+
+/**
+ * Works with any /v1/chat/completions server: OpenAI, Ollama, llama.cpp, vLLM...
+ */
+function createOpenAICompatibleProvider({ model, temperature, maxOutputTokens }) {
+  const baseUrl = getConfig().llm.openaiBaseUrl;
+
+  return {
+    name: "openai",
+    model,
+    async generate(prompt, { signal } = {}) {
+      const response = await requestCompletion(prompt, { signal, stream: false });
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || "";
+    },
+    async *stream(prompt, { signal } = {}) {
+      const response = await requestCompletion(prompt, { signal, stream: true });
+      const decoder = new TextDecoder();
+      let buffer = "";
+
+      // Server-sent events: "data: {...}" lines, terminated by "data: [DONE]"
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const payload = line.replace(/^data:\s*/, "").trim();
+          if (!line.startsWith("data:") || !payload) continue;
+          if (payload === "[DONE]") return;
+
+          const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      }
+    }
+  };
+
+  async function requestCompletion(prompt, { signal, stream }) {
+    const headers = { "Content-Type": "application/json" };
+    if (process.env.OPENAI_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+    }
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: "POST",
+      headers,
+      signal,
+      body: JSON.stringify({
+        model,
+        temperature,
+        stream,
+        max_tokens: maxOutputTokens,
+        messages: [{ role: "user", content: prompt }]
+      })
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => "");
+      throw new Error(`Chat completion failed: ${response.status} - ${detail.slice(0, 200)}`);
+    }
+
+    return response;
+  }
+}
+
+const MOCK_CSS = `
+  body { font-family: system-ui, sans-serif; line-height: 1.6; max-width: 72rem; margin: 0 auto; padding: 1rem; color: #1f2937; }
+  h1, h2, h3 { line-height: 1.25; color: #111827; }
+  a { color: #1d4ed8; }
+`;
+
+const MOCK_STYLE = `<style data-mock-provider>${MOCK_CSS}</style>`;
+
+const MOCK_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Mock Output</title>
+  ${MOCK_STYLE}
+</head>
+<body>
+  <main>
+    <h1>Mock Output</h1>
+    <p>This page was produced by the mock provider.</p>
+  </main>
+</body>
+</html>`;
+
+/**
+ * Deterministic offline provider: echoes the HTML template (or page region)
+ * found in the prompt with a fixed stylesheet, or returns a canned page when
+ * there is none
+ */
+function createMockProvider({ model }) {
+  return {
+    name: "mock",
+    model,
+    async generate(prompt) {
+      const section = prompt.match(/<section-template>([\s\S]*?)<\/section-template>/);
+      if (section) return `<enhanced-section>\n${section[1].trim()}\n</enhanced-section>`;
+      if (prompt.includes("<stylesheet></stylesheet>")) return `<stylesheet>${MOCK_CSS}</stylesheet>`;
+
+      const match = prompt.match(/<!DOCTYPE html>[\s\S]*?<\/html>/i);
+      if (!match) return MOCK_PAGE;
+
+      const template = match[0];
+      return template.includes("</head>")
+        ? template.replace("</head>", `${MOCK_STYLE}\n</head>`)
+        : template;
+    },
+    async *stream(prompt, { signal } = {}) {
+      const html = await this.generate(prompt);
+      for (let i = 0; i < html.length; i += 512) {
+        signal?.throwIfAborted();
+        yield html.slice(i, i + 512);
+      }
+    }
+  };
+}
+
+function parseNumber(value, fallback, label) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const number = Number(value);
+  if (Number.isNaN(number)) throw new Error(`${label} must be a number`);
+  return number;
+}
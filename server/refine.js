@@ -0,0 +1,132 @@
+import { JSDOM } from 'jsdom';
+import { callProvider, parseSectionOutput, truncateToTokens } from './chunker.js';
+import { formatStyleOptionsForPrompt } from './style-options.js';
+
+const MAX_INSTRUCTION_LENGTH = 1000;
+const MAX_SELECTOR_LENGTH = 500;
+// Stylesheet context sent with a region so the model reuses existing classes
+const REGION_CSS_TOKENS = 3000;
+// Selectors that mean "the whole page" are refined as a document
+const DOCUMENT_TAGS = ['HTML', 'HEAD', 'BODY'];
+
+/**
+ * Validate a refinement request against the page it applies to.
+ * Throws with a message suitable for a 400 response.
+ */
+export function resolveRefinement({ instruction, selector } = {}, html) {
+  if (typeof instruction !== 'string' || !instruction.trim()) {
+    throw new Error('instruction is required');
+  }
+  if (instruction.length > MAX_INSTRUCTION_LENGTH) {
+    throw new Error(`instruction must be at most ${MAX_INSTRUCTION_LENGTH} characters`);
+  }
+  if (selector === undefined || selector === null || selector === '') {
+    return { instruction: instruction.trim(), selector: null };
+  }
+  if (typeof selector !== 'string' || selector.length > MAX_SELECTOR_LENGTH) {
+    throw new Error(`selector must be a CSS selector of at most ${MAX_SELECTOR_LENGTH} characters`);
+  }
+
+  const doc = new JSDOM(html).window.document;
+  let matches;
+  try {
+    matches = doc.querySelectorAll(selector).length;
+  } catch {
+    throw new Error(`"${selector}" is not a valid CSS selector`);
+  }
+  if (!matches) throw new Error(`No element matches "${selector}"`);
+
+  return { instruction: instruction.trim(), selector: selector.trim() };
+}
+
+/**
+ * Apply a follow-up instruction to an improved page. With a selector only
+ * the first matching element is rewritten and spliced back in; otherwise
+ * the model returns the whole document. originalHtml, when given, lets the
+ * model restore the original markup of the selected region. The analysis's
+ * style options still apply to every refinement.
+ */
+export async function refineDocument({ provider, html, originalHtml, instruction, selector, styleOptions, signal, onToken }) {
+  const dom = new JSDOM(html);
+  const doc = dom.window.document;
+  const target = selector ? doc.querySelector(selector) : null;
+
+  if (!target || DOCUMENT_TAGS.includes(target.tagName)) {
+    const output = await callProvider(provider, buildDocumentPrompt(html, instruction, styleOptions), { signal, onToken });
+    return { html: parseDocumentOutput(output), scope: 'document' };
+  }
+
+  let original = null;
+  if (originalHtml) {
+    try {
+      original = new JSDOM(originalHtml).window.document.querySelector(selector)?.outerHTML || null;
+    } catch {
+      original = null;
+    }
+  }
+
+  const stylesheet = [...doc.querySelectorAll('style')].map(style => style.textContent).join('\n');
+  const prompt = buildRegionPrompt({ region: target.outerHTML, original, stylesheet, instruction, styleOptions });
+  const output = parseSectionOutput(await callProvider(provider, prompt, { signal, onToken }));
+
+  target.outerHTML = output.html;
+  if (output.css) {
+    const style = doc.createElement('style');
+    style.setAttribute('data-refinement', '');
+    style.textContent = `\n${output.css}\n`;
+    doc.head.appendChild(style);
+  }
+
+  return { html: dom.serialize(), scope: 'region' };
+}
+
+function buildDocumentPrompt(html, instruction, styleOptions) {
+  return `You are an expert frontend developer refining a web page you previously modernized. Apply the change below and nothing else.
+
+**Requested change:** ${instruction}
+${constraints(styleOptions)}
+**Current page:**
+${html}
+
+Keep every heading, paragraph, link target, image source, form field and price exactly as written unless the change explicitly asks otherwise, and do not invent content. Leave the parts of the page the change doesn't concern as they are.
+
+Return ONLY the complete updated HTML document, starting with <!DOCTYPE html> and ending with </html>.`;
+}
+
+function buildRegionPrompt({ region, original, stylesheet, instruction, styleOptions }) {
+  const originalBlock = original
+    ? `\n**The same region on the original site (use it if the change asks to restore or keep the original):**\n<original-region>\n${original}\n</original-region>\n`
+    : '';
+
+  return `You are an expert frontend developer refining one region of a web page you previously modernized. Apply the change below to this region only.
+
+**Requested change:** ${instruction}
+${constraints(styleOptions)}
+**Page stylesheet (already on the page, do not repeat it):**
+\`\`\`css
+${truncateToTokens(stylesheet, REGION_CSS_TOKENS)}
+\`\`\`
+${originalBlock}
+**Region to change:**
+<section-template>
+${region}
+</section-template>
+
+Keep every heading, paragraph, link target, image source and form field exactly as written unless the change explicitly asks otherwise, and do not invent content. Prefer the existing classes. If the region needs new rules, put them in a single <style> element at the start, using selectors specific to this region.
+
+Return ONLY the updated region inside <enhanced-section></enhanced-section> tags, with no <html>, <head> or <body> elements.`;
+}
+
+// The original request's style requirements, which the change must not break
+function constraints(styleOptions) {
+  const requirements = formatStyleOptionsForPrompt(styleOptions);
+  return requirements ? `\n${requirements}\n` : '';
+}
+
+function parseDocumentOutput(text) {
+  const html = text.replace(/```html\n?/g, '').replace(/```\n?/g, '').trim();
+  if (!/<!DOCTYPE html>/i.test(html) || !html.includes('</html>')) {
+    throw new Error('Refined HTML is incomplete');
+  }
+  return html;
+}
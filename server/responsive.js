@@ -0,0 +1,125 @@
+import { withBaseUrl, withPage } from './browser.js';
+
+export const DEFAULT_BREAKPOINTS = [
+  { name: 'mobile', width: 375, height: 812 },
+  { name: 'tablet', width: 768, height: 1024 },
+  { name: 'desktop', width: 1280, height: 800 }
+];
+const MAX_BREAKPOINTS = 6;
+const MAX_ELEMENTS = 25;
+const LOAD_TIMEOUT = 15000;
+
+/**
+ * Accepts widths or { name, width, height } objects.
+ * Throws with a message suitable for a 400 response.
+ */
+export function resolveBreakpoints(breakpoints = DEFAULT_BREAKPOINTS) {
+  if (!Array.isArray(breakpoints) || breakpoints.length === 0) {
+    throw new Error('breakpoints must be a non-empty array');
+  }
+  if (breakpoints.length > MAX_BREAKPOINTS) {
+    throw new Error(`At most ${MAX_BREAKPOINTS} breakpoints can be checked per request`);
+  }
+
+  return breakpoints.map(entry => {
+    const { name, width, height = 800 } = typeof entry === 'object' && entry !== null ? entry : { width: entry };
+    const w = Number(width);
+    const h = Number(height);
+    if (!Number.isInteger(w) || w < 240 || w > 3840) {
+      throw new Error('Breakpoint width must be an integer between 240 and 3840');
+    }
+    if (!Number.isInteger(h) || h < 200 || h > 2400) {
+      throw new Error('Breakpoint height must be an integer between 200 and 2400');
+    }
+    return { name: name ? String(name) : `${w}px`, width: w, height: h };
+  });
+}
+
+/**
+ * Lay the page out at each breakpoint and report elements that stick out past
+ * the right edge of the viewport (the cause of horizontal scrolling).
+ * Resolves to [{ name, width, height, documentWidth, overflows, elements }].
+ */
+export async function checkOverflow(html, { breakpoints = DEFAULT_BREAKPOINTS, baseUrl, signal } = {}) {
+  const results = [];
+
+  for (const breakpoint of breakpoints) {
+    const viewport = { width: breakpoint.width, height: breakpoint.height };
+    const report = await withPage(async page => {
+      await page.setContent(withBaseUrl(html, baseUrl), { waitUntil: 'load', timeout: LOAD_TIMEOUT });
+      return page.evaluate(findOverflowingElements, { maxElements: MAX_ELEMENTS });
+    }, { viewport, signal, javaScriptEnabled: false });
+
+    results.push({ ...breakpoint, ...report });
+  }
+
+  return results;
+}
+
+/**
+ * Runs inside the page. Only the outermost offender of each subtree is
+ * reported, and content inside scroll containers is ignored because it
+ * doesn't widen the page.
+ */
+function findOverflowingElements({ maxElements }) {
+  const viewportWidth = document.documentElement.clientWidth;
+  const documentWidth = document.documentElement.scrollWidth;
+  const elements = [];
+  let total = 0;
+
+  const selectorFor = el => {
+    const parts = [];
+    for (let node = el; node && node.nodeType === 1 && parts.length < 5; node = node.parentElement) {
+      if (node.id) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      let part = node.localName;
+      const classes = [...node.classList].slice(0, 2);
+      if (classes.length) part += classes.map(name => `.${CSS.escape(name)}`).join('');
+      parts.unshift(part);
+    }
+    return parts.join(' > ');
+  };
+
+  const clipped = el => {
+    for (let node = el.parentElement; node && node !== document.body; node = node.parentElement) {
+      if (['hidden', 'auto', 'scroll', 'clip'].includes(getComputedStyle(node).overflowX)) return true;
+    }
+    return false;
+  };
+
+  const walk = el => {
+    for (const child of el.children) {
+      const rect = child.getBoundingClientRect();
+      const style = getComputedStyle(child);
+      const visible = style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0;
+
+      if (visible && rect.right > viewportWidth + 1 && style.position !== 'fixed' && !clipped(child)) {
+        total++;
+        if (elements.length < maxElements) {
+          elements.push({
+            selector: selectorFor(child),
+            tag: child.localName,
+            snippet: child.outerHTML.replace(/\s+/g, ' ').slice(0, 160),
+            left: Math.round(rect.left),
+            right: Math.round(rect.right),
+            width: Math.round(rect.width),
+            overflowBy: Math.round(rect.right - viewportWidth)
+          });
+        }
+        continue;
+      }
+      walk(child);
+    }
+  };
+  walk(document.body);
+
+  return {
+    viewportWidth,
+    documentWidth,
+    overflows: documentWidth > viewportWidth,
+    total,
+    elements
+  };
+}
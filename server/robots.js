@@ -0,0 +1,98 @@
+import { safeFetch } from './url-policy.js';
+
+export const CRAWLER_AGENT = 'UIUXAnalyzerBot';
+
+// Sent on every crawl request, so sites see the agent their robots.txt rules apply to
+export const CRAWLER_USER_AGENT = `Mozilla/5.0 (compatible; ${CRAWLER_AGENT}/1.0; +https://ui-ux-analyzer.vercel.app)`;
+
+/**
+ * Fetch and parse /robots.txt for an origin. A missing or unreadable file
+ * allows everything; a 401/403 disallows everything, as crawlers usually treat it.
+ */
+export async function fetchRobots(origin, { signal } = {}) {
+  try {
+    const response = await safeFetch(new URL('/robots.txt', origin).href, {
+      signal,
+      maxBytes: 512 * 1024,
+      headers: { 'User-Agent': CRAWLER_USER_AGENT }
+    });
+    if (response.status === 401 || response.status === 403) return parseRobots('User-agent: *\nDisallow: /');
+    if (!response.ok) return parseRobots('');
+    return parseRobots(response.text());
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    return parseRobots('');
+  }
+}
+
+/**
+ * Parse robots.txt into { isAllowed(path), crawlDelay, sitemaps } for our agent,
+ * falling back to the "*" group. Longest matching rule wins; Allow wins ties.
+ */
+export function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+    } else if (!current) {
+      continue;
+    } else if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', pattern: value, matcher: compilePattern(value) });
+    } else if (field === 'crawl-delay') {
+      const delay = Number(value);
+      if (delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  const agent = CRAWLER_AGENT.toLowerCase();
+  const group = groups.find(g => g.agents.some(name => name !== '*' && agent.includes(name)))
+    || groups.find(g => g.agents.includes('*'));
+  const rules = group?.rules || [];
+
+  return {
+    crawlDelay: group?.crawlDelay ?? null,
+    sitemaps,
+    isAllowed(path) {
+      let best = null;
+      for (const rule of rules) {
+        if (!rule.matcher.test(path)) continue;
+        const longer = !best || rule.pattern.length > best.pattern.length;
+        const tieAllow = best && rule.pattern.length === best.pattern.length && rule.allow;
+        if (longer || tieAllow) best = rule;
+      }
+      return !best || best.allow;
+    }
+  };
+}
+
+function compilePattern(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
@@ -0,0 +1,142 @@
+import { PNG } from 'pngjs';
+import pixelmatch from 'pixelmatch';
+import { withBaseUrl, withPage } from './browser.js';
+
+export const DEFAULT_VIEWPORTS = [{ width: 1280, height: 800 }];
+const MAX_VIEWPORTS = 4;
+const MAX_CAPTURE_HEIGHT = 8000;
+const LOAD_TIMEOUT = 15000;
+
+// Padding where one capture is taller/wider than the other, so it counts as changed
+const PAD_COLOR = [255, 0, 255, 255];
+
+/**
+ * Validate requested viewports: [{ width, height }], at most MAX_VIEWPORTS.
+ * Throws with a message suitable for a 400 response.
+ */
+export function resolveViewports(viewports = DEFAULT_VIEWPORTS) {
+  if (!Array.isArray(viewports) || viewports.length === 0) {
+    throw new Error('viewports must be a non-empty array of { width, height }');
+  }
+  if (viewports.length > MAX_VIEWPORTS) {
+    throw new Error(`At most ${MAX_VIEWPORTS} viewports can be captured per request`);
+  }
+
+  return viewports.map(({ width, height = 800 } = {}) => {
+    width = Number(width);
+    height = Number(height);
+    if (!Number.isInteger(width) || width < 240 || width > 3840) {
+      throw new Error('Viewport width must be an integer between 240 and 3840');
+    }
+    if (!Number.isInteger(height) || height < 200 || height > 2400) {
+      throw new Error('Viewport height must be an integer between 200 and 2400');
+    }
+    return { width, height };
+  });
+}
+
+/**
+ * Render an HTML document to PNG. Scripts are disabled so captures are
+ * deterministic; baseUrl lets relative images and fonts resolve. Full-page
+ * captures are cut off at MAX_CAPTURE_HEIGHT.
+ */
+export async function captureScreenshot(html, { viewport, baseUrl, fullPage = true, signal } = {}) {
+  return withPage(async page => {
+    await page.setContent(withBaseUrl(html, baseUrl), { waitUntil: 'load', timeout: LOAD_TIMEOUT });
+
+    const pageHeight = fullPage
+      ? await page.evaluate(() => document.documentElement.scrollHeight)
+      : viewport.height;
+    const height = Math.min(Math.max(pageHeight, viewport.height), MAX_CAPTURE_HEIGHT);
+
+    const buffer = await page.screenshot({
+      type: 'png',
+      fullPage,
+      clip: { x: 0, y: 0, width: viewport.width, height },
+      animations: 'disabled',
+      caret: 'hide'
+    });
+
+    return { buffer, width: viewport.width, height, truncated: pageHeight > MAX_CAPTURE_HEIGHT };
+  }, { viewport, signal, javaScriptEnabled: false });
+}
+
+/**
+ * Pixel-diff two PNG buffers. Images of different sizes are padded to the
+ * larger size and the padding counts as changed.
+ */
+export function diffScreenshots(before, after, { threshold = 0.1 } = {}) {
+  const a = PNG.sync.read(before);
+  const b = PNG.sync.read(after);
+  const width = Math.max(a.width, b.width);
+  const height = Math.max(a.height, b.height);
+
+  const output = new PNG({ width, height });
+  const changedPixels = pixelmatch(
+    padImage(a, width, height),
+    padImage(b, width, height),
+    output.data,
+    width,
+    height,
+    { threshold, alpha: 0.2, diffColor: [255, 0, 80] }
+  );
+  const totalPixels = width * height;
+
+  return {
+    buffer: PNG.sync.write(output),
+    width,
+    height,
+    changedPixels,
+    totalPixels,
+    changedPercent: Math.round((changedPixels / totalPixels) * 10000) / 100
+  };
+}
+
+/**
+ * Capture both versions at each viewport and diff them.
+ * Images are returned as data URLs so the response can be used directly.
+ */
+export async function compareScreenshots({ originalHtml, improvedHtml, viewports, baseUrl, fullPage, signal }) {
+  const results = [];
+
+  for (const viewport of viewports) {
+    const original = await captureScreenshot(originalHtml, { viewport, baseUrl, fullPage, signal });
+    const improved = await captureScreenshot(improvedHtml, { viewport, baseUrl, fullPage, signal });
+    const diff = diffScreenshots(original.buffer, improved.buffer);
+
+    results.push({
+      viewport,
+      original: describeCapture(original),
+      improved: describeCapture(improved),
+      diff: {
+        image: toDataUrl(diff.buffer),
+        width: diff.width,
+        height: diff.height,
+        changedPixels: diff.changedPixels,
+        totalPixels: diff.totalPixels,
+        changedPercent: diff.changedPercent
+      }
+    });
+  }
+
+  return results;
+}
+
+function describeCapture({ buffer, width, height, truncated }) {
+  return { image: toDataUrl(buffer), width, height, truncated };
+}
+
+function toDataUrl(buffer) {
+  return `data:image/png;base64,${buffer.toString('base64')}`;
+}
+
+function padImage(image, width, height) {
+  if (image.width === width && image.height === height) return image.data;
+
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) data.set(PAD_COLOR, i);
+  for (let y = 0; y < image.height; y++) {
+    image.data.copy(data, y * width * 4, y * image.width * 4, (y + 1) * image.width * 4);
+  }
+  return data;
+}
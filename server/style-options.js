@@ -0,0 +1,210 @@
+import { JSDOM } from 'jsdom';
+import { extractDesignTokens, listColors, normalizeColor } from './design-tokens.js';
+
+/**
+ * Visual directions a request can ask for. temperature is the default used
+ * when the request doesn't set one itself.
+ */
+export const STYLE_PRESETS = {
+  minimal: {
+    label: 'Minimal',
+    temperature: 0.5,
+    guidance: 'Generous whitespace, a restrained palette (one accent color at most), simple sans-serif type, flat surfaces with hairline borders instead of shadows, and no decorative imagery.'
+  },
+  corporate: {
+    label: 'Corporate',
+    temperature: 0.4,
+    guidance: 'Trustworthy and structured: a clear grid, conservative blues/neutrals unless the brand says otherwise, strong calls to action, consistent card components and a dense but orderly footer.'
+  },
+  playful: {
+    label: 'Playful',
+    temperature: 0.9,
+    guidance: 'Friendly and energetic: rounded corners, bright accents, bold display headings, soft shadows and subtle hover motion (respecting prefers-reduced-motion).'
+  },
+  editorial: {
+    label: 'Editorial',
+    temperature: 0.6,
+    guidance: 'Reading first: a serif or high-quality text face for body copy, a 60–75 character measure, strong typographic hierarchy, pull-quote and caption styles, and minimal chrome.'
+  },
+  'dark-mode-first': {
+    label: 'Dark mode first',
+    temperature: 0.6,
+    guidance: 'Design the dark theme as the default (near-black surfaces, not pure #000, with elevated surfaces slightly lighter) and add a light theme under @media (prefers-color-scheme: light). Keep AA contrast in both.'
+  }
+};
+
+export const CSS_FRAMEWORKS = {
+  plain: {
+    label: 'Plain CSS',
+    guidance: 'Write all CSS by hand inside <style> elements in the <head>. Do not use any CSS framework.',
+    output: 'All CSS must be internal within <style> tags.',
+    head: ''
+  },
+  tailwind: {
+    label: 'Tailwind CSS',
+    guidance: 'Style with Tailwind utility classes directly on the elements. Put brand colors and fonts in a tailwind.config script so they can be used as utilities (e.g. bg-brand-1, font-brand). Keep custom CSS to a minimum.',
+    output: 'Load Tailwind with <script src="https://cdn.tailwindcss.com"></script> followed by a <script>tailwind.config = {...}</script> block in the <head>; any remaining custom CSS goes in a <style> tag.',
+    head: '<script src="https://cdn.tailwindcss.com"></script>'
+  },
+  bootstrap: {
+    label: 'Bootstrap 5',
+    guidance: 'Use Bootstrap 5 layout, components and utility classes (container, row/col, navbar, card, btn, etc.). Override brand colors and fonts with CSS custom properties such as --bs-primary and --bs-body-font-family.',
+    output: 'Load Bootstrap with <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/css/bootstrap.min.css"> in the <head>; overrides go in a <style> tag after it. Do not add Bootstrap\'s JavaScript.',
+    head: '<link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/css/bootstrap.min.css">'
+  }
+};
+
+const MAX_BRAND_COLORS = 8;
+const MAX_BRAND_FONTS = 4;
+const MAX_AVOID_ITEMS = 10;
+const MAX_ITEM_LENGTH = 200;
+
+/**
+ * Validate the request's style options ({ preset, brandColors, brandFonts,
+ * framework, avoid }). Colors are normalized to hex. Throws on bad input.
+ */
+export function resolveStyleOptions(options = {}) {
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('style must be an object');
+  }
+  const { preset = null, brandColors = [], brandFonts = [], framework = 'plain', avoid = [] } = options;
+
+  if (preset !== null && !STYLE_PRESETS[preset]) {
+    throw new Error(`style.preset must be one of: ${Object.keys(STYLE_PRESETS).join(', ')}`);
+  }
+  if (!CSS_FRAMEWORKS[framework]) {
+    throw new Error(`style.framework must be one of: ${Object.keys(CSS_FRAMEWORKS).join(', ')}`);
+  }
+
+  const colors = stringList(brandColors, 'style.brandColors', MAX_BRAND_COLORS).map(value => {
+    const hex = normalizeColor(value);
+    if (!hex) throw new Error(`style.brandColors: "${value}" is not a CSS color`);
+    return hex;
+  });
+  const fonts = stringList(brandFonts, 'style.brandFonts', MAX_BRAND_FONTS).map(font => font.replace(/^["']|["']$/g, '').trim());
+
+  return {
+    preset,
+    brandColors: [...new Set(colors)],
+    brandFonts: [...new Set(fonts)],
+    framework,
+    avoid: stringList(avoid, 'style.avoid', MAX_AVOID_ITEMS)
+  };
+}
+
+/**
+ * Whether any option departs from the defaults
+ */
+export function hasStyleOptions(options) {
+  return Boolean(options && (options.preset || options.brandColors.length || options.brandFonts.length ||
+    options.framework !== 'plain' || options.avoid.length));
+}
+
+/**
+ * Prompt section describing the requested direction and hard constraints;
+ * empty when nothing was requested
+ */
+export function formatStyleOptionsForPrompt(options) {
+  if (!hasStyleOptions(options)) return '';
+
+  const lines = ['=== STYLE REQUIREMENTS ==='];
+  if (options.preset) {
+    const preset = STYLE_PRESETS[options.preset];
+    lines.push(`**Style preset: ${preset.label}.** ${preset.guidance}`);
+  }
+  if (options.framework !== 'plain') {
+    lines.push(`**CSS framework: ${CSS_FRAMEWORKS[options.framework].label}.** ${CSS_FRAMEWORKS[options.framework].guidance}`);
+  }
+  if (options.brandColors.length) {
+    lines.push(`**Locked brand colors (must appear in the output exactly as written, use them for primary surfaces, accents and calls to action):** ${options.brandColors.join(', ')}`);
+  }
+  if (options.brandFonts.length) {
+    lines.push(`**Locked brand fonts (must be used in font-family declarations; load them from Google Fonts when they are web fonts):** ${options.brandFonts.join(', ')}`);
+  }
+  if (options.avoid.length) {
+    lines.push(`**Avoid:**\n${options.avoid.map(item => `- ${item}`).join('\n')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Final output instruction for the framework (where CSS may live)
+ */
+export function frameworkOutputRule(options) {
+  return CSS_FRAMEWORKS[options?.framework || 'plain'].output;
+}
+
+/**
+ * Check that every locked color and font made it into the generated page.
+ * Looks at parsed CSS first, then at class names, scripts and stylesheet
+ * links, where Tailwind and Bootstrap output put them.
+ */
+export function checkBrandConstraints(html, options) {
+  if (!options?.brandColors.length && !options?.brandFonts.length) return null;
+
+  const doc = new JSDOM(html).window.document;
+  const usedColors = listColors(doc);
+  const tokens = extractDesignTokens(doc);
+  const usedFamilies = new Set([
+    ...tokens.fonts.stacks.flatMap(stack => stack.families),
+    ...tokens.fonts.webFonts
+  ].map(family => family.toLowerCase()));
+  const styling = stylingText(doc).toLowerCase();
+
+  const colors = options.brandColors.map(value => ({
+    value,
+    found: usedColors.has(value) || shortHexVariants(value).some(variant => styling.includes(variant))
+  }));
+  const fonts = options.brandFonts.map(value => ({
+    value,
+    found: usedFamilies.has(value.toLowerCase()) ||
+      styling.includes(value.toLowerCase()) ||
+      styling.includes(value.toLowerCase().replace(/\s+/g, '+'))
+  }));
+
+  const missing = {
+    colors: colors.filter(color => !color.found).map(color => color.value),
+    fonts: fonts.filter(font => !font.found).map(font => font.value)
+  };
+  return { passed: !missing.colors.length && !missing.fonts.length, colors, fonts, missing };
+}
+
+/**
+ * Human-readable warning for a failed brand check
+ */
+export function describeBrandViolations(check) {
+  const parts = [];
+  if (check.missing.colors.length) parts.push(`colors ${check.missing.colors.join(', ')}`);
+  if (check.missing.fonts.length) parts.push(`fonts ${check.missing.fonts.join(', ')}`);
+  return `The generated page dropped locked brand ${parts.join(' and ')}.`;
+}
+
+function stringList(value, label, max) {
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+    throw new Error(`${label} must be a list of strings`);
+  }
+  const items = list.map(item => item.trim()).filter(Boolean);
+  if (items.length > max) throw new Error(`${label} accepts at most ${max} entries`);
+  if (items.some(item => item.length > MAX_ITEM_LENGTH)) {
+    throw new Error(`${label} entries must be at most ${MAX_ITEM_LENGTH} characters`);
+  }
+  return items;
+}
+
+// Everything that can carry styling outside parsed CSS: utility classes,
+// inline config scripts and stylesheet URLs (e.g. Google Fonts)
+function stylingText(doc) {
+  return [
+    ...[...doc.querySelectorAll('[class]')].map(el => el.getAttribute('class')),
+    ...[...doc.querySelectorAll('script:not([src])')].map(script => script.textContent),
+    ...[...doc.querySelectorAll('link[href]')].map(link => link.getAttribute('href')),
+    ...[...doc.querySelectorAll('style')].map(style => style.textContent)
+  ].join('\n');
+}
+
+function shortHexVariants(hex) {
+  const variants = [hex];
+  if (hex[1] === hex[2] && hex[3] === hex[4] && hex[5] === hex[6]) variants.push(`#${hex[1]}${hex[3]}${hex[5]}`);
+  return variants;
+}
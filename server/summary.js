@@ -0,0 +1,215 @@
+import { JSDOM } from 'jsdom';
+import { findSkipLink, hasFormLabel, runAudit } from './audit.js';
+import { analyzeContrast } from './contrast.js';
+import { extractDesignTokens } from './design-tokens.js';
+import { analyzePerformance } from './performance.js';
+
+/**
+ * Generate comprehensive website summary for AI processing.
+ * renderMode records whether the HTML came from a plain fetch or a headless browser.
+ */
+export function generateWebsiteSummary(html, url = '', { renderMode = 'static' } = {}) {
+  const dom = new JSDOM(html);
+  const doc = dom.window.document;
+
+  const summary = {
+    metadata: extractMetadata(doc, url),
+    structure: analyzeStructure(doc),
+    content: extractContent(doc),
+    design: analyzeDesign(doc),
+    technical: analyzeTechnical(doc),
+    accessibility: analyzeAccessibility(doc),
+    performance: analyzePerformance(doc, { html, baseUrl: url }),
+    renderMode
+  };
+
+  return summary;
+}
+
+/**
+ * Extract website metadata
+ */
+export function extractMetadata(doc, url) {
+  return {
+    title: doc.querySelector('title')?.textContent?.trim() || 'Untitled',
+    description: doc.querySelector('meta[name="description"]')?.getAttribute('content') || '',
+    keywords: doc.querySelector('meta[name="keywords"]')?.getAttribute('content') || '',
+    domain: url ? new URL(url).hostname : '',
+    language: doc.documentElement.lang || 'en',
+    viewport: doc.querySelector('meta[name="viewport"]')?.getAttribute('content') || 'missing'
+  };
+}
+
+/**
+ * Analyze website structure
+ */
+export function analyzeStructure(doc) {
+  const structure = {
+    hasHeader: !!doc.querySelector('header, .header, #header'),
+    hasNav: !!doc.querySelector('nav, .nav, .navigation, .menu'),
+    hasMain: !!doc.querySelector('main, .main, #main, .content'),
+    hasSidebar: !!doc.querySelector('aside, .sidebar, .side-nav'),
+    hasFooter: !!doc.querySelector('footer, .footer, #footer'),
+    sections: doc.querySelectorAll('section').length,
+    articles: doc.querySelectorAll('article').length
+  };
+
+  // Determine layout type
+  if (structure.hasSidebar) {
+    structure.layoutType = 'sidebar-layout';
+  } else if (structure.sections > 3) {
+    structure.layoutType = 'multi-section';
+  } else if (structure.articles > 0) {
+    structure.layoutType = 'article-based';
+  } else {
+    structure.layoutType = 'simple-page';
+  }
+
+  return structure;
+}
+
+/**
+ * Extract key content information
+ */
+export function extractContent(doc) {
+  const headings = {
+    h1: [...doc.querySelectorAll('h1')].map(h => h.textContent.trim()).slice(0, 3),
+    h2: [...doc.querySelectorAll('h2')].map(h => h.textContent.trim()).slice(0, 5),
+    h3: [...doc.querySelectorAll('h3')].map(h => h.textContent.trim()).slice(0, 5)
+  };
+
+  const content = {
+    headings,
+    paragraphCount: doc.querySelectorAll('p').length,
+    imageCount: doc.querySelectorAll('img').length,
+    linkCount: doc.querySelectorAll('a').length,
+    formCount: doc.querySelectorAll('form').length,
+    buttonCount: doc.querySelectorAll('button, input[type="button"], input[type="submit"]').length
+  };
+
+  // Determine content type
+  const bodyText = doc.body?.textContent?.toLowerCase() || '';
+  if (bodyText.includes('shop') || bodyText.includes('product') || bodyText.includes('cart') || bodyText.includes('buy')) {
+    content.type = 'e-commerce';
+  } else if (bodyText.includes('portfolio') || bodyText.includes('work') || bodyText.includes('project')) {
+    content.type = 'portfolio';
+  } else if (bodyText.includes('blog') || bodyText.includes('article') || content.articles > 0) {
+    content.type = 'blog';
+  } else if (bodyText.includes('service') || bodyText.includes('business') || bodyText.includes('company')) {
+    content.type = 'business';
+  } else if (content.formCount > 0) {
+    content.type = 'application';
+  } else {
+    content.type = 'informational';
+  }
+
+  return content;
+}
+
+/**
+ * Analyze design characteristics
+ */
+export function analyzeDesign(doc) {
+  const styles = [...doc.querySelectorAll('style, link[rel="stylesheet"]')]
+    .map(s => s.textContent || '').join(' ');
+
+  const tokens = extractDesignTokens(doc);
+
+  const design = {
+    colors: [...new Set(tokens.colors.map(color => color.value))].slice(0, 10),
+    fonts: tokens.fonts.stacks.slice(0, 5).map(font => font.stack),
+    hasAnimations: /animation|transition|transform/.test(styles),
+    hasGridLayout: /display:\s*grid|grid-template/.test(styles),
+    hasFlexLayout: /display:\s*flex|flex-direction/.test(styles),
+    hasResponsive: /@media/.test(styles),
+    darkMode: /dark|night/.test(styles.toLowerCase()),
+    designSystem: 'custom'
+  };
+
+  // Detect popular frameworks
+  const classes = doc.body?.className || '';
+  if (classes.includes('bootstrap') || styles.includes('bootstrap')) {
+    design.designSystem = 'bootstrap';
+  } else if (classes.includes('tailwind') || styles.includes('tailwind')) {
+    design.designSystem = 'tailwind';
+  } else if (styles.includes('material') || classes.includes('mat-')) {
+    design.designSystem = 'material';
+  }
+
+  return design;
+}
+
+/**
+ * Analyze technical aspects
+ */
+export function analyzeTechnical(doc) {
+  return {
+    hasJavaScript: doc.querySelectorAll('script[src], script:not([src])').length > 0,
+    externalStylesheets: doc.querySelectorAll('link[rel="stylesheet"]').length,
+    inlineStyles: doc.querySelectorAll('style').length,
+    metaTags: doc.querySelectorAll('meta').length,
+    htmlVersion: doc.doctype ? 'HTML5' : 'Legacy HTML',
+    hasServiceWorker: /service-?worker/.test(doc.body?.innerHTML || ''),
+    hasManifest: !!doc.querySelector('link[rel="manifest"]')
+  };
+}
+
+/**
+ * Analyze accessibility features
+ */
+export function analyzeAccessibility(doc) {
+  const audit = runAudit(doc);
+
+  return {
+    hasAltTexts: [...doc.querySelectorAll('img')].every(img => img.hasAttribute('alt')),
+    hasAriaLabels: doc.querySelectorAll('[aria-label], [aria-labelledby]').length > 0,
+    hasSemanticHTML: doc.querySelectorAll('header, nav, main, article, section, aside, footer').length > 0,
+    hasSkipLinks: !!findSkipLink(doc),
+    headingStructure: analyzeHeadingStructure(doc),
+    formLabels: analyzeFormLabels(doc),
+    colorContrast: analyzeContrast(doc),
+    findings: audit.findings,
+    auditSummary: audit.summary
+  };
+}
+
+/**
+ * Whether the page has an h1, more than one, and no skipped heading levels
+ */
+export function analyzeHeadingStructure(doc) {
+  const headings = [...doc.querySelectorAll('h1, h2, h3, h4, h5, h6')];
+  const levels = headings.map(h => parseInt(h.tagName.charAt(1)));
+  
+  return {
+    hasH1: levels.includes(1),
+    multipleH1: levels.filter(l => l === 1).length > 1,
+    properHierarchy: isProperHeadingHierarchy(levels)
+  };
+}
+
+function isProperHeadingHierarchy(levels) {
+  for (let i = 1; i < levels.length; i++) {
+    if (levels[i] > levels[i-1] + 1) return false;
+  }
+  return true;
+}
+
+/**
+ * How many form controls have an accessible label
+ */
+export function analyzeFormLabels(doc) {
+  const inputs = doc.querySelectorAll('input, textarea, select');
+  let labeledInputs = 0;
+  
+  inputs.forEach(input => {
+    if (hasFormLabel(input)) {
+      labeledInputs++;
+    }
+  });
+  
+  return {
+    total: inputs.length,
+    labeled: labeledInputs,
+    percentage: inputs.length ? Math.round((labeledInputs / inputs.length) * 100) : 100
+  };
+}
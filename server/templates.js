@@ -0,0 +1,86 @@
+import { JSDOM } from 'jsdom';
+import { SOURCE_ATTRIBUTE, SOURCE_BYTES_ATTRIBUTE } from './css-pipeline.js';
+
+/**
+ * Create clean HTML template for AI to work with
+ */
+export function createCleanTemplate(html) {
+  const dom = new JSDOM(html);
+  const doc = dom.window.document;
+
+  // Remove only non-essential elements
+  const toRemove = [
+    'script[src*="analytics"]',
+    'script[src*="gtag"]',
+    'script[src*="facebook"]',
+    'script[async]:not([essential])',
+    'noscript',
+    '.ads',
+    '.advertisement',
+    '[data-ad]'
+  ];
+
+  toRemove.forEach(selector => {
+    doc.querySelectorAll(selector).forEach(el => el.remove());
+  });
+
+  // Generated pages shouldn't claim the original's stylesheet requests
+  doc.querySelectorAll(`[${SOURCE_ATTRIBUTE}]`).forEach(el => {
+    el.removeAttribute(SOURCE_ATTRIBUTE);
+    el.removeAttribute(SOURCE_BYTES_ATTRIBUTE);
+  });
+
+  // Keep essential structure and content; large pages are chunked later
+  return dom.serialize();
+}
+
+/**
+ * Create fallback based on website summary
+ */
+export function createSmartFallback(template, summary) {
+  const dom = new JSDOM(template);
+  const doc = dom.window.document;
+
+  // Add modern enhancements based on summary
+  const style = doc.createElement('style');
+  
+  // Build CSS based on website type and characteristics
+  let css = `
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    
+    html { scroll-behavior: smooth; }
+    
+    body {
+      font-family: ${summary.design.fonts[0] || '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif'};
+      line-height: 1.6;
+      color: #333;
+    }
+  `;
+
+  // Add layout-specific styles
+  if (summary.structure.layoutType === 'sidebar-layout') {
+    css += `
+      .container { display: grid; grid-template-columns: 250px 1fr; gap: 2rem; }
+      @media (max-width: 768px) { .container { grid-template-columns: 1fr; } }
+    `;
+  } else if (summary.content.type === 'e-commerce') {
+    css += `
+      .product-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 1.5rem; }
+      .btn-primary { background: #007bff; color: white; padding: 0.75rem 1.5rem; border: none; border-radius: 0.375rem; }
+    `;
+  }
+
+  // Add responsive design
+  css += `
+    @media (max-width: 768px) {
+      body { font-size: 16px; padding: 1rem; }
+      h1 { font-size: 1.75rem; }
+      h2 { font-size: 1.5rem; }
+    }
+  `;
+
+  style.textContent = css;
+  doc.head.appendChild(style);
+
+  return dom.serialize();
+}
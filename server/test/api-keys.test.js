@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+
+let keys;
+let dataDir;
+
+before(async () => {
+  // DATA_DIR is read when the module loads
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ux-analyzer-keys-'));
+  process.env.DATA_DIR = dataDir;
+  keys = await import('../api-keys.js');
+});
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+describe('resolveKeyOptions', () => {
+  test('defaults to every scope but admin and server limits', () => {
+    assert.deepEqual(keys.resolveKeyOptions({ name: ' CI ' }), {
+      name: 'CI',
+      scopes: ['analyze', 'fetch', 'history', 'export'],
+      rateLimit: null,
+      dailyRequests: null,
+      dailyTokens: null
+    });
+  });
+
+  test('rejects missing names, unknown scopes and bad limits', () => {
+    assert.throws(() => keys.resolveKeyOptions({}), /name is required/);
+    assert.throws(() => keys.resolveKeyOptions({ name: 'x', scopes: ['analyze', 'billing'] }), /Unknown scopes: billing/);
+    assert.throws(() => keys.resolveKeyOptions({ name: 'x', scopes: [] }), /non-empty array/);
+    assert.throws(() => keys.resolveKeyOptions({ name: 'x', dailyTokens: -1 }), /dailyTokens must be a non-negative integer/);
+    assert.throws(() => keys.resolveKeyOptions({ name: 'x', rateLimit: '10' }), /rateLimit/);
+  });
+});
+
+describe('key store', () => {
+  test('issues a key it can find by secret without storing the secret', async () => {
+    const created = await keys.createApiKey(keys.resolveKeyOptions({ name: 'Dashboard', scopes: ['history'] }));
+
+    assert.match(created.key, /^uxa_[\w-]{32}$/);
+    assert.equal(created.prefix, created.key.slice(0, 10));
+    assert.equal(created.hash, undefined);
+    assert.equal((await keys.findApiKey(created.key)).id, created.id);
+    assert.equal(await keys.findApiKey('uxa_not-a-key'), null);
+    assert.doesNotMatch(fs.readFileSync(path.join(dataDir, 'api-keys.json'), 'utf8'), new RegExp(created.key));
+  });
+
+  test('adds up usage per day', async () => {
+    const { id } = await keys.createApiKey(keys.resolveKeyOptions({ name: 'Usage' }));
+    await Promise.all([
+      keys.recordUsage(id, { requests: 1 }),
+      keys.recordUsage(id, { requests: 1 }),
+      keys.recordUsage(id, { tokens: 1200 })
+    ]);
+
+    const key = await keys.getApiKey(id);
+    assert.deepEqual(keys.usageToday(key), { requests: 2, tokens: 1200 });
+    assert.deepEqual(Object.keys(key.usage), [keys.today()]);
+    assert.ok(key.lastUsedAt);
+  });
+
+  test('revokes keys but keeps them listed', async () => {
+    const { id, key } = await keys.createApiKey(keys.resolveKeyOptions({ name: 'Old' }));
+    const revoked = await keys.revokeApiKey(id);
+
+    assert.ok(revoked.revokedAt);
+    assert.ok((await keys.findApiKey(key)).revokedAt);
+    assert.ok((await keys.listApiKeys()).some(entry => entry.id === id));
+    assert.equal(await keys.revokeApiKey('missing'), null);
+  });
+});
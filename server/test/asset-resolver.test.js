@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { parseSrcset, resolveAssetUrls, resolveCssUrls, resolveUrl } from '../asset-resolver.js';
+
+const PAGE = 'https://example.com/blog/post.html';
+const parse = html => new JSDOM(html).window.document;
+
+describe('resolveUrl', () => {
+  test('resolves relative, root-relative and protocol-relative references', () => {
+    assert.equal(resolveUrl('img/a.png', PAGE), 'https://example.com/blog/img/a.png');
+    assert.equal(resolveUrl('/a.png', PAGE), 'https://example.com/a.png');
+    assert.equal(resolveUrl('//cdn.example.net/a.png', PAGE), 'https://cdn.example.net/a.png');
+    assert.equal(resolveUrl(' ../a.png ', PAGE), 'https://example.com/a.png');
+  });
+
+  test('leaves fragments, data: URIs and script links alone', () => {
+    for (const reference of ['#top', 'data:image/gif;base64,R0lGOD', 'mailto:hi@example.com', 'javascript:void(0)', '']) {
+      assert.equal(resolveUrl(reference, PAGE), reference);
+    }
+    assert.equal(resolveUrl('a.png', ''), 'a.png');
+  });
+});
+
+describe('resolveCssUrls', () => {
+  test('rewrites url() in every quoting style and keeps the quotes', () => {
+    const css = `.a { background: url(bg.png); } .b { background: url('../b.png'); } .c { mask: url( "c.svg#m" ) }`;
+    assert.equal(
+      resolveCssUrls(css, 'https://example.com/css/site.css'),
+      `.a { background: url(https://example.com/css/bg.png); } .b { background: url('https://example.com/b.png'); } .c { mask: url("https://example.com/css/c.svg#m") }`
+    );
+  });
+
+  test('rewrites @import strings and font sources', () => {
+    const css = '@import "reset.css" screen;\n@font-face { font-family: X; src: url(fonts/x.woff2) format("woff2"), url(data:font/woff;base64,AA) format("woff"); }';
+    assert.equal(
+      resolveCssUrls(css, 'https://example.com/css/site.css'),
+      '@import "https://example.com/css/reset.css" screen;\n@font-face { font-family: X; src: url(https://example.com/css/fonts/x.woff2) format("woff2"), url(data:font/woff;base64,AA) format("woff"); }'
+    );
+  });
+});
+
+describe('parseSrcset', () => {
+  test('splits candidates and descriptors', () => {
+    assert.deepEqual(parseSrcset('a.jpg 1x, b.jpg 2x,c.jpg'), [
+      { url: 'a.jpg', descriptor: '1x' },
+      { url: 'b.jpg', descriptor: '2x' },
+      { url: 'c.jpg', descriptor: '' }
+    ]);
+  });
+
+  test('keeps commas inside URLs', () => {
+    assert.deepEqual(parseSrcset('data:image/png;base64,AAA= 480w, /img/a,b.jpg 800w'), [
+      { url: 'data:image/png;base64,AAA=', descriptor: '480w' },
+      { url: '/img/a,b.jpg', descriptor: '800w' }
+    ]);
+  });
+});
+
+describe('resolveAssetUrls', () => {
+  test('makes links, media, srcset and inline CSS absolute', () => {
+    const doc = parse(resolveAssetUrls(`<html><head>
+      <link rel="icon" href="favicon.ico"><script src="app.js"></script>
+      <style>.hero { background: url(hero.jpg); }</style>
+    </head><body>
+      <a href="../about">About</a><a href="#comments">Comments</a>
+      <picture><source srcset="a.webp 1x, a@2x.webp 2x"><img src="a.jpg"></picture>
+      <video poster="poster.jpg"><source src="clip.mp4"></video>
+      <form action="/search"></form>
+      <div style="background-image: url('tile.png')"></div>
+      <svg><use href="sprite.svg#icon"></use></svg>
+    </body></html>`, PAGE));
+
+    assert.equal(doc.querySelector('link').getAttribute('href'), 'https://example.com/blog/favicon.ico');
+    assert.equal(doc.querySelector('script').getAttribute('src'), 'https://example.com/blog/app.js');
+    assert.equal(doc.querySelector('style').textContent, '.hero { background: url(https://example.com/blog/hero.jpg); }');
+    assert.deepEqual([...doc.querySelectorAll('a')].map(a => a.getAttribute('href')), ['https://example.com/about', '#comments']);
+    assert.equal(doc.querySelector('source').getAttribute('srcset'), 'https://example.com/blog/a.webp 1x, https://example.com/blog/a@2x.webp 2x');
+    assert.equal(doc.querySelector('img').getAttribute('src'), 'https://example.com/blog/a.jpg');
+    assert.equal(doc.querySelector('video').getAttribute('poster'), 'https://example.com/blog/poster.jpg');
+    assert.equal(doc.querySelector('video source').getAttribute('src'), 'https://example.com/blog/clip.mp4');
+    assert.equal(doc.querySelector('form').getAttribute('action'), 'https://example.com/search');
+    assert.equal(doc.querySelector('div').getAttribute('style'), "background-image: url('https://example.com/blog/tile.png')");
+    assert.equal(doc.querySelector('use').getAttribute('href'), 'https://example.com/blog/sprite.svg#icon');
+  });
+
+  test('resolves against <base href> and drops it afterwards', () => {
+    const doc = parse(resolveAssetUrls('<head><base href="/static/v2/"></head><body><img src="logo.png"></body>', PAGE));
+    assert.equal(doc.querySelector('base'), null);
+    assert.equal(doc.querySelector('img').getAttribute('src'), 'https://example.com/static/v2/logo.png');
+  });
+
+  test('keeps the base target for links', () => {
+    const doc = parse(resolveAssetUrls('<head><base href="https://cdn.example.net/" target="_blank"></head><body><a href="x">x</a></body>', PAGE));
+    assert.equal(doc.querySelector('base').outerHTML, '<base target="_blank">');
+    assert.equal(doc.querySelector('a').getAttribute('href'), 'https://cdn.example.net/x');
+  });
+
+  test('returns the HTML untouched when there is nothing to resolve against', () => {
+    const html = '<p><img src="a.png"></p>';
+    assert.equal(resolveAssetUrls(html, ''), html);
+  });
+});
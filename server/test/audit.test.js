@@ -0,0 +1,23 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { findSkipLink, runAudit } from '../audit.js';
+
+const parse = html => new JSDOM(html).window.document;
+
+describe('findSkipLink', () => {
+  test('finds an early in-page link whose target exists', () => {
+    const doc = parse('<body><a href="#main%20content">Skip</a><main id="main content"></main></body>');
+    assert.equal(findSkipLink(doc)?.textContent, 'Skip');
+  });
+
+  test('ignores links whose target is missing', () => {
+    assert.equal(findSkipLink(parse('<body><a href="#main">Skip</a></body>')), null);
+  });
+
+  test('uses the raw fragment when it is not valid percent-encoding', () => {
+    const doc = parse('<body><a href="#50%off">Sale</a><section id="50%off"></section></body>');
+    assert.equal(findSkipLink(doc)?.textContent, 'Sale');
+    assert.doesNotThrow(() => runAudit(parse('<body><a href="#%E0%A4%A">Broken</a></body>')));
+  });
+});
@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { createRateLimiter, getAuthSettings, meterProvider, resolveLimits } from '../auth.js';
+
+describe('getAuthSettings', () => {
+  test('turns auth on in production unless API_AUTH says otherwise', () => {
+    const { NODE_ENV } = process.env;
+    try {
+      process.env.NODE_ENV = 'production';
+      assert.equal(getAuthSettings().enabled, true);
+      process.env.API_AUTH = 'off';
+      assert.equal(getAuthSettings().enabled, false);
+      process.env.API_AUTH = 'maybe';
+      assert.throws(() => getAuthSettings(), /API_AUTH must be one of: on, off/);
+    } finally {
+      if (NODE_ENV === undefined) delete process.env.NODE_ENV;
+      else process.env.NODE_ENV = NODE_ENV;
+      delete process.env.API_AUTH;
+    }
+  });
+});
+
+describe('createRateLimiter', () => {
+  test('allows limit requests per window and says when to retry', () => {
+    const limiter = createRateLimiter({ windowMs: 60000 });
+    assert.equal(limiter.take('a', 2, 0).remaining, 1);
+    assert.equal(limiter.take('a', 2, 1000).allowed, true);
+    assert.deepEqual(limiter.take('a', 2, 15500), { allowed: false, remaining: 0, retryAfter: 45 });
+    assert.equal(limiter.take('b', 2, 15500).allowed, true);
+    assert.equal(limiter.take('a', 2, 60000).allowed, true);
+  });
+
+  test('never limits with a limit of 0', () => {
+    const limiter = createRateLimiter();
+    for (let i = 0; i < 100; i++) assert.equal(limiter.take('a', 0).allowed, true);
+  });
+});
+
+describe('resolveLimits', () => {
+  test('prefers the key limits over server defaults', () => {
+    const settings = { rateLimit: 30, dailyRequests: 500, dailyTokens: 2000000 };
+    assert.deepEqual(resolveLimits({ rateLimit: 5, dailyRequests: null, dailyTokens: 0 }, settings), {
+      rateLimit: 5,
+      dailyRequests: 500,
+      dailyTokens: 0
+    });
+  });
+});
+
+describe('meterProvider', () => {
+  const provider = {
+    name: 'echo',
+    model: 'echo-1',
+    generate: async prompt => prompt.toUpperCase(),
+    async *stream(prompt) {
+      yield prompt.slice(0, 4);
+      yield prompt.slice(4);
+    }
+  };
+
+  test('charges prompts and replies for generate and stream', async () => {
+    let tokens = 0;
+    const metered = meterProvider(provider, count => {
+      tokens += count;
+    });
+
+    assert.equal(await metered.generate('x'.repeat(40)), 'X'.repeat(40));
+    assert.equal(tokens, 20);
+
+    let streamed = '';
+    for await (const text of metered.stream('y'.repeat(16))) streamed += text;
+    assert.equal(streamed, 'y'.repeat(16));
+    assert.equal(tokens, 28);
+    assert.equal(metered.model, 'echo-1');
+  });
+
+  test('returns the provider untouched without a meter', () => {
+    assert.equal(meterProvider(provider), provider);
+  });
+});
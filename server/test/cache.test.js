@@ -0,0 +1,187 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { cachedFetch, createDiskCache, createMemoryCache, getCacheSettings, hashKey } from '../cache.js';
+import { startFakeOrigin } from './helpers/fake-origin.js';
+
+let origin;
+let version = 'v1';
+
+before(async () => {
+  process.env.FETCH_ALLOW_HOSTS = '127.0.0.1';
+  origin = await startFakeOrigin({
+    routes: {
+      '/versioned.css': req => req.headers['if-none-match'] === `"${version}"`
+        ? { status: 304 }
+        : { type: 'text/css', body: `.${version} { color: red; }`, headers: { ETag: `"${version}"` } },
+      '/dated.css': req => req.headers['if-modified-since'] === 'Tue, 01 Sep 2026 10:00:00 GMT'
+        ? { status: 304 }
+        : { type: 'text/css', body: '.dated {}', headers: { 'Last-Modified': 'Tue, 01 Sep 2026 10:00:00 GMT' } },
+      '/private.css': { type: 'text/css', body: '.private {}', headers: { 'Cache-Control': 'no-store' } }
+    }
+  });
+});
+
+after(() => origin.close());
+
+const requestsFor = pathname => origin.requests.filter(request => request.path === pathname);
+
+describe('getCacheSettings', () => {
+  test('reads the backend and TTLs from the environment', () => {
+    process.env.CACHE_BACKEND = 'Disk';
+    process.env.CACHE_PAGE_TTL = '0';
+    try {
+      const settings = getCacheSettings();
+      assert.equal(settings.backend, 'disk');
+      assert.equal(settings.ttl.page, 0);
+      assert.equal(settings.ttl.stylesheet, 3600);
+    } finally {
+      delete process.env.CACHE_BACKEND;
+      delete process.env.CACHE_PAGE_TTL;
+    }
+  });
+
+  test('rejects unknown backends', () => {
+    process.env.CACHE_BACKEND = 'redis';
+    try {
+      assert.throws(() => getCacheSettings(), /CACHE_BACKEND must be one of: memory, disk, off/);
+    } finally {
+      delete process.env.CACHE_BACKEND;
+    }
+  });
+});
+
+describe('hashKey', () => {
+  test('is stable for equal values and differs otherwise', () => {
+    assert.equal(hashKey({ a: 1 }), hashKey({ a: 1 }));
+    assert.notEqual(hashKey({ a: 1 }), hashKey({ a: 2 }));
+    assert.match(hashKey('x'), /^[0-9a-f]{64}$/);
+  });
+});
+
+describe('createMemoryCache', () => {
+  test('evicts the least recently used entry', async () => {
+    const cache = createMemoryCache({ maxEntries: 2 });
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a');
+    await cache.set('c', 3);
+
+    assert.equal(await cache.get('a'), 1);
+    assert.equal(await cache.get('b'), undefined);
+    assert.equal(await cache.get('c'), 3);
+  });
+
+  test('stays within its byte budget', async () => {
+    const cache = createMemoryCache({ maxBytes: 20 });
+    await cache.set('a', 'x'.repeat(10));
+    await cache.set('b', 'y'.repeat(10));
+    await cache.set('huge', 'z'.repeat(100));
+
+    assert.equal(await cache.get('a'), undefined);
+    assert.equal(await cache.get('huge'), undefined);
+    assert.deepEqual(cache.stats(), { backend: 'memory', entries: 1, bytes: 12 });
+  });
+});
+
+describe('createDiskCache', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ux-analyzer-cache-'));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('persists entries across instances', async () => {
+    await createDiskCache({ dir }).set('page', { html: '<p>x</p>' });
+    assert.deepEqual(await createDiskCache({ dir }).get('page'), { html: '<p>x</p>' });
+  });
+
+  test('prunes the oldest files past maxEntries', async () => {
+    const cache = createDiskCache({ dir: path.join(dir, 'pruned'), maxEntries: 2 });
+    await cache.set('a', 1);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await cache.set('b', 2);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await cache.set('c', 3);
+
+    assert.equal(await cache.get('a'), undefined);
+    assert.deepEqual([await cache.get('b'), await cache.get('c')], [2, 3]);
+  });
+
+  test('deletes and clears', async () => {
+    const cache = createDiskCache({ dir: path.join(dir, 'cleared') });
+    await cache.set('a', 1);
+    await cache.delete('a');
+    assert.equal(await cache.get('a'), undefined);
+    await cache.set('b', 2);
+    await cache.clear();
+    assert.equal(await cache.get('b'), undefined);
+  });
+});
+
+describe('cachedFetch', () => {
+  test('keeps entries for different request headers apart', async () => {
+    const cache = createMemoryCache();
+    const asBrowser = { headers: { 'User-Agent': 'Browser/1.0' } };
+    const asCrawler = { headers: { 'User-Agent': 'UIUXAnalyzerBot/1.0' } };
+
+    assert.equal((await cachedFetch(`${origin.url}/versioned.css`, { cache, ttl: 60, ...asBrowser })).cache, 'miss');
+    assert.equal((await cachedFetch(`${origin.url}/versioned.css`, { cache, ttl: 60, ...asCrawler })).cache, 'miss');
+    assert.equal((await cachedFetch(`${origin.url}/versioned.css`, { cache, ttl: 60, ...asCrawler })).cache, 'hit');
+  });
+
+  test('serves fresh entries without a request', async () => {
+    const cache = createMemoryCache();
+    const first = await cachedFetch(`${origin.url}/versioned.css`, { cache, ttl: 60 });
+    const requests = requestsFor('/versioned.css').length;
+    const second = await cachedFetch(`${origin.url}/versioned.css`, { cache, ttl: 60 });
+
+    assert.equal(first.cache, 'miss');
+    assert.equal(second.cache, 'hit');
+    assert.equal(second.text(), first.text());
+    assert.equal(second.headers.get('etag'), '"v1"');
+    assert.equal(requestsFor('/versioned.css').length, requests);
+  });
+
+  test('revalidates stale entries with If-None-Match and picks up changes', async () => {
+    const cache = createMemoryCache();
+    const url = `${origin.url}/versioned.css`;
+    version = 'v1';
+    await cachedFetch(url, { cache, ttl: 0.001 });
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const revalidated = await cachedFetch(url, { cache, ttl: 0.001 });
+    assert.equal(revalidated.cache, 'revalidated');
+    assert.equal(revalidated.text(), '.v1 { color: red; }');
+    assert.equal(requestsFor('/versioned.css').at(-1).headers['if-none-match'], '"v1"');
+
+    version = 'v2';
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const changed = await cachedFetch(url, { cache, ttl: 0.001 });
+    assert.equal(changed.cache, 'miss');
+    assert.equal(changed.text(), '.v2 { color: red; }');
+  });
+
+  test('revalidates with If-Modified-Since', async () => {
+    const cache = createMemoryCache();
+    await cachedFetch(`${origin.url}/dated.css`, { cache, ttl: 0.001 });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal((await cachedFetch(`${origin.url}/dated.css`, { cache, ttl: 0.001 })).cache, 'revalidated');
+  });
+
+  test('skips stored entries when bypassed, and never stores no-store responses', async () => {
+    const cache = createMemoryCache();
+    await cachedFetch(`${origin.url}/versioned.css`, { cache, ttl: 60 });
+    assert.equal((await cachedFetch(`${origin.url}/versioned.css`, { cache, ttl: 60, bypass: true })).cache, 'bypass');
+
+    await cachedFetch(`${origin.url}/private.css`, { cache, ttl: 60 });
+    assert.equal((await cachedFetch(`${origin.url}/private.css`, { cache, ttl: 60 })).cache, 'miss');
+  });
+
+  test('reports off without a cache or ttl', async () => {
+    assert.equal((await cachedFetch(`${origin.url}/dated.css`)).cache, 'off');
+    assert.equal((await cachedFetch(`${origin.url}/dated.css`, { cache: createMemoryCache(), ttl: 0 })).cache, 'off');
+  });
+});
@@ -0,0 +1,35 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { generateSectioned, MAX_SECTIONS } from '../chunker.js';
+import { resolveFidelitySettings } from '../fidelity.js';
+import { createProvider } from '../providers.js';
+import { generateWebsiteSummary } from '../summary.js';
+
+describe('generateSectioned', () => {
+  test('reports regions past the section limit as skipped, not kept', async () => {
+    const count = MAX_SECTIONS + 2;
+    const template = `<html><head><title>Long</title></head><body>${
+      Array.from({ length: count }, (_, i) => `<section><h2>Part ${i + 1}</h2><p>Paragraph number ${i + 1} of the page.</p></section>`).join('')
+    }</body></html>`;
+    const events = [];
+
+    const { improvedHtml, chunking } = await generateSectioned({
+      provider: createProvider({ provider: 'mock', model: 'mock-static' }),
+      websiteSummary: generateWebsiteSummary(template),
+      template,
+      fidelitySettings: resolveFidelitySettings(),
+      settings: { singlePassTokens: 1, sectionTokens: 20 },
+      onEvent: (event, data) => events.push(data)
+    });
+
+    assert.equal(chunking.sections, count);
+    assert.equal(chunking.enhanced, MAX_SECTIONS);
+    assert.deepEqual(chunking.keptOriginal, []);
+    assert.deepEqual(chunking.skipped.map(section => section.label), [`Part ${count - 1}`, `Part ${count}`]);
+    assert.deepEqual(
+      events.filter(event => event.stage === 'section' && event.status !== 'started').slice(-2).map(event => event.status),
+      ['skipped', 'skipped']
+    );
+    assert.ok(improvedHtml.includes(`Paragraph number ${count} of the page.`));
+  });
+});
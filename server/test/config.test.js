@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+import { CONFIG_SCHEMA, ConfigError, getConfig, publicConfig, resolveConfig } from '../config.js';
+import { PROVIDER_NAMES } from '../providers.js';
+
+describe('resolveConfig', () => {
+  test('falls back to the documented defaults', () => {
+    const config = resolveConfig();
+    assert.deepEqual(config.server.corsOrigins, ['https://ui-ux-analyzer.vercel.app']);
+    assert.equal(config.llm.maxOutputTokens, 32768);
+    assert.equal(config.llm.model, null);
+    assert.equal(config.fetch.pageTimeout, 15000);
+    assert.equal(config.css.maxTotalBytes, 80000);
+    assert.equal(config.auth.mode, 'off');
+    assert.equal(resolveConfig({ env: { NODE_ENV: 'production' } }).auth.mode, 'on');
+  });
+
+  test('prefers environment variables over the config file', () => {
+    const config = resolveConfig({
+      env: { CORS_ORIGINS: 'http://localhost:5173, https://staging.example.com', LLM_MAX_OUTPUT_TOKENS: '4096' },
+      file: { server: { corsOrigins: ['https://file.example.com'], bodyLimit: '2MB' }, llm: { maxOutputTokens: 1024, model: 'gpt-4o' } }
+    });
+
+    assert.deepEqual(config.server.corsOrigins, ['http://localhost:5173', 'https://staging.example.com']);
+    assert.equal(config.server.bodyLimit, '2mb');
+    assert.equal(config.llm.maxOutputTokens, 4096);
+    assert.equal(config.llm.model, 'gpt-4o');
+  });
+
+  test('reports every invalid or unknown setting at once', () => {
+    assert.throws(
+      () => resolveConfig({
+        env: { PORT: 'eighty', LLM_TEMPERATURE: '3', CACHE_BACKEND: 'redis', OPENAI_BASE_URL: 'localhost:11434' },
+        file: { css: { maxSheetBytes: 1.5, budget: 10 }, extras: {} },
+        fileName: 'config.json'
+      }),
+      error => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepEqual(error.problems, [
+          'config.json has an unknown setting "css.budget"',
+          'config.json has an unknown section "extras"',
+          'PORT must be a number',
+          'LLM_TEMPERATURE must be at most 2',
+          'OPENAI_BASE_URL must be an http or https URL',
+          'css.maxSheetBytes in config.json must be a whole number',
+          'CACHE_BACKEND must be one of: memory, disk, off'
+        ]);
+        return true;
+      }
+    );
+  });
+
+  test('offers the same providers as providers.js', () => {
+    assert.deepEqual(CONFIG_SCHEMA.llm.provider.values, PROVIDER_NAMES);
+  });
+});
+
+describe('getConfig', () => {
+  test('reads CONFIG_FILE and rejects files that are not JSON objects', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ux-analyzer-config-'));
+    try {
+      const file = path.join(dir, 'staging.json');
+      fs.writeFileSync(file, JSON.stringify({ fetch: { pageTimeout: 30000 } }));
+      assert.equal(getConfig({ CONFIG_FILE: file }).fetch.pageTimeout, 30000);
+
+      const broken = path.join(dir, 'broken.json');
+      fs.writeFileSync(broken, '[1, 2]');
+      assert.throws(() => getConfig({ CONFIG_FILE: broken }), /must hold a JSON object/);
+      assert.throws(() => getConfig({ CONFIG_FILE: path.join(dir, 'missing.json') }), /Could not read/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('publicConfig', () => {
+  test('leaves out paths, ports and host lists', () => {
+    const shown = publicConfig(resolveConfig({ env: { FETCH_ALLOW_HOSTS: 'intranet.example.com' } }));
+    assert.deepEqual(Object.keys(shown.server), ['bodyLimit']);
+    assert.equal(shown.fetch.allowHosts, undefined);
+    assert.equal(shown.llm.openaiBaseUrl, undefined);
+    assert.equal(shown.render.chromiumPath, undefined);
+    assert.equal(shown.css.maxSheetBytes, 40000);
+  });
+});
@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { createCrawlQueue } from '../crawler.js';
+import { generateWebsiteSummary } from '../summary.js';
+
+// Loopback start URLs fail the robots.txt fetch at once, which allows everything
+const START = 'http://127.0.0.1:9';
+
+async function waitForJob(queue, id) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const job = queue.get(id);
+    if (job.finishedAt) return job;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Crawl did not finish');
+}
+
+describe('createCrawlQueue', () => {
+  test('resolves links against the page URL after redirects', async () => {
+    const pages = {
+      [`${START}/old/`]: { html: '<a href="pricing">Pricing</a>', finalUrl: `${START}/new/` },
+      [`${START}/new/pricing`]: { html: '<h1>Pricing</h1>' }
+    };
+    const fetched = [];
+    const queue = createCrawlQueue({
+      fetchPage: async url => {
+        fetched.push(url);
+        if (!pages[url]) throw new Error('HTTP 404');
+        return pages[url];
+      },
+      summarize: generateWebsiteSummary
+    });
+
+    const job = await waitForJob(queue, queue.enqueue(`${START}/old/`, { maxDepth: 1, maxPages: 5 }).id);
+    assert.deepEqual(fetched, [`${START}/old/`, `${START}/new/pricing`]);
+    assert.deepEqual(job.pages.map(page => page.status), ['ok', 'ok']);
+  });
+
+  test('counts queued and running jobs per owner', async () => {
+    const queue = createCrawlQueue({
+      fetchPage: (url, { signal }) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason))),
+      summarize: generateWebsiteSummary
+    });
+    const first = queue.enqueue(`${START}/`, { maxDepth: 0, maxPages: 1, ownerId: 'key-a' });
+    queue.enqueue(`${START}/`, { maxDepth: 0, maxPages: 1, ownerId: 'key-a' });
+    queue.enqueue(`${START}/`, { maxDepth: 0, maxPages: 1, ownerId: 'key-b' });
+
+    assert.equal(queue.countActive('key-a'), 2);
+    assert.equal(queue.countActive('key-b'), 1);
+    assert.equal(queue.countActive(), 0);
+
+    queue.list().forEach(job => queue.cancel(job.id));
+    await waitForJob(queue, first.id);
+    assert.equal(queue.countActive('key-a'), 0);
+  });
+});
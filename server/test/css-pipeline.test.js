@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { inlineStylesheets, minifyCss, parseImport, truncateCss } from '../css-pipeline.js';
+import { analyzePerformance } from '../performance.js';
+import { startFakeOrigin } from './helpers/fake-origin.js';
+
+const css = body => ({ type: 'text/css', body });
+
+let origin;
+let inFlight = 0;
+let maxInFlight = 0;
+
+before(async () => {
+  process.env.FETCH_ALLOW_HOSTS = '127.0.0.1';
+  const slow = body => async () => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    inFlight--;
+    return css(body);
+  };
+
+  origin = await startFakeOrigin({
+    routes: {
+      '/css/main.css': css('@charset "utf-8";\n@import "base/reset.css";\n@import url(print.css) print;\n/* main */\n.hero {\n  background: url(../img/hero.png);\n}\n'),
+      '/css/base/reset.css': css('@import "../layers.css" layer(theme) supports(display: grid) screen and (min-width: 600px);\nhtml { margin: 0; }'),
+      '/css/layers.css': css('.card { display: grid; }'),
+      '/css/print.css': css('nav { display: none; }'),
+      '/css/loop-a.css': css('@import "loop-b.css";\n.a { color: red; }'),
+      '/css/loop-b.css': css('@import "loop-a.css";\n.b { color: blue; }'),
+      '/css/broken-import.css': css('@import "missing.css";\n.c { color: green; }'),
+      '/css/big.css': css(Array.from({ length: 50 }, (_, i) => `.rule-${i} { padding: ${i}px; }`).join('\n')),
+      '/css/small.css': css('.small { margin: 0; }'),
+      ...Object.fromEntries(Array.from({ length: 6 }, (_, i) => [`/css/slow-${i}.css`, slow(`.slow-${i} { top: 0; }`)]))
+    }
+  });
+});
+
+after(() => origin.close());
+
+const page = links => `<html><head>${links}</head><body></body></html>`;
+const link = (href, attributes = '') => `<link rel="stylesheet" href="${href}"${attributes}>`;
+const styles = html => [...new JSDOM(html).window.document.querySelectorAll('style')];
+
+describe('minifyCss', () => {
+  test('drops comments and whitespace between tokens', () => {
+    assert.equal(
+      minifyCss('/* header */\n.a,\n.b > .c {\n  color: red ;\n  margin: 0 auto !important;\n}\n\n@media (max-width: 600px) {\n  .a { display: none; }\n}\n'),
+      '.a,.b > .c{color:red;margin:0 auto!important}@media (max-width: 600px){.a{display:none}}'
+    );
+  });
+
+  test('keeps strings, values and licence comments as written', () => {
+    assert.equal(
+      minifyCss('/*! MIT */\n.q::before { content: "a  /* b */  c"; grid-template-areas: "x  y" "z  z"; }'),
+      '/*! MIT */.q::before{content:"a  /* b */  c";grid-template-areas:"x  y" "z  z"}'
+    );
+  });
+
+  test('returns unparsable CSS unchanged', () => {
+    assert.equal(minifyCss(' .a { color: red; '), '.a { color: red;');
+  });
+});
+
+describe('truncateCss', () => {
+  test('keeps whole rules from the start', () => {
+    assert.deepEqual(truncateCss('.a{x:1}.b{y:2}.c{z:3}', 16), { css: '.a{x:1}.b{y:2}', rules: 2, totalRules: 3 });
+    assert.equal(truncateCss('.a{x:1}', 3).rules, 0);
+  });
+});
+
+describe('parseImport', () => {
+  test('reads url, layer, supports and media', () => {
+    assert.deepEqual(parseImport('url("a.css") layer(base) supports(display: grid) screen, print'), {
+      url: 'a.css',
+      layer: 'base',
+      supports: 'display: grid',
+      media: 'screen, print',
+      conditions: 'layer(base) supports(display: grid) screen, print'
+    });
+    assert.deepEqual(parseImport("'b.css'"), { url: 'b.css', layer: null, supports: null, media: null, conditions: '' });
+    assert.equal(parseImport('b.css').url, null);
+  });
+});
+
+describe('inlineStylesheets', () => {
+  test('follows @import chains under their conditions and resolves URLs per sheet', async () => {
+    const { html, stylesheets } = await inlineStylesheets(page(link('/css/main.css')), `${origin.url}/shop/`);
+    const [style] = styles(html);
+
+    assert.equal(
+      style.textContent,
+      `@supports (display: grid){@media screen and (min-width: 600px){@layer theme{.card{display:grid}}}}html{margin:0}` +
+      `@media print{nav{display:none}}.hero{background:url(${origin.url}/img/hero.png)}`
+    );
+    assert.equal(stylesheets[0].status, 'inlined');
+    assert.deepEqual(stylesheets[0].imports.map(entry => [entry.href.replace(origin.url, ''), entry.status]), [
+      ['/css/base/reset.css', 'inlined'],
+      ['/css/layers.css', 'inlined'],
+      ['/css/print.css', 'inlined']
+    ]);
+  });
+
+  test('carries the media attribute over to the <style>', async () => {
+    const { html } = await inlineStylesheets(page(link('/css/small.css', ' media="print"')), origin.url);
+    assert.equal(styles(html)[0].getAttribute('media'), 'print');
+  });
+
+  test('keeps inlined sheets visible to the performance audit as served', async () => {
+    const { html } = await inlineStylesheets(page(link('/css/small.css')), origin.url);
+    const { renderBlocking, weight } = analyzePerformance(new JSDOM(html).window.document, { html, baseUrl: origin.url });
+
+    assert.deepEqual(renderBlocking.stylesheets, [{ url: `${origin.url}/css/small.css`, media: 'all' }]);
+    assert.deepEqual(weight.byType.css, { requests: 1, bytes: 16, inlineBytes: 0, unmeasured: 0 });
+  });
+
+  test('breaks import cycles and keeps imports it cannot load', async () => {
+    const { html, stylesheets } = await inlineStylesheets(page(link('/css/loop-a.css') + link('/css/broken-import.css')), origin.url);
+    const [loop, broken] = styles(html);
+
+    assert.equal(loop.textContent, '.b{color:blue}.a{color:red}');
+    assert.equal(stylesheets[0].imports[1].reason, 'Import cycle');
+    assert.equal(broken.textContent, `@import "${origin.url}/css/missing.css";.c{color:green}`);
+    assert.deepEqual(stylesheets[1].imports, [{ href: `${origin.url}/css/missing.css`, status: 'failed', reason: 'HTTP 404' }]);
+  });
+
+  test('truncates or drops sheets over budget and reports them', async () => {
+    const { html, stylesheets, bytes } = await inlineStylesheets(
+      page(link('/css/big.css') + link('/css/missing.css') + link('/css/small.css')),
+      origin.url,
+      { maxSheetBytes: 200, maxTotalBytes: 210 }
+    );
+    const doc = new JSDOM(html).window.document;
+
+    assert.deepEqual(stylesheets.map(sheet => sheet.status), ['truncated', 'failed', 'dropped']);
+    assert.match(stylesheets[0].reason, /^Kept 10 of 50 rules/);
+    assert.equal(stylesheets[2].reason, 'No rule fits in the 10 bytes left');
+    assert.equal(bytes, stylesheets[0].bytes);
+    // Sheets that weren't inlined stay linked so browsers still load them
+    assert.deepEqual([...doc.querySelectorAll('link')].map(el => el.getAttribute('href')), ['/css/missing.css', '/css/small.css']);
+  });
+
+  test('fetches sheets in parallel up to the concurrency limit', async () => {
+    const links = Array.from({ length: 6 }, (_, i) => link(`/css/slow-${i}.css`)).join('');
+    const events = [];
+    const { html } = await inlineStylesheets(page(links), origin.url, { concurrency: 3, onEvent: (name, data) => events.push(data.href) });
+
+    assert.equal(maxInFlight, 3);
+    assert.deepEqual(styles(html).map(style => style.textContent), Array.from({ length: 6 }, (_, i) => `.slow-${i}{top:0}`));
+    assert.deepEqual(events, Array.from({ length: 6 }, (_, i) => `${origin.url}/css/slow-${i}.css`));
+  });
+});
@@ -0,0 +1,52 @@
+import http from 'node:http';
+
+/**
+ * Local HTTP server standing in for both the sites being analyzed and an
+ * OpenAI-compatible model. routes maps a path to { status, type, body,
+ * headers } or to a function (req, body) returning one.
+ * POST /v1/chat/completions is answered by model(prompt), which returns
+ * the completion text or { status, body } to simulate a failure; every
+ * prompt is kept in `prompts`.
+ */
+export async function startFakeOrigin({ routes = {}, model = () => '' } = {}) {
+  const prompts = [];
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks).toString();
+    const { pathname } = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, path: pathname, headers: req.headers });
+
+    if (req.method === 'POST' && pathname === '/v1/chat/completions') {
+      const prompt = JSON.parse(body).messages.at(-1).content;
+      prompts.push(prompt);
+      const output = await model(prompt);
+      if (typeof output === 'object') return send(res, output);
+      return send(res, {
+        type: 'application/json',
+        body: JSON.stringify({ choices: [{ message: { role: 'assistant', content: output } }] })
+      });
+    }
+
+    const route = routes[pathname];
+    if (!route) return send(res, { status: 404, body: 'Not found' });
+    send(res, typeof route === 'function' ? await route(req, body) : route);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    prompts,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function send(res, { status = 200, type = 'text/html; charset=utf-8', body = '', headers = {} }) {
+  res.writeHead(status, { 'Content-Type': type, ...headers });
+  res.end(body);
+}
@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM } from 'jsdom';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+export const FIXTURE_PAGES = ['ecommerce', 'blog', 'spa-shell', 'malformed'];
+
+/**
+ * Saved page from test/fixtures/pages
+ */
+export function loadPage(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, 'pages', `${name}.html`), 'utf8');
+}
+
+/**
+ * Parsed document for a saved page
+ */
+export function loadDocument(name) {
+  return new JSDOM(loadPage(name)).window.document;
+}
+
+/**
+ * Compare a value with its golden JSON in test/fixtures/snapshots. Run with
+ * UPDATE_SNAPSHOTS=1 to (re)write the golden files after an intended change.
+ */
+export function matchSnapshot(name, value) {
+  const file = path.join(FIXTURES_DIR, 'snapshots', `${name}.json`);
+  const actual = JSON.parse(JSON.stringify(value));
+
+  if (process.env.UPDATE_SNAPSHOTS) {
+    fs.writeFileSync(file, `${JSON.stringify(actual, null, 2)}\n`);
+    return;
+  }
+  assert.ok(fs.existsSync(file), `Missing snapshot ${name}.json; run npm run test:update to create it`);
+  assert.deepEqual(actual, JSON.parse(fs.readFileSync(file, 'utf8')), `Summary for ${name} no longer matches its snapshot`);
+}
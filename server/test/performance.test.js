@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { comparePerformance } from '../compare.js';
+import { analyzePerformance, formatPerformanceForPrompt, listResources } from '../performance.js';
+import { loadDocument, loadPage } from './helpers/fixtures.js';
+
+const parse = html => new JSDOM(html).window.document;
+const analyze = (html, options) => analyzePerformance(parse(html), { html, ...options });
+
+const FONT_PAGE = `<html><head>
+  <link rel="stylesheet" href="https://fonts.googleapis.com/css2?family=Inter:wght@400;700&display=swap">
+  <link rel="preload" href="/fonts/brand.woff2" as="font" crossorigin>
+  <style>
+    @font-face { font-family: "Brand"; src: url(/fonts/brand.woff2) format("woff2"), url(/fonts/brand.woff) format("woff"); }
+    @font-face { font-family: Icons; src: url(data:font/woff2;base64,AAAAAAAA); font-display: block; }
+    @font-face { font-family: Body; src: url(/fonts/body.woff2); font-display: swap; }
+  </style>
+</head><body><p>Text</p></body></html>`;
+
+describe('analyzePerformance', () => {
+  test('counts requests by type and weighs the HTML and inline code', () => {
+    const html = loadPage('ecommerce');
+    const { weight } = analyzePerformance(loadDocument('ecommerce'), { html, baseUrl: 'https://shop.example.com/' });
+    assert.equal(weight.byType.html.bytes, Buffer.byteLength(html));
+    assert.deepEqual(
+      Object.fromEntries(Object.entries(weight.byType).map(([type, entry]) => [type, entry.requests])),
+      { html: 1, css: 1, js: 2, images: 4, fonts: 0 }
+    );
+    assert.ok(weight.byType.css.inlineBytes > 600);
+    assert.equal(weight.unmeasured, 7);
+    assert.equal(weight.totalBytes, Buffer.byteLength(html));
+  });
+
+  test('adds measured resource sizes', () => {
+    const { weight, criticalPath } = analyze(loadPage('ecommerce'), {
+      baseUrl: 'https://shop.example.com/',
+      resourceSizes: { 'https://shop.example.com/styles/shop.css': 4000, 'https://shop.example.com/img/mug.jpg': 90000 }
+    });
+    assert.equal(weight.byType.css.bytes, 4000);
+    assert.equal(weight.byType.images.bytes, 90000);
+    assert.equal(weight.byType.images.unmeasured, 3);
+    assert.equal(criticalPath.bytes, weight.byType.html.bytes + 4000);
+    assert.equal(criticalPath.unmeasured, 1);
+  });
+
+  test('ignores images inside noscript and data URIs when listing requests', () => {
+    const resources = listResources(parse('<img src="data:image/gif;base64,R0lGOD"><noscript><img src="/pixel.gif"></noscript><img src="/a.png"><img src="/a.png">'), 'https://example.com/');
+    assert.deepEqual(resources, [{ type: 'images', url: 'https://example.com/a.png' }]);
+  });
+
+  test('resolves against <base href> and picks up CSS backgrounds', () => {
+    const resources = listResources(parse(`<head><base href="/static/"><style>.hero { background: url("hero.webp") center; }</style></head>
+      <body><div style="background-image: url(bg.png)"></div></body>`), 'https://example.com/page');
+    assert.deepEqual(resources.map(resource => resource.url), ['https://example.com/static/hero.webp', 'https://example.com/static/bg.png']);
+  });
+
+  test('finds render-blocking stylesheets and classic scripts in head', () => {
+    const { renderBlocking, criticalPath } = analyze(`<html><head>
+      <link rel="stylesheet" href="/main.css">
+      <link rel="stylesheet" href="/print.css" media="print">
+      <style>@import url("/theme.css") screen;</style>
+      <script src="/legacy.js"></script>
+      <script src="/app.js" defer></script>
+      <script src="/lib.js" async></script>
+      <script type="module" src="/entry.js"></script>
+      <script type="application/ld+json">{}</script>
+    </head><body><script src="/late.js"></script></body></html>`, { baseUrl: 'https://example.com/' });
+
+    assert.equal(renderBlocking.count, 3);
+    assert.deepEqual(renderBlocking.stylesheets, [
+      { url: 'https://example.com/main.css', media: 'all' },
+      { url: 'https://example.com/theme.css', media: 'screen' }
+    ]);
+    assert.deepEqual(renderBlocking.scripts.map(script => script.url), ['https://example.com/legacy.js']);
+    assert.deepEqual({ requests: criticalPath.requests, roundTrips: criticalPath.roundTrips }, { requests: 4, roundTrips: 2 });
+  });
+
+  test('needs a single round trip when nothing blocks', () => {
+    const { renderBlocking, criticalPath } = analyze(loadPage('blog'));
+    assert.equal(renderBlocking.count, 0);
+    assert.equal(criticalPath.roundTrips, 1);
+  });
+
+  test('flags images without dimensions and every image after the first that is not lazy', () => {
+    const { images } = analyze(`<img src="/hero.jpg" width="1200" height="600">
+      <img src="/a.jpg" width="10" height="10" loading="lazy"><img src="/b.jpg" width="10"><img src="/c.jpg" loading="lazy">`);
+    assert.equal(images.total, 4);
+    assert.deepEqual(images.missingDimensionsList.map(image => image.src), ['/b.jpg', '/c.jpg']);
+    assert.deepEqual(images.notLazyList.map(image => image.src), ['/b.jpg']);
+  });
+
+  test('reports selectors that match nothing in the document', () => {
+    const { unusedCss } = analyze(`<style>
+      a:hover, .missing::before { color: red; }
+      ul > :first-child { margin: 0; }
+      .gone, .also-gone { display: none; }
+      @media (min-width: 600px) { .wide { width: 50%; } }
+      @keyframes spin { from { transform: rotate(0); } to { transform: rotate(360deg); } }
+    </style><ul><li><a href="/">Home</a></li></ul>`);
+
+    assert.deepEqual(unusedCss.selectors, ['.missing::before', '.gone', '.also-gone', '.wide']);
+    assert.equal(unusedCss.totalSelectors, 6);
+    assert.equal(unusedCss.percentage, 67);
+    // Only rules where no selector matched count toward the removable bytes
+    assert.equal(unusedCss.unusedBytes, '.gone, .also-gone { display: none; }'.length + '.wide { width: 50%; }'.length);
+  });
+
+  test('reads font-display from @font-face rules and Google Fonts links', () => {
+    const { fonts, weight } = analyze(FONT_PAGE, { baseUrl: 'https://example.com/' });
+    assert.deepEqual(fonts.faces, [
+      { family: 'Brand', display: 'auto' },
+      { family: 'Icons', display: 'block' },
+      { family: 'Body', display: 'swap' },
+      { family: 'Inter', display: 'swap', hosted: 'google' }
+    ]);
+    assert.equal(fonts.blockingDisplay, 2);
+    assert.equal(fonts.preloaded, 1);
+    // The preload and the first @font-face source are the same file
+    assert.equal(weight.byType.fonts.requests, 2);
+    assert.equal(weight.byType.fonts.inlineBytes, 6);
+  });
+});
+
+describe('comparePerformance', () => {
+  test('marks lower loading metrics as improvements', () => {
+    const before = analyze(loadPage('ecommerce'), { baseUrl: 'https://shop.example.com/' });
+    const after = analyze(`<html><head><style>.product-card { padding: 1rem; }</style></head><body>
+      <article class="product-card"><img src="/img/mug.jpg" width="300" height="300"></article></body></html>`, { baseUrl: 'https://shop.example.com/' });
+    const { metrics, renderBlocking, totals } = comparePerformance(before, after);
+    const byKey = Object.fromEntries(metrics.map(metric => [metric.key, metric]));
+
+    assert.deepEqual(byKey.renderBlocking, {
+      key: 'renderBlocking', label: 'Render-blocking resources', before: 2, after: 0, unit: '', better: 'lower', status: 'improved'
+    });
+    assert.equal(byKey.imageDimensions.status, 'improved');
+    assert.equal(byKey.blockingFonts.status, 'unchanged');
+    assert.deepEqual(renderBlocking.removed, ['https://shop.example.com/styles/shop.css', 'https://analytics.example.com/track.js']);
+    assert.equal(totals.regressed, 0);
+  });
+});
+
+describe('formatPerformanceForPrompt', () => {
+  test('lists only the problems found', () => {
+    const lines = formatPerformanceForPrompt(analyze(loadPage('ecommerce'))).split('\n');
+    assert.deepEqual(lines, [
+      '- 2 render-blocking resource(s) in <head>; defer scripts that don\'t need to run before first paint',
+      '- 4 image(s) without width/height attributes',
+      '- 3 image(s) below the first without loading="lazy"'
+    ]);
+    assert.equal(formatPerformanceForPrompt(analyze('<p>Plain</p>')), '- No loading issues found');
+  });
+});
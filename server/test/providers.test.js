@@ -0,0 +1,31 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, test } from 'node:test';
+import { outputTokenLimit, resolveProviderSettings } from '../providers.js';
+
+describe('resolveProviderSettings', () => {
+  afterEach(() => {
+    delete process.env.LLM_MAX_OUTPUT_TOKENS;
+  });
+
+  test('caps the output tokens at the model limit', () => {
+    assert.equal(resolveProviderSettings({ provider: 'openai' }).maxOutputTokens, 16384);
+    assert.equal(resolveProviderSettings({ provider: 'gemini', model: 'gemini-2.5-pro' }).maxOutputTokens, 32768);
+
+    process.env.LLM_MAX_OUTPUT_TOKENS = '2048';
+    assert.equal(resolveProviderSettings({ provider: 'openai', model: 'gpt-4o' }).maxOutputTokens, 2048);
+  });
+
+  test('leaves unknown models at the configured maximum', () => {
+    assert.equal(resolveProviderSettings({ provider: 'openai', model: 'llama3.1:8b' }).maxOutputTokens, 32768);
+  });
+});
+
+describe('outputTokenLimit', () => {
+  test('matches the most specific model family', () => {
+    assert.equal(outputTokenLimit('gpt-4o-mini'), 16384);
+    assert.equal(outputTokenLimit('gpt-4.1-nano'), 32768);
+    assert.equal(outputTokenLimit('gpt-4-turbo-preview'), 4096);
+    assert.equal(outputTokenLimit('gemini-2.0-flash'), 8192);
+    assert.equal(outputTokenLimit('gpt-4o1'), null);
+  });
+});
@@ -0,0 +1,517 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { startFakeOrigin } from './helpers/fake-origin.js';
+import { loadPage } from './helpers/fixtures.js';
+
+const SHOP_CSS = '/* shop */\n.product-card {\n  padding: 16px;\n}\n';
+const GALLERY_PAGE = `<html><head><base href="/gallery/"><link rel="stylesheet" href="../styles/gallery.css"></head>
+<body><img src="logo.png" srcset="logo.png 1x, logo@2x.png 2x"><a href="#top">Top</a><a href="about">About</a></body></html>`;
+const GALLERY_CSS = '@font-face { font-family: Brand; src: url("../fonts/brand.woff2"); }';
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452000000010000000108060000001f15c4890000000d4944415478da63f8cf00000301010018dd8db00000000049454e44ae426082', 'hex');
+
+let origin;
+let server;
+let api;
+let dataDir;
+let modelReply;
+
+before(async () => {
+  origin = await startFakeOrigin({
+    routes: {
+      '/shop': { body: loadPage('ecommerce') },
+      '/styles/shop.css': { type: 'text/css', body: SHOP_CSS },
+      '/img/mug.jpg': { type: 'image/jpeg', body: 'x'.repeat(2048) },
+      '/gallery': { body: GALLERY_PAGE },
+      '/styles/gallery.css': { type: 'text/css', body: GALLERY_CSS },
+      '/gallery/logo.png': { type: 'image/png', body: PNG },
+      '/fonts/brand.woff2': { type: 'application/octet-stream', body: 'wOF2' },
+      '/img/hero.jpg': { type: 'image/jpeg', body: 'x'.repeat(64 * 1024) },
+      '/blog': { body: loadPage('blog') },
+      '/old-shop': { status: 301, headers: { Location: '/shop' } },
+      '/app': { body: loadPage('spa-shell') },
+      '/down': { status: 503, body: 'Maintenance' }
+    },
+    model: prompt => modelReply(prompt)
+  });
+
+  // Read when the app and history modules load, so set them first
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ux-analyzer-test-'));
+  process.env.DATA_DIR = dataDir;
+  process.env.FETCH_ALLOW_HOSTS = '127.0.0.1';
+  process.env.LLM_PROVIDER = 'mock';
+  process.env.OPENAI_BASE_URL = `${origin.url}/v1`;
+
+  const { default: app } = await import('../index.js');
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  api = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await origin.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const fetchHtml = url => fetch(`${api}/fetch-html?url=${encodeURIComponent(url)}`);
+
+const analyze = body => fetch(`${api}/analyze-uiux`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+describe('GET /fetch-html', () => {
+  test('requires a url', async () => {
+    const res = await fetch(`${api}/fetch-html`);
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { error: 'Missing url parameter.' });
+  });
+
+  test('fetches the page and inlines its stylesheet', async () => {
+    const res = await fetchHtml(`${origin.url}/shop`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.renderMode, 'static');
+    assert.equal(body.warning, null);
+    assert.equal(body.originalSize, body.html.length);
+
+    const doc = new JSDOM(body.html).window.document;
+    assert.equal(doc.querySelector('link[rel="stylesheet"]'), null);
+    assert.ok([...doc.querySelectorAll('style')].some(style => style.textContent === '.product-card{padding:16px}'));
+    assert.equal(doc.querySelectorAll('.product-card').length, 3);
+    assert.deepEqual(body.stylesheets, [{
+      href: `${origin.url}/styles/shop.css`,
+      status: 'inlined',
+      media: 'all',
+      bytes: 27,
+      originalBytes: 27,
+      cache: 'miss'
+    }]);
+    assert.equal(body.cssBytes, 27);
+
+    const agents = origin.requests.filter(request => ['/shop', '/styles/shop.css'].includes(request.path)).map(request => request.headers['user-agent']);
+    assert.deepEqual([...new Set(agents)], ['Mozilla/5.0 (compatible; UIUXAnalyzer/1.0; +https://ui-ux-analyzer.vercel.app)']);
+  });
+
+  test('follows redirects on allowed hosts', async () => {
+    const body = await (await fetchHtml(`${origin.url}/old-shop`)).json();
+    assert.match(body.html, /Clay &amp; Kiln/);
+  });
+
+  test('leaves stylesheets it cannot load in place', async () => {
+    const body = await (await fetchHtml(`${origin.url}/app`)).json();
+    assert.equal(body.stylesheets[0].status, 'failed');
+    assert.equal(body.stylesheets[0].reason, 'HTTP 404');
+    const doc = new JSDOM(body.html).window.document;
+    assert.ok(doc.querySelector(`link[rel="stylesheet"][href="${origin.url}/assets/index-3f9a1c.css"]`));
+  });
+
+  test('makes asset URLs absolute, including those inside inlined stylesheets', async () => {
+    const body = await (await fetchHtml(`${origin.url}/gallery`)).json();
+    const doc = new JSDOM(body.html).window.document;
+
+    assert.equal(doc.querySelector('base'), null);
+    assert.equal(doc.querySelector('img').getAttribute('src'), `${origin.url}/gallery/logo.png`);
+    assert.equal(doc.querySelector('img').getAttribute('srcset'), `${origin.url}/gallery/logo.png 1x, ${origin.url}/gallery/logo@2x.png 2x`);
+    assert.deepEqual([...doc.querySelectorAll('a')].map(a => a.getAttribute('href')), ['#top', `${origin.url}/gallery/about`]);
+    assert.match(doc.querySelector('style').textContent, new RegExp(`url\\("${origin.url}/fonts/brand\\.woff2"\\)`));
+  });
+
+  test('reports origin errors', async () => {
+    const res = await fetchHtml(`${origin.url}/down`);
+    assert.equal(res.status, 500);
+    assert.match((await res.json()).error, /503/);
+  });
+
+  test('rejects hosts outside the allow list', async () => {
+    const res = await fetchHtml('http://example.com/');
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).code, 'HOST_NOT_ALLOWED');
+  });
+
+  test('rejects unsupported schemes', async () => {
+    const res = await fetchHtml('file:///etc/passwd');
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).code, 'UNSUPPORTED_SCHEME');
+  });
+});
+
+describe('POST /analyze-uiux', () => {
+  test('requires html', async () => {
+    const res = await analyze({});
+    assert.equal(res.status, 400);
+  });
+
+  test('validates the render mode and style options', async () => {
+    assert.equal((await analyze({ html: '<p>x</p>', renderMode: 'video' })).status, 400);
+    const res = await analyze({ html: '<p>x</p>', style: { preset: 'brutalist' } });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /style\.preset/);
+  });
+
+  test('analyzes a page with the mock provider and saves it', async () => {
+    const res = await analyze({ html: loadPage('ecommerce'), url: `${origin.url}/shop` });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+
+    assert.equal(body.processingMethod, 'summary-based');
+    assert.equal(body.provider.provider, 'mock');
+    assert.equal(body.websiteSummary.content.type, 'e-commerce');
+    assert.equal(body.websiteSummary.metadata.domain, '127.0.0.1');
+    assert.match(body.improvedHtml, /data-mock-provider/);
+    assert.equal(body.fidelity.passed, true);
+    assert.equal(body.warning, null);
+    assert.ok(body.analysisId);
+
+    const saved = await (await fetch(`${api}/analyses/${body.analysisId}`)).json();
+    assert.equal(saved.improvedHtml, body.improvedHtml);
+  });
+
+  test('does not save when asked not to', async () => {
+    const body = await (await analyze({ html: loadPage('blog'), save: false })).json();
+    assert.equal(body.analysisId, undefined);
+    assert.equal(body.websiteSummary.structure.layoutType, 'sidebar-layout');
+  });
+
+  test('sends the summary and clean template to the model', async () => {
+    let generated;
+    modelReply = prompt => {
+      generated = prompt.match(/<!DOCTYPE html>[\s\S]*<\/html>/i)[0].replace('</head>', '<style>.x { color: #123456; }</style></head>');
+      return `\`\`\`html\n${generated}\n\`\`\``;
+    };
+    const prompts = origin.prompts.length;
+
+    const body = await (await analyze({ html: loadPage('ecommerce'), provider: 'openai', save: false, bypassCache: true })).json();
+    const prompt = origin.prompts[prompts];
+
+    assert.equal(origin.prompts.length, prompts + 1);
+    assert.match(prompt, /Clay & Kiln — Handmade Ceramics/);
+    assert.match(prompt, /e-commerce/);
+    assert.doesNotMatch(prompt, /googletagmanager|analytics\.example\.com/);
+    assert.equal(body.processingMethod, 'summary-based');
+    assert.equal(body.improvedHtml, generated);
+    assert.equal(body.fidelity.attempts, 1);
+  });
+
+  test('retries once when the model drops content', async () => {
+    const replies = [
+      '<!DOCTYPE html><html><head><title>Shop</title></head><body><h1>Welcome</h1></body></html>',
+      null
+    ];
+    modelReply = prompt => replies.shift() ?? prompt.match(/<!DOCTYPE html>[\s\S]*?<\/html>/i)[0];
+
+    const body = await (await analyze({ html: loadPage('blog'), provider: 'openai', save: false, bypassCache: true })).json();
+    assert.equal(body.fidelity.attempts, 2);
+    assert.equal(body.fidelity.passed, true);
+    assert.match(body.improvedHtml, /Why 66 characters is still a good line length/);
+  });
+
+  test('falls back to the smart template when the model fails', async () => {
+    modelReply = () => ({ status: 500, type: 'application/json', body: '{"error":"overloaded"}' });
+
+    const res = await analyze({ html: loadPage('ecommerce'), provider: 'openai', save: false, bypassCache: true });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+
+    assert.equal(body.processingMethod, 'summary-based-fallback');
+    assert.match(body.warning, /^Used smart fallback: Chat completion failed: 500/);
+    assert.match(body.improvedHtml, /\.product-grid \{ display: grid;/);
+    assert.equal(body.fidelity.attempts, 0);
+  });
+});
+
+describe('caching', () => {
+  const page = `<!DOCTYPE html><html><head><title>Cached</title></head><body><h1>Cache me</h1><p>${'Steady copy. '.repeat(20)}</p></body></html>`;
+
+  test('serves repeat page and stylesheet fetches from the cache', async () => {
+    const first = await (await fetchHtml(`${origin.url}/gallery`)).json();
+    const second = await (await fetchHtml(`${origin.url}/gallery`)).json();
+
+    assert.equal(second.cache.page, 'hit');
+    assert.deepEqual(second.cache.stylesheets, { hit: 1 });
+    assert.equal(second.html, first.html);
+  });
+
+  test('refetches when the client asks to bypass the cache', async () => {
+    const requests = origin.requests.length;
+    const body = await (await fetch(`${api}/fetch-html?url=${encodeURIComponent(`${origin.url}/gallery`)}&bypassCache=1`)).json();
+
+    assert.equal(body.cache.page, 'bypass');
+    assert.deepEqual(origin.requests.slice(requests).map(request => request.path), ['/gallery', '/styles/gallery.css']);
+  });
+
+  test('reuses analyses with the same template, summary and model settings', async () => {
+    const first = await (await analyze({ html: page, save: false })).json();
+    const second = await (await analyze({ html: page, save: false })).json();
+    const warmer = await (await analyze({ html: page, temperature: 1.5, save: false })).json();
+
+    assert.equal(first.cache.status, 'miss');
+    assert.equal(second.cache.status, 'hit');
+    assert.equal(second.cache.key, first.cache.key);
+    assert.ok(second.cache.storedAt);
+    assert.equal(second.improvedHtml, first.improvedHtml);
+    assert.equal(warmer.cache.status, 'miss');
+  });
+
+  test('generates afresh with Cache-Control: no-cache', async () => {
+    const res = await fetch(`${api}/analyze-uiux`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' },
+      body: JSON.stringify({ html: page, save: false })
+    });
+    assert.equal((await res.json()).cache.status, 'bypass');
+  });
+
+  test('does not cache fallbacks', async () => {
+    const html = page.replace('Cache me', 'Fallback first');
+    modelReply = () => ({ status: 500, type: 'application/json', body: '{"error":"overloaded"}' });
+    const failed = await (await analyze({ html, provider: 'openai', save: false })).json();
+    modelReply = prompt => prompt.match(/<!DOCTYPE html>[\s\S]*<\/html>/i)[0];
+    const retried = await (await analyze({ html, provider: 'openai', save: false })).json();
+
+    assert.equal(failed.processingMethod, 'summary-based-fallback');
+    assert.equal(retried.processingMethod, 'summary-based');
+    assert.equal(retried.cache.status, 'miss');
+  });
+});
+
+describe('API keys', () => {
+  const ADMIN = { Authorization: 'Bearer admin-secret' };
+  const call = (route, { key, method = 'GET', body, headers = {} } = {}) => fetch(`${api}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(key && { 'X-API-Key': key }), ...headers },
+    body: body && JSON.stringify(body)
+  });
+  const issue = async body => (await call('/admin/keys', { method: 'POST', headers: ADMIN, body })).json();
+
+  before(() => {
+    process.env.API_AUTH = 'on';
+    process.env.ADMIN_API_KEY = 'admin-secret';
+  });
+
+  after(() => {
+    delete process.env.API_AUTH;
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  test('requires a key everywhere but /health', async () => {
+    const res = await call('/analyses');
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).code, 'API_KEY_REQUIRED');
+    assert.equal((await call('/analyses', { key: 'uxa_made-up' })).status, 401);
+    assert.equal((await call('/health')).status, 200);
+  });
+
+  test('only lets admins issue keys', async () => {
+    const res = await call('/admin/keys', { method: 'POST', headers: { Authorization: 'Bearer nope' }, body: { name: 'x' } });
+    assert.equal(res.status, 401);
+
+    const invalid = await call('/admin/keys', { method: 'POST', headers: ADMIN, body: { name: 'x', scopes: ['root'] } });
+    assert.equal(invalid.status, 400);
+    assert.match((await invalid.json()).error, /Unknown scopes: root/);
+
+    const created = await call('/admin/keys', { method: 'POST', headers: ADMIN, body: { name: 'Reader', scopes: ['history'] } });
+    assert.equal(created.status, 201);
+    const body = await created.json();
+    assert.match(body.key, /^uxa_/);
+    assert.deepEqual(body.limits, { rateLimit: 30, dailyRequests: 500, dailyTokens: 2000000 });
+    assert.equal((await call('/admin/keys', { key: body.key })).status, 403);
+  });
+
+  test('checks scopes', async () => {
+    const { key } = await issue({ name: 'History only', scopes: ['history'] });
+    assert.equal((await call('/analyses', { key })).status, 200);
+
+    const res = await call('/analyze-uiux', { key, method: 'POST', body: { html: '<p>x</p>' } });
+    assert.equal(res.status, 403);
+    assert.deepEqual(await res.json(), { error: 'API key is missing the analyze scope.', code: 'SCOPE_REQUIRED' });
+
+    const analyst = await issue({ name: 'Analyze only', scopes: ['analyze'] });
+    assert.equal((await call('/audit', { key: analyst.key, method: 'POST', body: { html: '<p>x</p>' } })).status, 200);
+  });
+
+  test('rate limits per key with Retry-After', async () => {
+    const { key } = await issue({ name: 'Bursty', rateLimit: 2 });
+    assert.equal((await call('/analyses', { key })).headers.get('X-RateLimit-Remaining'), '1');
+    await call('/analyses', { key });
+    const res = await call('/analyses', { key });
+
+    assert.equal(res.status, 429);
+    assert.equal((await res.json()).code, 'RATE_LIMITED');
+    assert.ok(Number(res.headers.get('Retry-After')) > 0);
+  });
+
+  test('enforces daily request and model token quotas', async () => {
+    const requests = await issue({ name: 'One a day', dailyRequests: 1 });
+    await call('/analyses', { key: requests.key });
+    const res = await call('/analyses', { key: requests.key });
+    assert.equal(res.status, 429);
+    assert.match((await res.json()).error, /Daily quota of 1 requests/);
+    assert.ok(Number(res.headers.get('Retry-After')) <= 86400);
+
+    const tokens = await issue({ name: 'Small model budget', dailyTokens: 100 });
+    const body = { html: loadPage('blog'), save: false, bypassCache: true };
+    assert.equal((await call('/analyze-uiux', { key: tokens.key, method: 'POST', body })).status, 200);
+    assert.equal((await call('/analyze-uiux', { key: tokens.key, method: 'POST', body })).status, 429);
+
+    const usage = await (await call(`/admin/keys/${tokens.id}`, { headers: ADMIN })).json();
+    assert.equal(usage.today.requests, 1);
+    assert.ok(usage.today.tokens > 100);
+  });
+
+  test('revoked keys stop working', async () => {
+    const { id, key } = await issue({ name: 'Leaked' });
+    const revoked = await call(`/admin/keys/${id}`, { method: 'DELETE', headers: ADMIN });
+    assert.ok((await revoked.json()).revokedAt);
+
+    const res = await call('/analyses', { key });
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).code, 'API_KEY_INVALID');
+    const listed = await (await call('/admin/keys', { headers: ADMIN })).json();
+    assert.ok(listed.keys.some(entry => entry.id === id && entry.revokedAt));
+  });
+
+  test('keeps analyses and crawl jobs to the key that created them', async () => {
+    const owner = await issue({ name: 'Owner' });
+    const other = await issue({ name: 'Other' });
+
+    const saved = await (await call('/analyze-uiux', { key: owner.key, method: 'POST', body: { html: loadPage('blog') } })).json();
+    const crawl = await (await call('/crawl', { key: owner.key, method: 'POST', body: { url: `${origin.url}/shop`, maxPages: 1 } })).json();
+
+    const seen = async key => ({
+      analyses: (await (await call('/analyses', { key })).json()).analyses.map(entry => entry.id),
+      jobs: (await (await call('/crawl', { key })).json()).jobs.map(job => job.id)
+    });
+    assert.deepEqual(await seen(owner.key), { analyses: [saved.analysisId], jobs: [crawl.id] });
+    assert.deepEqual(await seen(other.key), { analyses: [], jobs: [] });
+
+    assert.equal((await call(`/analyses/${saved.analysisId}`, { key: other.key })).status, 404);
+    assert.equal((await call(`/analyses/${saved.analysisId}/export`, { key: other.key })).status, 404);
+    assert.equal((await call(`/analyses/${saved.analysisId}`, { key: other.key, method: 'DELETE' })).status, 404);
+    assert.equal((await call(`/crawl/${crawl.id}`, { key: other.key })).status, 404);
+    assert.equal((await call(`/crawl/${crawl.id}`, { key: other.key, method: 'DELETE' })).status, 404);
+
+    const admin = await (await call('/analyses', { headers: ADMIN })).json();
+    assert.ok(admin.analyses.some(entry => entry.id === saved.analysisId));
+    assert.equal((await call(`/analyses/${saved.analysisId}`, { key: owner.key })).status, 200);
+  });
+
+  test('rejects oversized bodies', async () => {
+    const res = await call('/analyze-uiux', { headers: ADMIN, method: 'POST', body: { html: 'x'.repeat(6 * 1024 * 1024) } });
+    assert.equal(res.status, 413);
+  });
+});
+
+describe('POST /crawl', () => {
+  test('identifies itself with the agent its robots.txt rules are read for', async () => {
+    const res = await fetch(`${api}/crawl`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: `${origin.url}/blog`, maxPages: 1 })
+    });
+    assert.equal(res.status, 202);
+    const { id } = await res.json();
+
+    let job;
+    for (let attempt = 0; attempt < 100; attempt++) {
+      job = await (await fetch(`${api}/crawl/${id}`)).json();
+      if (job.finishedAt) break;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    assert.equal(job.status, 'completed');
+
+    const agents = origin.requests
+      .filter(request => ['/robots.txt', '/blog'].includes(request.path))
+      .map(request => request.headers['user-agent']);
+    assert.ok(agents.length >= 2);
+    assert.ok(agents.every(agent => agent.includes('UIUXAnalyzerBot/1.0')), agents.join(', '));
+  });
+});
+
+describe('GET /config', () => {
+  test('shows the effective non-secret settings', async () => {
+    const body = await (await fetch(`${api}/config`)).json();
+
+    assert.equal(body.llm.provider, 'mock');
+    assert.equal(body.css.maxTotalBytes, 80000);
+    assert.equal(body.auth.mode, 'off');
+    assert.deepEqual(body.renderModes, ['static', 'rendered']);
+    assert.ok(body.providers.some(provider => provider.name === 'mock' && provider.ready));
+    assert.equal(body.server.dataDir, undefined);
+    assert.equal(body.fetch.allowHosts, undefined);
+    assert.doesNotMatch(JSON.stringify(body), new RegExp(dataDir.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&')));
+  });
+});
+
+describe('POST /performance', () => {
+  const audit = body => fetch(`${api}/performance`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  test('requires html, and a url to measure against', async () => {
+    assert.equal((await audit({})).status, 400);
+    assert.equal((await audit({ html: '<p>x</p>', measure: true })).status, 400);
+  });
+
+  test('compares the original and improved page', async () => {
+    const improvedHtml = '<html><head></head><body><img src="/img/mug.jpg" width="300" height="300"></body></html>';
+    const body = await (await audit({ html: loadPage('ecommerce'), improvedHtml })).json();
+
+    assert.equal(body.original.renderBlocking.count, 2);
+    assert.equal(body.improved.renderBlocking.count, 0);
+    assert.equal(body.comparison.metrics.find(metric => metric.key === 'renderBlocking').status, 'improved');
+    assert.equal(body.measured, 0);
+  });
+
+  test('downloads resources on allowed hosts to weigh them', async () => {
+    const body = await (await audit({ html: loadPage('ecommerce'), url: `${origin.url}/shop`, measure: true })).json();
+    const { byType } = body.original.weight;
+
+    assert.equal(byType.css.bytes, SHOP_CSS.length);
+    assert.equal(byType.images.bytes, 2048);
+    // The other images 404 and the analytics hosts are outside the allow list
+    assert.equal(body.original.weight.unmeasured, 5);
+    assert.equal(body.measured, 2);
+    assert.equal(body.improved, null);
+  });
+});
+
+describe('POST /bundle', () => {
+  const bundle = body => fetch(`${api}/bundle`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  test('requires improvedHtml and a sane asset limit', async () => {
+    assert.equal((await bundle({})).status, 400);
+    assert.equal((await bundle({ improvedHtml: '<p>x</p>', maxAssetBytes: -1 })).status, 400);
+  });
+
+  test('embeds small images and fonts and links the rest', async () => {
+    const res = await bundle({
+      improvedHtml: `<html><head><style>@font-face { font-family: Brand; src: url(/fonts/brand.woff2); }</style></head>
+        <body><img src="gallery/logo.png"><img src="/img/hero.jpg"><img src="/img/missing.png"></body></html>`,
+      url: `${origin.url}/shop`
+    });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-disposition'), /improved-website\.html/);
+    assert.equal(res.headers.get('x-embedded-assets'), '2');
+    assert.equal(res.headers.get('x-skipped-assets'), '2');
+
+    const doc = new JSDOM(await res.text()).window.document;
+    const sources = [...doc.querySelectorAll('img')].map(img => img.getAttribute('src'));
+    assert.equal(sources[0], `data:image/png;base64,${PNG.toString('base64')}`);
+    assert.equal(sources[1], `${origin.url}/img/hero.jpg`);
+    assert.equal(sources[2], `${origin.url}/img/missing.png`);
+    assert.match(doc.querySelector('style').textContent, /url\(data:font\/woff2;base64,d09GMg==\)/);
+  });
+});
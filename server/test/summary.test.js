@@ -0,0 +1,155 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { JSDOM } from 'jsdom';
+import {
+  analyzeDesign,
+  analyzeFormLabels,
+  analyzeHeadingStructure,
+  analyzeStructure,
+  extractContent,
+  extractMetadata,
+  generateWebsiteSummary
+} from '../summary.js';
+import { FIXTURE_PAGES, loadDocument, loadPage, matchSnapshot } from './helpers/fixtures.js';
+
+const parse = html => new JSDOM(html).window.document;
+
+describe('generateWebsiteSummary', () => {
+  for (const name of FIXTURE_PAGES) {
+    test(`${name} matches its golden summary`, () => {
+      matchSnapshot(`${name}.summary`, generateWebsiteSummary(loadPage(name), `https://${name}.example.com/`));
+    });
+  }
+
+  test('records the render mode', () => {
+    assert.equal(generateWebsiteSummary('<p>x</p>').renderMode, 'static');
+    assert.equal(generateWebsiteSummary('<p>x</p>', '', { renderMode: 'rendered' }).renderMode, 'rendered');
+  });
+});
+
+describe('extractMetadata', () => {
+  test('reads title, description, keywords, language and viewport', () => {
+    const metadata = extractMetadata(loadDocument('ecommerce'), 'https://shop.example.com/products?page=2');
+    assert.deepEqual(metadata, {
+      title: 'Clay & Kiln — Handmade Ceramics',
+      description: 'Handmade ceramics shipped worldwide',
+      keywords: 'ceramics, mugs, bowls',
+      domain: 'shop.example.com',
+      language: 'en',
+      viewport: 'width=device-width, initial-scale=1'
+    });
+  });
+
+  test('falls back when the head is empty', () => {
+    assert.deepEqual(extractMetadata(parse('<p>hi</p>'), ''), {
+      title: 'Untitled',
+      description: '',
+      keywords: '',
+      domain: '',
+      language: 'en',
+      viewport: 'missing'
+    });
+  });
+
+  test('trims the title of malformed pages', () => {
+    assert.equal(extractMetadata(loadDocument('malformed'), '').title, 'Acme   Services');
+  });
+});
+
+describe('analyzeStructure', () => {
+  test('detects landmarks by element and by common class names', () => {
+    const structure = analyzeStructure(loadDocument('malformed'));
+    assert.equal(structure.hasHeader, true);
+    assert.equal(structure.hasNav, true);
+    assert.equal(structure.hasFooter, true);
+    assert.equal(structure.hasMain, false);
+  });
+
+  test('prefers sidebar, then multi-section, then article layouts', () => {
+    assert.equal(analyzeStructure(loadDocument('blog')).layoutType, 'sidebar-layout');
+    assert.equal(analyzeStructure(parse('<section></section>'.repeat(4))).layoutType, 'multi-section');
+    assert.equal(analyzeStructure(loadDocument('ecommerce')).layoutType, 'article-based');
+    assert.equal(analyzeStructure(loadDocument('spa-shell')).layoutType, 'simple-page');
+  });
+});
+
+describe('extractContent', () => {
+  test('counts content and keeps the first headings of each level', () => {
+    const content = extractContent(loadDocument('ecommerce'));
+    assert.deepEqual(content.headings.h1, ['Handmade ceramics for everyday use']);
+    assert.deepEqual(content.headings.h2, ['New arrivals', 'Join the studio list']);
+    assert.equal(content.imageCount, 5);
+    assert.equal(content.formCount, 1);
+    assert.equal(content.buttonCount, 4);
+  });
+
+  test('classifies the page from its text', () => {
+    assert.equal(extractContent(loadDocument('ecommerce')).type, 'e-commerce');
+    assert.equal(extractContent(parse('<p>Read the blog</p>')).type, 'blog');
+    assert.equal(extractContent(loadDocument('malformed')).type, 'business');
+    assert.equal(extractContent(parse('<form><input></form>')).type, 'application');
+    assert.equal(extractContent(parse('<p>Opening hours: 9 to 5</p>')).type, 'informational');
+  });
+});
+
+describe('analyzeDesign', () => {
+  test('reads colors, fonts and layout features from inline CSS', () => {
+    const design = analyzeDesign(loadDocument('ecommerce'));
+    assert.ok(design.colors.includes('#b45309'));
+    assert.equal(design.fonts[0], 'Work Sans, Helvetica, Arial, sans-serif');
+    assert.equal(design.hasGridLayout, true);
+    assert.equal(design.hasFlexLayout, true);
+    assert.equal(design.hasResponsive, true);
+    assert.equal(design.hasAnimations, true);
+    assert.equal(design.designSystem, 'custom');
+  });
+
+  test('detects frameworks from class names and stylesheets', () => {
+    assert.equal(analyzeDesign(parse('<body class="bootstrap"></body>')).designSystem, 'bootstrap');
+    assert.equal(analyzeDesign(parse('<style>/* tailwind */</style>')).designSystem, 'tailwind');
+  });
+
+  test('copes with unparsable CSS', () => {
+    const design = analyzeDesign(loadDocument('malformed'));
+    assert.ok(Array.isArray(design.colors));
+    assert.equal(design.hasResponsive, false);
+  });
+});
+
+describe('analyzeHeadingStructure', () => {
+  test('accepts a single h1 with no skipped levels', () => {
+    assert.deepEqual(analyzeHeadingStructure(parse('<h1>a</h1><h2>b</h2><h3>c</h3><h2>d</h2>')), {
+      hasH1: true,
+      multipleH1: false,
+      properHierarchy: true
+    });
+  });
+
+  test('flags skipped levels and repeated h1s', () => {
+    assert.equal(analyzeHeadingStructure(loadDocument('blog')).properHierarchy, false);
+    assert.deepEqual(analyzeHeadingStructure(loadDocument('malformed')), {
+      hasH1: true,
+      multipleH1: true,
+      properHierarchy: false
+    });
+  });
+
+  test('reports a missing h1', () => {
+    assert.equal(analyzeHeadingStructure(loadDocument('spa-shell')).hasH1, false);
+  });
+});
+
+describe('analyzeFormLabels', () => {
+  test('counts labelled controls', () => {
+    // Only the email field has a label; the placeholder-only coupon field and the submit input don't
+    assert.deepEqual(analyzeFormLabels(loadDocument('ecommerce')), { total: 3, labeled: 1, percentage: 33 });
+  });
+
+  test('treats a page without controls as fully labelled', () => {
+    assert.deepEqual(analyzeFormLabels(loadDocument('blog')), { total: 0, labeled: 0, percentage: 100 });
+  });
+
+  test('finds no labels on malformed forms', () => {
+    assert.deepEqual(analyzeFormLabels(loadDocument('malformed')), { total: 3, labeled: 0, percentage: 0 });
+  });
+});
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { generateWebsiteSummary } from '../summary.js';
+import { createCleanTemplate, createSmartFallback } from '../templates.js';
+import { loadPage } from './helpers/fixtures.js';
+
+const parse = html => new JSDOM(html).window.document;
+
+describe('createCleanTemplate', () => {
+  test('drops analytics and async scripts, noscript and ad slots', () => {
+    const doc = parse(createCleanTemplate(loadPage('ecommerce')));
+    assert.equal(doc.querySelector('script[src*="googletagmanager"]'), null);
+    assert.equal(doc.querySelector('script[src*="analytics"]'), null);
+    assert.equal(doc.querySelector('noscript'), null);
+  });
+
+  test('keeps content, styles and stylesheet links', () => {
+    const doc = parse(createCleanTemplate(loadPage('ecommerce')));
+    assert.equal(doc.querySelectorAll('.product-card').length, 3);
+    assert.equal(doc.querySelectorAll('style').length, 1);
+    assert.ok(doc.querySelector('link[rel="stylesheet"][href="/styles/shop.css"]'));
+    assert.equal(doc.querySelector('h1').textContent, 'Handmade ceramics for everyday use');
+  });
+
+  test('drops the source of inlined stylesheets but keeps their CSS', () => {
+    const style = parse(createCleanTemplate('<style data-ux-source="https://a.example/a.css" data-ux-bytes="9">p{margin:0}</style>'))
+      .querySelector('style');
+    assert.equal(style.outerHTML, '<style>p{margin:0}</style>');
+  });
+
+  test('removes ad containers', () => {
+    const doc = parse(createCleanTemplate('<main><p>Story</p><div class="ads">Buy</div><aside data-ad>Ad</aside></main>'));
+    assert.equal(doc.querySelector('main').textContent, 'Story');
+  });
+
+  test('keeps module scripts that a page needs to boot', () => {
+    const doc = parse(createCleanTemplate(loadPage('spa-shell')));
+    assert.ok(doc.querySelector('script[type="module"]'));
+    assert.ok(doc.querySelector('#root'));
+  });
+
+  test('returns a complete document for malformed markup', () => {
+    const html = createCleanTemplate(loadPage('malformed'));
+    assert.match(html, /^<html><head>/);
+    assert.match(html, /<\/body><\/html>$/);
+    assert.equal(parse(html).querySelectorAll('h1').length, 2);
+  });
+});
+
+describe('createSmartFallback', () => {
+  const fallbackFor = name => {
+    const template = createCleanTemplate(loadPage(name));
+    return parse(createSmartFallback(template, generateWebsiteSummary(loadPage(name))));
+  };
+
+  test('appends one stylesheet and leaves the content alone', () => {
+    const doc = fallbackFor('blog');
+    const original = parse(loadPage('blog'));
+    assert.equal(doc.querySelectorAll('style').length, original.querySelectorAll('style').length + 1);
+    assert.equal(doc.body.textContent, original.body.textContent);
+  });
+
+  test('uses the page font and adds responsive rules', () => {
+    const css = fallbackFor('ecommerce').querySelector('style:last-of-type').textContent;
+    assert.match(css, /font-family: Work Sans, Helvetica, Arial, sans-serif;/);
+    assert.match(css, /@media \(max-width: 768px\)/);
+  });
+
+  test('adds a two-column grid for sidebar layouts', () => {
+    const css = fallbackFor('blog').querySelector('style:last-of-type').textContent;
+    assert.match(css, /grid-template-columns: 250px 1fr/);
+  });
+
+  test('adds product grid and button styles for shops without a sidebar', () => {
+    const css = fallbackFor('ecommerce').querySelector('style:last-of-type').textContent;
+    assert.match(css, /\.product-grid \{ display: grid;/);
+    assert.match(css, /\.btn-primary/);
+  });
+
+  test('falls back to a system font stack when the page declares none', () => {
+    const css = fallbackFor('spa-shell').querySelector('style:last-of-type').textContent;
+    assert.match(css, /font-family: -apple-system, BlinkMacSystemFont/);
+  });
+});
@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { assertUrlAllowed, isPrivateAddress, UrlPolicyError } from '../url-policy.js';
+
+const policy = { allowHosts: [], denyHosts: [], maxRedirects: 5, maxBytes: 1024 };
+
+describe('isPrivateAddress', () => {
+  test('blocks private, loopback and reserved ranges', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '169.254.169.254', '::1', '::', 'fd00::1', '::ffff:127.0.0.1']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  test('blocks IPv4-compatible IPv6 addresses', () => {
+    assert.equal(isPrivateAddress('::7f00:1'), true);
+    assert.equal(isPrivateAddress('::a9fe:a9fe'), true);
+  });
+
+  test('allows public addresses', () => {
+    for (const address of ['93.184.216.34', '2606:4700::6810:85e5']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+});
+
+describe('assertUrlAllowed', () => {
+  test('rejects every spelling of a loopback literal', async () => {
+    for (const url of ['http://127.0.0.1/', 'http://[::1]/', 'http://[::ffff:7f00:1]/', 'http://[::127.0.0.1]/']) {
+      await assert.rejects(assertUrlAllowed(url, policy), error => error instanceof UrlPolicyError && error.code === 'PRIVATE_ADDRESS', url);
+    }
+  });
+});
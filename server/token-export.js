@@ -0,0 +1,196 @@
+export const TOKEN_FORMATS = {
+  w3c: { extension: 'tokens.json', contentType: 'application/json' },
+  css: { extension: 'tokens.css', contentType: 'text/css' },
+  tailwind: { extension: 'tailwind.config.js', contentType: 'text/javascript' }
+};
+
+const SIZE_NAMES = ['xs', 'sm', 'base', 'lg', 'xl', '2xl', '3xl', '4xl', '5xl', '6xl', '7xl', '8xl', '9xl'];
+const RADIUS_NAMES = ['sm', 'DEFAULT', 'md', 'lg', 'xl', '2xl', '3xl'];
+const SHADOW_NAMES = ['sm', 'DEFAULT', 'md', 'lg', 'xl', '2xl'];
+const BREAKPOINT_NAMES = ['sm', 'md', 'lg', 'xl', '2xl', '3xl'];
+
+/**
+ * Give extracted tokens stable names shared by every export format
+ */
+export function nameTokens(tokens) {
+  const familyCounts = {};
+  const colors = tokens.colors.map(color => {
+    familyCounts[color.family] = (familyCounts[color.family] || 0) + 1;
+    const value = color.alpha < 1 ? withAlpha(color.value, color.alpha) : color.value;
+    return { name: `${color.family}-${familyCounts[color.family]}`, value, usage: color.usage };
+  });
+
+  const usedFontNames = {};
+  const fonts = tokens.fonts.stacks.slice(0, 6).map(({ families, usage }) => {
+    const generic = families.at(-1)?.toLowerCase();
+    let name = generic === 'monospace' ? 'mono' : generic === 'serif' ? 'serif' : generic === 'sans-serif' ? 'sans' : 'display';
+    usedFontNames[name] = (usedFontNames[name] || 0) + 1;
+    if (usedFontNames[name] > 1) name = `${name}-${usedFontNames[name]}`;
+    return { name, value: families, usage };
+  });
+
+  // Anchor "base" on the most used size (closest to 16px on ties) so the names read like a type scale
+  const sizes = tokens.typeScale.sizes;
+  const isBetterBase = (entry, best) => entry.usage > best.usage
+    || (entry.usage === best.usage && Math.abs(entry.value - 16) < Math.abs(best.value - 16));
+  const baseIndex = sizes.length
+    ? sizes.indexOf(sizes.reduce((best, entry) => (isBetterBase(entry, best) ? entry : best), sizes[0]))
+    : 0;
+  const offset = SIZE_NAMES.indexOf('base') - baseIndex;
+  const fontSizes = sizes.map((entry, index) => ({
+    name: SIZE_NAMES[index + offset] || `size-${entry.value}`,
+    value: `${entry.value}px`,
+    usage: entry.usage
+  }));
+
+  const spacing = tokens.spacing.values.map(entry => ({
+    name: String(Math.round((entry.value / 4) * 100) / 100).replace('.', '_'),
+    value: `${entry.value}px`,
+    usage: entry.usage
+  }));
+
+  const radii = [...tokens.radii]
+    .sort((a, b) => radiusPx(a.value) - radiusPx(b.value))
+    .map((entry, index) => ({
+      name: radiusPx(entry.value) >= 999 || entry.value === '50%' ? 'full' : RADIUS_NAMES[index] || `r${index + 1}`,
+      value: typeof entry.value === 'number' ? `${entry.value}px` : entry.value,
+      usage: entry.usage
+    }))
+    .filter((entry, index, list) => list.findIndex(other => other.name === entry.name) === index);
+
+  const shadows = tokens.shadows.slice(0, SHADOW_NAMES.length).map((entry, index) => ({
+    name: SHADOW_NAMES[index],
+    value: entry.value,
+    usage: entry.usage
+  }));
+
+  const breakpoints = tokens.breakpoints.slice(0, BREAKPOINT_NAMES.length).map((entry, index) => ({
+    name: BREAKPOINT_NAMES[index],
+    value: `${entry.value}px`,
+    usage: entry.usage
+  }));
+
+  return { colors, fonts, fontSizes, spacing, radii, shadows, breakpoints };
+}
+
+/**
+ * W3C Design Tokens Community Group format
+ */
+export function toW3CTokens(tokens) {
+  const named = nameTokens(tokens);
+  const group = (type, entries, value = entry => entry.value) => Object.fromEntries(entries.map(entry => [
+    entry.name,
+    { $type: type, $value: value(entry), $description: describeUsage(entry.usage) }
+  ]));
+
+  return {
+    color: group('color', named.colors),
+    fontFamily: group('fontFamily', named.fonts),
+    fontSize: group('dimension', named.fontSizes),
+    spacing: group('dimension', named.spacing),
+    borderRadius: group('dimension', named.radii),
+    shadow: Object.fromEntries(named.shadows.map(entry => {
+      const layers = parseShadow(entry.value);
+      return [entry.name, layers
+        ? { $type: 'shadow', $value: layers.length === 1 ? layers[0] : layers, $description: describeUsage(entry.usage) }
+        : { $value: entry.value, $description: `Unparsed box-shadow. ${describeUsage(entry.usage)}` }];
+    })),
+    breakpoint: group('dimension', named.breakpoints)
+  };
+}
+
+/**
+ * :root custom properties. Breakpoints are included for reference even though
+ * custom properties can't be used inside @media conditions.
+ */
+export function toCssVariables(tokens) {
+  const named = nameTokens(tokens);
+  const section = (title, prefix, entries, format = entry => entry.value) => entries.length
+    ? [`  /* ${title} */`, ...entries.map(entry => `  --${prefix}-${entry.name.toLowerCase()}: ${format(entry)};`), '']
+    : [];
+
+  const lines = [
+    ...section('Colors, ranked by usage', 'color', named.colors),
+    ...section('Font stacks', 'font', named.fonts, entry => entry.value.map(quoteFamily).join(', ')),
+    ...section('Type scale', 'text', named.fontSizes),
+    ...section('Spacing', 'space', named.spacing),
+    ...section('Border radius', 'radius', named.radii),
+    ...section('Shadows', 'shadow', named.shadows),
+    ...section('Breakpoints (reference only)', 'breakpoint', named.breakpoints)
+  ];
+  if (lines.at(-1) === '') lines.pop();
+
+  return `:root {\n${lines.join('\n')}\n}\n`;
+}
+
+/**
+ * Tailwind theme extension; values are added next to Tailwind's defaults
+ */
+export function toTailwindConfig(tokens) {
+  const named = nameTokens(tokens);
+  const map = (entries, value = entry => entry.value) => Object.fromEntries(entries.map(entry => [entry.name, value(entry)]));
+
+  const theme = {
+    extend: {
+      colors: map(named.colors),
+      fontFamily: map(named.fonts),
+      fontSize: map(named.fontSizes),
+      spacing: map(named.spacing),
+      borderRadius: map(named.radii),
+      boxShadow: map(named.shadows),
+      screens: map(named.breakpoints)
+    }
+  };
+
+  return `/** @type {import('tailwindcss').Config} */\nexport default ${JSON.stringify({ theme }, null, 2)};\n`;
+}
+
+/**
+ * Serialize tokens in one of TOKEN_FORMATS
+ */
+export function exportTokens(tokens, format) {
+  switch (format) {
+    case 'w3c':
+      return `${JSON.stringify(toW3CTokens(tokens), null, 2)}\n`;
+    case 'css':
+      return toCssVariables(tokens);
+    case 'tailwind':
+      return toTailwindConfig(tokens);
+    default:
+      throw new Error(`Unknown token format "${format}". Use one of: ${Object.keys(TOKEN_FORMATS).join(', ')}`);
+  }
+}
+
+function describeUsage(count) {
+  return `Used ${count} time${count === 1 ? '' : 's'}`;
+}
+
+function withAlpha(hex, alpha) {
+  return `${hex}${Math.round(alpha * 255).toString(16).padStart(2, '0')}`;
+}
+
+function radiusPx(value) {
+  return typeof value === 'number' ? value : 999;
+}
+
+function quoteFamily(family) {
+  return /^[\w-]+$/.test(family) ? family : `"${family}"`;
+}
+
+/**
+ * "0 1px 2px rgba(0,0,0,.1), inset ..." → W3C shadow objects; null if any layer
+ * doesn't look like offset-x offset-y [blur [spread]] color
+ */
+function parseShadow(value) {
+  const layers = value.split(/,(?![^(]*\))/).map(layer => layer.trim());
+  const parsed = layers.map(layer => {
+    const inset = /\binset\b/.test(layer);
+    const rest = layer.replace(/\binset\b/, '').trim();
+    const color = rest.match(/(#[0-9a-f]{3,8}|(?:rgba?|hsla?)\([^)]*\)|\b[a-z]+\b)$/i)?.[0];
+    const lengths = (color ? rest.slice(0, -color.length) : rest).trim().split(/\s+/).filter(Boolean);
+    if (lengths.length < 2 || lengths.length > 4 || !lengths.every(length => /^-?[\d.]+(px|r?em)?$/.test(length))) return null;
+    const [offsetX, offsetY, blur = '0px', spread = '0px'] = lengths.map(length => (/^-?[\d.]+$/.test(length) ? `${length}px` : length));
+    return { color: color || '#000000', offsetX, offsetY, blur, spread, ...(inset ? { inset: true } : {}) };
+  });
+  return parsed.every(Boolean) ? parsed : null;
+}
@@ -0,0 +1,227 @@
+import fetch from 'node-fetch';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { getConfig } from './config.js';
+
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+// ::/96 covers the unspecified and loopback addresses and IPv4-compatible
+// literals like [::127.0.0.1], which URL parsing turns into [::7f00:1]
+[
+  ['::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['2001:db8::', 32], ['64:ff9b::', 96]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Raised when a URL or one of its redirects violates the fetch policy.
+ * `status` is the HTTP status routes should answer with.
+ */
+export class UrlPolicyError extends Error {
+  constructor(code, message, status = 403) {
+    super(message);
+    this.name = 'UrlPolicyError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Policy settings from config: host lists plus limits
+ */
+export function getUrlPolicy() {
+  const { allowHosts, denyHosts, maxRedirects, maxBytes } = getConfig().fetch;
+  return {
+    allowHosts: normalizeHosts(allowHosts),
+    denyHosts: normalizeHosts(denyHosts),
+    maxRedirects,
+    maxBytes
+  };
+}
+
+/**
+ * Check scheme, host lists and resolved addresses before any request is made.
+ * Hosts on the allow list are trusted even when they resolve to private ranges.
+ */
+export async function assertUrlAllowed(rawUrl, policy = getUrlPolicy()) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    throw new UrlPolicyError('INVALID_URL', `"${rawUrl}" is not a valid URL`, 400);
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new UrlPolicyError('UNSUPPORTED_SCHEME', `Only http and https URLs can be fetched (got ${url.protocol})`, 400);
+  }
+  if (url.username || url.password) {
+    throw new UrlPolicyError('CREDENTIALS_IN_URL', 'URLs with embedded credentials are not allowed', 400);
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (matchesHost(hostname, policy.denyHosts)) {
+    throw new UrlPolicyError('HOST_DENIED', `Fetching from ${hostname} is not allowed`);
+  }
+
+  const trusted = matchesHost(hostname, policy.allowHosts);
+  if (policy.allowHosts.length > 0 && !trusted) {
+    throw new UrlPolicyError('HOST_NOT_ALLOWED', `${hostname} is not on the list of allowed hosts`);
+  }
+
+  if (!trusted) {
+    const addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIP(hostname) }]
+      : await resolveHost(hostname);
+    addresses.forEach(({ address }) => assertPublicAddress(hostname, address));
+  }
+
+  return { url, trusted };
+}
+
+/**
+ * fetch() that enforces the URL policy on the initial URL and every redirect,
+ * re-checks resolved addresses at connect time, and stops reading once the
+ * body exceeds maxBytes. Resolves to { ok, status, statusText, headers, url, body, text() }.
+ */
+export async function safeFetch(rawUrl, { signal, headers, maxBytes, maxRedirects, policy = getUrlPolicy() } = {}) {
+  const byteLimit = maxBytes ?? policy.maxBytes;
+  const redirectLimit = maxRedirects ?? policy.maxRedirects;
+  let currentUrl = rawUrl;
+
+  for (let redirects = 0; ; redirects++) {
+    const { url, trusted } = await assertUrlAllowed(currentUrl, policy);
+
+    let response;
+    try {
+      response = await fetch(url.href, {
+        signal,
+        headers,
+        redirect: 'manual',
+        agent: parsed => (parsed.protocol === 'https:' ? guardedAgents(trusted).https : guardedAgents(trusted).http)
+      });
+    } catch (error) {
+      // node-fetch wraps errors from our lookup; surface them as policy errors again
+      if (error.code === 'PRIVATE_ADDRESS') {
+        throw new UrlPolicyError('PRIVATE_ADDRESS', `${url.hostname} resolved to a private, loopback or reserved address`);
+      }
+      throw error;
+    }
+
+    if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+      response.body?.resume?.();
+      if (redirects >= redirectLimit) {
+        throw new UrlPolicyError('TOO_MANY_REDIRECTS', `Stopped after ${redirectLimit} redirects`, 502);
+      }
+      currentUrl = new URL(response.headers.get('location'), url).href;
+      continue;
+    }
+
+    const body = await readLimited(response, byteLimit);
+    return {
+      ok: response.ok,
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+      url: url.href,
+      body,
+      text: () => body.toString('utf8')
+    };
+  }
+}
+
+/**
+ * Combine an optional caller signal (e.g. client disconnect) with a timeout
+ */
+export function withTimeout(signal, ms) {
+  const timeout = AbortSignal.timeout(ms);
+  return signal ? AbortSignal.any([signal, timeout]) : timeout;
+}
+
+async function readLimited(response, maxBytes) {
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > maxBytes) {
+    response.body?.destroy?.();
+    throw new UrlPolicyError('RESPONSE_TOO_LARGE', `Response is ${declared} bytes, limit is ${maxBytes}`, 413);
+  }
+
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of response.body) {
+    total += chunk.length;
+    if (total > maxBytes) {
+      response.body.destroy();
+      throw new UrlPolicyError('RESPONSE_TOO_LARGE', `Response exceeded the ${maxBytes} byte limit`, 413);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+const agents = {};
+
+/**
+ * Agents whose DNS lookup re-checks addresses at connect time, so a host
+ * can't pass validation and then resolve somewhere private (DNS rebinding)
+ */
+function guardedAgents(trusted) {
+  const key = trusted ? 'trusted' : 'guarded';
+  if (!agents[key]) {
+    const lookup = trusted ? dns.lookup : guardedLookup;
+    agents[key] = {
+      http: new http.Agent({ lookup }),
+      https: new https.Agent({ lookup })
+    };
+  }
+  return agents[key];
+}
+
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    try {
+      addresses.forEach(({ address }) => assertPublicAddress(hostname, address));
+    } catch (policyError) {
+      return callback(policyError);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+async function resolveHost(hostname) {
+  try {
+    return await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw new UrlPolicyError('DNS_FAILURE', `Could not resolve ${hostname}: ${error.code || error.message}`, 400);
+  }
+}
+
+function assertPublicAddress(hostname, address) {
+  if (isPrivateAddress(address)) {
+    const subject = hostname === address ? address : `${hostname} resolves to ${address}, which`;
+    throw new UrlPolicyError('PRIVATE_ADDRESS', `${subject} is a private, loopback or reserved address`);
+  }
+}
+
+export function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_RANGES.check(mapped[1], 'ipv4');
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * "example.com" matches example.com and any subdomain of it
+ */
+function matchesHost(hostname, list) {
+  return list.some(entry => hostname === entry || hostname.endsWith(`.${entry}`));
+}
+
+function normalizeHosts(hosts) {
+  return hosts.map(host => host.toLowerCase().replace(/^\*\./, ''));
+}